@@ -1,5 +1,6 @@
 import express from 'express';
 import { loadSettings, saveSettings, loadHeaderThresholds, saveHeaderThresholds } from '../utils/settingsStorage.js';
+import { maskSettingsSecrets, restoreSettingsSecrets } from '../schemas/settings.js';
 
 const router = express.Router();
 
@@ -7,7 +8,7 @@ const router = express.Router();
 router.get('/', async (req, res) => {
   try {
     const settings = await loadSettings();
-    res.json(settings);
+    res.json(maskSettingsSecrets(settings));
   } catch (error) {
     console.error('Error loading settings:', error);
     res.status(500).json({ error: 'Failed to load settings' });
@@ -17,14 +18,15 @@ router.get('/', async (req, res) => {
 // Update settings
 router.post('/', async (req, res) => {
   try {
-    const settings = req.body;
+    // The browser only ever has the masked SMTP password
+    const settings = restoreSettingsSecrets(req.body, await loadSettings());
     const success = await saveSettings(settings);
     
     if (success) {
       res.json({ 
         success: true, 
         message: 'Settings saved successfully',
-        settings
+        settings: maskSettingsSecrets(settings)
       });
     } else {
       throw new Error('Failed to save settings');
@@ -27,7 +27,14 @@ export const validateSchema = async (dbInstance) => {
       'project_header_settings', 
       'monitor_cache', 
       'alerts', 
-      'alert_snoozes'
+      'alert_snoozes',
+      'compound_rules',
+      'header_value_history',
+      'header_value_rollups',
+      'alert_events',
+      'stage_reports',
+      'shift_reports',
+      'maintenance_windows'
     ];
     
     // Get list of actual tables
@@ -63,6 +70,14 @@ export const validateSchema = async (dbInstance) => {
   }
 };
 
+// Add a column to an existing table, ignoring the error if it already exists
+const addColumnIfMissing = async (dbInstance, table, columnDefinition) => {
+  await dbInstance.run(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`).catch(err => {
+    if (!err.message.includes('duplicate column name'))
+      console.error(`Error adding column to ${table} (${columnDefinition}):`, err);
+  });
+};
+
 // Initialize the database
 export const initDatabase = async () => {
   try {
@@ -168,6 +183,125 @@ export const initDatabase = async () => {
       )
     `);
     console.log('Created table if not exists: alert_snoozes');
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS compound_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        expression TEXT NOT NULL,
+        headers_json TEXT NOT NULL,
+        operator TEXT NOT NULL,
+        threshold REAL NOT NULL,
+        alert_duration INTEGER DEFAULT 60,
+        severity TEXT DEFAULT 'critical',
+        is_enabled BOOLEAN DEFAULT TRUE,
+        first_exceeded_time INTEGER DEFAULT NULL,
+        last_alert_time INTEGER DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('Created table if not exists: compound_rules');
+
+    // Every polled value of a monitored header, recorded_at is epoch ms of the poll.
+    // Rows older than the raw retention are folded into header_value_rollups and deleted.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS header_value_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        header_id INTEGER NOT NULL,
+        project_id INTEGER,
+        value REAL NOT NULL,
+        state TEXT,
+        recorded_at INTEGER NOT NULL
+      )
+    `);
+    console.log('Created table if not exists: header_value_history');
+
+    // Downsampled history: one row per header and bucket (bucket_start is epoch ms)
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS header_value_rollups (
+        header_id INTEGER NOT NULL,
+        bucket_start INTEGER NOT NULL,
+        bucket_seconds INTEGER NOT NULL,
+        project_id INTEGER,
+        min_value REAL NOT NULL,
+        max_value REAL NOT NULL,
+        avg_value REAL NOT NULL,
+        last_value REAL,
+        sample_count INTEGER NOT NULL,
+        PRIMARY KEY (header_id, bucket_start)
+      )
+    `);
+    console.log('Created table if not exists: header_value_rollups');
+
+    // What happened to each alert and when (lifecycle transitions, snoozes, notifications sent).
+    // occurred_at is epoch ms, details holds a JSON object specific to the event type.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alert_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        occurred_at INTEGER NOT NULL,
+        actor TEXT,
+        details TEXT
+      )
+    `);
+    console.log('Created table if not exists: alert_events');
+
+    // Summaries generated when a project moves on to its next stage. The rendered report is a file under
+    // private/reports, summary holds the JSON it was rendered from; times are epoch ms
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS stage_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id TEXT NOT NULL,
+        stage_id TEXT NOT NULL,
+        next_stage_id TEXT,
+        started_at INTEGER,
+        ended_at INTEGER NOT NULL,
+        generated_at INTEGER NOT NULL,
+        file_name TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        posted INTEGER DEFAULT 0
+      )
+    `);
+    console.log('Created table if not exists: stage_reports');
+
+    // Handover reports compiled at each shift change. summary holds the JSON the report file was rendered from,
+    // delivery what happened when it was sent out (per channel: true, false on failure, null when not sent)
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS shift_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        period_start INTEGER NOT NULL,
+        period_end INTEGER NOT NULL,
+        generated_at INTEGER NOT NULL,
+        scheduled INTEGER DEFAULT 0,
+        file_name TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        delivery TEXT
+      )
+    `);
+    console.log('Created table if not exists: shift_reports');
+
+    // Scheduled maintenance windows that suppress alerts for a company, project, stage or header (scope_id).
+    // Times are epoch ms; recurring windows (daily, weekly) repeat the first occurrence until repeat_until
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS maintenance_windows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        scope_id TEXT NOT NULL,
+        scope_name TEXT,
+        starts_at INTEGER NOT NULL,
+        ends_at INTEGER NOT NULL,
+        recurrence TEXT DEFAULT 'none',
+        repeat_until INTEGER DEFAULT NULL,
+        created_by TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER
+      )
+    `);
+    console.log('Created table if not exists: maintenance_windows');
     
     // Consider adding indices for performance if not already present implicitly
     await db.exec('CREATE INDEX IF NOT EXISTS idx_project_header_settings_project_id ON project_header_settings (project_id);');
@@ -176,6 +310,14 @@ export const initDatabase = async () => {
     await db.exec('CREATE INDEX IF NOT EXISTS idx_alerts_project_id ON alerts(project_id);');
     await db.exec('CREATE INDEX IF NOT EXISTS idx_alert_snoozes_alert_id ON alert_snoozes(alert_id);');
     await db.exec('CREATE INDEX IF NOT EXISTS idx_alert_snoozes_snooze_until ON alert_snoozes(snooze_until);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_compound_rules_project_id ON compound_rules(project_id);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_header_value_history_header_time ON header_value_history(header_id, recorded_at);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_header_value_history_recorded_at ON header_value_history(recorded_at);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_header_value_rollups_bucket_start ON header_value_rollups(bucket_start);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_alert_events_alert_time ON alert_events(alert_id, occurred_at);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_stage_reports_project ON stage_reports(project_id, generated_at);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_shift_reports_period_end ON shift_reports(period_end);');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_maintenance_windows_scope ON maintenance_windows(scope, scope_id);');
     console.log('Created indexes if not exist');
 
     // Add state column to project_header_settings table
@@ -188,6 +330,82 @@ export const initDatabase = async () => {
         console.error('Error adding state column:', err);
     });
 
+    // Threshold direction overrides: below (default), above, or band (min/max)
+    await addColumnIfMissing(db, 'project_header_settings', 'threshold_direction TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'project_header_settings', 'threshold_min REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'project_header_settings', 'threshold_max REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'threshold_direction TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'threshold_min REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'threshold_max REAL DEFAULT NULL');
+
+    // Rate-of-change rule: limit (units/min), slope window (seconds) and direction (drop, rise, either)
+    await addColumnIfMissing(db, 'project_header_settings', 'rate_limit REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'project_header_settings', 'rate_window INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'project_header_settings', 'rate_direction TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'project_header_settings', 'last_rate_alert_time INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'rate REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'rate_limit REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'rate_window INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'rate_direction TEXT DEFAULT NULL');
+
+    // Threshold recovery hysteresis: when the value first cleared the recovery margin
+    await addColumnIfMissing(db, 'project_header_settings', 'recovery_started_time INTEGER DEFAULT NULL');
+
+    // Severity levels: per-level breach start times (JSON) and the severity/escalation of each alert
+    await addColumnIfMissing(db, 'project_header_settings', 'level_exceeded_times TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', "severity TEXT DEFAULT 'critical'");
+    await addColumnIfMissing(db, 'alerts', 'escalated_at TEXT DEFAULT NULL');
+
+    // Compound rules: the rule, its expression and comparison (e.g. "> 500") behind a compound alert
+    await addColumnIfMissing(db, 'alerts', 'rule_id INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'expression TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'comparison TEXT DEFAULT NULL');
+
+    // Alert lifecycle: open -> acknowledged -> resolved (automatically or manually) -> closed.
+    // Times are epoch ms; resolved and closed alerts are kept, every transition is in alert_events.
+    await addColumnIfMissing(db, 'alerts', "state TEXT DEFAULT 'open'");
+    await addColumnIfMissing(db, 'alerts', 'triggered_at INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'breach_started_at INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'acknowledged_at INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'acknowledged_by TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'acknowledgement_note TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'resolved_at INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'resolved_by TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'resolution TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'closed_at INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'closed_by TEXT DEFAULT NULL');
+    // Alerts dismissed before the lifecycle existed count as closed
+    await db.run("UPDATE alerts SET state = 'closed' WHERE dismissed = 1 AND state = 'open'");
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_alerts_state ON alerts(state);');
+    // Alert history is mostly searched per project and time range
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_alerts_project_triggered ON alerts(project_id, triggered_at);');
+
+    // Time-to-threshold forecast: the estimated crossing time (epoch ms), trend (units/hour) and lead time (hours)
+    await addColumnIfMissing(db, 'project_header_settings', 'last_forecast_alert_time INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'forecast_eta INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'forecast_rate REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'forecast_lead_time REAL DEFAULT NULL');
+
+    // Anomaly detection: when the current excursion started, and the score (signed sigmas), baseline mean,
+    // standard deviation and sigma limit behind an anomaly alert
+    await addColumnIfMissing(db, 'project_header_settings', 'anomaly_started_time INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'project_header_settings', 'last_anomaly_alert_time INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'anomaly_score REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'anomaly_mean REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'anomaly_std_dev REAL DEFAULT NULL');
+    await addColumnIfMissing(db, 'alerts', 'anomaly_sigma REAL DEFAULT NULL');
+
+    // Scope snoozes: besides one alert (alert_id), a snooze can cover a header, project, stage or category
+    // (scope_id; stages and categories within project_id). Each carries a reason and can lift itself on recovery
+    await addColumnIfMissing(db, 'alert_snoozes', "scope TEXT DEFAULT 'alert'");
+    await addColumnIfMissing(db, 'alert_snoozes', 'scope_id TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alert_snoozes', 'project_id TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alert_snoozes', 'scope_name TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alert_snoozes', 'reason TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'alert_snoozes', 'auto_unsnooze INTEGER DEFAULT 0');
+    await addColumnIfMissing(db, 'alert_snoozes', 'created_by TEXT DEFAULT NULL');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_alert_snoozes_scope ON alert_snoozes(scope, scope_id);');
+
     console.log('Database schema initialized successfully');
     
     // Validate the schema after initialization
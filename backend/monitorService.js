@@ -16,6 +16,10 @@ import { router as projectsRoutes } from './routes/projects.js';
 import projectRouter from './api/project.js';
 import { loadSettings, loadHeaderThresholds } from './utils/settingsStorage.js';
 import { HeaderMonitorService } from './services/headerMonitorService.js';
+import { StageReportService } from './services/stageReportService.js';
+import { ShiftReportService } from './services/shiftReportService.js';
+import { resolveFrozenRule, trackFrozenValue } from './utils/frozenRules.js';
+import { classifyHeader } from './shared/headerClassifier.js';
 import { createRequire } from 'module';
 import { upsertActiveProjects } from './routes/monitoring.js';
 
@@ -194,7 +198,7 @@ let currentSettings = {};
 let currentThresholdsData = {}; // Store the whole object { thresholds: {...}, lastUpdated, version }
 let monitoredItems = {}; // Structure: { headerId: { threshold: number | null } }
 let activeAlerts = {}; // Structure: { alertId: { details... } }
-let lastHeaderValues = {}; // Structure: { headerId: { value: any, timestamp: number } }
+let lastHeaderValues = {}; // Structure: { headerId: frozen tracker, see trackFrozenValue in utils/frozenRules.js }
 
 // Add a class property to track when the last notification was sent
 let lastNotificationTime = null;
@@ -282,33 +286,7 @@ function getHeaderType(headerName) {
   const currentConfig = getConfig();
   const { patternCategories } = currentConfig;
   
-  if (!headerName) return null;
-  
-  // Check pressure category first
-  if (patternCategories.pressure) {
-    // Check negative patterns first
-    if (patternCategories.pressure.negativePatterns?.some(pattern => 
-      headerName.toLowerCase().includes(pattern.toLowerCase())
-    )) {
-      return null;
-    }
-    
-    // Then check positive patterns
-    if (patternCategories.pressure.patterns?.some(pattern => 
-      headerName.toLowerCase().includes(pattern.toLowerCase())
-    )) {
-      return 'pressure';
-    }
-  }
-  
-  // Check battery category
-  if (patternCategories.battery?.patterns?.some(pattern => 
-    headerName.toLowerCase().includes(pattern.toLowerCase())
-  )) {
-    return 'battery';
-  }
-  
-  return null;
+  return classifyHeader(headerName, patternCategories);
 }
 
 // Get alert settings for a header
@@ -324,7 +302,8 @@ function getAlertSettings(headerId, headerName) {
     return {
     threshold: headerSettings?.threshold ?? categorySettings?.threshold ?? null,
     alertDuration: headerSettings?.alertDuration ?? categorySettings?.alertDuration ?? 20,
-    frozenThreshold: headerSettings?.frozenThreshold ?? categorySettings?.frozenThreshold ?? 120
+    frozenThreshold: headerSettings?.frozenThreshold ?? categorySettings?.frozenThreshold ?? 120,
+    frozenRule: resolveFrozenRule({ frozen_threshold: headerSettings?.frozenThreshold }, categorySettings)
     };
 }
 
@@ -385,33 +364,19 @@ function checkFrozenData(headerId, headerName, value, timestamp) {
         return false;
     }
 
+    const frozenRule = getAlertSettings(headerId, headerName)?.frozenRule ?? resolveFrozenRule();
+
     if (!frozenStates.has(headerId)) {
-        frozenStates.set(headerId, {
-            lastValue: value,
-            lastChangeTime: timestamp,
-            type: getHeaderType(headerName)
-        });
-        return false;
+        frozenStates.set(headerId, { type: getHeaderType(headerName) });
     }
 
-    const state = frozenStates.get(headerId);
-    const { frozenThreshold } = getAlertSettings(headerId, headerName);
-
-    if (value === state.lastValue) {
-        const timeFrozen = timestamp - state.lastChangeTime;
-        const isFrozen = timeFrozen >= frozenThreshold;
-        
-        if (isFrozen) {
-            console.log(`  - Frozen data detected for ${headerId} (${headerName}): Value unchanged at ${value} for ${timeFrozen/1000}s (threshold: ${frozenThreshold/1000}s)`);
-        }
-        
-        return isFrozen;
-    } else {
-        // Update state when value changes
-        state.lastValue = value;
-        state.lastChangeTime = timestamp;
-        return false;
+    // Same rule as the frozen alerts: tolerance band around the anchor, variance test and category duration
+    const { frozen, frozenFor } = trackFrozenValue(frozenStates.get(headerId), value, timestamp, frozenRule);
+    if (frozen) {
+        console.log(`  - Frozen data detected for ${headerId} (${headerName}): Value unchanged at ${value} for ${frozenFor/1000}s (threshold: ${frozenRule.duration}s)`);
     }
+
+    return frozen;
 }
 
 // Export the monitoring functions
@@ -801,6 +766,9 @@ async function runMonitoringCycle() {
                         if (prevStageId && prevStageId !== newStageId) {
                             console.log(`[${new Date().toISOString()}] Stage transition detected for project ${projectId}: ${prevStageId} -> ${newStageId}`);
                             
+                            // Summarize the completed stage while its headers are still the monitored ones
+                            await StageReportService.generateReport(projectId, prevStageId, { nextStageId: newStageId });
+                            
                             // Call our header mapping function to maintain monitoring across the transition
                             await HeaderMonitorService.updateMonitoredHeadersForNewStage(prevStageId, newStageId);
                         }
@@ -849,38 +817,32 @@ async function runMonitoringCycle() {
         if (headerValues && typeof headerValues === 'object') {
             Object.entries(headerValues).forEach(([headerId, headerData]) => {
                 if (headerData.companyId && headerData.stageId) {
-                    const lastValue = lastHeaderValues[headerId]?.value;
-                    const lastTimestamp = lastHeaderValues[headerId]?.timestamp || 0;
-                    
-                    // If we have a previous value and it hasn't changed
-                    if (lastValue !== undefined && lastValue === headerData.value) {
-                        const timeFrozen = headerData.timestamp - lastTimestamp;
-                        const frozenThreshold = headerData.frozenThreshold || 60000; // Default to 60 seconds
+                    // Uncategorised headers get the default frozen rule
+                    const frozenRule = getAlertSettings(headerId, headerData.name)?.frozenRule ?? resolveFrozenRule();
+
+                    // Same rule as checkFrozenData and the frozen alerts, the tracker keeps the anchor between cycles
+                    lastHeaderValues[headerId] = lastHeaderValues[headerId] || {};
+                    const { frozen, frozenFor: timeFrozen } = trackFrozenValue(
+                        lastHeaderValues[headerId], headerData.value, headerData.timestamp, frozenRule
+                    );
+
+                    // If frozen for longer than the category duration, create a frozen state
+                    if (frozen) {
+                        const frozenKey = `frozen_${headerId}_${Date.now()}`;
                         
-                        // If frozen for longer than the threshold, create a frozen state
-                        if (timeFrozen >= frozenThreshold) {
-                            const frozenKey = `frozen_${headerId}_${Date.now()}`;
-                            
-                            frozenStates.set(frozenKey, {
-                                id: frozenKey,
-                                headerId: headerId,
-                                value: headerData.value,
-                                timestamp: headerData.timestamp,
-                                companyId: headerData.companyId,
-                                stageId: headerData.stageId,
-                                type: 'frozen',
-                                message: `Value unchanged for ${Math.floor(timeFrozen/1000)} seconds`
-                            });
-                            
-                            console.log(`[${new Date().toISOString()}] Added frozen state: ${frozenKey} for header ${headerId}`);
-                        }
+                        frozenStates.set(frozenKey, {
+                            id: frozenKey,
+                            headerId: headerId,
+                            value: headerData.value,
+                            timestamp: headerData.timestamp,
+                            companyId: headerData.companyId,
+                            stageId: headerData.stageId,
+                            type: 'frozen',
+                            message: `Value unchanged for ${Math.floor(timeFrozen/1000)} seconds`
+                        });
+                        
+                        console.log(`[${new Date().toISOString()}] Added frozen state: ${frozenKey} for header ${headerId}`);
                     }
-                    
-                    // Update last header value
-                    lastHeaderValues[headerId] = {
-                        value: headerData.value,
-                        timestamp: headerData.timestamp
-                    };
                 }
             });
         } else {
@@ -1702,6 +1664,11 @@ setInterval(async () => {
   await checkMonitoringHealth();
 }, 5 * 60 * 1000); // Check every 5 minutes
 
+// Compile the shift handover report at each configured crew change
+setInterval(async () => {
+  await ShiftReportService.runSchedule();
+}, 60 * 1000); // Check every minute
+
 // Add a new API endpoint for health check
 // Add this to the Express app setup
 app.get('/api/health', async (req, res) => {
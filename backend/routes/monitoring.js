@@ -2,9 +2,39 @@ import express from "express";
 import fetch from "node-fetch";
 import { HeaderMonitorService } from "../services/headerMonitorService.js";
 import { HeaderSettingsService } from "../services/headerSettingsService.js";
+import { CompoundRuleService } from "../services/compoundRuleService.js";
+import { HeaderHistoryService } from "../services/headerHistoryService.js";
+import { AlertEventService, ALERT_EVENT_TYPES } from "../services/alertEventService.js";
+import { AlertLifecycleService, ALERT_STATES, ACTIVE_ALERT_STATES } from "../services/alertLifecycleService.js";
+import {
+  AlertHistoryService,
+  DEFAULT_HISTORY_PAGE_SIZE,
+  MAX_HISTORY_PAGE_SIZE,
+} from "../services/alertHistoryService.js";
+import {
+  AlertAnalyticsService,
+  ANALYTICS_INTERVALS,
+  MAX_ANALYTICS_BUCKETS,
+} from "../services/alertAnalyticsService.js";
+import { StageReportService, DEFAULT_STAGE_REPORTS_LIMIT } from "../services/stageReportService.js";
+import { ShiftReportService, DEFAULT_SHIFT_REPORTS_LIMIT } from "../services/shiftReportService.js";
+import { BacktestService } from "../services/backtestService.js";
+import { MaintenanceWindowService } from "../services/maintenanceWindowService.js";
+import { SnoozeService } from "../services/snoozeService.js";
+import {
+  ThresholdRecommendationService,
+  DEFAULT_RECOMMENDATION_DAYS,
+  MAX_RECOMMENDATION_DAYS,
+} from "../services/thresholdRecommendationService.js";
+import { sendAcknowledgementNotifications } from "../utils/notifications.js";
 import dotenv from "dotenv";
 import { loadSettings } from "../utils/settingsStorage.js";
 import { getDb } from "../database/db.js"; // Import getDb for database access
+import { THRESHOLD_DIRECTIONS } from "../shared/thresholdRules.js";
+import { RATE_DIRECTIONS } from "../shared/rateRules.js";
+import { SEVERITIES } from "../utils/severityLevels.js";
+import { classifyHeader, getCategoryMatches } from "../shared/headerClassifier.js";
+import { validateCategory } from "../schemas/settings.js";
 
 // Load environment variables
 dotenv.config();
@@ -20,38 +50,60 @@ if (!FRACBRAIN_API_BASE) {
   // We shouldn't exit here, but log the error. Let requests fail.
 }
 
-// --- Helper Function: Get Header Type (adapted from monitorService.js) ---
-// We need this here to filter headers based on settings before sending to frontend
-async function getHeaderTypeForFilter(headerName, settings) {
-  const { patternCategories } = settings;
+// Convert optional numeric settings from the client, keeping 0 but mapping ""/undefined to null
+const toNullableNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
 
-  if (!headerName || !patternCategories) return null;
+// Only accept known threshold directions; null means "inherit from category"
+const toThresholdDirection = (value) => (THRESHOLD_DIRECTIONS.includes(value) ? value : null);
 
-  const lowerHeaderName = headerName.toLowerCase();
+// Only accept known rate directions; null means "inherit from category"
+const toRateDirection = (value) => (RATE_DIRECTIONS.includes(value) ? value : null);
 
-  // Check all defined categories
-  for (const categoryKey in patternCategories) {
-    const category = patternCategories[categoryKey];
-    let isMatch = false;
 
-    // Check positive patterns
-    if (category.patterns?.some((pattern) => lowerHeaderName.includes(pattern.toLowerCase()))) {
-      isMatch = true;
-    }
+// Request headers for FracBrain API calls
+const getFracBrainHeaders = (token) => ({
+  Authorization: `Bearer ${token}`,
+  "Content-Type": "application/json",
+  Accept: "application/json",
+});
 
-    // Check negative patterns - if any negative match, it's not this type
-    if (isMatch && category.negativePatterns?.some((pattern) => lowerHeaderName.includes(pattern.toLowerCase()))) {
-      isMatch = false;
-    }
+// Fetch the active stages from the FracBrain API
+async function fetchActiveStages(token) {
+  const stagesResponse = await fetch(`${FRACBRAIN_API_BASE}/stages/active/stages`, {
+    headers: getFracBrainHeaders(token),
+    credentials: "omit",
+  });
 
-    if (isMatch) {
-      return categoryKey; // Return the category key (e.g., 'pressure', 'battery')
-    }
+  if (!stagesResponse.ok) {
+    const errorText = await stagesResponse.text();
+    throw new Error(`FracBrain API error: ${stagesResponse.status} - ${errorText}`);
+  }
+
+  const stagesData = await stagesResponse.json();
+  return stagesData.stages || [];
+}
+
+// Fetch every header of a stage from the FracBrain API, unfiltered
+async function fetchStageHeaders(stageId, token) {
+  const stageHeadersResponse = await fetch(`${FRACBRAIN_API_BASE}/stages/${stageId}/headers`, {
+    headers: getFracBrainHeaders(token),
+    credentials: "omit",
+  });
+
+  if (!stageHeadersResponse.ok) {
+    const errorText = await stageHeadersResponse.text();
+    throw new Error(
+      `FracBrain API error fetching headers for stage ${stageId}: ${stageHeadersResponse.status} - ${errorText}`
+    );
   }
 
-  return null; // No matching category found
+  const headersData = await stageHeadersResponse.json();
+  return headersData.headers || [];
 }
-// --- End Helper Function ---
 
 // Get current monitoring status
 router.get("/", async (req, res) => {
@@ -245,24 +297,8 @@ router.get("/active-stages", async (req, res) => {
     return res.status(500).json({ error: "API credentials not configured on the server" });
   }
   try {
-    const apiHeaders = {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      Accept: "application/json",
-    };
     console.log("Fetching active stages from FracBrain API...");
-    const stagesResponse = await fetch(`${FRACBRAIN_API_BASE}/stages/active/stages`, {
-      headers: apiHeaders,
-      credentials: "omit",
-    });
-
-    if (!stagesResponse.ok) {
-      const errorText = await stagesResponse.text();
-      throw new Error(`FracBrain API error: ${stagesResponse.status} - ${errorText}`);
-    }
-
-    const stagesData = await stagesResponse.json();
-    const activeStages = stagesData.stages || [];
+    const activeStages = await fetchActiveStages(token);
     console.log(`Successfully fetched ${activeStages.length} active stages.`);
 
     // Add detailed debug logging
@@ -412,8 +448,30 @@ router.get("/header-values", async (req, res) => {
 // Get alerts - Added for frontend compatibility
 router.get("/alerts", async (req, res) => {
   try {
-    // Use the new method to get active alerts with snooze info
-    const alerts = await HeaderMonitorService.getActiveAlerts();
+    // ?state=open,acknowledged | resolved | closed | all, defaults to the active states
+    let states = ACTIVE_ALERT_STATES;
+    if (req.query.state === "all") {
+      states = ALERT_STATES;
+    } else if (req.query.state) {
+      states = String(req.query.state)
+        .split(",")
+        .map((state) => state.trim())
+        .filter(Boolean);
+      const unknown = states.filter((state) => !ALERT_STATES.includes(state));
+      if (unknown.length > 0 || states.length === 0) {
+        return res.status(400).json({ error: `state must be "all" or a list of: ${ALERT_STATES.join(", ")}` });
+      }
+    }
+
+    let limit = null;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: "limit must be a positive integer" });
+      }
+    }
+
+    const alerts = await HeaderMonitorService.getAlertsByState(states, limit);
 
     // Filter out snoozed alerts if requested
     const includeSnoozed = req.query.includeSnoozed === "true";
@@ -430,6 +488,20 @@ router.get("/alerts", async (req, res) => {
   }
 });
 
+// Full record of one alert: breach start, duration, extreme values since the breach started and its events
+router.get("/alerts/:alertId", async (req, res) => {
+  try {
+    const detail = await HeaderMonitorService.getAlertDetail(req.params.alertId);
+    if (!detail) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+    res.json({ ...detail, timestamp: Date.now() });
+  } catch (error) {
+    console.error(`Error getting alert ${req.params.alertId}:`, error);
+    res.status(500).json({ error: "Failed to get alert", details: error.message });
+  }
+});
+
 // Get FILTERED headers for a specific stage
 router.get("/headers/:stageId", async (req, res) => {
   const { stageId } = req.params;
@@ -445,32 +517,14 @@ router.get("/headers/:stageId", async (req, res) => {
     }
 
     // 2. Fetch headers from FracBrain API
-    const apiHeaders = {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      Accept: "application/json",
-    };
     console.log(`Fetching headers for stage ${stageId} from FracBrain API...`);
-    const stageHeadersResponse = await fetch(`${FRACBRAIN_API_BASE}/stages/${stageId}/headers`, {
-      headers: apiHeaders,
-      credentials: "omit",
-    });
-
-    if (!stageHeadersResponse.ok) {
-      const errorText = await stageHeadersResponse.text();
-      throw new Error(
-        `FracBrain API error fetching headers for stage ${stageId}: ${stageHeadersResponse.status} - ${errorText}`
-      );
-    }
-
-    const headersData = await stageHeadersResponse.json();
-    const allHeaders = headersData.headers || [];
+    const allHeaders = await fetchStageHeaders(stageId, token);
     console.log(`Successfully fetched ${allHeaders.length} total headers for stage ${stageId}.`);
 
     // 3. Filter headers based on settings
     const filteredHeaders = [];
     for (const header of allHeaders) {
-      const headerType = await getHeaderTypeForFilter(header.name, settings);
+      const headerType = classifyHeader(header.name, settings.patternCategories);
       if (headerType !== null) {
         // Only include headers that match a defined category type
         filteredHeaders.push(header);
@@ -490,6 +544,645 @@ router.get("/headers/:stageId", async (req, res) => {
   }
 });
 
+// Dry-run a candidate patternCategories object against the headers of every active stage.
+// Nothing is saved: the response shows, per stage, how each header would be classified and
+// which headers change category compared with the saved settings.
+router.post("/patterns/preview", async (req, res) => {
+  const { patternCategories } = req.body;
+  if (!patternCategories || typeof patternCategories !== "object") {
+    return res.status(400).json({ error: "Pattern categories object is required" });
+  }
+
+  const errors = [];
+  for (const [categoryKey, category] of Object.entries(patternCategories)) {
+    validateCategory(categoryKey, category, errors);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors[0], errors });
+  }
+
+  const token = getFracBrainToken();
+  if (!FRACBRAIN_API_BASE || !token) {
+    return res.status(500).json({ error: "API credentials not configured on the server" });
+  }
+
+  try {
+    const settings = await loadSettings();
+    const savedCategories = settings?.patternCategories || {};
+    const activeStages = await fetchActiveStages(token);
+
+    const stages = [];
+    const changes = [];
+    const categoryCounts = {};
+
+    for (const stage of activeStages) {
+      const stageId = stage.stageId || stage.stage_id;
+      const stageInfo = {
+        stageId,
+        stageName: stage.stageName || stage.stage_name || null,
+        projectId: stage.projectId || stage.project_id || null,
+        projectName: stage.projectName || stage.project_name || null,
+        wellNumber: stage.wellNumber || stage.well_number || null,
+      };
+
+      let allHeaders;
+      try {
+        allHeaders = await fetchStageHeaders(stageId, token);
+      } catch (error) {
+        // One unreachable stage should not hide the preview of the others
+        console.error(`Pattern preview: could not fetch headers for stage ${stageId}:`, error.message);
+        stages.push({ ...stageInfo, error: error.message, headers: [], totalHeaders: 0, unclassifiedCount: 0 });
+        continue;
+      }
+
+      const headers = [];
+      for (const header of allHeaders) {
+        const [winner, ...others] = getCategoryMatches(header.name, patternCategories);
+        const category = winner?.matched ? winner.category : null;
+        const previousCategory = classifyHeader(header.name, savedCategories);
+
+        // Headers neither version classifies are only counted
+        if (!category && !previousCategory) continue;
+
+        const entry = {
+          headerId: header.id,
+          headerName: header.name,
+          category,
+          previousCategory,
+          pattern: category ? winner.pattern : null,
+          excludedBy: winner && !winner.matched ? winner.excludedBy : null,
+          // Other categories that also claimed the header and lost on priority or order
+          overlaps: others.filter((match) => match.matched).map((match) => match.category),
+          changed: category !== previousCategory,
+        };
+        headers.push(entry);
+
+        if (category) {
+          categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+        }
+        if (entry.changed) {
+          changes.push({
+            ...stageInfo,
+            headerId: header.id,
+            headerName: header.name,
+            from: previousCategory,
+            to: category,
+          });
+        }
+      }
+
+      stages.push({
+        ...stageInfo,
+        headers,
+        totalHeaders: allHeaders.length,
+        unclassifiedCount: allHeaders.length - headers.filter((header) => header.category).length,
+      });
+    }
+
+    res.json({
+      stages,
+      changes,
+      summary: {
+        stageCount: stages.length,
+        classifiedCount: Object.values(categoryCounts).reduce((sum, count) => sum + count, 0),
+        categoryCounts,
+        changedCount: changes.length,
+      },
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    console.error("Error previewing pattern categories:", error.message);
+    res.status(500).json({ error: "Failed to preview pattern categories", details: error.message });
+  }
+});
+
+// History requests default to the last hour and compare at most this many headers
+const DEFAULT_HISTORY_WINDOW = 3600 * 1000;
+const MAX_HISTORY_HEADERS = 20;
+
+// Parse a history time bound given as epoch ms or an ISO date; undefined when absent, NaN when invalid
+const toTimestamp = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return isNaN(number) ? Date.parse(value) : number;
+};
+
+// Respond with bucketed history (min/max/avg/last per bucket) for the given headers
+async function sendHeaderHistory(req, res, headerIds) {
+  const ids = [...new Set(headerIds.map((id) => parseInt(id, 10)))];
+  if (ids.length === 0 || ids.some((id) => isNaN(id))) {
+    return res.status(400).json({ error: "headerIds must be a comma-separated list of header IDs" });
+  }
+  if (ids.length > MAX_HISTORY_HEADERS) {
+    return res.status(400).json({ error: `At most ${MAX_HISTORY_HEADERS} headers can be compared at once` });
+  }
+
+  const to = toTimestamp(req.query.to) ?? Date.now();
+  const from = toTimestamp(req.query.from) ?? to - DEFAULT_HISTORY_WINDOW;
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return res.status(400).json({ error: "from and to must be timestamps (epoch ms or ISO) with from before to" });
+  }
+
+  const { resolution } = req.query;
+  if (resolution !== undefined && resolution !== "auto" && !(Number(resolution) > 0)) {
+    return res.status(400).json({ error: 'resolution must be a number of seconds or "auto"' });
+  }
+
+  try {
+    const history = await HeaderHistoryService.getHistory(ids, { from, to, resolution });
+    res.json({ ...history, timestamp: Date.now() });
+  } catch (error) {
+    console.error(`Error getting history for headers ${ids.join(", ")}:`, error);
+    res.status(500).json({ error: "Failed to get header history", details: error.message });
+  }
+}
+
+// Bucketed value history of one header; ?headerIds= adds more headers to compare on one chart
+router.get("/headers/:headerId/history", async (req, res) => {
+  const extraIds = req.query.headerIds ? String(req.query.headerIds).split(",") : [];
+  return sendHeaderHistory(req, res, [req.params.headerId, ...extraIds]);
+});
+
+// Options shared by the recommendation routes: ?days=&direction=&alertDuration=&candidates=20,35,50
+// direction and alertDuration default to the saved settings, so unsaved edits can be analysed too
+const parseRecommendationOptions = (query) => {
+  const days = query.days === undefined ? DEFAULT_RECOMMENDATION_DAYS : Number(query.days);
+  if (!(days > 0) || days > MAX_RECOMMENDATION_DAYS) {
+    return { error: `days must be a number between 1 and ${MAX_RECOMMENDATION_DAYS}` };
+  }
+  if (query.direction !== undefined && !THRESHOLD_DIRECTIONS.includes(query.direction)) {
+    return { error: `direction must be one of: ${THRESHOLD_DIRECTIONS.join(", ")}` };
+  }
+  const alertDuration = query.alertDuration === undefined ? undefined : Number(query.alertDuration);
+  if (alertDuration !== undefined && !(alertDuration >= 0)) {
+    return { error: "alertDuration must be a number of seconds" };
+  }
+  const candidates = query.candidates ? String(query.candidates).split(",").map(Number) : [];
+  if (candidates.some((candidate) => isNaN(candidate))) {
+    return { error: "candidates must be a comma-separated list of thresholds" };
+  }
+  return { options: { days, direction: query.direction, alertDuration, candidates } };
+};
+
+// Threshold, alert duration and frozen threshold suggestions from a header's recorded history
+router.get("/headers/:headerId/recommendations", async (req, res) => {
+  const { headerId } = req.params;
+  const { options, error } = parseRecommendationOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await ThresholdRecommendationService.recommendForHeader(headerId, options);
+    if (!result) {
+      return res.status(404).json({ error: `Header ${headerId} is not monitored` });
+    }
+    res.json({ ...result, timestamp: Date.now() });
+  } catch (error) {
+    console.error(`Error recommending thresholds for header ${headerId}:`, error);
+    res.status(500).json({ error: "Failed to recommend thresholds", details: error.message });
+  }
+});
+
+// The same suggestions for a pattern category, from the history of every header it classifies
+router.get("/categories/:category/recommendations", async (req, res) => {
+  const { category } = req.params;
+  const { options, error } = parseRecommendationOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await ThresholdRecommendationService.recommendForCategory(category, options);
+    if (!result) {
+      return res.status(404).json({ error: `Category ${category} not found` });
+    }
+    res.json({ ...result, timestamp: Date.now() });
+  } catch (error) {
+    console.error(`Error recommending thresholds for category ${category}:`, error);
+    res.status(500).json({ error: "Failed to recommend thresholds", details: error.message });
+  }
+});
+
+// Bucketed value history of several headers: ?headerIds=1,2,3&from=&to=&resolution=
+router.get("/history", async (req, res) => {
+  const headerIds = req.query.headerIds ? String(req.query.headerIds).split(",") : [];
+  return sendHeaderHistory(req, res, headerIds);
+});
+
+// Filters shared by the alert history search and its CSV export, or {error} when a parameter is invalid
+const parseAlertHistoryFilters = (query) => {
+  const list = (value) =>
+    value
+      ? String(value)
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean)
+      : [];
+
+  const states = list(query.state);
+  if (states.some((state) => !ALERT_STATES.includes(state))) {
+    return { error: `state must be a list of: ${ALERT_STATES.join(", ")}` };
+  }
+  const severities = list(query.severity);
+  if (severities.some((severity) => !SEVERITIES.includes(severity))) {
+    return { error: `severity must be a list of: ${SEVERITIES.join(", ")}` };
+  }
+
+  const from = query.from ? toTimestamp(query.from) : null;
+  const to = query.to ? toTimestamp(query.to) : null;
+  if ((from !== null && isNaN(from)) || (to !== null && isNaN(to)) || (from && to && from > to)) {
+    return { error: "from and to must be timestamps (epoch ms or ISO) with from before to" };
+  }
+
+  return {
+    projectId: query.projectId || null,
+    companyId: query.companyId || null,
+    stageId: query.stageId || null,
+    header: query.header ? String(query.header).trim() : null,
+    category: query.category || null,
+    types: list(query.type),
+    severities,
+    states,
+    from,
+    to,
+  };
+};
+
+// Search past and current alerts:
+// ?projectId=&companyId=&stageId=&header=&category=&type=&severity=&state=&from=&to=&page=&pageSize=
+router.get("/alert-history", async (req, res) => {
+  const filters = parseAlertHistoryFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  const page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10);
+  const pageSize = req.query.pageSize === undefined ? DEFAULT_HISTORY_PAGE_SIZE : parseInt(req.query.pageSize, 10);
+  if (!(page >= 1) || !(pageSize >= 1 && pageSize <= MAX_HISTORY_PAGE_SIZE)) {
+    return res
+      .status(400)
+      .json({ error: `page must be at least 1 and pageSize between 1 and ${MAX_HISTORY_PAGE_SIZE}` });
+  }
+
+  try {
+    const result = await AlertHistoryService.queryAlerts(filters, { page, pageSize });
+    res.json({ ...result, timestamp: Date.now() });
+  } catch (error) {
+    console.error("Error searching alert history:", error);
+    res.status(500).json({ error: "Failed to search alert history", details: error.message });
+  }
+});
+
+// The same search as a CSV download, without pagination
+router.get("/alert-history/export", async (req, res) => {
+  const filters = parseAlertHistoryFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  try {
+    const { csv, truncated } = await AlertHistoryService.exportCsv(filters);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    const filename = `alert-history-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (truncated) {
+      res.setHeader("X-Export-Truncated", "true");
+    }
+    res.send(csv);
+  } catch (error) {
+    console.error("Error exporting alert history:", error);
+    res.status(500).json({ error: "Failed to export alert history", details: error.message });
+  }
+});
+
+// Projects, stages and alert types present in the alert history, for its filters
+router.get("/alert-history/filters", async (req, res) => {
+  try {
+    const options = await AlertHistoryService.getFilterOptions();
+    res.json(options);
+  } catch (error) {
+    console.error("Error getting alert history filters:", error);
+    res.status(500).json({ error: "Failed to get alert history filters", details: error.message });
+  }
+});
+
+// Alert volume, noisiest headers, response times and snooze/act ratio: ?from=&to=&interval=&projectId=&companyId=
+// The range defaults to the last 30 days, the interval (hour, day or week) to one suiting the range
+router.get("/alert-analytics", async (req, res) => {
+  const to = toTimestamp(req.query.to) ?? Date.now();
+  const from = toTimestamp(req.query.from) ?? to - 30 * 24 * 3600 * 1000;
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return res.status(400).json({ error: "from and to must be timestamps (epoch ms or ISO) with from before to" });
+  }
+
+  const { interval } = req.query;
+  if (interval !== undefined && !ANALYTICS_INTERVALS[interval]) {
+    return res.status(400).json({ error: `interval must be one of: ${Object.keys(ANALYTICS_INTERVALS).join(", ")}` });
+  }
+  if (interval && (to - from) / ANALYTICS_INTERVALS[interval] > MAX_ANALYTICS_BUCKETS) {
+    return res.status(400).json({ error: `The range is too long for ${interval} buckets, pick a coarser interval` });
+  }
+
+  try {
+    const analytics = await AlertAnalyticsService.getAnalytics({
+      from,
+      to,
+      interval,
+      projectId: req.query.projectId || null,
+      companyId: req.query.companyId || null,
+    });
+    res.json({ ...analytics, timestamp: Date.now() });
+  } catch (error) {
+    console.error("Error getting alert analytics:", error);
+    res.status(500).json({ error: "Failed to get alert analytics", details: error.message });
+  }
+});
+
+// Backtest: replay recorded history of a category's headers through candidate settings and compare the alerts
+// that would have fired with those that did. Body: {category, settings, from, to, projectId}; settings is the
+// full candidate category (the saved one when omitted), the range defaults to the last 24 hours.
+router.post("/backtest", async (req, res) => {
+  const { category, settings: candidate, projectId } = req.body;
+  if (!category || typeof category !== "string") {
+    return res.status(400).json({ error: "Category is required" });
+  }
+
+  const to = toTimestamp(req.body.to) ?? Date.now();
+  const from = toTimestamp(req.body.from) ?? to - 24 * 3600 * 1000;
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return res.status(400).json({ error: "from and to must be timestamps (epoch ms or ISO) with from before to" });
+  }
+
+  try {
+    if (candidate !== undefined && candidate !== null) {
+      const errors = [];
+      validateCategory(category, candidate, errors);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0], errors });
+      }
+    } else {
+      const settings = await loadSettings();
+      if (!settings?.patternCategories?.[category]) {
+        return res.status(404).json({ error: `Category ${category} not found` });
+      }
+    }
+
+    const result = await BacktestService.replay({ category, candidate, from, to, projectId: projectId || null });
+    res.json({ ...result, timestamp: Date.now() });
+  } catch (error) {
+    console.error(`Error running backtest for category ${category}:`, error);
+    res.status(500).json({ error: "Failed to run backtest", details: error.message });
+  }
+});
+
+// End-of-stage reports generated so far, newest first (?projectId, ?limit)
+router.get("/stage-reports", async (req, res) => {
+  let limit = DEFAULT_STAGE_REPORTS_LIMIT;
+  if (req.query.limit !== undefined) {
+    limit = parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: "limit must be a positive integer" });
+    }
+  }
+
+  try {
+    const reports = await StageReportService.listReports({ projectId: req.query.projectId || null, limit });
+    res.json({ reports, timestamp: Date.now() });
+  } catch (error) {
+    console.error("Error listing stage reports:", error);
+    res.status(500).json({ error: "Failed to list stage reports", details: error.message });
+  }
+});
+
+// Generate a report for a stage on demand, e.g. one that completed while the monitor was down.
+// The stage is summarized up to now; it is posted to the webhooks only when post is true.
+router.post("/stage-reports", async (req, res) => {
+  const { projectId, stageId, nextStageId, post } = req.body;
+  if (!projectId || !stageId) {
+    return res.status(400).json({ error: "projectId and stageId are required" });
+  }
+
+  try {
+    const report = await StageReportService.generateReport(projectId, stageId, {
+      nextStageId: nextStageId || null,
+      post: Boolean(post),
+    });
+    if (!report) {
+      return res.status(500).json({ error: "Failed to generate stage report" });
+    }
+    res.status(201).json(report);
+  } catch (error) {
+    console.error("Error generating stage report:", error);
+    res.status(500).json({ error: "Failed to generate stage report", details: error.message });
+  }
+});
+
+// One report with the summary it was rendered from
+router.get("/stage-reports/:reportId", async (req, res) => {
+  try {
+    const report = await StageReportService.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ error: "Stage report not found" });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error("Error getting stage report:", error);
+    res.status(500).json({ error: "Failed to get stage report", details: error.message });
+  }
+});
+
+// The rendered report, shown in the browser (where it can be printed to PDF) or, with ?download=true, as a file
+router.get("/stage-reports/:reportId/html", async (req, res) => {
+  try {
+    const report = await StageReportService.getReport(req.params.reportId);
+    const filePath = report && StageReportService.getReportFilePath(report);
+    if (!filePath) {
+      return res.status(404).json({ error: "Stage report not found" });
+    }
+
+    if (req.query.download === "true") {
+      return res.download(filePath, report.fileName);
+    }
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error("Error sending stage report:", error);
+    res.status(500).json({ error: "Failed to send stage report", details: error.message });
+  }
+});
+
+// Shift handover reports compiled so far, newest first (?limit)
+router.get("/shift-reports", async (req, res) => {
+  let limit = DEFAULT_SHIFT_REPORTS_LIMIT;
+  if (req.query.limit !== undefined) {
+    limit = parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: "limit must be a positive integer" });
+    }
+  }
+
+  try {
+    const reports = await ShiftReportService.listReports({ limit });
+    res.json({ reports, timestamp: Date.now() });
+  } catch (error) {
+    console.error("Error listing shift reports:", error);
+    res.status(500).json({ error: "Failed to list shift reports", details: error.message });
+  }
+});
+
+// Compile a report now, covering the configured period up to now unless from/to are given.
+// It is sent out through the notification channels and email only when deliver is true.
+router.post("/shift-reports", async (req, res) => {
+  try {
+    const config = await ShiftReportService.getShiftReportSettings();
+    const to = toTimestamp(req.body.to) ?? Date.now();
+    const from = toTimestamp(req.body.from) ?? to - config.periodHours * 3600 * 1000;
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      return res.status(400).json({ error: "from and to must be timestamps (epoch ms or ISO) with from before to" });
+    }
+
+    const report = await ShiftReportService.generateReport({ from, to, deliver: Boolean(req.body.deliver) });
+    if (!report) {
+      return res.status(500).json({ error: "Failed to generate shift report" });
+    }
+    res.status(201).json(report);
+  } catch (error) {
+    console.error("Error generating shift report:", error);
+    res.status(500).json({ error: "Failed to generate shift report", details: error.message });
+  }
+});
+
+// One report with the summary it was rendered from
+router.get("/shift-reports/:reportId", async (req, res) => {
+  try {
+    const report = await ShiftReportService.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ error: "Shift report not found" });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error("Error getting shift report:", error);
+    res.status(500).json({ error: "Failed to get shift report", details: error.message });
+  }
+});
+
+// The rendered report, shown in the browser or, with ?download=true, as a file
+router.get("/shift-reports/:reportId/html", async (req, res) => {
+  try {
+    const report = await ShiftReportService.getReport(req.params.reportId);
+    const filePath = report && ShiftReportService.getReportFilePath(report);
+    if (!filePath) {
+      return res.status(404).json({ error: "Shift report not found" });
+    }
+
+    if (req.query.download === "true") {
+      return res.download(filePath, report.fileName);
+    }
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error("Error sending shift report:", error);
+    res.status(500).json({ error: "Failed to send shift report", details: error.message });
+  }
+});
+
+const toMaintenanceWindow = (body) => ({
+  name: body.name,
+  scope: body.scope,
+  scopeId: body.scopeId,
+  scopeName: body.scopeName,
+  startsAt: toTimestamp(body.startsAt),
+  endsAt: toTimestamp(body.endsAt),
+  recurrence: body.recurrence || "none",
+  repeatUntil: toTimestamp(body.repeatUntil) ?? null,
+  createdBy: typeof body.createdBy === "string" ? body.createdBy.trim() : undefined,
+});
+
+// Maintenance windows with the occurrence in progress or coming up next (?active=true for those in progress)
+router.get("/maintenance-windows", async (req, res) => {
+  try {
+    const windows =
+      req.query.active === "true"
+        ? await MaintenanceWindowService.getActiveWindows()
+        : await MaintenanceWindowService.getWindows();
+    res.json({ windows, timestamp: Date.now() });
+  } catch (error) {
+    console.error("Error listing maintenance windows:", error);
+    res.status(500).json({ error: "Failed to list maintenance windows", details: error.message });
+  }
+});
+
+// Companies, projects, stages and headers a window can cover
+router.get("/maintenance-windows/scopes", async (req, res) => {
+  try {
+    const options = await MaintenanceWindowService.getScopeOptions();
+    res.json(options);
+  } catch (error) {
+    console.error("Error getting maintenance window scopes:", error);
+    res.status(500).json({ error: "Failed to get maintenance window scopes", details: error.message });
+  }
+});
+
+// Schedule a one-off or recurring maintenance window
+router.post("/maintenance-windows", async (req, res) => {
+  try {
+    const window = toMaintenanceWindow(req.body);
+    const validationError = MaintenanceWindowService.validateWindow(window);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const created = await MaintenanceWindowService.createWindow(window);
+    if (!created) {
+      throw new Error("Database insert failed for maintenance window.");
+    }
+    res.status(201).json(created);
+  } catch (error) {
+    console.error("Error creating maintenance window:", error);
+    res.status(500).json({ error: "Failed to create maintenance window", details: error.message });
+  }
+});
+
+// Update a maintenance window, e.g. to end it early or extend it
+router.put("/maintenance-windows/:windowId", async (req, res) => {
+  const { windowId } = req.params;
+  try {
+    const existing = await MaintenanceWindowService.getWindow(windowId);
+    if (!existing) {
+      return res.status(404).json({ error: `Maintenance window ${windowId} not found` });
+    }
+
+    const window = toMaintenanceWindow(req.body);
+    const validationError = MaintenanceWindowService.validateWindow(window);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = await MaintenanceWindowService.updateWindow(windowId, window);
+    if (!updated) {
+      throw new Error("Database update failed for maintenance window.");
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error(`Error updating maintenance window ${windowId}:`, error);
+    res.status(500).json({ error: `Failed to update maintenance window ${windowId}`, details: error.message });
+  }
+});
+
+// Delete a maintenance window, ending it right away if it is in progress
+router.delete("/maintenance-windows/:windowId", async (req, res) => {
+  const { windowId } = req.params;
+  try {
+    const success = await MaintenanceWindowService.deleteWindow(windowId);
+    if (!success) {
+      throw new Error("Database delete failed for maintenance window.");
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting maintenance window ${windowId}:`, error);
+    res.status(500).json({ error: `Failed to delete maintenance window ${windowId}`, details: error.message });
+  }
+});
+
 // Get monitoring status for a project
 // TODO: Implement MonitoringService.getProjectMonitoringStatus or remove/update this route
 router.get("/project/:projectId/status", async (req, res) => {
@@ -557,6 +1250,12 @@ router.post("/monitored-headers", async (req, res) => {
       id: headerId, // Assuming service expects 'id'
       name: headerName,
       threshold: settings?.threshold, // Extract from nested settings if passed
+      thresholdDirection: toThresholdDirection(settings?.thresholdDirection),
+      thresholdMin: toNullableNumber(settings?.thresholdMin),
+      thresholdMax: toNullableNumber(settings?.thresholdMax),
+      rateLimit: toNullableNumber(settings?.rateLimit),
+      rateWindow: toNullableNumber(settings?.rateWindow),
+      rateDirection: toRateDirection(settings?.rateDirection),
       alertDuration: settings?.alertDuration,
       frozenThreshold: settings?.frozenThreshold,
       isMonitored: true, // Mark as monitored
@@ -583,6 +1282,12 @@ router.post("/monitored-headers", async (req, res) => {
             projectName,
             settings: {
               threshold: newRecord.threshold,
+              thresholdDirection: newRecord.threshold_direction,
+              thresholdMin: newRecord.threshold_min,
+              thresholdMax: newRecord.threshold_max,
+              rateLimit: newRecord.rate_limit,
+              rateWindow: newRecord.rate_window,
+              rateDirection: newRecord.rate_direction,
               alertDuration: newRecord.alert_duration,
               frozenThreshold: newRecord.frozen_threshold,
             },
@@ -606,7 +1311,7 @@ router.post("/monitored-headers", async (req, res) => {
 // Update settings for a specific monitored header - NEW PUT ROUTE
 router.put("/monitored-headers/:headerId/settings", async (req, res) => {
   const { headerId } = req.params;
-  const settings = req.body; // { threshold: number|null, alertDuration: number|null, frozenThreshold: number|null } or null
+  const settings = req.body; // { threshold, thresholdDirection, thresholdMin, thresholdMax, rateLimit, rateWindow, rateDirection, alertDuration, frozenThreshold } or null
   console.log(settings);
   // We need the projectId associated with this headerId to update it in the DB.
   // This requires fetching the header setting first or getting projectId from request body.
@@ -639,12 +1344,34 @@ router.put("/monitored-headers/:headerId/settings", async (req, res) => {
     const headerDataForService = {
       id: headerId,
       name: headerName,
-      threshold: Number(settings?.threshold) || null, // Ensure numeric conversion
+      threshold: toNullableNumber(settings?.threshold),
+      thresholdDirection: toThresholdDirection(settings?.thresholdDirection),
+      thresholdMin: toNullableNumber(settings?.thresholdMin),
+      thresholdMax: toNullableNumber(settings?.thresholdMax),
+      rateLimit: toNullableNumber(settings?.rateLimit),
+      rateWindow: toNullableNumber(settings?.rateWindow),
+      rateDirection: toRateDirection(settings?.rateDirection),
       alertDuration: settings?.alertDuration,
       frozenThreshold: settings?.frozenThreshold,
       isMonitored: true, // Keep it monitored when settings change
     };
 
+    if (
+      headerDataForService.thresholdDirection === "band" &&
+      headerDataForService.thresholdMin !== null &&
+      headerDataForService.thresholdMax !== null &&
+      headerDataForService.thresholdMin >= headerDataForService.thresholdMax
+    ) {
+      return res.status(400).json({ error: "Band minimum must be lower than band maximum" });
+    }
+
+    if (
+      (headerDataForService.rateLimit !== null && headerDataForService.rateLimit <= 0) ||
+      (headerDataForService.rateWindow !== null && headerDataForService.rateWindow <= 0)
+    ) {
+      return res.status(400).json({ error: "Rate limit and rate window must be positive numbers" });
+    }
+
     // 3. Update using the service
     const success = await HeaderSettingsService.upsertHeaderSettings(projectId, headerDataForService);
 
@@ -652,11 +1379,19 @@ router.put("/monitored-headers/:headerId/settings", async (req, res) => {
       console.log(`Successfully updated settings for header ${headerId}`);
       // Fetch the updated record to return the full structure expected by frontend
       const updatedRecord = await db.get(
-        "SELECT threshold, alert_duration, frozen_threshold FROM project_header_settings WHERE project_id = ? AND header_id = ?",
+        `SELECT threshold, threshold_direction, threshold_min, threshold_max,
+                rate_limit, rate_window, rate_direction, alert_duration, frozen_threshold
+         FROM project_header_settings WHERE project_id = ? AND header_id = ?`,
         [projectId, headerId]
       );
       res.json({
         threshold: updatedRecord.threshold,
+        thresholdDirection: updatedRecord.threshold_direction,
+        thresholdMin: updatedRecord.threshold_min,
+        thresholdMax: updatedRecord.threshold_max,
+        rateLimit: updatedRecord.rate_limit,
+        rateWindow: updatedRecord.rate_window,
+        rateDirection: updatedRecord.rate_direction,
         alertDuration: updatedRecord.alert_duration,
         frozenThreshold: updatedRecord.frozen_threshold,
       });
@@ -724,6 +1459,112 @@ router.delete("/monitored-headers/project/:projectId", async (req, res) => {
   }
 });
 
+// Build a compound rule from the request body
+const toCompoundRule = (body, projectId) => ({
+  projectId,
+  name: body.name,
+  expression: typeof body.expression === "string" ? body.expression.trim() : body.expression,
+  headers: Array.isArray(body.headers)
+    ? body.headers.map((header) => ({
+        alias: typeof header.alias === "string" ? header.alias.trim() : header.alias,
+        headerId: header.headerId,
+        headerName: header.headerName,
+      }))
+    : [],
+  operator: body.operator,
+  threshold: toNullableNumber(body.threshold),
+  alertDuration: toNullableNumber(body.alertDuration),
+  severity: body.severity,
+  isEnabled: body.isEnabled !== false,
+});
+
+// List compound rules, optionally for one project
+router.get("/compound-rules", async (req, res) => {
+  try {
+    const rules = await CompoundRuleService.getRules(req.query.projectId || null);
+    res.json(rules);
+  } catch (error) {
+    console.error("Error fetching compound rules:", error);
+    res.status(500).json({ error: "Failed to fetch compound rules", details: error.message });
+  }
+});
+
+// Create a compound rule over headers of one project
+router.post("/compound-rules", async (req, res) => {
+  try {
+    const rule = toCompoundRule(req.body, req.body.projectId);
+    const validationError = await CompoundRuleService.validateRule(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const created = await CompoundRuleService.createRule(rule);
+    if (!created) {
+      throw new Error("Database insert failed for compound rule.");
+    }
+    res.status(201).json(created);
+  } catch (error) {
+    console.error("Error creating compound rule:", error);
+    res.status(500).json({ error: "Failed to create compound rule", details: error.message });
+  }
+});
+
+// Update a compound rule
+router.put("/compound-rules/:ruleId", async (req, res) => {
+  const { ruleId } = req.params;
+  try {
+    const existing = await CompoundRuleService.getRule(ruleId);
+    if (!existing) {
+      return res.status(404).json({ error: `Compound rule ${ruleId} not found` });
+    }
+
+    const rule = toCompoundRule(req.body, existing.projectId);
+    const validationError = await CompoundRuleService.validateRule(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = await CompoundRuleService.updateRule(ruleId, rule);
+    if (!updated) {
+      throw new Error("Database update failed for compound rule.");
+    }
+
+    // The definition changed, so an open alert no longer describes it
+    await AlertLifecycleService.closeAlert(`compound_${existing.projectId}_${existing.id}`, {
+      reason: "Rule changed",
+      automatic: true,
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error(`Error updating compound rule ${ruleId}:`, error);
+    res.status(500).json({ error: `Failed to update compound rule ${ruleId}`, details: error.message });
+  }
+});
+
+// Delete a compound rule and its open alert
+router.delete("/compound-rules/:ruleId", async (req, res) => {
+  const { ruleId } = req.params;
+  try {
+    const existing = await CompoundRuleService.getRule(ruleId);
+    if (!existing) {
+      return res.status(204).send();
+    }
+
+    const success = await CompoundRuleService.deleteRule(ruleId);
+    if (!success) {
+      throw new Error("Database delete failed for compound rule.");
+    }
+    await AlertLifecycleService.closeAlert(`compound_${existing.projectId}_${existing.id}`, {
+      reason: "Rule deleted",
+      automatic: true,
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting compound rule ${ruleId}:`, error);
+    res.status(500).json({ error: `Failed to delete compound rule ${ruleId}`, details: error.message });
+  }
+});
+
 // Debug endpoint to check raw API response
 router.get("/debug/:headerId", async (req, res) => {
   const { headerId } = req.params;
@@ -775,34 +1616,105 @@ router.get("/debug/:headerId", async (req, res) => {
 });
 
 // Add alert management endpoints
-router.post("/alerts/:alertId/snooze", async (req, res) => {
+const toSnooze = (body) => ({
+  scope: body.scope,
+  alertId: body.alertId,
+  scopeId: body.scopeId,
+  projectId: body.projectId,
+  scopeName: body.scopeName,
+  duration: body.duration,
+  reason: body.reason,
+  autoUnsnooze: body.autoUnsnooze === true,
+  createdBy: typeof body.by === "string" ? body.by.trim() : undefined,
+});
+
+// Snoozes in effect: single alerts and whole headers, projects, stages or categories
+router.get("/snoozes", async (req, res) => {
   try {
-    const { alertId } = req.params;
-    const { duration } = req.body;
+    const snoozes = await SnoozeService.getActiveSnoozes();
+    res.json({ snoozes, timestamp: Date.now() });
+  } catch (error) {
+    console.error("Error listing snoozes:", error);
+    res.status(500).json({ error: "Failed to list snoozes", details: error.message });
+  }
+});
 
-    if (!duration || typeof duration !== "number") {
-      return res.status(400).json({ error: "Duration is required and must be a number (in seconds)" });
+// Projects, stages, headers and categories a snooze can cover
+router.get("/snoozes/scopes", async (req, res) => {
+  try {
+    const options = await SnoozeService.getScopeOptions();
+    res.json(options);
+  } catch (error) {
+    console.error("Error getting snooze scopes:", error);
+    res.status(500).json({ error: "Failed to get snooze scopes", details: error.message });
+  }
+});
+
+// Snooze a header (all alert types), project, stage or category within a project:
+// { scope, scopeId, projectId, scopeName, duration (seconds), reason, autoUnsnooze, by }
+router.post("/snoozes", async (req, res) => {
+  try {
+    const snooze = toSnooze(req.body);
+    const validationError = await SnoozeService.validateSnooze(snooze);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Store the snooze information in the database
-    const db = await getDb();
-    const now = new Date();
-    const expiration = new Date(now.getTime() + duration * 1000); // Convert seconds to milliseconds
+    const created = await SnoozeService.createSnooze(snooze);
+    if (!created) {
+      throw new Error("Database insert failed for snooze.");
+    }
+    res.status(201).json(created);
+  } catch (error) {
+    console.error("Error creating snooze:", error);
+    res.status(500).json({ error: "Failed to create snooze", details: error.message });
+  }
+});
 
-    await db.run("INSERT INTO alert_snoozes (alert_id, snooze_until, created_at) VALUES (?, ?, ?)", [
-      alertId,
-      expiration.toISOString(),
-      now.toISOString(),
-    ]);
+// End a snooze now (?by=operator)
+router.delete("/snoozes/:snoozeId", async (req, res) => {
+  const { snoozeId } = req.params;
+  try {
+    const existing = await SnoozeService.getSnooze(snoozeId);
+    if (!existing) {
+      return res.status(204).send();
+    }
 
-    // Get alert details for response
-    const alertInfo = await db.get("SELECT * FROM alerts WHERE id = ?", [alertId]);
+    const by = typeof req.query.by === "string" ? req.query.by.trim() : "";
+    const success = await SnoozeService.deleteSnooze(snoozeId, { by: by || null });
+    if (!success) {
+      throw new Error("Database delete failed for snooze.");
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting snooze ${snoozeId}:`, error);
+    res.status(500).json({ error: `Failed to delete snooze ${snoozeId}`, details: error.message });
+  }
+});
+
+router.post("/alerts/:alertId/snooze", async (req, res) => {
+  try {
+    const { alertId } = req.params;
+    const snooze = toSnooze({ ...req.body, scope: "alert", alertId });
+
+    const validationError = await SnoozeService.validateSnooze(snooze);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const created = await SnoozeService.createSnooze(snooze);
+    if (!created) {
+      throw new Error("Database insert failed for snooze.");
+    }
 
     res.json({
       id: alertId,
+      snoozeId: created.id,
       snoozed: true,
-      snoozeUntil: expiration.toISOString(),
-      message: `Alert snoozed until ${expiration.toLocaleString()}`,
+      snoozeUntil: created.snoozeUntil,
+      reason: created.reason,
+      autoUnsnooze: created.autoUnsnooze,
+      message: `Alert snoozed until ${new Date(created.snoozeUntil).toLocaleString()}`,
     });
   } catch (error) {
     console.error("Error snoozing alert:", error);
@@ -814,10 +1726,8 @@ router.delete("/alerts/:alertId", async (req, res) => {
   try {
     const { alertId } = req.params;
 
-    // In a real application, you would update the database
-    // For now, we'll just acknowledge the request
-    const db = await getDb();
-    await db.run("UPDATE alerts SET dismissed = 1 WHERE id = ?", [alertId]);
+    // Dismissing closes the alert, it stays in the alerts table with its events
+    await AlertLifecycleService.closeAlert(alertId, { reason: "Dismissed" });
 
     res.status(200).json({ message: "Alert dismissed" });
   } catch (error) {
@@ -826,6 +1736,74 @@ router.delete("/alerts/:alertId", async (req, res) => {
   }
 });
 
+// Acknowledge an open alert: it stays active but is no longer re-notified, and the channels it was sent to hear who is on it
+router.post("/alerts/:alertId/acknowledge", async (req, res) => {
+  const { alertId } = req.params;
+  try {
+    const by = typeof req.body?.by === "string" ? req.body.by.trim() : "";
+    const note = typeof req.body?.note === "string" ? req.body.note.trim() : "";
+    if (!by) {
+      return res.status(400).json({ error: "by is required: the name of the operator acknowledging the alert" });
+    }
+
+    const row = await AlertLifecycleService.acknowledgeAlert(alertId, { by, note: note || null });
+    if (!row) {
+      return res.status(404).json({ error: "No open alert with this id" });
+    }
+
+    const alert = HeaderMonitorService.formatAlert(row);
+    // The follow-up is best effort, the acknowledgement is already stored
+    sendAcknowledgementNotifications(alert, { by, note }).catch((error) =>
+      console.error(`Error sending acknowledgement of alert ${alertId}:`, error)
+    );
+
+    res.json(alert);
+  } catch (error) {
+    console.error(`Error acknowledging alert ${alertId}:`, error);
+    res.status(500).json({ error: "Failed to acknowledge alert", details: error.message });
+  }
+});
+
+// Resolve an active alert by hand, e.g. when the cause was fixed before the value recovered
+router.post("/alerts/:alertId/resolve", async (req, res) => {
+  const { alertId } = req.params;
+  try {
+    const { by, note } = req.body || {};
+    const archivedId = await AlertLifecycleService.resolveAlert(alertId, {
+      by: by || null,
+      note: note || null,
+      reason: "Resolved manually",
+    });
+    if (!archivedId) {
+      return res.status(404).json({ error: "No open or acknowledged alert with this id" });
+    }
+    res.json({ id: archivedId, state: "resolved" });
+  } catch (error) {
+    console.error(`Error resolving alert ${alertId}:`, error);
+    res.status(500).json({ error: "Failed to resolve alert", details: error.message });
+  }
+});
+
+// Close an alert, whether it is still active or already resolved
+router.post("/alerts/:alertId/close", async (req, res) => {
+  const { alertId } = req.params;
+  try {
+    const { by, note } = req.body || {};
+    const archivedId = await AlertLifecycleService.closeAlert(alertId, {
+      by: by || null,
+      note: note || null,
+      reason: "Closed manually",
+    });
+    if (!archivedId) {
+      return res.status(404).json({ error: "No alert to close with this id" });
+    }
+    res.json({ id: archivedId, state: "closed" });
+  } catch (error) {
+    console.error(`Error closing alert ${alertId}:`, error);
+    res.status(500).json({ error: "Failed to close alert", details: error.message });
+  }
+});
+
 // Manual stage transition endpoint for maintaining header monitoring across stage changes
 router.post("/transition-stage", async (req, res) => {
   try {
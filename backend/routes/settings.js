@@ -1,5 +1,13 @@
 import express from "express";
 import { getDb } from "../database/db.js";
+import {
+  validateCategory,
+  validateHistorySettings,
+  validateShiftReportSettings,
+  validateEmailSettings,
+  maskSettingsSecrets,
+  restoreSettingsSecrets,
+} from "../schemas/settings.js";
 
 const router = express.Router();
 
@@ -24,6 +32,7 @@ router.get("/", async (req, res) => {
             patterns: ["pressure", "psi"],
             negativePatterns: ["atmospheric", "atm"],
             threshold: 100,
+            thresholdDirection: "below",
             alertDuration: 120,
             frozenThreshold: 60,
             notificationInterval: 300, // 5 minutes between notifications per header
@@ -31,6 +40,7 @@ router.get("/", async (req, res) => {
           battery: {
             patterns: ["battery", "batt", "volt"],
             threshold: 20,
+            thresholdDirection: "below",
             alertDuration: 300,
             frozenThreshold: 300,
             notificationInterval: 300, // 5 minutes between notifications per header
@@ -45,6 +55,10 @@ router.get("/", async (req, res) => {
           customWebhooks: [],
           sendThresholdAlerts: true,
           sendFrozenAlerts: true,
+          sendRateAlerts: true,
+          sendCompoundAlerts: true,
+          sendForecastAlerts: true,
+          sendAnomalyAlerts: true,
           sendErrorAlerts: true,
         },
       };
@@ -55,7 +69,7 @@ router.get("/", async (req, res) => {
       return res.json(defaultSettings);
     }
 
-    return res.json(JSON.parse(result.settings_json));
+    return res.json(maskSettingsSecrets(JSON.parse(result.settings_json)));
   } catch (error) {
     console.error("Error fetching settings:", error);
     return res.status(500).json({ error: "Failed to fetch settings" });
@@ -65,9 +79,7 @@ router.get("/", async (req, res) => {
 // Update settings
 router.post("/", async (req, res) => {
   try {
-    const settings = req.body;
-
-    if (!settings || typeof settings !== "object") {
+    if (!req.body || typeof req.body !== "object") {
       return res.status(400).json({ error: "Settings object is required" });
     }
 
@@ -77,6 +89,9 @@ router.post("/", async (req, res) => {
     const currentResult = await db.get("SELECT settings_json FROM settings WHERE id = 1");
     let currentSettings = currentResult ? JSON.parse(currentResult.settings_json) : null;
 
+    // The browser only ever has the masked SMTP password
+    const settings = restoreSettingsSecrets(req.body, currentSettings);
+
     // If no current settings, use defaults
     if (!currentSettings) {
       currentSettings = {
@@ -86,6 +101,7 @@ router.post("/", async (req, res) => {
             patterns: ["pressure", "psi"],
             negativePatterns: ["atmospheric", "atm"],
             threshold: 100,
+            thresholdDirection: "below",
             alertDuration: 120,
             frozenThreshold: 60,
             notificationInterval: 300,
@@ -93,6 +109,7 @@ router.post("/", async (req, res) => {
           battery: {
             patterns: ["battery", "batt", "volt"],
             threshold: 20,
+            thresholdDirection: "below",
             alertDuration: 300,
             frozenThreshold: 300,
             notificationInterval: 300,
@@ -107,6 +124,10 @@ router.post("/", async (req, res) => {
           customWebhooks: [],
           sendThresholdAlerts: true,
           sendFrozenAlerts: true,
+          sendRateAlerts: true,
+          sendCompoundAlerts: true,
+          sendForecastAlerts: true,
+          sendAnomalyAlerts: true,
           sendErrorAlerts: true,
         },
       };
@@ -134,6 +155,10 @@ router.post("/", async (req, res) => {
         ...currentSettings.webhooks,
         ...(settings.webhooks || {}),
       },
+      history: {
+        ...(currentSettings.history || {}),
+        ...(settings.history || {}),
+      },
     };
 
     // Validate numeric values
@@ -141,13 +166,21 @@ router.post("/", async (req, res) => {
       return res.status(400).json({ error: "Polling interval must be at least 10 seconds" });
     }
 
+    const errors = [];
+    validateHistorySettings(updatedSettings.history, errors);
+    validateShiftReportSettings(updatedSettings.shiftReports, errors);
+    validateEmailSettings(updatedSettings.email, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
     // Save updated settings
     await db.run("INSERT OR REPLACE INTO settings (id, settings_json) VALUES (?, ?)", [
       1,
       JSON.stringify(updatedSettings),
     ]);
 
-    return res.json(updatedSettings);
+    return res.json(maskSettingsSecrets(updatedSettings));
   } catch (error) {
     console.error("Error updating settings:", error);
     return res.status(500).json({ error: "Failed to update settings" });
@@ -163,6 +196,15 @@ router.post("/patterns", async (req, res) => {
       return res.status(400).json({ error: "Pattern categories object is required" });
     }
 
+    // Categories are user-defined, validate each one's key, patterns and rule parameters
+    const errors = [];
+    for (const [categoryKey, category] of Object.entries(patternCategories)) {
+      validateCategory(categoryKey, category, errors);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
     const db = await getDb();
 
     // Get current settings
@@ -178,15 +220,10 @@ router.post("/patterns", async (req, res) => {
     currentSettings.patternCategories = patternCategories;
 
     // Add notification interval if missing
-    if (
-      currentSettings.patternCategories.pressure &&
-      !currentSettings.patternCategories.pressure.notificationInterval
-    ) {
-      currentSettings.patternCategories.pressure.notificationInterval = 300;
-    }
-
-    if (currentSettings.patternCategories.battery && !currentSettings.patternCategories.battery.notificationInterval) {
-      currentSettings.patternCategories.battery.notificationInterval = 300;
+    for (const category of Object.values(currentSettings.patternCategories)) {
+      if (!category.notificationInterval) {
+        category.notificationInterval = 300;
+      }
     }
 
     // Save updated settings
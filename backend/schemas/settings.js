@@ -1,8 +1,16 @@
 // Shared settings schema between frontend and backend
+import { validateSeverityLevels, SEVERITIES } from '../utils/severityLevels.js';
+import { validatePattern } from '../shared/headerClassifier.js';
+import { THRESHOLD_DIRECTIONS } from '../shared/thresholdRules.js';
+import { RATE_DIRECTIONS } from '../shared/rateRules.js';
+import { FROZEN_TOLERANCE_TYPES } from '../utils/frozenRules.js';
+
 export const DEFAULT_SETTINGS = {
   pollingInterval: 5,
   patternCategories: {
     pressure: {
+      name: "Pressure",
+      unit: "psi",
       patterns: ["pressure", "casing", "tubing", "cbt"],
       negativePatterns: [
         "fdi", "derivative", "projected", "curve", "predicted", "qc",
@@ -10,14 +18,56 @@ export const DEFAULT_SETTINGS = {
         "natural", "gas", "seal", "p-seal"
       ],
       threshold: 20,
+      thresholdDirection: "below", // below | above | band
+      thresholdMin: null, // band lower edge
+      thresholdMax: null, // band upper edge
+      rateLimit: null, // max change in psi per minute, null disables the rate rule
+      rateWindow: 60, // seconds of samples used to compute the slope
+      rateDirection: "drop", // drop | rise | either
+      rateSeverity: "critical", // warning | critical
+      recoveryMargin: 0, // how far past the threshold the value must recover before an alert clears
+      recoveryHoldTime: 30, // seconds the value must stay recovered before an alert clears
+      severityLevels: [], // optional warning/critical tiers, see utils/severityLevels.js
       alertDuration: 20,
       frozenThreshold: 120,
+      frozenTolerance: 0, // how far the value may drift and still count as frozen, 0 = exact match
+      frozenToleranceType: "absolute", // absolute | percent
+      frozenVarianceWindow: null, // seconds of samples for the variance test, null disables it
+      frozenMaxStdDev: null, // max standard deviation over the window for the data to count as frozen
+      forecastLeadTime: null, // hours ahead of a forecast threshold crossing to alert, null disables forecasting
+      forecastWindow: 6, // hours of history the trend is fitted over
+      forecastSeverity: "warning",
+      anomalySigma: null, // standard deviations from the header's moving average, null disables anomaly detection
+      anomalyWindow: 600, // seconds, time constant of the moving average and deviation
+      anomalySeverity: "warning",
       notificationInterval: 300 // 5 minutes between notifications per header
     },
     battery: {
+      name: "Battery",
+      unit: "%",
       patterns: ["bat", "battery"],
       threshold: 20,
+      thresholdDirection: "below",
+      thresholdMin: null,
+      thresholdMax: null,
+      rateLimit: null,
+      rateWindow: 60,
+      rateDirection: "drop",
+      rateSeverity: "critical",
+      recoveryMargin: 0,
+      recoveryHoldTime: 30,
+      severityLevels: [],
       alertDuration: 120,
+      frozenTolerance: 0,
+      frozenToleranceType: "absolute",
+      frozenVarianceWindow: null,
+      frozenMaxStdDev: null,
+      forecastLeadTime: 4, // batteries drain roughly linearly, warn 4 hours before they reach the threshold
+      forecastWindow: 6,
+      forecastSeverity: "warning",
+      anomalySigma: null,
+      anomalyWindow: 600,
+      anomalySeverity: "warning",
       notificationInterval: 300 // 5 minutes between notifications per header
     }
   },
@@ -25,16 +75,352 @@ export const DEFAULT_SETTINGS = {
     enabled: false,
     slackEnabled: false,
     teamsEnabled: false,
+    emailEnabled: false,
     slackWebhookUrl: "",
     teamsWebhookUrl: "",
+    emailRecipients: "", // comma separated addresses, sent through the SMTP server in email
     customWebhooks: [],
     sendThresholdAlerts: true,
     sendFrozenAlerts: true,
-    sendErrorAlerts: true
+    sendRateAlerts: true,
+    sendCompoundAlerts: true,
+    sendForecastAlerts: true,
+    sendAnomalyAlerts: true,
+    sendErrorAlerts: true,
+    // Post the summary written when a project moves on to its next stage
+    sendStageReports: false
+  },
+  // Header value history: raw samples first, then min/max/avg rollups, see services/headerHistoryService.js
+  history: {
+    enabled: true,
+    rawRetentionHours: 48, // keep every polled value this long
+    rollupInterval: 60, // seconds per rollup bucket for older data
+    rollupRetentionDays: 90 // rollups older than this are deleted
+  },
+  // SMTP server used for the email channel
+  email: {
+    host: "",
+    port: 587,
+    secure: false, // true for implicit TLS (usually port 465), otherwise STARTTLS is required before logging in
+    username: "",
+    password: "",
+    from: "" // e.g. "FracBrain Monitoring <monitoring@example.com>"
+  },
+  // Shift handover reports compiled at each crew change, see services/shiftReportService.js
+  shiftReports: {
+    enabled: false,
+    times: ["06:00", "18:00"], // server local time
+    periodHours: 12, // how far back each report looks
+    sendNotifications: true, // post to the Slack, Teams and custom webhooks
+    sendEmail: true // email the report to webhooks.emailRecipients
   },
   snoozeSettings: {}
 };
 
+// Rule defaults for a category created from the Settings page
+export const CATEGORY_DEFAULTS = {
+  unit: "",
+  priority: 0, // higher priority wins when several categories match a header
+  patterns: [],
+  negativePatterns: [],
+  threshold: null,
+  thresholdDirection: "below",
+  thresholdMin: null,
+  thresholdMax: null,
+  rateLimit: null,
+  rateWindow: 60,
+  rateDirection: "drop",
+  rateSeverity: "critical",
+  recoveryMargin: 0,
+  recoveryHoldTime: 30,
+  severityLevels: [],
+  alertDuration: 120,
+  frozenThreshold: 120,
+  frozenTolerance: 0,
+  frozenToleranceType: "absolute",
+  frozenVarianceWindow: null,
+  frozenMaxStdDev: null,
+  forecastLeadTime: null,
+  forecastWindow: 6,
+  forecastSeverity: "warning",
+  anomalySigma: null,
+  anomalyWindow: 600,
+  anomalySeverity: "warning",
+  notificationInterval: 300
+};
+
+// Category keys are stable identifiers stored on alerts and header settings, names can be changed freely
+export const CATEGORY_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+
+// Validate the threshold direction and band edges of a single category
+const validateThresholdRule = (name, category, errors) => {
+  if (!category) return;
+
+  if (category.thresholdDirection && !THRESHOLD_DIRECTIONS.includes(category.thresholdDirection)) {
+    errors.push(`Invalid ${name} threshold direction`);
+  }
+
+  if (category.thresholdDirection === 'band') {
+    const { thresholdMin, thresholdMax } = category;
+    if (typeof thresholdMin !== 'number' && typeof thresholdMax !== 'number') {
+      errors.push(`${name} band needs a minimum or maximum`);
+    } else if (typeof thresholdMin === 'number' && typeof thresholdMax === 'number' && thresholdMin >= thresholdMax) {
+      errors.push(`${name} band minimum must be lower than maximum`);
+    }
+  }
+};
+
+// Validate the rate-of-change limit, window and direction of a single category
+const validateRateRule = (name, category, errors) => {
+  if (!category) return;
+
+  if (category.rateLimit !== null && category.rateLimit !== undefined &&
+      (typeof category.rateLimit !== 'number' || category.rateLimit <= 0)) {
+    errors.push(`Invalid ${name} rate limit`);
+  }
+
+  if (category.rateWindow !== undefined && (typeof category.rateWindow !== 'number' || category.rateWindow <= 0)) {
+    errors.push(`Invalid ${name} rate window`);
+  }
+
+  if (category.rateDirection && !RATE_DIRECTIONS.includes(category.rateDirection)) {
+    errors.push(`Invalid ${name} rate direction`);
+  }
+
+  if (category.rateSeverity && !SEVERITIES.includes(category.rateSeverity)) {
+    errors.push(`Invalid ${name} rate severity`);
+  }
+};
+
+// Validate the frozen tolerance and variance test of a single category
+const validateFrozenRule = (name, category, errors) => {
+  if (!category) return;
+
+  if (category.frozenTolerance !== undefined && category.frozenTolerance !== null &&
+      (typeof category.frozenTolerance !== 'number' || category.frozenTolerance < 0)) {
+    errors.push(`Invalid ${name} frozen tolerance`);
+  }
+
+  if (category.frozenToleranceType && !FROZEN_TOLERANCE_TYPES.includes(category.frozenToleranceType)) {
+    errors.push(`Invalid ${name} frozen tolerance type`);
+  }
+
+  const { frozenVarianceWindow, frozenMaxStdDev } = category;
+  if (frozenVarianceWindow !== undefined && frozenVarianceWindow !== null) {
+    if (typeof frozenVarianceWindow !== 'number' || frozenVarianceWindow <= 0) {
+      errors.push(`Invalid ${name} frozen variance window`);
+    } else if (typeof frozenMaxStdDev !== 'number' || frozenMaxStdDev < 0) {
+      errors.push(`${name} frozen variance window needs a maximum standard deviation`);
+    }
+  }
+};
+
+// Validate the forecast lead time and trend window of a single category
+const validateForecastRule = (name, category, errors) => {
+  if (!category) return;
+
+  if (category.forecastLeadTime !== null && category.forecastLeadTime !== undefined &&
+      (typeof category.forecastLeadTime !== 'number' || category.forecastLeadTime <= 0)) {
+    errors.push(`Invalid ${name} forecast lead time`);
+  }
+
+  if (category.forecastWindow !== undefined &&
+      (typeof category.forecastWindow !== 'number' || category.forecastWindow <= 0)) {
+    errors.push(`Invalid ${name} forecast window`);
+  }
+
+  if (category.forecastSeverity && !SEVERITIES.includes(category.forecastSeverity)) {
+    errors.push(`Invalid ${name} forecast severity`);
+  }
+};
+
+// Validate the sigma limit and window of a single category's anomaly detector
+const validateAnomalyRule = (name, category, errors) => {
+  if (!category) return;
+
+  if (category.anomalySigma !== null && category.anomalySigma !== undefined &&
+      (typeof category.anomalySigma !== 'number' || category.anomalySigma <= 0)) {
+    errors.push(`Invalid ${name} anomaly sigma`);
+  }
+
+  if (category.anomalyWindow !== undefined &&
+      (typeof category.anomalyWindow !== 'number' || category.anomalyWindow <= 0)) {
+    errors.push(`Invalid ${name} anomaly window`);
+  }
+
+  if (category.anomalySeverity && !SEVERITIES.includes(category.anomalySeverity)) {
+    errors.push(`Invalid ${name} anomaly severity`);
+  }
+};
+
+// Validate the recovery margin and hold time of a single category
+const validateRecovery = (name, category, errors) => {
+  if (!category) return;
+
+  for (const field of ['recoveryMargin', 'recoveryHoldTime']) {
+    if (category[field] !== undefined && (typeof category[field] !== 'number' || category[field] < 0)) {
+      errors.push(`Invalid ${name} ${field === 'recoveryMargin' ? 'recovery margin' : 'recovery hold time'}`);
+    }
+  }
+};
+
+// Validate the key, name, patterns and threshold of a single category
+export const validateCategory = (key, category, errors) => {
+  if (!CATEGORY_KEY_PATTERN.test(key)) {
+    errors.push(`Invalid category key "${key}" (use lowercase letters, digits and underscores)`);
+  }
+
+  if (!category || typeof category !== 'object') {
+    errors.push(`Invalid ${key} category`);
+    return;
+  }
+
+  const name = category.name || key;
+
+  if (category.name !== undefined && (typeof category.name !== 'string' || !category.name.trim())) {
+    errors.push(`Invalid ${key} category name`);
+  }
+
+  if (!Array.isArray(category.patterns)) {
+    errors.push(`Missing ${name} patterns`);
+  }
+
+  if (category.negativePatterns !== undefined && !Array.isArray(category.negativePatterns)) {
+    errors.push(`Invalid ${name} negative patterns`);
+  }
+
+  // Percentages (e.g. battery level) must stay within 0-100
+  if (category.threshold !== null && category.threshold !== undefined &&
+      (typeof category.threshold !== 'number' ||
+       (category.unit === '%' && (category.threshold < 0 || category.threshold > 100)))) {
+    errors.push(`Invalid ${name} threshold`);
+  }
+
+  if (category.notificationInterval !== undefined &&
+      (typeof category.notificationInterval !== 'number' || category.notificationInterval <= 0)) {
+    errors.push(`Invalid ${name} notification interval`);
+  }
+
+  if (category.priority !== undefined && (typeof category.priority !== 'number' || isNaN(category.priority))) {
+    errors.push(`Invalid ${name} priority`);
+  }
+
+  // Patterns use the shared classifier syntax, an invalid regex would silently never match
+  const allPatterns = [category.patterns, category.negativePatterns].filter(Array.isArray).flat();
+  for (const pattern of allPatterns) {
+    const patternError = validatePattern(pattern);
+    if (patternError) {
+      errors.push(`Invalid ${name} pattern: ${patternError}`);
+    }
+  }
+
+  validateThresholdRule(name, category, errors);
+  validateRateRule(name, category, errors);
+  validateFrozenRule(name, category, errors);
+  validateForecastRule(name, category, errors);
+  validateAnomalyRule(name, category, errors);
+  validateRecovery(name, category, errors);
+
+  const severityError = validateSeverityLevels(category.severityLevels, category.thresholdDirection);
+  if (severityError) {
+    errors.push(`Invalid ${name} severity levels: ${severityError}`);
+  }
+};
+
+// Validate the history retention section, errors are appended to `errors`
+export const validateHistorySettings = (history, errors) => {
+  if (history === undefined) return;
+  if (!history || typeof history !== 'object') {
+    errors.push('Invalid history settings');
+    return;
+  }
+
+  if (history.enabled !== undefined && typeof history.enabled !== 'boolean') {
+    errors.push('History enabled must be a boolean');
+  }
+  if (history.rawRetentionHours !== undefined &&
+      (typeof history.rawRetentionHours !== 'number' || history.rawRetentionHours <= 0)) {
+    errors.push('History raw retention must be a positive number of hours');
+  }
+  if (history.rollupInterval !== undefined &&
+      (!Number.isInteger(history.rollupInterval) || history.rollupInterval < 1)) {
+    errors.push('History rollup interval must be a whole number of seconds');
+  }
+  if (history.rollupRetentionDays !== undefined &&
+      (typeof history.rollupRetentionDays !== 'number' || history.rollupRetentionDays <= 0)) {
+    errors.push('History rollup retention must be a positive number of days');
+  }
+
+  const rawHours = history.rawRetentionHours ?? DEFAULT_SETTINGS.history.rawRetentionHours;
+  const rollupDays = history.rollupRetentionDays ?? DEFAULT_SETTINGS.history.rollupRetentionDays;
+  if (rollupDays * 24 < rawHours) {
+    errors.push('History rollup retention must be at least as long as the raw retention');
+  }
+};
+
+export const SHIFT_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate the shift report schedule, errors are appended to `errors`
+export const validateShiftReportSettings = (shiftReports, errors) => {
+  if (shiftReports === undefined) return;
+  if (!shiftReports || typeof shiftReports !== 'object') {
+    errors.push('Invalid shift report settings');
+    return;
+  }
+
+  if (shiftReports.enabled !== undefined && typeof shiftReports.enabled !== 'boolean') {
+    errors.push('Shift reports enabled must be a boolean');
+  }
+  if (shiftReports.times !== undefined) {
+    if (!Array.isArray(shiftReports.times) || shiftReports.times.length === 0) {
+      errors.push('Shift report times must be a non-empty list');
+    } else if (shiftReports.times.some((time) => !SHIFT_TIME_PATTERN.test(time))) {
+      errors.push('Shift report times must be in HH:MM (24 hour) format');
+    }
+  }
+  if (shiftReports.periodHours !== undefined &&
+      (typeof shiftReports.periodHours !== 'number' || shiftReports.periodHours <= 0 || shiftReports.periodHours > 168)) {
+    errors.push('Shift report period must be between 0 and 168 hours');
+  }
+};
+
+// Validate the SMTP server section, errors are appended to `errors`
+export const validateEmailSettings = (email, errors) => {
+  if (email === undefined) return;
+  if (!email || typeof email !== 'object') {
+    errors.push('Invalid email settings');
+    return;
+  }
+
+  for (const field of ['host', 'username', 'password', 'from']) {
+    if (email[field] !== undefined && typeof email[field] !== 'string') {
+      errors.push(`Email ${field} must be a string`);
+    }
+  }
+  if (email.port !== undefined && (!Number.isInteger(email.port) || email.port < 1 || email.port > 65535)) {
+    errors.push('Email port must be a whole number between 1 and 65535');
+  }
+  if (email.secure !== undefined && typeof email.secure !== 'boolean') {
+    errors.push('Email secure must be a boolean');
+  }
+};
+
+// The stored SMTP password is never sent back to the browser: responses carry this mask instead, and
+// saving the mask back keeps the stored password
+export const SECRET_MASK = '********';
+
+export const maskSettingsSecrets = (settings) => {
+  if (!settings?.email?.password) return settings;
+  return { ...settings, email: { ...settings.email, password: SECRET_MASK } };
+};
+
+// Put the stored password back in place of the mask before `settings` is saved
+export const restoreSettingsSecrets = (settings, currentSettings) => {
+  if (settings?.email?.password !== SECRET_MASK) return settings;
+  return { ...settings, email: { ...settings.email, password: currentSettings?.email?.password || '' } };
+};
+
 export const validateSettings = (settings) => {
   const errors = [];
   
@@ -43,27 +429,17 @@ export const validateSettings = (settings) => {
     errors.push('Invalid polling interval');
   }
   
-  if (!settings.patternCategories?.pressure?.patterns?.length) {
-    errors.push('Missing pressure patterns');
-  }
-  
-  if (!settings.patternCategories?.battery?.patterns?.length) {
-    errors.push('Missing battery patterns');
-  }
-  
-  // Validate thresholds
-  if (settings.patternCategories?.pressure?.threshold !== null &&
-      (typeof settings.patternCategories?.pressure?.threshold !== 'number' ||
-       settings.patternCategories.pressure.threshold < 0)) {
-    errors.push('Invalid pressure threshold');
-  }
-  
-  if (settings.patternCategories?.battery?.threshold !== null &&
-      (typeof settings.patternCategories?.battery?.threshold !== 'number' ||
-       settings.patternCategories.battery.threshold < 0 ||
-       settings.patternCategories.battery.threshold > 100)) {
-    errors.push('Invalid battery threshold');
+  if (!settings.patternCategories || typeof settings.patternCategories !== 'object') {
+    errors.push('Missing pattern categories');
+  } else {
+    for (const [key, category] of Object.entries(settings.patternCategories)) {
+      validateCategory(key, category, errors);
+    }
   }
+
+  validateHistorySettings(settings.history, errors);
+  validateShiftReportSettings(settings.shiftReports, errors);
+  validateEmailSettings(settings.email, errors);
   
   return {
     valid: errors.length === 0,
@@ -71,23 +447,45 @@ export const validateSettings = (settings) => {
   };
 };
 
+// Fill in rule defaults for every defined category. Categories the user deleted stay deleted.
+export const mergeCategoriesWithDefaults = (patternCategories) => {
+  if (!patternCategories || typeof patternCategories !== 'object') {
+    return DEFAULT_SETTINGS.patternCategories;
+  }
+
+  return Object.fromEntries(
+    Object.entries(patternCategories).map(([key, category]) => [
+      key,
+      {
+        ...CATEGORY_DEFAULTS,
+        name: key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' '),
+        ...(DEFAULT_SETTINGS.patternCategories[key] || {}),
+        ...(category || {})
+      }
+    ])
+  );
+};
+
 export const mergeWithDefaults = (settings) => {
   return {
     ...DEFAULT_SETTINGS,
     ...settings,
-    patternCategories: {
-      pressure: {
-        ...DEFAULT_SETTINGS.patternCategories.pressure,
-        ...(settings.patternCategories?.pressure || {})
-      },
-      battery: {
-        ...DEFAULT_SETTINGS.patternCategories.battery,
-        ...(settings.patternCategories?.battery || {})
-      }
-    },
+    patternCategories: mergeCategoriesWithDefaults(settings.patternCategories),
     webhooks: {
       ...DEFAULT_SETTINGS.webhooks,
       ...(settings.webhooks || {})
+    },
+    history: {
+      ...DEFAULT_SETTINGS.history,
+      ...(settings.history || {})
+    },
+    email: {
+      ...DEFAULT_SETTINGS.email,
+      ...(settings.email || {})
+    },
+    shiftReports: {
+      ...DEFAULT_SETTINGS.shiftReports,
+      ...(settings.shiftReports || {})
     }
   };
 }; 
\ No newline at end of file
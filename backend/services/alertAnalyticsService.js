@@ -0,0 +1,146 @@
+import { getDb } from '../database/db.js';
+import { loadSettings } from '../utils/settingsStorage.js';
+import { classifyHeader } from '../shared/headerClassifier.js';
+import { AlertHistoryService, RAISED_AT_SQL } from './alertHistoryService.js';
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+export const ANALYTICS_INTERVALS = { hour: HOUR, day: DAY, week: 7 * DAY };
+
+export const TOP_HEADERS_LIMIT = 10;
+
+// An operator did something about the alert: acknowledged it, resolved it by hand or closed it
+// (closes made by the system, e.g. when a compound rule changed, are flagged automatic)
+const ACTED_ON_SQL = `(a.acknowledged_at IS NOT NULL OR a.resolution = 'manual' OR EXISTS (
+  SELECT 1 FROM alert_events e
+  WHERE e.alert_id = a.id AND e.event_type = 'closed'
+    AND COALESCE(json_extract(e.details, '$.automatic'), 0) = 0
+))`;
+
+const SNOOZED_SQL = `EXISTS (SELECT 1 FROM alert_events e WHERE e.alert_id = a.id AND e.event_type = 'snoozed')`;
+
+// Most buckets a volume chart may have, a finer interval over a long range is refused
+export const MAX_ANALYTICS_BUCKETS = 1000;
+
+// Bucket size giving a readable number of bars for the range (buckets are aligned to UTC)
+const pickInterval = (from, to) => {
+  const span = to - from;
+  if (span <= 2 * DAY) return 'hour';
+  if (span <= 60 * DAY) return 'day';
+  return 'week';
+};
+
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+/**
+ * Aggregates over the stored alerts (archived occurrences included) for the analytics dashboard.
+ * Every figure covers the alerts raised between from and to; times to acknowledge and resolve are
+ * measured from when the alert was raised.
+ */
+export class AlertAnalyticsService {
+  /**
+   * @param {{from: number, to: number, interval?: string, projectId?: string, companyId?: string}} options
+   */
+  static async getAnalytics({ from, to, interval, projectId = null, companyId = null }) {
+    const database = await getDb();
+    const settings = await loadSettings();
+    const categorize = (headerName) =>
+      (headerName && classifyHeader(headerName, settings?.patternCategories || {})) || 'uncategorized';
+
+    const bucketName = interval || pickInterval(from, to);
+    const bucketSize = ANALYTICS_INTERVALS[bucketName];
+    const { where, params } = await AlertHistoryService.buildWhere({ from, to, projectId, companyId });
+
+    // Volume per bucket, split by type and by header category
+    const volumeRows = await database.all(
+      `SELECT CAST(${RAISED_AT_SQL} / ? AS INTEGER) * ? AS bucket, a.type, a.header_name, COUNT(*) AS count
+       FROM alerts a ${where}
+       GROUP BY bucket, a.type, a.header_name`,
+      [bucketSize, bucketSize, ...params]
+    );
+    const buckets = [];
+    for (let time = Math.floor(from / bucketSize) * bucketSize; time <= to; time += bucketSize) {
+      buckets.push(time);
+    }
+    const byType = {};
+    const byCategory = {};
+    const addTo = (series, key, bucket, count) => {
+      series[key] = series[key] || {};
+      series[key][bucket] = (series[key][bucket] || 0) + count;
+    };
+    for (const row of volumeRows) {
+      addTo(byType, row.type || 'unknown', row.bucket, row.count);
+      addTo(byCategory, categorize(row.header_name), row.bucket, row.count);
+    }
+    const toSeries = (series) =>
+      Object.entries(series).map(([key, counts]) => ({ key, counts: buckets.map((bucket) => counts[bucket] || 0) }));
+
+    // Headers raising the most alerts
+    const topHeaders = await database.all(
+      `SELECT a.header_id AS headerId, a.header_name AS headerName, a.project_id AS projectId,
+         ap.project_name AS projectName, COUNT(*) AS count,
+         SUM(CASE WHEN COALESCE(a.severity, 'critical') = 'critical' THEN 1 ELSE 0 END) AS criticalCount
+       FROM alerts a
+       LEFT JOIN active_projects ap ON ap.project_id = a.project_id
+       ${where}${where ? ' AND' : ' WHERE'} a.header_id IS NOT NULL
+       GROUP BY a.header_id, a.project_id
+       ORDER BY count DESC
+       LIMIT ?`,
+      [...params, TOP_HEADERS_LIMIT]
+    );
+
+    // Mean time to acknowledge and to resolve, per company and project
+    const responseTimes = await database.all(
+      `SELECT a.company_id AS companyId, ap.company_name AS companyName,
+         a.project_id AS projectId, ap.project_name AS projectName,
+         COUNT(*) AS count,
+         COUNT(a.acknowledged_at) AS acknowledgedCount,
+         AVG(a.acknowledged_at - ${RAISED_AT_SQL}) AS meanTimeToAcknowledge,
+         COUNT(a.resolved_at) AS resolvedCount,
+         AVG(a.resolved_at - ${RAISED_AT_SQL}) AS meanTimeToResolve
+       FROM alerts a
+       LEFT JOIN active_projects ap ON ap.project_id = a.project_id
+       ${where}
+       GROUP BY a.company_id, a.project_id
+       ORDER BY ap.company_name, ap.project_name`,
+      params
+    );
+
+    // Snoozed versus acted on
+    const handling = await database.get(
+      `SELECT COUNT(*) AS total,
+         SUM(CASE WHEN ${SNOOZED_SQL} THEN 1 ELSE 0 END) AS snoozed,
+         SUM(CASE WHEN ${ACTED_ON_SQL} THEN 1 ELSE 0 END) AS actedOn,
+         SUM(CASE WHEN ${SNOOZED_SQL} AND NOT ${ACTED_ON_SQL} THEN 1 ELSE 0 END) AS snoozedOnly,
+         SUM(CASE WHEN NOT ${SNOOZED_SQL} AND NOT ${ACTED_ON_SQL} THEN 1 ELSE 0 END) AS unattended
+       FROM alerts a ${where}`,
+      params
+    );
+    const total = handling.total || 0;
+
+    return {
+      from,
+      to,
+      interval: bucketName,
+      buckets,
+      volume: { byType: toSeries(byType), byCategory: toSeries(byCategory) },
+      topHeaders: topHeaders.map((header) => ({ ...header, category: categorize(header.headerName) })),
+      responseTimes: responseTimes.map((row) => ({
+        ...row,
+        // epoch ms differences, rounded to seconds
+        meanTimeToAcknowledge: row.meanTimeToAcknowledge === null ? null : Math.round(row.meanTimeToAcknowledge / 1000),
+        meanTimeToResolve: row.meanTimeToResolve === null ? null : Math.round(row.meanTimeToResolve / 1000)
+      })),
+      handling: {
+        total,
+        snoozed: handling.snoozed || 0,
+        actedOn: handling.actedOn || 0,
+        snoozedOnly: handling.snoozedOnly || 0,
+        unattended: handling.unattended || 0,
+        snoozedPercent: percent(handling.snoozed || 0, total),
+        actedOnPercent: percent(handling.actedOn || 0, total)
+      }
+    };
+  }
+}
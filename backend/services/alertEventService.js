@@ -0,0 +1,118 @@
+import { getDb } from '../database/db.js';
+
+// 5 parameters per row keeps a batch under SQLite's default limit of 999 bound variables
+const INSERT_BATCH_SIZE = 150;
+
+export const ALERT_EVENT_TYPES = {
+  TRIGGERED: 'triggered',
+  ESCALATED: 'escalated',
+  ACKNOWLEDGED: 'acknowledged',
+  SNOOZED: 'snoozed',
+  UNSNOOZED: 'unsnoozed',
+  RESOLVED: 'resolved',
+  CLOSED: 'closed',
+  NOTIFIED: 'notified',
+  NOTIFICATION_FAILED: 'notification_failed'
+};
+
+const parseDetails = (details) => {
+  if (!details) return {};
+  try {
+    return JSON.parse(details);
+  } catch (error) {
+    return {};
+  }
+};
+
+const formatEvent = (row) => ({
+  id: row.id,
+  alertId: row.alert_id,
+  type: row.event_type,
+  occurredAt: row.occurred_at,
+  actor: row.actor,
+  details: parseDetails(row.details)
+});
+
+/**
+ * Append-only log of what happened to each alert, stored in alert_events
+ */
+export class AlertEventService {
+  /**
+   * Record one event per alert id
+   * @param {Array<{alertId: string, type: string, actor?: string, details?: Object, occurredAt?: number}>} events
+   * @returns {Promise<number>} Number of events written
+   */
+  static async recordEvents(events) {
+    const rows = (events || []).filter((event) => event.alertId && event.type);
+    if (rows.length === 0) return 0;
+
+    try {
+      const database = await getDb();
+      for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+        const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+        await database.run(
+          `INSERT INTO alert_events (alert_id, event_type, occurred_at, actor, details)
+           VALUES ${batch.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+          batch.flatMap((event) => [
+            event.alertId,
+            event.type,
+            event.occurredAt ?? Date.now(),
+            event.actor ?? null,
+            event.details ? JSON.stringify(event.details) : null
+          ])
+        );
+      }
+      return rows.length;
+    } catch (error) {
+      console.error('Error recording alert events:', error);
+      return 0;
+    }
+  }
+
+  static async recordEvent(alertId, type, details = null, actor = null) {
+    return this.recordEvents([{ alertId, type, details, actor }]);
+  }
+
+  /**
+   * Get the events of several alerts at once, oldest first
+   * @param {string[]} alertIds At most a few hundred, each is a bound variable
+   * @returns {Promise<Map<string, Array<Object>>>} Events by alert id, shaped like getEvents
+   */
+  static async getEventsForAlerts(alertIds) {
+    const eventsByAlert = new Map((alertIds || []).map((alertId) => [alertId, []]));
+    if (eventsByAlert.size === 0) return eventsByAlert;
+
+    try {
+      const database = await getDb();
+      const rows = await database.all(
+        `SELECT * FROM alert_events WHERE alert_id IN (${[...eventsByAlert.keys()].map(() => '?').join(', ')})
+         ORDER BY occurred_at, id`,
+        [...eventsByAlert.keys()]
+      );
+      for (const row of rows) {
+        eventsByAlert.get(row.alert_id).push(formatEvent(row));
+      }
+    } catch (error) {
+      console.error('Error fetching alert events:', error);
+    }
+    return eventsByAlert;
+  }
+
+  /**
+   * Get the events of an alert, oldest first
+   * @returns {Promise<Array<{id: number, alertId: string, type: string, occurredAt: number, actor: string|null, details: Object}>>}
+   */
+  static async getEvents(alertId) {
+    try {
+      const database = await getDb();
+      const rows = await database.all(
+        'SELECT * FROM alert_events WHERE alert_id = ? ORDER BY occurred_at, id',
+        [alertId]
+      );
+      return rows.map(formatEvent);
+    } catch (error) {
+      console.error(`Error fetching events for alert ${alertId}:`, error);
+      return [];
+    }
+  }
+}
@@ -0,0 +1,204 @@
+import { getDb } from '../database/db.js';
+import { loadSettings } from '../utils/settingsStorage.js';
+import { classifyHeader } from '../shared/headerClassifier.js';
+import { HeaderMonitorService } from './headerMonitorService.js';
+import { AlertEventService } from './alertEventService.js';
+
+export const DEFAULT_HISTORY_PAGE_SIZE = 50;
+export const MAX_HISTORY_PAGE_SIZE = 500;
+// A CSV export is one query, this keeps its response within reason
+export const MAX_EXPORT_ROWS = 20000;
+
+// When the occurrence was raised, epoch ms; alerts stored before the lifecycle only have their ISO timestamp
+export const RAISED_AT_SQL = "COALESCE(a.triggered_at, CAST(strftime('%s', a.timestamp) AS INTEGER) * 1000)";
+
+const COUNT_EVENTS_SQL = (types) =>
+  `(SELECT COUNT(*) FROM alert_events e WHERE e.alert_id = a.id AND e.event_type IN (${types
+    .map((type) => `'${type}'`)
+    .join(', ')}))`;
+
+const SELECT_SQL = `
+  SELECT a.*, ${RAISED_AT_SQL} AS raised_at,
+    ap.project_name, ap.company_name,
+    ${COUNT_EVENTS_SQL(['snoozed'])} AS snooze_count,
+    ${COUNT_EVENTS_SQL(['notified'])} AS notification_count,
+    ${COUNT_EVENTS_SQL(['notification_failed'])} AS failed_notification_count
+  FROM alerts a
+  LEFT JOIN active_projects ap ON ap.project_id = a.project_id`;
+
+const CSV_COLUMNS = [
+  ['Alert ID', (alert) => alert.id],
+  ['Raised At', (alert) => toIso(alert.raisedAt)],
+  ['Breach Started At', (alert) => toIso(alert.breachStartedAt)],
+  ['Company', (alert) => alert.companyName || alert.company_id],
+  ['Project', (alert) => alert.projectName || alert.project_id],
+  ['Stage', (alert) => alert.stage_id],
+  ['Header', (alert) => alert.header_name],
+  ['Type', (alert) => alert.type],
+  ['Severity', (alert) => alert.severity],
+  ['State', (alert) => alert.state],
+  ['Value', (alert) => alert.value],
+  ['Threshold', (alert) => alert.threshold],
+  ['Acknowledged At', (alert) => toIso(alert.acknowledgedAt)],
+  ['Acknowledged By', (alert) => alert.acknowledgedBy],
+  ['Acknowledgement Note', (alert) => alert.acknowledgementNote],
+  ['Resolved At', (alert) => toIso(alert.resolvedAt)],
+  ['Resolved By', (alert) => alert.resolvedBy],
+  ['Resolution', (alert) => alert.resolution],
+  ['Closed At', (alert) => toIso(alert.closedAt)],
+  ['Closed By', (alert) => alert.closedBy],
+  ['Snoozes', (alert) => alert.snoozeCount],
+  ['Notifications Sent', (alert) => alert.notificationCount],
+  ['Notifications Failed', (alert) => alert.failedNotificationCount]
+];
+
+const toIso = (time) => (time ? new Date(time).toISOString() : '');
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Search over past and current alerts (the alerts table, archived occurrences included) with their lifecycle events
+ *
+ * Filters: projectId, companyId, stageId, header (id or part of the name), category (pattern category key),
+ * types, severities and states (arrays), from and to (epoch ms, on when the alert was raised).
+ */
+export class AlertHistoryService {
+  static async buildWhere(filters = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (filters.projectId) {
+      clauses.push('a.project_id = ?');
+      params.push(String(filters.projectId));
+    }
+    if (filters.companyId) {
+      clauses.push('a.company_id = ?');
+      params.push(String(filters.companyId));
+    }
+    if (filters.stageId) {
+      clauses.push('a.stage_id = ?');
+      params.push(String(filters.stageId));
+    }
+    if (filters.header) {
+      clauses.push('(a.header_id = ? OR a.header_name LIKE ?)');
+      params.push(String(filters.header), `%${filters.header}%`);
+    }
+
+    const inList = (column, values) => {
+      if (!values || values.length === 0) return;
+      clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    };
+    inList('a.type', filters.types);
+    inList("COALESCE(a.severity, 'critical')", filters.severities);
+    inList("COALESCE(a.state, 'open')", filters.states);
+
+    if (filters.category) {
+      const headerNames = await this.getHeaderNamesInCategory(filters.category);
+      if (headerNames.length === 0) {
+        clauses.push('0 = 1');
+      } else {
+        inList('a.header_name', headerNames);
+      }
+    }
+
+    if (filters.from) {
+      clauses.push(`${RAISED_AT_SQL} >= ?`);
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      clauses.push(`${RAISED_AT_SQL} <= ?`);
+      params.push(filters.to);
+    }
+
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  // Categories are pattern based, so the alerted header names are classified here rather than in SQL
+  static async getHeaderNamesInCategory(category) {
+    const settings = await loadSettings();
+    const database = await getDb();
+    const rows = await database.all('SELECT DISTINCT header_name FROM alerts WHERE header_name IS NOT NULL');
+    return rows
+      .map((row) => row.header_name)
+      .filter((name) => classifyHeader(name, settings?.patternCategories || {}) === category);
+  }
+
+  static formatRow(row) {
+    return {
+      ...HeaderMonitorService.formatAlert(row),
+      raisedAt: row.raised_at,
+      projectName: row.project_name ?? null,
+      companyName: row.company_name ?? null,
+      snoozeCount: row.snooze_count,
+      notificationCount: row.notification_count,
+      failedNotificationCount: row.failed_notification_count
+    };
+  }
+
+  /**
+   * One page of matching alerts, newest first, each with its events
+   * @returns {Promise<{alerts: Object[], total: number, page: number, pageSize: number}>}
+   */
+  static async queryAlerts(filters = {}, { page = 1, pageSize = DEFAULT_HISTORY_PAGE_SIZE } = {}) {
+    const database = await getDb();
+    const { where, params } = await this.buildWhere(filters);
+
+    const { total } = await database.get(`SELECT COUNT(*) AS total FROM alerts a ${where}`, params);
+    const rows = await database.all(`${SELECT_SQL} ${where} ORDER BY raised_at DESC, a.id LIMIT ? OFFSET ?`, [
+      ...params,
+      pageSize,
+      (page - 1) * pageSize
+    ]);
+
+    const eventsByAlert = await AlertEventService.getEventsForAlerts(rows.map((row) => row.id));
+    const alerts = rows.map((row) => ({ ...this.formatRow(row), events: eventsByAlert.get(row.id) || [] }));
+    return { alerts, total, page, pageSize };
+  }
+
+  /**
+   * All matching alerts as CSV, newest first, up to MAX_EXPORT_ROWS
+   * @returns {Promise<{csv: string, truncated: boolean}>}
+   */
+  static async exportCsv(filters = {}) {
+    const database = await getDb();
+    const { where, params } = await this.buildWhere(filters);
+    const rows = await database.all(`${SELECT_SQL} ${where} ORDER BY raised_at DESC, a.id LIMIT ?`, [
+      ...params,
+      MAX_EXPORT_ROWS + 1
+    ]);
+
+    const alerts = rows.slice(0, MAX_EXPORT_ROWS).map((row) => this.formatRow(row));
+    const lines = [
+      CSV_COLUMNS.map(([title]) => escapeCsv(title)).join(','),
+      ...alerts.map((alert) => CSV_COLUMNS.map(([, getValue]) => escapeCsv(getValue(alert))).join(','))
+    ];
+    return { csv: `${lines.join('\r\n')}\r\n`, truncated: rows.length > MAX_EXPORT_ROWS };
+  }
+
+  /**
+   * Values present in the alerts table for the filter dropdowns
+   */
+  static async getFilterOptions() {
+    const database = await getDb();
+    const projects = await database.all(
+      `SELECT DISTINCT a.project_id AS projectId, a.company_id AS companyId,
+         ap.project_name AS projectName, ap.company_name AS companyName
+       FROM alerts a
+       LEFT JOIN active_projects ap ON ap.project_id = a.project_id
+       WHERE a.project_id IS NOT NULL
+       ORDER BY ap.company_name, ap.project_name`
+    );
+    const stages = await database.all(
+      `SELECT DISTINCT project_id AS projectId, stage_id AS stageId FROM alerts
+       WHERE stage_id IS NOT NULL ORDER BY stage_id`
+    );
+    const types = await database.all('SELECT DISTINCT type FROM alerts WHERE type IS NOT NULL ORDER BY type');
+
+    return { projects, stages, types: types.map((row) => row.type) };
+  }
+}
@@ -0,0 +1,169 @@
+import { getDb } from '../database/db.js';
+import { AlertEventService, ALERT_EVENT_TYPES } from './alertEventService.js';
+
+export const ALERT_STATES = ['open', 'acknowledged', 'resolved', 'closed'];
+
+// Alerts still needing attention; the monitoring checks keep updating these
+export const ACTIVE_ALERT_STATES = ['open', 'acknowledged'];
+
+// Archived ids are "<alert id>:<triggered at>", the alert ids built by the checks never contain a colon
+const ARCHIVE_SEPARATOR = ':';
+
+/**
+ * Lifecycle transitions of stored alerts.
+ *
+ * The monitoring checks address an alert by a fixed id per rule and header (e.g. threshold_<project>_<header>),
+ * so that id always holds the current occurrence. When an occurrence is resolved or closed it is archived
+ * under "<id>:<triggered at>" with its events, which keeps it in the alerts table and frees the id for the
+ * next breach.
+ */
+export class AlertLifecycleService {
+  static isArchivedId(alertId) {
+    return String(alertId).includes(ARCHIVE_SEPARATOR);
+  }
+
+  // The check's alert id an occurrence was raised under, archived or not
+  static getBaseId(alertId) {
+    return String(alertId).split(ARCHIVE_SEPARATOR)[0];
+  }
+
+  /**
+   * Move an alert and its events to its archived id
+   * @returns {Promise<string>} The id the alert is stored under afterwards
+   */
+  static async archiveAlert(alert) {
+    if (this.isArchivedId(alert.id)) return alert.id;
+
+    const triggeredAt = alert.triggered_at || Date.parse(alert.timestamp) || Date.now();
+    const archivedId = `${alert.id}${ARCHIVE_SEPARATOR}${triggeredAt}`;
+
+    const database = await getDb();
+    await database.run('UPDATE alerts SET id = ? WHERE id = ?', [archivedId, alert.id]);
+    await database.run('UPDATE alert_events SET alert_id = ? WHERE alert_id = ?', [archivedId, alert.id]);
+    return archivedId;
+  }
+
+  /**
+   * Acknowledge an open alert: an operator is on it. It stays active, but is no longer re-notified
+   * @param {string} alertId
+   * @param {{by: string, note?: string}} options
+   * @returns {Promise<Object|null>} The updated alerts row, or null when there was no open alert
+   */
+  static async acknowledgeAlert(alertId, { by, note = null }) {
+    try {
+      const database = await getDb();
+      const alert = await database.get('SELECT * FROM alerts WHERE id = ?', [alertId]);
+      if (!alert || (alert.state || 'open') !== 'open') return null;
+
+      const now = Date.now();
+      await database.run(
+        `UPDATE alerts SET state = 'acknowledged', acknowledged_at = ?, acknowledged_by = ?, acknowledgement_note = ?
+         WHERE id = ?`,
+        [now, by, note, alertId]
+      );
+      await AlertEventService.recordEvents([
+        { alertId, type: ALERT_EVENT_TYPES.ACKNOWLEDGED, occurredAt: now, actor: by, details: { note } }
+      ]);
+
+      console.log(`Alert ${alertId} acknowledged by ${by}`);
+      return { ...alert, state: 'acknowledged', acknowledged_at: now, acknowledged_by: by, acknowledgement_note: note };
+    } catch (error) {
+      console.error(`Failed to acknowledge alert ${alertId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Ids among the given alerts that are acknowledged
+   * @param {string[]} alertIds
+   * @returns {Promise<Set<string>>}
+   */
+  static async getAcknowledgedIds(alertIds) {
+    if (!alertIds || alertIds.length === 0) return new Set();
+
+    try {
+      const database = await getDb();
+      const rows = await database.all(
+        `SELECT id FROM alerts WHERE state = 'acknowledged' AND id IN (${alertIds.map(() => '?').join(', ')})`,
+        alertIds
+      );
+      return new Set(rows.map((row) => row.id));
+    } catch (error) {
+      console.error('Failed to look up acknowledged alerts:', error);
+      return new Set();
+    }
+  }
+
+  /**
+   * Mark an active alert resolved: automatically when its condition cleared, or manually by an operator
+   * @param {string} alertId
+   * @param {{by?: string, note?: string, automatic?: boolean, reason?: string}} options
+   * @returns {Promise<string|null>} The archived id, or null when there was no active alert to resolve
+   */
+  static async resolveAlert(alertId, { by = null, note = null, automatic = false, reason = null } = {}) {
+    try {
+      const database = await getDb();
+      const alert = await database.get('SELECT * FROM alerts WHERE id = ?', [alertId]);
+      if (!alert || !ACTIVE_ALERT_STATES.includes(alert.state || 'open')) return null;
+
+      const now = Date.now();
+      await database.run(
+        `UPDATE alerts SET state = 'resolved', resolved_at = ?, resolved_by = ?, resolution = ? WHERE id = ?`,
+        [now, by, automatic ? 'auto' : 'manual', alertId]
+      );
+      await AlertEventService.recordEvents([
+        {
+          alertId,
+          type: ALERT_EVENT_TYPES.RESOLVED,
+          occurredAt: now,
+          actor: by,
+          details: { automatic, reason, note }
+        }
+      ]);
+
+      const archivedId = await this.archiveAlert(alert);
+      console.log(`Alert ${alertId} resolved ${automatic ? 'automatically' : `by ${by || 'an operator'}`}`);
+      return archivedId;
+    } catch (error) {
+      console.error(`Failed to resolve alert ${alertId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Close an alert, active or resolved; closed alerts need no further attention
+   * @param {string} alertId
+   * @param {{by?: string, note?: string, reason?: string, automatic?: boolean}} options
+   *   automatic: closed by the system (e.g. its rule changed) rather than by an operator
+   * @returns {Promise<string|null>} The archived id, or null when there was nothing to close
+   */
+  static async closeAlert(alertId, { by = null, note = null, reason = null, automatic = false } = {}) {
+    try {
+      const database = await getDb();
+      const alert = await database.get('SELECT * FROM alerts WHERE id = ?', [alertId]);
+      if (!alert || alert.state === 'closed') return null;
+
+      const now = Date.now();
+      await database.run(
+        `UPDATE alerts SET state = 'closed', closed_at = ?, closed_by = ?, dismissed = 1 WHERE id = ?`,
+        [now, by, alertId]
+      );
+      await AlertEventService.recordEvents([
+        {
+          alertId,
+          type: ALERT_EVENT_TYPES.CLOSED,
+          occurredAt: now,
+          actor: by,
+          details: { previousState: alert.state || 'open', automatic, reason, note }
+        }
+      ]);
+
+      const archivedId = await this.archiveAlert(alert);
+      console.log(`Alert ${alertId} closed${by ? ` by ${by}` : ''}`);
+      return archivedId;
+    } catch (error) {
+      console.error(`Failed to close alert ${alertId}:`, error);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,412 @@
+import { getDb } from '../database/db.js';
+import { loadSettings } from '../utils/settingsStorage.js';
+import { classifyHeader } from '../shared/headerClassifier.js';
+import { resolveSeverityLevels, resolveAlertTypeSeverity, severityRank } from '../utils/severityLevels.js';
+import { isThresholdBreached, isThresholdRecovered } from '../shared/thresholdRules.js';
+import { resolveFrozenRule, isWithinFrozenTolerance, computeStdDev } from '../utils/frozenRules.js';
+import { resolveRateRule, computeSlope, isRateBreached } from '../shared/rateRules.js';
+import { HeaderMonitorService } from './headerMonitorService.js';
+import { RAISED_AT_SQL } from './alertHistoryService.js';
+
+// Single-header rule types; compound rules combine several headers and are not replayed
+export const BACKTEST_ALERT_TYPES = ['threshold', 'frozen', 'rate'];
+
+// Upper bound on the samples replayed in one run, headers past it are left out and the result is marked truncated
+export const MAX_BACKTEST_SAMPLES = 200000;
+
+// Per-header settings that win over the category being tested
+const OVERRIDE_COLUMNS = [
+  'threshold',
+  'threshold_direction',
+  'threshold_min',
+  'threshold_max',
+  'alert_duration',
+  'frozen_threshold',
+  'rate_limit',
+  'rate_window',
+  'rate_direction'
+];
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+// The recent samples the live checks see: every replayed sample up to `time`, at most the monitor's retention
+const pushWindowSample = (window, sample) => {
+  window.push(sample);
+  const cutoff = sample.time - HeaderMonitorService.VALUE_SAMPLE_RETENTION;
+  while (window.length && window[0].time < cutoff) {
+    window.shift();
+  }
+};
+
+const overlaps = (a, b) => a[0] <= b[1] && b[0] <= a[1];
+
+/**
+ * Backtest ("what if") replay of a candidate category configuration.
+ *
+ * The raw samples in header_value_history are fed, oldest first, through the same threshold
+ * (severity levels, alert duration, recovery hysteresis), frozen (tolerance, variance) and rate rules
+ * the live monitor uses, with the candidate settings in place of the saved category. The occurrences
+ * that would have been raised are compared with the alerts that actually fired for the same headers.
+ *
+ * Like the live checks, only samples taken while the header was LOADING are evaluated. Rollups are not
+ * replayed since they do not keep the header state, so the replay reaches back as far as the raw retention.
+ * Snoozes and re-notification cooldowns do not change when an occurrence starts or ends and are ignored.
+ */
+export class BacktestService {
+  /**
+   * Replay the headers of a category over a time range with candidate settings
+   * @param {{category: string, candidate: Object|null, from: number, to: number, projectId: string|null}} options
+   *   candidate replaces the saved category settings, null replays the saved ones
+   * @returns {Promise<Object>} Headers replayed, simulated and actual alerts and how they compare
+   */
+  static async replay({ category, candidate = null, from, to, projectId = null }) {
+    const settings = await loadSettings();
+    const savedCategories = settings?.patternCategories || {};
+    const categorySettings = candidate || savedCategories[category] || {};
+    const patternCategories = { ...savedCategories, [category]: categorySettings };
+
+    const headers = await this.findCategoryHeaders(category, patternCategories, { from, to, projectId });
+
+    const database = await getDb();
+    const headerResults = [];
+    const simulated = [];
+    const actual = [];
+    let sampleCount = 0;
+    let truncated = false;
+
+    for (const header of headers) {
+      if (sampleCount + header.sampleCount > MAX_BACKTEST_SAMPLES) {
+        truncated = true;
+        break;
+      }
+
+      const samples = await database.all(
+        `SELECT recorded_at AS time, value FROM header_value_history
+         WHERE header_id = ? AND state = 'LOADING' AND recorded_at >= ? AND recorded_at <= ?
+         ORDER BY recorded_at, id`,
+        [header.headerId, from, to]
+      );
+      if (samples.length === 0) continue;
+      sampleCount += samples.length;
+
+      const config = { ...header.config, header_id: header.headerId, header_name: header.headerName };
+      const coveredFrom = samples[0].time;
+      const headerAlerts = this.replayHeader(samples, config, categorySettings).map((alert) => ({
+        ...alert,
+        headerId: header.headerId,
+        headerName: header.headerName,
+        projectId: header.projectId
+      }));
+      // Only alerts during the replayed part of the range can be compared
+      const headerActual = (await this.getActualAlerts(header.headerId, coveredFrom, to)).map((alert) => ({
+        ...alert,
+        headerName: alert.headerName || header.headerName
+      }));
+
+      simulated.push(...headerAlerts);
+      actual.push(...headerActual);
+      headerResults.push({
+        headerId: header.headerId,
+        headerName: header.headerName,
+        projectId: header.projectId,
+        sampleCount: samples.length,
+        coveredFrom,
+        overrides: OVERRIDE_COLUMNS.filter((column) => isSet(header.config[column])),
+        simulatedCount: headerAlerts.length,
+        actualCount: headerActual.length
+      });
+    }
+
+    const comparison = this.compare(simulated, actual, to);
+    const oldestRaw = await database.get('SELECT MIN(recorded_at) AS time FROM header_value_history');
+
+    return {
+      category,
+      from,
+      to,
+      // Anything requested before this is only kept as rollups and was not replayed
+      rawHistoryFrom: oldestRaw?.time ?? null,
+      truncated,
+      sampleCount,
+      headers: headerResults,
+      simulated,
+      actual,
+      ...comparison,
+      counts: {
+        simulated: simulated.length,
+        actual: actual.length,
+        matched: comparison.matched.length,
+        onlySimulated: comparison.onlySimulated.length,
+        onlyActual: comparison.onlyActual.length
+      }
+    };
+  }
+
+  /**
+   * Headers with LOADING samples in the range whose name falls in the category.
+   * Names come from the monitored headers and, for headers of earlier stages, from their alerts.
+   */
+  static async findCategoryHeaders(category, patternCategories, { from, to, projectId }) {
+    const database = await getDb();
+
+    const historyRows = await database.all(
+      `SELECT header_id, MAX(project_id) AS project_id, COUNT(*) AS sample_count
+       FROM header_value_history
+       WHERE state = 'LOADING' AND recorded_at >= ? AND recorded_at <= ?${projectId ? ' AND project_id = ?' : ''}
+       GROUP BY header_id`,
+      projectId ? [from, to, projectId] : [from, to]
+    );
+    if (historyRows.length === 0) return [];
+
+    const configs = new Map();
+    for (const row of await database.all('SELECT * FROM project_header_settings')) {
+      configs.set(String(row.header_id), row);
+    }
+    const alertNames = new Map();
+    for (const row of await database.all(
+      'SELECT DISTINCT header_id, header_name FROM alerts WHERE header_id IS NOT NULL AND header_name IS NOT NULL'
+    )) {
+      alertNames.set(String(row.header_id), row.header_name);
+    }
+
+    return historyRows
+      .map((row) => {
+        const config = configs.get(String(row.header_id)) || {};
+        return {
+          headerId: String(row.header_id),
+          headerName: config.header_name || alertNames.get(String(row.header_id)) || null,
+          projectId: row.project_id ?? config.project_id ?? null,
+          sampleCount: row.sample_count,
+          config
+        };
+      })
+      .filter((header) => header.headerName && classifyHeader(header.headerName, patternCategories) === category)
+      .sort((a, b) => a.headerName.localeCompare(b.headerName) || a.headerId.localeCompare(b.headerId));
+  }
+
+  /**
+   * Run one header's samples (oldest first) through the threshold, frozen and rate rules
+   * @returns {Array<Object>} Simulated occurrences, endedAt is null when still open at the end of the range
+   */
+  static replayHeader(samples, config, categorySettings) {
+    return [
+      ...this.replayThreshold(samples, resolveSeverityLevels(config, categorySettings)),
+      ...this.replayFrozen(samples, resolveFrozenRule(config, categorySettings)),
+      ...this.replayRate(
+        samples,
+        resolveRateRule(config, categorySettings),
+        resolveAlertTypeSeverity('rate', categorySettings)
+      )
+    ].sort((a, b) => a.triggeredAt - b.triggeredAt);
+  }
+
+  // Mirrors HeaderMonitorService.checkThresholdAlert: per-level breach timers, escalation and recovery hold
+  static replayThreshold(samples, levels) {
+    const alerts = [];
+    const recoveryHold = Math.max(...levels.map((level) => level.rule.recoveryHold));
+    let exceededTimes = {};
+    let breaching = false;
+    let recoveryStartedAt = null;
+    let open = null;
+
+    for (const { time, value } of samples) {
+      const breachedLevels = levels.filter((level) => isThresholdBreached(value, level.rule));
+
+      if (breachedLevels.length === 0) {
+        if (!breaching) continue;
+
+        // Within the recovery margin of some level the breach state is held
+        if (!levels.every((level) => isThresholdRecovered(value, level.rule))) {
+          recoveryStartedAt = null;
+          continue;
+        }
+        recoveryStartedAt = recoveryStartedAt ?? time;
+        if (time - recoveryStartedAt < recoveryHold * 1000) continue;
+
+        if (open) {
+          alerts.push({ ...open, endedAt: time });
+          open = null;
+        }
+        exceededTimes = {};
+        breaching = false;
+        recoveryStartedAt = null;
+        continue;
+      }
+
+      breaching = true;
+      recoveryStartedAt = null;
+      for (const level of levels) {
+        if (breachedLevels.includes(level)) {
+          exceededTimes[level.severity] = exceededTimes[level.severity] ?? time;
+        } else {
+          delete exceededTimes[level.severity];
+        }
+      }
+
+      const dueLevels = levels.filter(
+        (level) =>
+          exceededTimes[level.severity] !== undefined &&
+          time - exceededTimes[level.severity] >= level.alertDuration * 1000
+      );
+      const targetLevel = dueLevels[dueLevels.length - 1];
+      if (!targetLevel) continue;
+
+      if (!open) {
+        open = {
+          type: 'threshold',
+          severity: targetLevel.severity,
+          breachStartedAt: exceededTimes[targetLevel.severity],
+          triggeredAt: time,
+          escalatedAt: null,
+          endedAt: null,
+          value,
+          threshold: targetLevel.rule.threshold,
+          thresholdDirection: targetLevel.rule.direction
+        };
+      } else if (severityRank(targetLevel.severity) > severityRank(open.severity)) {
+        open = { ...open, severity: targetLevel.severity, escalatedAt: time, threshold: targetLevel.rule.threshold };
+      }
+    }
+
+    return open ? [...alerts, open] : alerts;
+  }
+
+  // Mirrors HeaderMonitorService.checkFrozenAlert: the anchor moves whenever the value leaves the tolerance
+  // or the signal shows live noise
+  static replayFrozen(samples, rule) {
+    const alerts = [];
+    const window = [];
+    let anchor = null;
+    let open = null;
+
+    for (const sample of samples) {
+      pushWindowSample(window, sample);
+
+      const sameValue = anchor !== null && isWithinFrozenTolerance(sample.value, anchor.value, rule);
+      const stdDev = rule.varianceWindow ? computeStdDev(window, rule.varianceWindow, sample.time) : null;
+      const isLive = stdDev !== null && stdDev > rule.maxStdDev;
+
+      if (!sameValue || isLive) {
+        anchor = sample;
+        if (open) {
+          alerts.push({ ...open, endedAt: sample.time });
+          open = null;
+        }
+        continue;
+      }
+
+      if (open || sample.time - anchor.time < rule.duration * 1000) continue;
+      if (rule.varianceWindow && stdDev === null) continue;
+
+      open = {
+        type: 'frozen',
+        severity: 'warning',
+        breachStartedAt: anchor.time,
+        triggeredAt: sample.time,
+        endedAt: null,
+        value: sample.value
+      };
+    }
+
+    return open ? [...alerts, open] : alerts;
+  }
+
+  // Mirrors HeaderMonitorService.checkRateAlert: fires as soon as the slope over the window breaches the limit
+  static replayRate(samples, rule, severity) {
+    if (!rule.limit) return [];
+
+    const alerts = [];
+    const window = [];
+    let open = null;
+
+    for (const sample of samples) {
+      pushWindowSample(window, sample);
+
+      const slope = computeSlope(window, rule.window, sample.time);
+      if (slope === null) continue;
+
+      if (!isRateBreached(slope, rule)) {
+        if (open) {
+          alerts.push({ ...open, endedAt: sample.time });
+          open = null;
+        }
+        continue;
+      }
+
+      if (!open) {
+        open = {
+          type: 'rate',
+          severity,
+          breachStartedAt: sample.time,
+          triggeredAt: sample.time,
+          endedAt: null,
+          value: sample.value,
+          rate: Math.round(slope * 100) / 100
+        };
+      }
+    }
+
+    return open ? [...alerts, open] : alerts;
+  }
+
+  /**
+   * Alerts of the replayed rule types that fired for a header and were active at some point in the range
+   */
+  static async getActualAlerts(headerId, from, to) {
+    const database = await getDb();
+    const rows = await database.all(
+      `SELECT a.*, ${RAISED_AT_SQL} AS raised_at FROM alerts a
+       WHERE a.header_id = ? AND a.type IN (${BACKTEST_ALERT_TYPES.map(() => '?').join(', ')})
+         AND COALESCE(a.breach_started_at, ${RAISED_AT_SQL}) <= ?
+         AND COALESCE(a.resolved_at, a.closed_at, ?) >= ?
+       ORDER BY raised_at, a.id`,
+      [String(headerId), ...BACKTEST_ALERT_TYPES, to, to, from]
+    );
+
+    return rows.map((row) => {
+      const alert = HeaderMonitorService.formatAlert(row);
+      return {
+        id: alert.id,
+        type: alert.type,
+        severity: alert.severity,
+        headerId: String(alert.header_id),
+        headerName: alert.header_name,
+        projectId: alert.project_id,
+        breachStartedAt: alert.breachStartedAt ?? row.raised_at,
+        triggeredAt: row.raised_at,
+        endedAt: alert.resolvedAt ?? alert.closedAt ?? null,
+        value: alert.value,
+        threshold: alert.threshold,
+        state: alert.state
+      };
+    });
+  }
+
+  /**
+   * Pair simulated and actual occurrences of the same header and type whose active periods overlap.
+   * Each alert is matched at most once, earliest first; triggerShift is how much later (ms) the simulated one fired.
+   */
+  static compare(simulated, actual, to) {
+    const period = (alert) => [alert.breachStartedAt ?? alert.triggeredAt, alert.endedAt ?? to];
+    const unmatched = [...actual];
+    const matched = [];
+    const onlySimulated = [];
+
+    for (const alert of [...simulated].sort((a, b) => a.triggeredAt - b.triggeredAt)) {
+      const index = unmatched.findIndex(
+        (candidate) =>
+          candidate.headerId === alert.headerId &&
+          candidate.type === alert.type &&
+          overlaps(period(candidate), period(alert))
+      );
+      if (index === -1) {
+        onlySimulated.push(alert);
+        continue;
+      }
+      const [match] = unmatched.splice(index, 1);
+      matched.push({ simulated: alert, actual: match, triggerShift: alert.triggeredAt - match.triggeredAt });
+    }
+
+    return { matched, onlySimulated, onlyActual: unmatched };
+  }
+}
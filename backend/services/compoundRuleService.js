@@ -0,0 +1,235 @@
+import { getDb } from '../database/db.js';
+import { parseExpression, getExpressionVariables, COMPARISON_OPERATORS } from '../utils/expression.js';
+import { SEVERITIES, DEFAULT_SEVERITY } from '../utils/severityLevels.js';
+
+const DEFAULT_COMPOUND_ALERT_DURATION = 60; // seconds
+
+/**
+ * Compound rules compare an arithmetic expression over two or more monitored headers of the
+ * same project against a threshold, e.g. casing minus tubing differential above 500 psi.
+ * Each header is referenced in the expression by its alias (A, B, ...).
+ */
+export class CompoundRuleService {
+  /**
+   * Convert a compound_rules row to the API shape
+   */
+  static mapRule(row) {
+    let headers = [];
+    try {
+      headers = JSON.parse(row.headers_json || '[]');
+    } catch (error) {
+      console.error(`Invalid headers_json for compound rule ${row.id}:`, error);
+    }
+
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      name: row.name,
+      expression: row.expression,
+      headers,
+      operator: row.operator,
+      threshold: row.threshold,
+      alertDuration: row.alert_duration,
+      severity: row.severity || DEFAULT_SEVERITY,
+      isEnabled: row.is_enabled === 1 || row.is_enabled === true,
+      firstExceededTime: row.first_exceeded_time,
+      lastAlertTime: row.last_alert_time,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * Get compound rules, optionally for a single project
+   */
+  static async getRules(projectId = null) {
+    try {
+      const database = await getDb();
+      const rows = projectId
+        ? await database.all('SELECT * FROM compound_rules WHERE project_id = ? ORDER BY id', [projectId])
+        : await database.all('SELECT * FROM compound_rules ORDER BY project_id, id');
+      return rows.map((row) => this.mapRule(row));
+    } catch (error) {
+      console.error('Error getting compound rules:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single compound rule
+   */
+  static async getRule(ruleId) {
+    try {
+      const database = await getDb();
+      const row = await database.get('SELECT * FROM compound_rules WHERE id = ?', [ruleId]);
+      return row ? this.mapRule(row) : null;
+    } catch (error) {
+      console.error(`Error getting compound rule ${ruleId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Validate a rule definition
+   * @returns {Promise<string|null>} The first problem found, or null when the rule is valid
+   */
+  static async validateRule(rule) {
+    if (!rule.projectId) return 'projectId is required';
+    if (!rule.name || !String(rule.name).trim()) return 'Rule name is required';
+    if (!COMPARISON_OPERATORS.includes(rule.operator)) {
+      return `Operator must be one of ${COMPARISON_OPERATORS.join(', ')}`;
+    }
+    if (typeof rule.threshold !== 'number' || isNaN(rule.threshold)) return 'Threshold must be a number';
+    if (rule.alertDuration !== undefined && rule.alertDuration !== null &&
+        (typeof rule.alertDuration !== 'number' || rule.alertDuration < 0)) {
+      return 'Alert duration must be a non-negative number of seconds';
+    }
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      return `Severity must be one of ${SEVERITIES.join(', ')}`;
+    }
+
+    const headers = Array.isArray(rule.headers) ? rule.headers : [];
+    if (headers.length < 2) return 'A compound rule needs at least two headers';
+
+    const aliases = headers.map((header) => header.alias);
+    if (aliases.some((alias) => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(alias || ''))) {
+      return 'Header aliases must be simple names such as A or casing';
+    }
+    if (new Set(aliases).size !== aliases.length) return 'Header aliases must be unique';
+
+    let variables;
+    try {
+      variables = getExpressionVariables(parseExpression(rule.expression));
+    } catch (error) {
+      return `Invalid expression: ${error.message}`;
+    }
+    const unknown = variables.filter((name) => !aliases.includes(name));
+    if (unknown.length > 0) return `Unknown alias in expression: ${unknown.join(', ')}`;
+
+    // Every referenced header must be monitored in the same project
+    const database = await getDb();
+    for (const header of headers) {
+      const row = await database.get(
+        'SELECT header_id FROM project_header_settings WHERE project_id = ? AND header_id = ? AND is_monitored = 1',
+        [rule.projectId, header.headerId]
+      );
+      if (!row) return `Header ${header.headerName || header.headerId} is not monitored in project ${rule.projectId}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a compound rule
+   */
+  static async createRule(rule) {
+    try {
+      const database = await getDb();
+      const result = await database.run(`
+        INSERT INTO compound_rules (
+          project_id, name, expression, headers_json, operator, threshold,
+          alert_duration, severity, is_enabled, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `, [
+        rule.projectId,
+        String(rule.name).trim(),
+        rule.expression,
+        JSON.stringify(rule.headers.map(({ alias, headerId, headerName }) => ({ alias, headerId, headerName }))),
+        rule.operator,
+        rule.threshold,
+        rule.alertDuration ?? DEFAULT_COMPOUND_ALERT_DURATION,
+        rule.severity || DEFAULT_SEVERITY,
+        rule.isEnabled === false ? 0 : 1
+      ]);
+
+      return this.getRule(result.lastID);
+    } catch (error) {
+      console.error('Error creating compound rule:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update a compound rule and reset its breach timers
+   */
+  static async updateRule(ruleId, rule) {
+    try {
+      const database = await getDb();
+      await database.run(`
+        UPDATE compound_rules
+        SET name = ?,
+            expression = ?,
+            headers_json = ?,
+            operator = ?,
+            threshold = ?,
+            alert_duration = ?,
+            severity = ?,
+            is_enabled = ?,
+            first_exceeded_time = NULL,
+            last_alert_time = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        String(rule.name).trim(),
+        rule.expression,
+        JSON.stringify(rule.headers.map(({ alias, headerId, headerName }) => ({ alias, headerId, headerName }))),
+        rule.operator,
+        rule.threshold,
+        rule.alertDuration ?? DEFAULT_COMPOUND_ALERT_DURATION,
+        rule.severity || DEFAULT_SEVERITY,
+        rule.isEnabled === false ? 0 : 1,
+        ruleId
+      ]);
+
+      return this.getRule(ruleId);
+    } catch (error) {
+      console.error(`Error updating compound rule ${ruleId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a compound rule
+   */
+  static async deleteRule(ruleId) {
+    try {
+      const database = await getDb();
+      await database.run('DELETE FROM compound_rules WHERE id = ?', [ruleId]);
+      return true;
+    } catch (error) {
+      console.error(`Error deleting compound rule ${ruleId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the rules of a project (used when its headers stop being monitored)
+   */
+  static async deleteProjectRules(projectId) {
+    try {
+      const database = await getDb();
+      await database.run('DELETE FROM compound_rules WHERE project_id = ?', [projectId]);
+      return true;
+    } catch (error) {
+      console.error(`Error deleting compound rules for project ${projectId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Store the breach timers of a rule
+   */
+  static async updateRuleState(ruleId, firstExceededTime, lastAlertTime) {
+    try {
+      const database = await getDb();
+      await database.run(
+        'UPDATE compound_rules SET first_exceeded_time = ?, last_alert_time = ? WHERE id = ?',
+        [firstExceededTime, lastAlertTime, ruleId]
+      );
+      return true;
+    } catch (error) {
+      console.error(`Error updating compound rule state ${ruleId}:`, error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,87 @@
+import { getDb } from '../database/db.js';
+import { resolveThresholdRule } from '../shared/thresholdRules.js';
+import { resolveForecastRule, forecastThresholdCrossing } from '../utils/forecastRules.js';
+
+const HOUR = 3600 * 1000;
+
+// A trend over hours barely moves between polls, so each header is refitted at most this often
+const FORECAST_REFRESH_INTERVAL = 60 * 1000;
+
+/**
+ * Time-to-threshold forecasts of monitored headers, fitted over their recorded history.
+ *
+ * Every recorded sample counts, whatever the stage state: a battery drains between stages too.
+ * Where the forecast window reaches past the raw history, rollup averages stand in for the samples.
+ */
+export class ForecastService {
+  // headerId -> { computedAt, key, forecast }
+  static cache = {};
+
+  /**
+   * Get the forecast of a header whose category has a forecast lead time
+   * @param {Object} headerConfig - project_header_settings row
+   * @param {Object} categorySettings - patternCategories entry for the header's category
+   * @param {number|null} currentValue - Value polled this cycle, not yet written to the history
+   * @param {number} now - Epoch ms the forecast is made at
+   * @returns {Promise<Object|null>} forecastThresholdCrossing result plus the rule's leadTime (ms) and
+   *   window (ms); null when forecasting is disabled or there is no usable trend
+   */
+  static async getForecast(headerConfig, categorySettings, currentValue = null, now = Date.now()) {
+    const rule = resolveForecastRule(categorySettings);
+    if (!rule.leadTime) return null;
+
+    const thresholdRule = resolveThresholdRule(headerConfig, categorySettings);
+    // Settings changes invalidate the cached fit right away
+    const { direction, threshold, min, max } = thresholdRule;
+    const key = JSON.stringify([rule, direction, threshold, min, max]);
+    const cached = this.cache[headerConfig.header_id];
+    if (cached && cached.key === key && now - cached.computedAt < FORECAST_REFRESH_INTERVAL) {
+      return cached.forecast;
+    }
+
+    try {
+      const samples = await this.loadSamples(headerConfig.header_id, now - rule.window * HOUR, now);
+      if (currentValue !== null && currentValue !== undefined && !isNaN(Number(currentValue))) {
+        samples.push({ time: now, value: Number(currentValue) });
+      }
+
+      const crossing = forecastThresholdCrossing(samples, thresholdRule, now);
+      const forecast = crossing ? { ...crossing, leadTime: rule.leadTime * HOUR, window: rule.window * HOUR } : null;
+
+      this.cache[headerConfig.header_id] = { computedAt: now, key, forecast };
+      return forecast;
+    } catch (error) {
+      console.error(`Failed to forecast header ${headerConfig.header_id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the recorded values of a header, oldest first: rollup averages before the first raw sample,
+   * then the raw samples
+   * @returns {Promise<Array<{time: number, value: number}>>}
+   */
+  static async loadSamples(headerId, from, to) {
+    const database = await getDb();
+    const raw = await database.all(
+      `SELECT recorded_at AS time, value FROM header_value_history
+       WHERE header_id = ? AND recorded_at >= ? AND recorded_at <= ?
+       ORDER BY recorded_at`,
+      [headerId, from, to]
+    );
+
+    const rawStart = raw.length > 0 ? raw[0].time : to;
+    const rollups = await database.all(
+      `SELECT bucket_start + bucket_seconds * 500 AS time, avg_value AS value FROM header_value_rollups
+       WHERE header_id = ? AND bucket_start >= ? AND bucket_start + bucket_seconds * 1000 <= ?
+       ORDER BY bucket_start`,
+      [headerId, from, rawStart]
+    );
+
+    return [...rollups, ...raw];
+  }
+
+  static clearForecast(headerId) {
+    delete this.cache[headerId];
+  }
+}
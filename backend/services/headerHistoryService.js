@@ -0,0 +1,317 @@
+import { getDb } from '../database/db.js';
+import { loadSettings } from '../utils/settingsStorage.js';
+import { DEFAULT_SETTINGS } from '../schemas/settings.js';
+
+// 5 parameters per row keeps a batch under SQLite's default limit of 999 bound variables
+const INSERT_BATCH_SIZE = 150;
+
+// Rollups and retention cleanup run at most this often
+const MAINTENANCE_INTERVAL = 10 * 60 * 1000;
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+// Upper bound on the points returned per header, coarser buckets are used to stay below it
+export const MAX_HISTORY_POINTS = 1000;
+// Bucket count aimed for when the caller leaves the resolution to the server
+const AUTO_HISTORY_POINTS = 300;
+
+/**
+ * Persistent time-series history of polled header values.
+ *
+ * Every value fetched by a monitoring cycle is written to header_value_history in one multi-row
+ * INSERT per cycle. Raw rows older than `history.rawRetentionHours` are folded into
+ * header_value_rollups (min/max/avg/last per `history.rollupInterval` bucket) and deleted;
+ * rollups older than `history.rollupRetentionDays` are deleted.
+ */
+export class HeaderHistoryService {
+  static lastMaintenanceTime = 0;
+  static maintenanceRunning = false;
+
+  /**
+   * Resolve the history settings, filling in defaults for anything not configured
+   */
+  static async getHistorySettings() {
+    const settings = await loadSettings();
+    return { ...DEFAULT_SETTINGS.history, ...(settings?.history || {}) };
+  }
+
+  /**
+   * Record the values polled in one monitoring cycle
+   * @param {Array<{headerId: number, projectId: number, value: number, state: string, recordedAt: number}>} samples
+   * @returns {Promise<number>} Number of rows written
+   */
+  static async recordSamples(samples) {
+    const rows = (samples || []).filter(
+      (sample) => sample.value !== null && sample.value !== undefined && !isNaN(Number(sample.value))
+    );
+    if (rows.length === 0) return 0;
+
+    try {
+      const history = await this.getHistorySettings();
+      if (!history.enabled) return 0;
+
+      const database = await getDb();
+      for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+        const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+        // A single statement is atomic, so no explicit transaction is needed per cycle
+        await database.run(
+          `INSERT INTO header_value_history (header_id, project_id, value, state, recorded_at)
+           VALUES ${batch.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+          batch.flatMap((sample) => [
+            sample.headerId,
+            sample.projectId ?? null,
+            Number(sample.value),
+            sample.state ?? null,
+            sample.recordedAt ?? Date.now()
+          ])
+        );
+      }
+
+      // Maintenance is throttled and runs in the background so it never delays a cycle
+      this.scheduleMaintenance(history);
+      return rows.length;
+    } catch (error) {
+      console.error('Error recording header history:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Start retention maintenance if it is due and not already running
+   */
+  static scheduleMaintenance(history, now = Date.now()) {
+    if (this.maintenanceRunning || now - this.lastMaintenanceTime < MAINTENANCE_INTERVAL) return;
+
+    this.lastMaintenanceTime = now;
+    this.runMaintenance(history, now).catch((error) => {
+      console.error('Error in header history maintenance:', error);
+    });
+  }
+
+  /**
+   * Fold raw samples older than the raw retention into rollups, then apply retention to both tables.
+   * Only whole buckets are rolled up, so each bucket is written once.
+   * @returns {Promise<{rolledUp: number, deletedRaw: number, deletedRollups: number}|null>}
+   */
+  static async runMaintenance(history = null, now = Date.now()) {
+    if (this.maintenanceRunning) return null;
+    this.maintenanceRunning = true;
+
+    try {
+      const config = history || (await this.getHistorySettings());
+      const bucketMs = config.rollupInterval * 1000;
+      const rawCutoff = Math.floor((now - config.rawRetentionHours * HOUR) / bucketMs) * bucketMs;
+      const rollupCutoff = now - config.rollupRetentionDays * DAY;
+
+      const database = await getDb();
+
+      // SQLite takes the bare columns (value, project_id) from the row holding MAX(recorded_at),
+      // i.e. the last sample of the bucket.
+      // "WHERE true" lets the parser tell the ON CONFLICT clause apart from a join constraint.
+      const rollup = await database.run(
+        `INSERT INTO header_value_rollups (
+           header_id, bucket_start, bucket_seconds, project_id,
+           min_value, max_value, avg_value, last_value, sample_count
+         )
+         SELECT header_id, bucket_start, ?, project_id, min_value, max_value, avg_value, value, sample_count
+         FROM (
+           SELECT header_id, (recorded_at / ?) * ? AS bucket_start, project_id, value,
+                  MIN(value) AS min_value, MAX(value) AS max_value, AVG(value) AS avg_value,
+                  COUNT(*) AS sample_count, MAX(recorded_at)
+           FROM header_value_history
+           WHERE recorded_at < ?
+           GROUP BY header_id, bucket_start
+         )
+         WHERE true
+         ON CONFLICT(header_id, bucket_start) DO UPDATE SET
+           min_value = MIN(min_value, excluded.min_value),
+           max_value = MAX(max_value, excluded.max_value),
+           avg_value = (avg_value * sample_count + excluded.avg_value * excluded.sample_count)
+                       / (sample_count + excluded.sample_count),
+           last_value = excluded.last_value,
+           sample_count = sample_count + excluded.sample_count`,
+        [config.rollupInterval, bucketMs, bucketMs, rawCutoff]
+      );
+
+      const deletedRaw = await database.run('DELETE FROM header_value_history WHERE recorded_at < ?', [rawCutoff]);
+      const deletedRollups = await database.run('DELETE FROM header_value_rollups WHERE bucket_start < ?', [
+        rollupCutoff
+      ]);
+
+      const result = {
+        rolledUp: rollup.changes || 0,
+        deletedRaw: deletedRaw.changes || 0,
+        deletedRollups: deletedRollups.changes || 0
+      };
+      if (result.rolledUp || result.deletedRaw || result.deletedRollups) {
+        console.log(
+          `[HISTORY] Rolled up ${result.deletedRaw} raw samples into ${result.rolledUp} buckets, ` +
+            `deleted ${result.deletedRollups} expired rollups`
+        );
+      }
+      return result;
+    } finally {
+      this.maintenanceRunning = false;
+    }
+  }
+
+  /**
+   * Pick the bucket size in seconds for a history request.
+   * "auto" (or nothing) aims for about AUTO_HISTORY_POINTS buckets; explicit sizes are raised when
+   * they would return more than MAX_HISTORY_POINTS.
+   */
+  static resolveResolution(from, to, resolution) {
+    const rangeSeconds = Math.max(1, (to - from) / 1000);
+    const requested = resolution === undefined || resolution === 'auto' ? null : Number(resolution);
+
+    const seconds = requested || Math.ceil(rangeSeconds / AUTO_HISTORY_POINTS);
+    return Math.max(1, Math.ceil(seconds), Math.ceil(rangeSeconds / MAX_HISTORY_POINTS));
+  }
+
+  /**
+   * Get bucketed history for one or more headers.
+   * Raw samples and rollups are combined; rollups only cover time the raw table no longer holds,
+   * so buckets finer than the rollup interval are only available for the raw retention window.
+   * @param {number[]} headerIds
+   * @param {{from: number, to: number, resolution: number|string}} range - Epoch ms bounds
+   * @returns {Promise<{from: number, to: number, resolution: number, series: Array}>}
+   */
+  static async getHistory(headerIds, { from, to, resolution }) {
+    const bucketSeconds = this.resolveResolution(from, to, resolution);
+    const bucketMs = bucketSeconds * 1000;
+    const alignedFrom = Math.floor(from / bucketMs) * bucketMs;
+
+    const database = await getDb();
+    const placeholders = headerIds.map(() => '?').join(', ');
+
+    const headers = await database.all(
+      `SELECT header_id, header_name, project_id FROM project_header_settings WHERE header_id IN (${placeholders})`,
+      headerIds
+    );
+
+    // Rollups only count before each header's oldest raw sample. Bare columns (last_value, value)
+    // come from the row holding the MAX() of the time column
+    const rollupRows = await database.all(
+      `SELECT r.header_id, (r.bucket_start / ?) * ? AS time,
+              MIN(r.min_value) AS min, MAX(r.max_value) AS max,
+              SUM(r.avg_value * r.sample_count) / SUM(r.sample_count) AS avg,
+              r.last_value AS last, SUM(r.sample_count) AS count, MAX(r.bucket_start)
+       FROM header_value_rollups r
+       LEFT JOIN (
+         SELECT header_id, MIN(recorded_at) AS raw_start FROM header_value_history
+         WHERE header_id IN (${placeholders})
+         GROUP BY header_id
+       ) raw ON raw.header_id = r.header_id
+       WHERE r.header_id IN (${placeholders}) AND r.bucket_start >= ? AND r.bucket_start <= ?
+         AND r.bucket_start + r.bucket_seconds * 1000 <= COALESCE(raw.raw_start, ?)
+       GROUP BY r.header_id, time
+       ORDER BY r.header_id, time`,
+      [bucketMs, bucketMs, ...headerIds, ...headerIds, alignedFrom, to, Number.MAX_SAFE_INTEGER]
+    );
+    const rawRows = await database.all(
+      `SELECT header_id, (recorded_at / ?) * ? AS time,
+              MIN(value) AS min, MAX(value) AS max, AVG(value) AS avg,
+              value AS last, COUNT(*) AS count, MAX(recorded_at)
+       FROM header_value_history
+       WHERE header_id IN (${placeholders}) AND recorded_at >= ? AND recorded_at <= ?
+       GROUP BY header_id, time
+       ORDER BY header_id, time`,
+      [bucketMs, bucketMs, ...headerIds, alignedFrom, to]
+    );
+
+    const series = headerIds.map((headerId) => {
+      const header = headers.find((row) => String(row.header_id) === String(headerId));
+      const rows = [...rollupRows, ...rawRows].filter((row) => String(row.header_id) === String(headerId));
+
+      // A bucket can straddle the rollup/raw boundary, merge those into one point
+      const points = [];
+      for (const row of rows) {
+        const point = { time: row.time, min: row.min, max: row.max, avg: row.avg, last: row.last, count: row.count };
+        const previous = points[points.length - 1];
+
+        if (previous && previous.time === point.time) {
+          previous.avg = (previous.avg * previous.count + point.avg * point.count) / (previous.count + point.count);
+          previous.min = Math.min(previous.min, point.min);
+          previous.max = Math.max(previous.max, point.max);
+          previous.last = point.last;
+          previous.count += point.count;
+        } else {
+          points.push(point);
+        }
+      }
+
+      return {
+        headerId,
+        headerName: header?.header_name || null,
+        projectId: header?.project_id ?? null,
+        points
+      };
+    });
+
+    return { from, to, resolution: bucketSeconds, series };
+  }
+
+  /**
+   * Get the extremes and average of a header's recorded values over a time range
+   * @returns {Promise<{min: number, max: number, avg: number, count: number, minAt: number, maxAt: number}|null>}
+   *   null when nothing was recorded in the range
+   */
+  static async getValueStats(headerId, from, to) {
+    try {
+      const database = await getDb();
+      const rawStart =
+        (await database.get('SELECT MIN(recorded_at) AS time FROM header_value_history WHERE header_id = ?', [headerId]))
+          ?.time ?? Number.MAX_SAFE_INTEGER;
+
+      // Rollups cover the part of the range the raw table no longer holds; times of the extremes
+      // are only as precise as their bucket there
+      const rollup = await database.get(
+        `SELECT MIN(min_value) AS min, MAX(max_value) AS max, SUM(avg_value * sample_count) AS total,
+                SUM(sample_count) AS count
+         FROM header_value_rollups
+         WHERE header_id = ? AND bucket_start + bucket_seconds * 1000 > ? AND bucket_start < ? AND bucket_start < ?`,
+        [headerId, from, to, rawStart]
+      );
+      const raw = await database.get(
+        `SELECT MIN(value) AS min, MAX(value) AS max, SUM(value) AS total, COUNT(*) AS count
+         FROM header_value_history
+         WHERE header_id = ? AND recorded_at >= ? AND recorded_at <= ?`,
+        [headerId, from, to]
+      );
+
+      const count = (rollup?.count || 0) + (raw?.count || 0);
+      if (count === 0) return null;
+
+      const min = Math.min(...[rollup?.min, raw?.min].filter((value) => value !== null && value !== undefined));
+      const max = Math.max(...[rollup?.max, raw?.max].filter((value) => value !== null && value !== undefined));
+
+      // First time each extreme was seen, from the raw samples or the rollup buckets holding it
+      const extremes = await database.get(
+        `WITH samples AS (
+           SELECT recorded_at AS time, value AS low, value AS high FROM header_value_history
+           WHERE header_id = ? AND recorded_at >= ? AND recorded_at <= ? AND value IN (?, ?)
+           UNION ALL
+           SELECT bucket_start, min_value, max_value FROM header_value_rollups
+           WHERE header_id = ? AND bucket_start + bucket_seconds * 1000 > ? AND bucket_start < ? AND bucket_start < ?
+             AND (min_value = ? OR max_value = ?)
+         )
+         SELECT (SELECT time FROM samples WHERE low = ? ORDER BY time LIMIT 1) AS minAt,
+                (SELECT time FROM samples WHERE high = ? ORDER BY time LIMIT 1) AS maxAt`,
+        [headerId, from, to, min, max, headerId, from, to, rawStart, min, max, min, max]
+      );
+
+      return {
+        min,
+        max,
+        avg: ((rollup?.total || 0) + (raw?.total || 0)) / count,
+        count,
+        minAt: extremes?.minAt ?? null,
+        maxAt: extremes?.maxAt ?? null
+      };
+    } catch (error) {
+      console.error(`Error computing value stats for header ${headerId}:`, error);
+      return null;
+    }
+  }
+}
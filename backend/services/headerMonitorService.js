@@ -3,6 +3,36 @@ import { getDb } from "../database/db.js";
 import fetch from "node-fetch";
 import dotenv from "dotenv";
 import { loadSettings } from "../utils/settingsStorage.js";
+import {
+  resolveThresholdRule,
+  isThresholdBreached,
+  isThresholdRecovered,
+  describeThresholdRule,
+} from "../shared/thresholdRules.js";
+import { resolveRateRule, computeSlope, isRateBreached } from "../shared/rateRules.js";
+import {
+  resolveFrozenRule,
+  isWithinFrozenTolerance,
+  computeStdDev,
+  describeFrozenTolerance,
+} from "../utils/frozenRules.js";
+import {
+  resolveSeverityLevels,
+  resolveAlertTypeSeverity,
+  severityRank,
+  DEFAULT_SEVERITY,
+} from "../utils/severityLevels.js";
+import { parseExpression, evaluateExpression, compareValue } from "../utils/expression.js";
+import { CompoundRuleService } from "./compoundRuleService.js";
+import { classifyHeader } from "../shared/headerClassifier.js";
+import { HeaderHistoryService } from "./headerHistoryService.js";
+import { ForecastService } from "./forecastService.js";
+import { MaintenanceWindowService } from "./maintenanceWindowService.js";
+import { SnoozeService } from "./snoozeService.js";
+import { FORECAST_RECOVERY_FACTOR } from "../utils/forecastRules.js";
+import { resolveAnomalyRule, updateBaseline, computeAnomalyScore, isAnomalous } from "../utils/anomalyRules.js";
+import { AlertEventService, ALERT_EVENT_TYPES } from "./alertEventService.js";
+import { AlertLifecycleService, ACTIVE_ALERT_STATES } from "./alertLifecycleService.js";
 
 // Reload environment variables
 dotenv.config();
@@ -194,9 +224,11 @@ export class HeaderMonitorService {
   }
 
   /**
-   * Check a header value against its threshold and update its state
+   * Run every alert check on one header value.
+   * `context` carries what monitorAllHeaders has already worked out for the header this cycle, its
+   * `categorySettings` and `forecast`, and the cycle's `snoozeContext`; anything missing is looked up here.
    */
-  static async checkHeaderValue(projectId, headerId, currentValue, headerState = null) {
+  static async checkHeaderValue(projectId, headerId, currentValue, headerState = null, context = {}) {
     try {
       // 1. Get header configuration
       const settings = await HeaderSettingsService.getProjectHeaderSettings(projectId);
@@ -228,15 +260,37 @@ export class HeaderMonitorService {
         return this.createResponse(currentValue, headerState, headerConfig);
       }
 
-      // 5. Alert detection pipeline
-      let alert = null;
-      alert = alert || (await this.checkFrozenAlert(projectId, headerConfig, currentValue, headerState));
-      alert = alert || (await this.checkThresholdAlert(projectId, headerConfig, currentValue, headerState));
+      // 5. Record the sample used by the frozen variance and rate-of-change checks
+      this.recordValueSample(headerId, currentValue);
+
+      // Every check shares the category settings, resolved once per header per cycle
+      const categorySettings =
+        "categorySettings" in context
+          ? context.categorySettings
+          : await this.getCategorySettings(headerConfig.header_name);
+      const checkContext = { categorySettings, forecast: context.forecast, snoozeContext: context.snoozeContext };
+
+      // 6. Alert detection pipeline. Every check runs each cycle, so its breach timers and baselines stay
+      // current while another check's alert is open or snoozed
+      const checks = [
+        this.checkFrozenAlert,
+        this.checkRateAlert,
+        this.checkThresholdAlert,
+        this.checkAnomalyAlert,
+        this.checkForecastAlert,
+      ];
+      const alerts = [];
+      for (const check of checks) {
+        const alert = await check.call(this, projectId, headerConfig, currentValue, headerState, checkContext);
+        if (alert) {
+          alerts.push(alert);
+        }
+      }
 
-      // 6. Update header state with latest values
+      // 7. Update header state with latest values
       await HeaderSettingsService.updateHeaderValueAndState(projectId, headerId, currentValue, headerState);
 
-      return this.createResponse(currentValue, headerState, headerConfig, alert);
+      return this.createResponse(currentValue, headerState, headerConfig, alerts);
     } catch (error) {
       console.error(`Header check failed for ${headerId}:`, error);
       return null;
@@ -305,17 +359,39 @@ export class HeaderMonitorService {
     );
   }
   /**
-   * Save an alert to the database
+   * Save an alert to the database.
+   * A new occurrence is inserted as open and gets a "triggered" event; saving an alert that is already
+   * active updates its values but keeps its lifecycle (state, acknowledgement, trigger and breach start).
    */
   static async saveAlert(alert) {
     const db = await getDb();
+    const now = Date.now();
     const alertData = {
       id: alert.id,
       type: alert.type,
+      severity: alert.severity || DEFAULT_SEVERITY,
+      escalated_at: alert.escalatedAt || null,
       header_id: alert.headerId,
       header_name: alert.headerName,
       value: alert.value ?? null,
       threshold: alert.threshold ?? null,
+      threshold_direction: alert.thresholdDirection || null,
+      threshold_min: alert.thresholdMin ?? null,
+      threshold_max: alert.thresholdMax ?? null,
+      rate: alert.rate ?? null,
+      rate_limit: alert.rateLimit ?? null,
+      rate_window: alert.rateWindow ?? null,
+      rate_direction: alert.rateDirection || null,
+      forecast_eta: alert.forecastEta ?? null,
+      forecast_rate: alert.forecastRate ?? null,
+      forecast_lead_time: alert.forecastLeadTime ?? null,
+      anomaly_score: alert.anomalyScore ?? null,
+      anomaly_mean: alert.anomalyMean ?? null,
+      anomaly_std_dev: alert.anomalyStdDev ?? null,
+      anomaly_sigma: alert.anomalySigma ?? null,
+      rule_id: alert.ruleId ?? null,
+      expression: alert.expression || null,
+      comparison: alert.comparison || null,
       timestamp: alert.timestamp || new Date().toISOString(),
       project_id: alert.projectId,
       company_id: alert.companyId || null,
@@ -324,7 +400,12 @@ export class HeaderMonitorService {
       // Add snooze info if available
       snoozed: alert.snoozed ? 1 : 0,
       snooze_until: alert.snoozeUntil || null,
+      // Lifecycle columns, only written when the occurrence is inserted
+      state: "open",
+      triggered_at: now,
+      breach_started_at: alert.breachStartedAt ?? now - (alert.duration || 0),
     };
+    const insertOnlyFields = ["state", "triggered_at", "breach_started_at"];
 
     try {
       // Check if table has the necessary columns
@@ -334,62 +415,50 @@ export class HeaderMonitorService {
       // Add columns if they don't exist
       if (!columns.includes("snoozed")) {
         await db.run("ALTER TABLE alerts ADD COLUMN snoozed INTEGER DEFAULT 0");
+        columns.push("snoozed");
       }
 
       if (!columns.includes("snooze_until")) {
         await db.run("ALTER TABLE alerts ADD COLUMN snooze_until TEXT DEFAULT NULL");
+        columns.push("snooze_until");
       }
 
-      // Build SQL dynamically based on available columns
-      let sql = `INSERT OR REPLACE INTO alerts (
-          id, type, header_id, header_name, value, threshold, 
-          timestamp, project_id, company_id, stage_id, dismissed`;
-
-      if (columns.includes("snoozed") || !columns.includes("snoozed")) {
-        sql += `, snoozed`;
-      }
-
-      if (columns.includes("snooze_until") || !columns.includes("snooze_until")) {
-        sql += `, snooze_until`;
-      }
-
-      sql += `) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?`;
-
-      if (columns.includes("snoozed") || !columns.includes("snoozed")) {
-        sql += `, ?`;
-      }
-
-      if (columns.includes("snooze_until") || !columns.includes("snooze_until")) {
-        sql += `, ?`;
+      // A finished occurrence still holding the id (e.g. dismissed before the lifecycle existed) is archived first
+      let existing = await db.get("SELECT * FROM alerts WHERE id = ?", [alert.id]);
+      if (existing && !ACTIVE_ALERT_STATES.includes(existing.state || "open")) {
+        await AlertLifecycleService.archiveAlert(existing);
+        existing = null;
       }
 
-      sql += `)`;
-
-      // Prepare params array
-      const params = [
-        alertData.id,
-        alertData.type,
-        alertData.header_id,
-        alertData.header_name,
-        alertData.value,
-        alertData.threshold,
-        alertData.timestamp,
-        alertData.project_id,
-        alertData.company_id,
-        alertData.stage_id,
-        alertData.dismissed,
-      ];
+      // Build SQL dynamically based on available columns
+      const fields = Object.keys(alertData).filter((field) => columns.includes(field));
+      const updates = fields.filter((field) => field !== "id" && !insertOnlyFields.includes(field));
+      const sql = `INSERT INTO alerts (${fields.join(", ")}) VALUES (${fields.map(() => "?").join(", ")})
+        ON CONFLICT(id) DO UPDATE SET ${updates.map((field) => `${field} = excluded.${field}`).join(", ")}`;
+      const params = fields.map((field) => alertData[field]);
 
-      if (columns.includes("snoozed") || !columns.includes("snoozed")) {
-        params.push(alertData.snoozed);
-      }
+      await db.run(sql, params);
 
-      if (columns.includes("snooze_until") || !columns.includes("snooze_until")) {
-        params.push(alertData.snooze_until);
+      if (!existing) {
+        await AlertEventService.recordEvents([
+          {
+            alertId: alert.id,
+            type: ALERT_EVENT_TYPES.TRIGGERED,
+            occurredAt: now,
+            details: { severity: alertData.severity, value: alertData.value },
+          },
+        ]);
+      } else if (alert.escalatedFrom) {
+        await AlertEventService.recordEvents([
+          {
+            alertId: alert.id,
+            type: ALERT_EVENT_TYPES.ESCALATED,
+            occurredAt: now,
+            details: { from: alert.escalatedFrom, to: alertData.severity, value: alertData.value },
+          },
+        ]);
       }
 
-      await db.run(sql, params);
-
       console.log("Alert saved:", alert.id, alert.snoozed ? `(snoozed until ${alert.snoozeUntil})` : "");
       return true;
     } catch (error) {
@@ -398,114 +467,179 @@ export class HeaderMonitorService {
     }
   }
 
-  static async checkThresholdAlert(projectId, config, currentValue, state) {
+  static async checkThresholdAlert(projectId, config, currentValue, state, { categorySettings, snoozeContext } = {}) {
     const COOLDOWN_DURATION = 3600 * 1000; // 1 hour in milliseconds
-    const INITIAL_ALERT_DURATION = 120 * 1000; // 2 minutes in milliseconds
-    const DEFAULT_THRESHOLD = 20; // Default threshold value (changed from 120 to 20)
 
     try {
       const db = await getDb();
       const now = Date.now();
-      // Use default threshold of 120 (2 minutes) if not specified
-      const threshold =
-        config.threshold !== null && config.threshold !== undefined ? config.threshold : DEFAULT_THRESHOLD;
+      // Severity levels (least severe first); a header override collapses them into one critical level
+      const levels = resolveSeverityLevels(config, categorySettings);
       const alertId = `threshold_${projectId}_${config.header_id}`;
 
-      // Check if this alert is already snoozed
-      const snoozeStatus = await this.isAlertSnoozed(alertId);
-
-      // If the alert is already snoozed, skip threshold checking and immediately return alert with snooze info
-      if (snoozeStatus && snoozeStatus.snoozed) {
-        console.log(
-          `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Alert is snoozed until ${snoozeStatus.snoozeUntil} - skipping threshold check`
-        );
-        // Get any existing alert
-        const existingAlert = await db.get("SELECT * FROM alerts WHERE id = ?", [alertId]);
-        if (existingAlert) {
-          const alert = this.createThresholdAlert(config, currentValue, state, 0);
-          alert.snoozed = true;
-          alert.snoozeUntil = snoozeStatus.snoozeUntil;
-          alert.timestamp = existingAlert.timestamp || new Date().toISOString();
-          return alert;
-        }
-        return null;
-      }
+      // A snoozed alert is not raised, escalated or repeated, but its breach and recovery are still tracked
+      const snoozeStatus = await this.isAlertSnoozed(alertId, config, snoozeContext);
+      const getSnoozedAlert = () =>
+        this.getSnoozedAlert(alertId, snoozeStatus, (existingAlert) => {
+          const level = levels.find((l) => l.severity === existingAlert.severity) || levels[levels.length - 1];
+          return this.createThresholdAlert(config, currentValue, state, 0, level.rule, level.severity);
+        });
 
       // 1. Retrieve alert state
-      const { first_exceeded_time, last_alert_time } = await db.get(
-        `SELECT first_exceeded_time, last_alert_time 
+      const { first_exceeded_time, last_alert_time, recovery_started_time, level_exceeded_times } = await db.get(
+        `SELECT first_exceeded_time, last_alert_time, recovery_started_time, level_exceeded_times 
          FROM project_header_settings 
          WHERE project_id = ? AND header_id = ?`,
         [projectId, config.header_id]
       );
 
-      // 2. Check current threshold status - values BELOW threshold are concerning
-      // For pressure/battery headers, lower values are concerning (below threshold)
-      const isBelowThreshold = currentValue < threshold;
+      // 2. Check current threshold status against every level
+      const breachedLevels = levels.filter((level) => isThresholdBreached(currentValue, level.rule));
+      const isBreached = breachedLevels.length > 0;
       console.log(
-        `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Current ${currentValue} < ${threshold}? ${isBelowThreshold}`
+        `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Current ${currentValue} ${levels
+          .map((level) => `${level.severity} ${describeThresholdRule(level.rule)}`)
+          .join(", ")}? ${breachedLevels.map((level) => level.severity).join(", ") || "none"}`
       );
 
-      // 3. Handle value recovery
-      if (!isBelowThreshold) {
-        if (last_alert_time) {
+      // 3. Handle value recovery with hysteresis: the value has to clear the recovery margin of every level
+      // and hold there before the breach state (timers and alert) is reset
+      if (!isBreached) {
+        if (!first_exceeded_time && !last_alert_time) {
+          return null;
+        }
+
+        if (!levels.every((level) => isThresholdRecovered(currentValue, level.rule))) {
+          console.log(`\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Within recovery margin - holding breach state`);
+          if (recovery_started_time) {
+            await this.setRecoveryStartedTime(projectId, config.header_id, null);
+          }
+          return null;
+        }
+
+        const recoveryHold = Math.max(...levels.map((level) => level.rule.recoveryHold));
+        const recoveryStart = recovery_started_time || now;
+        const recoveryElapsed = now - recoveryStart;
+        if (recoveryElapsed < recoveryHold * 1000) {
+          if (!recovery_started_time) {
+            await this.setRecoveryStartedTime(projectId, config.header_id, now);
+          }
           console.log(
-            `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Value recovered - clearing alert and resetting state`
+            `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Recovering: ${recoveryElapsed / 1000}s/${recoveryHold}s`
           );
-          await this.deleteAlert(alertId);
-          await this.resetAlertState(projectId, config.header_id);
+          return null;
+        }
+
+        console.log(
+          `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Value recovered - clearing alert and resetting state`
+        );
+        if (last_alert_time) {
+          await AlertLifecycleService.resolveAlert(alertId, { automatic: true, reason: "Value recovered" });
         }
+        await this.resetAlertState(projectId, config.header_id);
         return null;
       }
 
-      // 4. Initial alert phase
-      if (!last_alert_time) {
-        const firstExceeded = first_exceeded_time || now;
-        const elapsed = now - firstExceeded;
+      // Breached again before the recovery hold elapsed - keep the existing breach going
+      if (recovery_started_time) {
+        console.log(`\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Breached again during recovery hold`);
+        await this.setRecoveryStartedTime(projectId, config.header_id, null);
+      }
+
+      // 4. Track since when each level has been continuously breached
+      const exceededTimes = this.parseLevelExceededTimes(level_exceeded_times);
+      for (const level of levels) {
+        if (breachedLevels.includes(level)) {
+          exceededTimes[level.severity] = exceededTimes[level.severity] || now;
+        } else {
+          delete exceededTimes[level.severity];
+        }
+      }
+      await db.run(
+        `UPDATE project_header_settings 
+         SET first_exceeded_time = COALESCE(first_exceeded_time, ?), level_exceeded_times = ? 
+         WHERE project_id = ? AND header_id = ?`,
+        [now, JSON.stringify(exceededTimes), projectId, config.header_id]
+      );
+
+      // The most severe level that has been breached for its own alert duration
+      const dueLevels = levels.filter(
+        (level) => exceededTimes[level.severity] && now - exceededTimes[level.severity] >= level.alertDuration * 1000
+      );
+      const targetLevel = dueLevels[dueLevels.length - 1];
 
-        // Log more details to debug immediate alerts issue
+      // 5. Initial alert phase
+      if (!last_alert_time) {
         console.log(`\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Alert status check:
-          - First exceeded time: ${first_exceeded_time ? new Date(first_exceeded_time).toISOString() : "none"}
+          - Level breach times: ${JSON.stringify(exceededTimes)}
           - Current time: ${new Date(now).toISOString()}
-          - Elapsed: ${elapsed / 1000}s
-          - Required wait time: ${INITIAL_ALERT_DURATION / 1000}s`);
+          - Required wait times: ${levels.map((level) => `${level.severity} ${level.alertDuration}s`).join(", ")}`);
 
-        if (!first_exceeded_time) {
-          console.log(`\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Initial breach detected - starting timer`);
-          await db.run(
-            `UPDATE project_header_settings 
-             SET first_exceeded_time = ? 
-             WHERE project_id = ? AND header_id = ?`,
-            [now, projectId, config.header_id]
-          );
+        if (!targetLevel) {
+          console.log(`\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Breach ongoing - waiting for alert duration`);
           return null;
         }
-
-        // ALWAYS enforce the wait period before triggering alert
-        if (elapsed >= INITIAL_ALERT_DURATION) {
-          console.log(
-            `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Initial alert triggered after ${elapsed / 1000}s`
-          );
-          const alert = this.createThresholdAlert(config, currentValue, state, elapsed);
-          await this.saveAlert(alert);
-          await db.run(
-            `UPDATE project_header_settings 
-             SET last_alert_time = ? 
-             WHERE project_id = ? AND header_id = ?`,
-            [now, projectId, config.header_id]
-          );
-          return alert;
+        if (snoozeStatus && snoozeStatus.snoozed) {
+          return getSnoozedAlert();
         }
 
+        const elapsed = now - exceededTimes[targetLevel.severity];
         console.log(
-          `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Breach ongoing: ${elapsed / 1000}s/${
-            INITIAL_ALERT_DURATION / 1000
+          `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Initial ${targetLevel.severity} alert triggered after ${
+            elapsed / 1000
           }s`
         );
-        return null;
+        const alert = this.createThresholdAlert(
+          config,
+          currentValue,
+          state,
+          elapsed,
+          targetLevel.rule,
+          targetLevel.severity
+        );
+        await this.saveAlert(alert);
+        await db.run(
+          `UPDATE project_header_settings 
+           SET last_alert_time = ? 
+           WHERE project_id = ? AND header_id = ?`,
+          [now, projectId, config.header_id]
+        );
+        return alert;
+      }
+
+      // 6. Escalation: a more severe level is now due, update the same alert record and notify right away
+      const existingAlert = await db.get("SELECT timestamp, severity FROM alerts WHERE id = ?", [alertId]);
+      const currentSeverity = existingAlert?.severity || DEFAULT_SEVERITY;
+      if (targetLevel && severityRank(targetLevel.severity) > severityRank(currentSeverity)) {
+        if (snoozeStatus && snoozeStatus.snoozed) {
+          return getSnoozedAlert();
+        }
+        console.log(
+          `\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Escalating ${currentSeverity} -> ${targetLevel.severity}`
+        );
+        const alert = this.createThresholdAlert(
+          config,
+          currentValue,
+          state,
+          now - exceededTimes[targetLevel.severity],
+          targetLevel.rule,
+          targetLevel.severity
+        );
+        alert.timestamp = existingAlert?.timestamp || alert.timestamp;
+        alert.escalatedFrom = currentSeverity;
+        alert.escalatedAt = new Date(now).toISOString();
+
+        await this.saveAlert(alert);
+        await db.run(
+          `UPDATE project_header_settings 
+           SET last_alert_time = ? 
+           WHERE project_id = ? AND header_id = ?`,
+          [now, projectId, config.header_id]
+        );
+        return alert;
       }
 
-      // 5. Cooldown phase
+      // 7. Cooldown phase
       const cooldownElapsed = now - last_alert_time;
       if (cooldownElapsed < COOLDOWN_DURATION) {
         console.log(
@@ -516,9 +650,20 @@ export class HeaderMonitorService {
         return null;
       }
 
-      // 6. Recurring alert check
+      // 8. Recurring alert check - severity never drops while the alert is open
+      if (snoozeStatus && snoozeStatus.snoozed) {
+        return getSnoozedAlert();
+      }
       console.log(`\x1b[31m[THRESHOLD][${config.header_id}]\x1b[0m Cooldown expired - rechecking...`);
-      const alert = this.createThresholdAlert(config, currentValue, state, now - last_alert_time);
+      const currentLevel = levels.find((level) => level.severity === currentSeverity) || levels[levels.length - 1];
+      const alert = this.createThresholdAlert(
+        config,
+        currentValue,
+        state,
+        now - last_alert_time,
+        currentLevel.rule,
+        currentLevel.severity
+      );
       alert.timestamp = new Date().toISOString();
 
       await this.saveAlert(alert);
@@ -537,31 +682,102 @@ export class HeaderMonitorService {
     }
   }
 
+  /**
+   * What a check returns instead of raising its alert while the alert is snoozed: the existing occurrence,
+   * marked snoozed, without saving anything. The check keeps tracking its breach in the meantime.
+   * @param {Function} createAlert - Builds the alert from the existing alerts row
+   * @returns {Promise<Object|null>} null when the alert has no existing occurrence
+   */
+  static async getSnoozedAlert(alertId, snoozeStatus, createAlert) {
+    console.log(`[SNOOZE][${alertId}] Snoozed until ${snoozeStatus.snoozeUntil} - not raising alert`);
+    const db = await getDb();
+    const existingAlert = await db.get("SELECT * FROM alerts WHERE id = ?", [alertId]);
+    if (!existingAlert) {
+      return null;
+    }
+
+    const alert = createAlert(existingAlert);
+    alert.snoozed = true;
+    alert.snoozeUntil = snoozeStatus.snoozeUntil;
+    alert.timestamp = existingAlert.timestamp || new Date().toISOString();
+    return alert;
+  }
+
+  static parseLevelExceededTimes(value) {
+    try {
+      return value ? JSON.parse(value) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
   static async resetAlertState(projectId, headerId) {
     const db = await getDb();
     await db.run(
       `UPDATE project_header_settings 
        SET first_exceeded_time = NULL,
-           last_alert_time = NULL 
+           last_alert_time = NULL,
+           recovery_started_time = NULL,
+           level_exceeded_times = NULL 
        WHERE project_id = ? AND header_id = ?`,
       [projectId, headerId]
     );
     console.log(`[${headerId}] Alert state reset`);
   }
 
-  static createThresholdAlert(config, value, state, duration) {
-    // Use default threshold of 20 if not specified (consistent with default in threshold check)
-    const DEFAULT_THRESHOLD = 20;
-    const threshold =
-      config.threshold !== null && config.threshold !== undefined ? config.threshold : DEFAULT_THRESHOLD;
+  /**
+   * Keep a header in a maintenance window up to date without checking it. Its value is stored and its
+   * breach timers, frozen anchor and samples start over, so nothing from the window counts once it ends.
+   */
+  static async suspendHeaderChecks(projectId, headerId, currentValue, headerState) {
+    const db = await getDb();
+    await db.run(
+      `UPDATE project_header_settings
+       SET first_exceeded_time = NULL,
+           recovery_started_time = NULL,
+           level_exceeded_times = NULL,
+           anomaly_started_time = NULL,
+           last_value = ?,
+           last_value_time = ?
+       WHERE project_id = ? AND header_id = ?`,
+      [currentValue, Date.now(), projectId, headerId]
+    );
+    this.clearFrozenState(headerId);
+    this.clearValueSamples(headerId);
+    this.clearAnomalyBaseline(headerId);
+
+    await HeaderSettingsService.updateHeaderValueAndState(projectId, headerId, currentValue, headerState);
+  }
+
+  static async setRecoveryStartedTime(projectId, headerId, timestamp) {
+    const db = await getDb();
+    await db.run(
+      `UPDATE project_header_settings 
+       SET recovery_started_time = ? 
+       WHERE project_id = ? AND header_id = ?`,
+      [timestamp, projectId, headerId]
+    );
+  }
 
+  static createThresholdAlert(
+    config,
+    value,
+    state,
+    duration,
+    rule = resolveThresholdRule(config),
+    severity = DEFAULT_SEVERITY
+  ) {
     return {
       id: `threshold_${config.project_id}_${config.header_id}`,
       type: "threshold",
+      severity: severity,
       headerId: config.header_id,
       headerName: config.header_name,
       value: value,
-      threshold: threshold, // Use calculated threshold with default
+      threshold: rule.threshold, // Resolved threshold (header override, category default or 20)
+      thresholdDirection: rule.direction,
+      thresholdMin: rule.min,
+      thresholdMax: rule.max,
       duration: duration,
       timestamp: new Date().toISOString(),
       projectId: config.project_id,
@@ -570,51 +786,21 @@ export class HeaderMonitorService {
       state: state,
     };
   }
-  static async deleteAlert(alertId) {
-    const db = await getDb();
-    try {
-      await db.run(`DELETE FROM alerts WHERE id = ?`, [alertId]);
-      console.log(`Deleted alert: ${alertId}`);
-    } catch (error) {
-      console.error(`Failed to delete alert: ${alertId}`, error);
-    }
-  }
-
-  static async checkFrozenAlert(projectId, config, currentValue, state) {
+  static async checkFrozenAlert(projectId, config, currentValue, state, { categorySettings, snoozeContext } = {}) {
     const COOLDOWN_DURATION = 3600 * 1000; // 1 hour in milliseconds
-    const FROZEN_DURATION_DEFAULT = 120 * 1000; // 2 minutes in milliseconds by default
 
     try {
       const db = await getDb();
 
       const now = Date.now();
-      // Use default frozen threshold of 120 seconds (2 minutes) if not specified
-      const frozenThreshold =
-        config.frozen_threshold !== null && config.frozen_threshold !== undefined
-          ? config.frozen_threshold * 1000
-          : FROZEN_DURATION_DEFAULT;
+      // Header override wins over the category duration; tolerance and variance come from the category
+      const rule = resolveFrozenRule(config, categorySettings);
+      const frozenThreshold = rule.duration * 1000;
 
       const alertId = `frozen_${projectId}_${config.header_id}`;
 
-      // Check if this alert is already snoozed
-      const snoozeStatus = await this.isAlertSnoozed(alertId);
-
-      // If the alert is already snoozed, skip frozen checking and immediately return alert with snooze info
-      if (snoozeStatus && snoozeStatus.snoozed) {
-        console.log(
-          `\x1b[36m[FROZEN][${config.header_id}]\x1b[0m Alert is snoozed until ${snoozeStatus.snoozeUntil} - skipping frozen check`
-        );
-        // Get any existing alert
-        const existingAlert = await db.get("SELECT * FROM alerts WHERE id = ?", [alertId]);
-        if (existingAlert) {
-          const alert = this.createFrozenAlert(config, currentValue, state, 0);
-          alert.snoozed = true;
-          alert.snoozeUntil = snoozeStatus.snoozeUntil;
-          alert.timestamp = existingAlert.timestamp || new Date().toISOString();
-          return alert;
-        }
-        return null;
-      }
+      // A snoozed alert is not raised or repeated, but the flat period is still tracked
+      const snoozeStatus = await this.isAlertSnoozed(alertId, config, snoozeContext);
 
       // Get the last seen value for this header
       const { last_value, last_value_time, last_frozen_alert_time } = await db.get(
@@ -625,18 +811,27 @@ export class HeaderMonitorService {
       );
 
       const hasLastValue = last_value !== null && last_value_time !== null;
+      // last_value is the anchor of the flat period; dithering within the tolerance keeps it.
       // We should check all values for being frozen, including zeros
-      const sameValue = hasLastValue && currentValue === last_value;
+      const sameValue = hasLastValue && isWithinFrozenTolerance(currentValue, last_value, rule);
+
+      // A live signal keeps some noise even when it looks flat
+      const stdDev = rule.varianceWindow
+        ? computeStdDev(this.getValueSamples(config.header_id), rule.varianceWindow, now)
+        : null;
+      const isLive = stdDev !== null && stdDev > rule.maxStdDev;
 
       console.log(
-        `\x1b[36m[FROZEN][${config.header_id}]\x1b[0m Current value: ${currentValue}, Last value: ${last_value}, Same value? ${sameValue}`
+        `\x1b[36m[FROZEN][${config.header_id}]\x1b[0m Current value: ${currentValue}, Anchor value: ${last_value}, Within ${describeFrozenTolerance(
+          rule
+        )}? ${sameValue}${rule.varianceWindow ? `, Std dev over ${rule.varianceWindow}s: ${stdDev ?? "n/a"} (max ${rule.maxStdDev})` : ""}`
       );
 
-      // If value changed or no previous value, update and exit
-      if (!sameValue || !hasLastValue) {
+      // If value changed, the signal is live or no previous value, update and exit
+      if (!sameValue || !hasLastValue || isLive) {
         // Value is different, update and exit without alert
         console.log(
-          `\x1b[36m[FROZEN][${config.header_id}]\x1b[0m Value changed or first value - updating last_value and exiting`
+          `\x1b[36m[FROZEN][${config.header_id}]\x1b[0m Value changed, live signal or first value - updating last_value and exiting`
         );
         await db.run(
           `UPDATE project_header_settings 
@@ -650,7 +845,7 @@ export class HeaderMonitorService {
           console.log(
             `\x1b[36m[FROZEN][${config.header_id}]\x1b[0m Value changed - clearing any existing frozen alert`
           );
-          await this.deleteAlert(alertId);
+          await AlertLifecycleService.resolveAlert(alertId, { automatic: true, reason: "Value changed" });
           await db.run(
             `UPDATE project_header_settings 
              SET last_frozen_alert_time = NULL 
@@ -683,12 +878,26 @@ export class HeaderMonitorService {
         return null;
       }
 
+      // The variance test must confirm the flat period once it is configured
+      if (rule.varianceWindow && stdDev === null) {
+        console.log(
+          `\x1b[36m[FROZEN][${config.header_id}]\x1b[0m Not enough samples in ${rule.varianceWindow}s window to confirm - no alert yet`
+        );
+        return null;
+      }
+
       // If we already issued a frozen alert and in cooldown, exit
       if (last_frozen_alert_time && now - last_frozen_alert_time < COOLDOWN_DURATION) {
         console.log(`\x1b[36m[FROZEN][${config.header_id}]\x1b[0m In cooldown period - skipping alert`);
         return null;
       }
 
+      if (snoozeStatus && snoozeStatus.snoozed) {
+        return this.getSnoozedAlert(alertId, snoozeStatus, () =>
+          this.createFrozenAlert(config, currentValue, state, frozenDuration)
+        );
+      }
+
       // Create and save frozen alert
       console.log(
         `\x1b[36m[FROZEN][${config.header_id}]\x1b[0m Creating frozen alert - value unchanged for ${
@@ -713,6 +922,541 @@ export class HeaderMonitorService {
     }
   }
 
+  static async checkRateAlert(projectId, config, currentValue, state, { categorySettings, snoozeContext } = {}) {
+    const COOLDOWN_DURATION = 3600 * 1000; // 1 hour in milliseconds
+
+    try {
+      const db = await getDb();
+      const now = Date.now();
+
+      // Samples are recorded every LOADING cycle so the window is populated once a limit gets configured
+      const samples = this.getValueSamples(config.header_id);
+
+      // Header overrides win over the category defaults (limit, window, direction)
+      const rule = resolveRateRule(config, categorySettings);
+      const alertId = `rate_${projectId}_${config.header_id}`;
+
+      const { last_rate_alert_time } = await db.get(
+        `SELECT last_rate_alert_time 
+         FROM project_header_settings 
+         WHERE project_id = ? AND header_id = ?`,
+        [projectId, config.header_id]
+      );
+
+      // Limit cleared - an open rate alert no longer has a rule behind it
+      if (!rule.limit) {
+        if (last_rate_alert_time) {
+          console.log(`\x1b[35m[RATE][${config.header_id}]\x1b[0m Rate limit removed - closing alert`);
+          await AlertLifecycleService.closeAlert(alertId, { automatic: true, reason: "Rate limit removed" });
+          await db.run(
+            `UPDATE project_header_settings 
+             SET last_rate_alert_time = NULL 
+             WHERE project_id = ? AND header_id = ?`,
+            [projectId, config.header_id]
+          );
+        }
+        return null;
+      }
+
+      const slope = computeSlope(samples, rule.window, now);
+
+      if (slope === null) {
+        console.log(`\x1b[35m[RATE][${config.header_id}]\x1b[0m Not enough samples in ${rule.window}s window yet`);
+        return null;
+      }
+
+      const isBreached = isRateBreached(slope, rule);
+      const severity = resolveAlertTypeSeverity("rate", categorySettings);
+      console.log(
+        `\x1b[35m[RATE][${config.header_id}]\x1b[0m Slope ${slope.toFixed(2)}/min over ${rule.window}s, limit ${
+          rule.limit
+        }/min (${rule.direction})? ${isBreached}`
+      );
+
+      // Slope back within the limit - clear any existing rate alert
+      if (!isBreached) {
+        if (last_rate_alert_time) {
+          console.log(`\x1b[35m[RATE][${config.header_id}]\x1b[0m Rate recovered - clearing alert`);
+          await AlertLifecycleService.resolveAlert(alertId, { automatic: true, reason: "Rate back within limit" });
+          await db.run(
+            `UPDATE project_header_settings 
+             SET last_rate_alert_time = NULL 
+             WHERE project_id = ? AND header_id = ?`,
+            [projectId, config.header_id]
+          );
+        }
+        return null;
+      }
+
+      // If we already issued a rate alert and in cooldown, exit
+      if (last_rate_alert_time && now - last_rate_alert_time < COOLDOWN_DURATION) {
+        console.log(`\x1b[35m[RATE][${config.header_id}]\x1b[0m In cooldown period - skipping alert`);
+        return null;
+      }
+
+      // A snoozed alert is not raised or repeated, but recovery above still clears it
+      const snoozeStatus = await this.isAlertSnoozed(alertId, config, snoozeContext);
+      if (snoozeStatus && snoozeStatus.snoozed) {
+        return this.getSnoozedAlert(alertId, snoozeStatus, () =>
+          this.createRateAlert(config, currentValue, state, slope, rule, severity)
+        );
+      }
+
+      // The window itself provides persistence, so the alert fires as soon as the slope breaches
+      console.log(`\x1b[35m[RATE][${config.header_id}]\x1b[0m Creating rate alert - slope ${slope.toFixed(2)}/min`);
+      const alert = this.createRateAlert(config, currentValue, state, slope, rule, severity);
+      await this.saveAlert(alert);
+
+      await db.run(
+        `UPDATE project_header_settings 
+         SET last_rate_alert_time = ? 
+         WHERE project_id = ? AND header_id = ?`,
+        [now, projectId, config.header_id]
+      );
+
+      return alert;
+    } catch (error) {
+      console.error(`\x1b[35m[RATE][${config.header_id}]\x1b[0m Rate check failed:`, error);
+      return null;
+    }
+  }
+
+  static createRateAlert(config, value, state, slope, rule, severity) {
+    return {
+      id: `rate_${config.project_id}_${config.header_id}`,
+      type: "rate",
+      severity: severity,
+      headerId: config.header_id,
+      headerName: config.header_name,
+      value: value,
+      rate: slope !== null && slope !== undefined ? Math.round(slope * 100) / 100 : null, // units per minute
+      rateLimit: rule.limit,
+      rateWindow: rule.window,
+      rateDirection: rule.direction,
+      timestamp: new Date().toISOString(),
+      projectId: config.project_id,
+      companyId: config.company_id,
+      stageId: config.stage_id,
+      state: state,
+    };
+  }
+
+  /**
+   * Statistical anomaly: the value has been more than the category's sigma limit away from the header's
+   * own moving average for longer than the alert duration.
+   */
+  static async checkAnomalyAlert(projectId, config, currentValue, state, { categorySettings, snoozeContext } = {}) {
+    const COOLDOWN_DURATION = 3600 * 1000; // 1 hour in milliseconds
+
+    try {
+      const db = await getDb();
+      const now = Date.now();
+
+      const rule = resolveAnomalyRule(config, categorySettings);
+      const alertId = `anomaly_${projectId}_${config.header_id}`;
+
+      const { anomaly_started_time, last_anomaly_alert_time } = await db.get(
+        `SELECT anomaly_started_time, last_anomaly_alert_time
+         FROM project_header_settings
+         WHERE project_id = ? AND header_id = ?`,
+        [projectId, config.header_id]
+      );
+
+      // Sigma limit cleared - drop the baseline and close an open anomaly alert that no longer has a rule behind it
+      if (!rule.sigma) {
+        this.clearAnomalyBaseline(config.header_id);
+        if (anomaly_started_time || last_anomaly_alert_time) {
+          if (last_anomaly_alert_time) {
+            console.log(`\x1b[34m[ANOMALY][${config.header_id}]\x1b[0m Sigma limit removed - closing alert`);
+            await AlertLifecycleService.closeAlert(alertId, { automatic: true, reason: "Sigma limit removed" });
+          }
+          await db.run(
+            `UPDATE project_header_settings
+             SET anomaly_started_time = NULL, last_anomaly_alert_time = NULL
+             WHERE project_id = ? AND header_id = ?`,
+            [projectId, config.header_id]
+          );
+        }
+        return null;
+      }
+
+      const value = Number(currentValue);
+
+      // Score against the baseline as it was before this value
+      const baseline = this.anomalyBaselines[config.header_id] || null;
+      const score = computeAnomalyScore(baseline, value);
+      const anomalous = isAnomalous(score, rule);
+
+      // Anomalous values stay out of the baseline, unless the excursion has lasted a whole window
+      if (!anomalous) {
+        this.anomalyBaselines[config.header_id] = updateBaseline(baseline, value, now, rule.window);
+      } else if (anomaly_started_time && now - anomaly_started_time >= rule.window * 1000) {
+        console.log(
+          `\x1b[34m[ANOMALY][${config.header_id}]\x1b[0m Anomalous for a whole ${rule.window}s window - relearning baseline`
+        );
+        this.anomalyBaselines[config.header_id] = updateBaseline(null, value, now, rule.window);
+      }
+
+      console.log(
+        `\x1b[34m[ANOMALY][${config.header_id}]\x1b[0m ${
+          score === null
+            ? `Baseline warming up (${baseline?.count || 0} samples)`
+            : `Value ${value} is ${score.toFixed(2)}σ from mean ${baseline.mean.toFixed(2)}, limit ${rule.sigma}σ? ${anomalous}`
+        }`
+      );
+
+      // Back within the limit (or baseline relearning) - clear the breach and any existing anomaly alert
+      if (!anomalous) {
+        if (anomaly_started_time || last_anomaly_alert_time) {
+          if (last_anomaly_alert_time) {
+            console.log(`\x1b[34m[ANOMALY][${config.header_id}]\x1b[0m Value back to normal - clearing alert`);
+            await AlertLifecycleService.resolveAlert(alertId, { automatic: true, reason: "Value back to normal" });
+          }
+          await db.run(
+            `UPDATE project_header_settings
+             SET anomaly_started_time = NULL, last_anomaly_alert_time = NULL
+             WHERE project_id = ? AND header_id = ?`,
+            [projectId, config.header_id]
+          );
+        }
+        return null;
+      }
+
+      // First anomalous value - start the alert duration timer
+      const startedAt = anomaly_started_time || now;
+      if (!anomaly_started_time) {
+        await db.run(
+          `UPDATE project_header_settings
+           SET anomaly_started_time = ?
+           WHERE project_id = ? AND header_id = ?`,
+          [now, projectId, config.header_id]
+        );
+      }
+
+      const duration = now - startedAt;
+      if (duration < rule.alertDuration * 1000) {
+        console.log(
+          `\x1b[34m[ANOMALY][${config.header_id}]\x1b[0m Anomalous for ${duration / 1000}s/${
+            rule.alertDuration
+          }s - waiting for alert duration`
+        );
+        return null;
+      }
+
+      // If we already issued an anomaly alert and in cooldown, exit
+      if (last_anomaly_alert_time && now - last_anomaly_alert_time < COOLDOWN_DURATION) {
+        console.log(`\x1b[34m[ANOMALY][${config.header_id}]\x1b[0m In cooldown period - skipping alert`);
+        return null;
+      }
+
+      const severity = resolveAlertTypeSeverity("anomaly", categorySettings);
+
+      // A snoozed alert is not raised or repeated, the baseline and breach timer above keep running
+      const snoozeStatus = await this.isAlertSnoozed(alertId, config, snoozeContext);
+      if (snoozeStatus && snoozeStatus.snoozed) {
+        return this.getSnoozedAlert(alertId, snoozeStatus, (existingAlert) =>
+          this.createAnomalyAlert(
+            config,
+            currentValue,
+            state,
+            duration,
+            score ?? existingAlert.anomaly_score,
+            baseline,
+            rule,
+            severity
+          )
+        );
+      }
+
+      console.log(`\x1b[34m[ANOMALY][${config.header_id}]\x1b[0m Creating anomaly alert after ${duration / 1000}s`);
+      const alert = this.createAnomalyAlert(config, currentValue, state, duration, score, baseline, rule, severity);
+      await this.saveAlert(alert);
+
+      await db.run(
+        `UPDATE project_header_settings
+         SET last_anomaly_alert_time = ?
+         WHERE project_id = ? AND header_id = ?`,
+        [now, projectId, config.header_id]
+      );
+
+      return alert;
+    } catch (error) {
+      console.error(`\x1b[34m[ANOMALY][${config.header_id}]\x1b[0m Anomaly check failed:`, error);
+      return null;
+    }
+  }
+
+  static createAnomalyAlert(config, value, state, duration, score, baseline, rule, severity) {
+    const round = (number) => (number !== null && number !== undefined ? Math.round(number * 100) / 100 : null);
+
+    return {
+      id: `anomaly_${config.project_id}_${config.header_id}`,
+      type: "anomaly",
+      severity: severity,
+      headerId: config.header_id,
+      headerName: config.header_name,
+      value: value,
+      duration: duration,
+      anomalyScore: round(score), // signed standard deviations from the mean
+      anomalyMean: round(baseline?.mean),
+      anomalyStdDev: round(baseline ? Math.sqrt(baseline.variance) : null),
+      anomalySigma: rule.sigma,
+      timestamp: new Date().toISOString(),
+      projectId: config.project_id,
+      companyId: config.company_id,
+      stageId: config.stage_id,
+      state: state,
+    };
+  }
+
+  /**
+   * Predictive alert: fires while the trend of the header's recorded history is estimated to cross the
+   * threshold within the category's forecast lead time, i.e. before the threshold alert itself would fire.
+   */
+  static async checkForecastAlert(
+    projectId,
+    config,
+    currentValue,
+    state,
+    { categorySettings, forecast: cycleForecast, snoozeContext } = {}
+  ) {
+    const COOLDOWN_DURATION = 3600 * 1000; // 1 hour in milliseconds
+
+    try {
+      const db = await getDb();
+      const now = Date.now();
+
+      // monitorAllHeaders has already forecast the header for its card this cycle
+      const forecast =
+        cycleForecast !== undefined
+          ? cycleForecast
+          : await ForecastService.getForecast(config, categorySettings, currentValue, now);
+      const alertId = `forecast_${projectId}_${config.header_id}`;
+
+      const { last_forecast_alert_time } = await db.get(
+        `SELECT last_forecast_alert_time
+         FROM project_header_settings
+         WHERE project_id = ? AND header_id = ?`,
+        [projectId, config.header_id]
+      );
+
+      const timeToThreshold = forecast?.timeToThreshold ?? null;
+      console.log(
+        `\x1b[36m[FORECAST][${config.header_id}]\x1b[0m ${
+          !forecast
+            ? "No usable trend"
+            : timeToThreshold === null
+            ? `Not heading for ${forecast.target}`
+            : `Reaches ${forecast.target} in ${Math.round(timeToThreshold / 60000)} min, lead time ${Math.round(
+                forecast.leadTime / 60000
+              )} min`
+        }`
+      );
+
+      // Estimate comfortably beyond the lead time again (or no trend at all) - clear any existing forecast alert
+      const isRecovered = timeToThreshold === null || timeToThreshold > forecast.leadTime * FORECAST_RECOVERY_FACTOR;
+      if (isRecovered) {
+        if (last_forecast_alert_time) {
+          console.log(`\x1b[36m[FORECAST][${config.header_id}]\x1b[0m Forecast recovered - clearing alert`);
+          await AlertLifecycleService.resolveAlert(alertId, {
+            automatic: true,
+            reason: "Forecast beyond lead time",
+          });
+          await db.run(
+            `UPDATE project_header_settings
+             SET last_forecast_alert_time = NULL
+             WHERE project_id = ? AND header_id = ?`,
+            [projectId, config.header_id]
+          );
+        }
+        return null;
+      }
+
+      // Between the lead time and the recovery margin nothing changes
+      if (timeToThreshold > forecast.leadTime) {
+        return null;
+      }
+
+      // If we already issued a forecast alert and in cooldown, exit
+      if (last_forecast_alert_time && now - last_forecast_alert_time < COOLDOWN_DURATION) {
+        console.log(`\x1b[36m[FORECAST][${config.header_id}]\x1b[0m In cooldown period - skipping alert`);
+        return null;
+      }
+
+      const severity = resolveAlertTypeSeverity("forecast", categorySettings);
+
+      // A snoozed alert is not raised or repeated, but a recovered forecast above still clears it
+      const snoozeStatus = await this.isAlertSnoozed(alertId, config, snoozeContext);
+      if (snoozeStatus && snoozeStatus.snoozed) {
+        return this.getSnoozedAlert(alertId, snoozeStatus, () =>
+          this.createForecastAlert(config, currentValue, state, forecast, severity)
+        );
+      }
+
+      console.log(`\x1b[36m[FORECAST][${config.header_id}]\x1b[0m Creating forecast alert`);
+      const alert = this.createForecastAlert(config, currentValue, state, forecast, severity);
+      await this.saveAlert(alert);
+
+      await db.run(
+        `UPDATE project_header_settings
+         SET last_forecast_alert_time = ?
+         WHERE project_id = ? AND header_id = ?`,
+        [now, projectId, config.header_id]
+      );
+
+      return alert;
+    } catch (error) {
+      console.error(`\x1b[36m[FORECAST][${config.header_id}]\x1b[0m Forecast check failed:`, error);
+      return null;
+    }
+  }
+
+  static createForecastAlert(config, value, state, forecast, severity) {
+    return {
+      id: `forecast_${config.project_id}_${config.header_id}`,
+      type: "forecast",
+      severity: severity,
+      headerId: config.header_id,
+      headerName: config.header_name,
+      value: value,
+      threshold: forecast.target,
+      forecastEta: forecast.eta,
+      // Trend in units per hour
+      forecastRate:
+        forecast.rate !== null && forecast.rate !== undefined ? Math.round(forecast.rate * 100) / 100 : null,
+      forecastLeadTime: forecast.leadTime / (3600 * 1000), // hours
+      timestamp: new Date().toISOString(),
+      projectId: config.project_id,
+      companyId: config.company_id,
+      stageId: config.stage_id,
+      state: state,
+    };
+  }
+
+  /**
+   * Evaluate the enabled compound rules of the projects in this cycle.
+   * A rule is only evaluated when every header it references was fetched this cycle and is LOADING,
+   * so values from different moments or from idle headers are never combined.
+   * @param {Object} headerValues - Values fetched this cycle, keyed by header id
+   * @param {Object|null} snoozeContext - Snoozes loaded once for the monitoring cycle
+   * @returns {Promise<Array>} Compound alerts raised or still snoozed
+   */
+  static async checkCompoundRules(headerValues, snoozeContext = null) {
+    const COOLDOWN_DURATION = 3600 * 1000; // 1 hour in milliseconds
+    const alerts = [];
+
+    const projectIds = [...new Set(Object.values(headerValues).map((header) => header.projectId))];
+
+    for (const projectId of projectIds) {
+      const rules = (await CompoundRuleService.getRules(projectId)).filter((rule) => rule.isEnabled);
+
+      for (const rule of rules) {
+        try {
+          const alertId = `compound_${projectId}_${rule.id}`;
+          const members = rule.headers.map((header) => headerValues[header.headerId]);
+
+          // A header in maintenance suspends the rule; its breach timer starts over once the window ends
+          if (members.some((member) => member?.maintenance)) {
+            console.log(`\x1b[33m[COMPOUND][${rule.id}]\x1b[0m A header is in maintenance - skipping`);
+            if (rule.firstExceededTime) {
+              await CompoundRuleService.updateRuleState(rule.id, null, rule.lastAlertTime);
+            }
+            continue;
+          }
+
+          if (members.some((member) => !member || member.value === null || member.state !== "LOADING")) {
+            console.log(`\x1b[33m[COMPOUND][${rule.id}]\x1b[0m Not all headers loading this cycle - skipping`);
+            continue;
+          }
+
+          const variables = {};
+          rule.headers.forEach((header, index) => {
+            variables[header.alias] = Number(members[index].value);
+          });
+          const value = evaluateExpression(parseExpression(rule.expression), variables);
+          const reference = members[0];
+
+          const isBreached = compareValue(value, rule.operator, rule.threshold);
+          const now = Date.now();
+          console.log(
+            `\x1b[33m[COMPOUND][${rule.id}]\x1b[0m ${rule.expression} = ${value} ${rule.operator} ${rule.threshold}? ${isBreached}`
+          );
+
+          if (!isBreached) {
+            if (rule.firstExceededTime || rule.lastAlertTime) {
+              console.log(`\x1b[33m[COMPOUND][${rule.id}]\x1b[0m Rule recovered - clearing alert`);
+              await AlertLifecycleService.resolveAlert(alertId, { automatic: true, reason: "Rule recovered" });
+              await CompoundRuleService.updateRuleState(rule.id, null, null);
+            }
+            continue;
+          }
+
+          if (!rule.firstExceededTime) {
+            await CompoundRuleService.updateRuleState(rule.id, now, rule.lastAlertTime);
+            continue;
+          }
+
+          const duration = now - rule.firstExceededTime;
+          if (duration < (rule.alertDuration || 0) * 1000) {
+            console.log(
+              `\x1b[33m[COMPOUND][${rule.id}]\x1b[0m Breached for ${Math.floor(duration / 1000)}s of ${rule.alertDuration}s`
+            );
+            continue;
+          }
+
+          if (rule.lastAlertTime && now - rule.lastAlertTime < COOLDOWN_DURATION) {
+            console.log(`\x1b[33m[COMPOUND][${rule.id}]\x1b[0m In cooldown period - skipping alert`);
+            continue;
+          }
+
+          // A snoozed alert is not raised or repeated, but the breach timer and recovery above keep running
+          const snoozeStatus = await this.isAlertSnoozed(alertId, { project_id: projectId }, snoozeContext);
+          if (snoozeStatus && snoozeStatus.snoozed) {
+            const snoozedAlert = await this.getSnoozedAlert(alertId, snoozeStatus, (existingAlert) =>
+              this.createCompoundAlert(rule, value ?? existingAlert.value, reference)
+            );
+            if (snoozedAlert) {
+              alerts.push(snoozedAlert);
+            }
+            continue;
+          }
+
+          console.log(`\x1b[33m[COMPOUND][${rule.id}]\x1b[0m Creating compound alert - value ${value}`);
+          const alert = this.createCompoundAlert(rule, value, reference);
+          alert.breachStartedAt = rule.firstExceededTime;
+          await this.saveAlert(alert);
+          await CompoundRuleService.updateRuleState(rule.id, rule.firstExceededTime, now);
+          alerts.push(alert);
+        } catch (error) {
+          console.error(`\x1b[33m[COMPOUND][${rule.id}]\x1b[0m Compound check failed:`, error);
+        }
+      }
+    }
+
+    return alerts;
+  }
+
+  static createCompoundAlert(rule, value, reference) {
+    return {
+      id: `compound_${rule.projectId}_${rule.id}`,
+      type: "compound",
+      severity: rule.severity || DEFAULT_SEVERITY,
+      headerId: null,
+      headerName: rule.name,
+      value: value !== null && value !== undefined ? Math.round(value * 100) / 100 : null,
+      threshold: rule.threshold,
+      ruleId: rule.id,
+      expression: rule.expression,
+      comparison: rule.operator,
+      headers: rule.headers,
+      timestamp: new Date().toISOString(),
+      projectId: rule.projectId,
+      companyId: reference.companyId,
+      stageId: reference.stageId,
+      state: reference.state,
+    };
+  }
+
   static createFrozenAlert(config, value, state, duration) {
     // Ensure we never show a zero-duration frozen alert (minimum 1 second)
     const frozenDurationSeconds = Math.max(1, Math.floor(duration / 1000));
@@ -720,10 +1464,12 @@ export class HeaderMonitorService {
     return {
       id: `frozen_${config.project_id}_${config.header_id}`,
       type: "frozen",
+      severity: "warning",
       headerId: config.header_id,
       headerName: config.header_name,
       value: value,
       frozenDuration: frozenDurationSeconds, // Convert ms to seconds with minimum of 1
+      breachStartedAt: Date.now() - duration, // When the value stopped changing
       timestamp: new Date().toISOString(),
       projectId: config.project_id,
       companyId: config.company_id,
@@ -732,12 +1478,19 @@ export class HeaderMonitorService {
     };
   }
 
-  static createResponse(value, state, config, alert = null) {
+  static createResponse(value, state, config, alerts = []) {
     return {
       value: value,
       state: state,
-      alert: alert,
+      alert: alerts[0] || null,
+      alerts: alerts,
       threshold: config.threshold,
+      thresholdDirection: config.threshold_direction,
+      thresholdMin: config.threshold_min,
+      thresholdMax: config.threshold_max,
+      rateLimit: config.rate_limit,
+      rateWindow: config.rate_window,
+      rateDirection: config.rate_direction,
       frozenThreshold: config.frozen_threshold,
       alertDuration: config.alert_duration,
     };
@@ -809,11 +1562,51 @@ export class HeaderMonitorService {
 
       console.log(`Processing ONLY the ${headersToProcess.length} headers explicitly requested by frontend`);
 
+      // Values of monitored headers, written to the history table in one batch after the loop
+      const historySamples = [];
+
+      // Headers covered by a maintenance window in progress are recorded but not checked
+      const maintenanceWindows = await MaintenanceWindowService.getActiveWindows();
+
+      // Settings are read once per cycle, every header and check resolves its category from them
+      const settings = await loadSettings();
+
+      // Snoozes are read once per cycle and shared by every check; some lift themselves once the alerts they
+      // cover have been resolved
+      const snoozeContext = await SnoozeService.loadSnoozeContext();
+      const autoUnsnoozes = snoozeContext.snoozes.filter((snooze) => snooze.autoUnsnooze);
+
       // Process each header
       for (const header of headersToProcess) {
         try {
           const headerValue = await this.fetchHeaderValue(header.header_id);
 
+          if (header.is_monitored && headerValue.value !== null) {
+            historySamples.push({
+              headerId: header.header_id,
+              projectId: header.project_id,
+              value: headerValue.value,
+              state: headerValue.state,
+              recordedAt: Date.now(),
+            });
+          }
+
+          const categorySettings = await this.getCategorySettings(header.header_name, settings);
+
+          // Time-to-threshold estimate shown on the header card, for categories with a forecast lead time.
+          // The forecast alert check reuses it
+          const forecast =
+            header.is_monitored && headerValue.value !== null
+              ? await ForecastService.getForecast(header, categorySettings, headerValue.value)
+              : null;
+
+          const maintenance = MaintenanceWindowService.findWindow(maintenanceWindows, {
+            companyId: header.company_id,
+            projectId: header.project_id,
+            stageId: header.stage_id,
+            headerId: header.header_id,
+          });
+
           // Store result in headerValues
           results.headerValues[header.header_id] = {
             id: header.header_id,
@@ -827,20 +1620,36 @@ export class HeaderMonitorService {
             name: header.header_name,
             state: headerValue.state || "ENDED",
             isMonitored: true, // These headers are being monitored by request
+            forecast,
+            maintenance: maintenance
+              ? {
+                  id: maintenance.id,
+                  name: maintenance.name,
+                  scope: maintenance.scope,
+                  scopeName: maintenance.scopeName,
+                  endsAt: maintenance.occurrence.end,
+                }
+              : null,
           };
 
-          // Check for alerts
-          if (headerValue.value !== null) {
+          // Check for alerts, unless the header is in maintenance
+          if (headerValue.value !== null && maintenance) {
+            console.log(
+              `[MAINTENANCE][${header.header_id}] In maintenance window "${maintenance.name}" - skipping alert checks`
+            );
+            await this.suspendHeaderChecks(header.project_id, header.header_id, headerValue.value, headerValue.state);
+          } else if (headerValue.value !== null) {
             const alertCheck = await this.checkHeaderValue(
               header.project_id,
               header.header_id,
               headerValue.value,
-              headerValue.state
+              headerValue.state,
+              { categorySettings, forecast, snoozeContext }
             );
 
-            if (alertCheck && alertCheck.alert) {
-              // Add alert to results
-              results.alerts.push(alertCheck.alert);
+            if (alertCheck && alertCheck.alerts.length > 0) {
+              // Add alerts to results
+              results.alerts.push(...alertCheck.alerts);
             }
           }
 
@@ -851,6 +1660,15 @@ export class HeaderMonitorService {
         }
       }
 
+      await HeaderHistoryService.recordSamples(historySamples);
+
+      // Compound rules combine the values fetched above
+      const compoundAlerts = await this.checkCompoundRules(results.headerValues, snoozeContext);
+      results.alerts.push(...compoundAlerts);
+
+      // After every check, so alerts resolved this cycle count towards the recovery hold
+      await SnoozeService.processAutoUnsnooze(autoUnsnoozes, snoozeContext.targetContext);
+
       console.log(
         `Header monitoring cycle completed. Processed ${results.processedHeaders} headers, found ${results.alerts.length} alerts`
       );
@@ -1091,25 +1909,78 @@ export class HeaderMonitorService {
     return Math.round((Date.now() - frozenTimestamp) / 1000);
   }
 
+  // Recent polled values per header for rate-of-change and frozen variance checks
+  static valueSamples = {};
+  static VALUE_SAMPLE_RETENTION = 3600 * 1000; // keep up to 1 hour of samples per header
+
+  /**
+   * Record a polled value for a header and return its recent samples (oldest first)
+   */
+  static recordValueSample(headerId, value, time = Date.now()) {
+    const numericValue = typeof value === "string" ? parseFloat(value) : value;
+    const samples = HeaderMonitorService.valueSamples[headerId] || [];
+
+    if (numericValue !== null && numericValue !== undefined && !isNaN(numericValue)) {
+      samples.push({ time, value: numericValue });
+    }
+
+    const cutoff = time - HeaderMonitorService.VALUE_SAMPLE_RETENTION;
+    while (samples.length && samples[0].time < cutoff) {
+      samples.shift();
+    }
+
+    HeaderMonitorService.valueSamples[headerId] = samples;
+    return samples;
+  }
+
   /**
-   * Check if an alert is snoozed
+   * Get the recent samples of a header (oldest first)
    */
-  static async isAlertSnoozed(alertId) {
-    try {
-      const db = await getDb();
-      const now = new Date().toISOString();
+  static getValueSamples(headerId) {
+    return HeaderMonitorService.valueSamples[headerId] || [];
+  }
 
-      // Check if there's an active snooze for this alert
-      const snooze = await db.get(
-        "SELECT * FROM alert_snoozes WHERE alert_id = ? AND snooze_until > ? ORDER BY created_at DESC LIMIT 1",
-        [alertId, now]
+  /**
+   * Clear sample tracking for a header
+   */
+  static clearValueSamples(headerId) {
+    delete HeaderMonitorService.valueSamples[headerId];
+  }
+
+  // EWMA mean and variance of each header's values for the anomaly check, see utils/anomalyRules.js
+  static anomalyBaselines = {};
+
+  /**
+   * Clear the anomaly baseline of a header
+   */
+  static clearAnomalyBaseline(headerId) {
+    delete HeaderMonitorService.anomalyBaselines[headerId];
+  }
+
+  /**
+   * Check if an alert is snoozed, by its own snooze or one covering its header, project, stage or category
+   * @param {string} alertId
+   * @param {Object|null} config - project_header_settings row (or just its project_id) the alert comes from;
+   *   without it only the alert's own snooze counts
+   * @param {Object|null} snoozeContext - Snoozes loaded once per monitoring cycle (SnoozeService.loadSnoozeContext)
+   */
+  static async isAlertSnoozed(alertId, config = null, snoozeContext = null) {
+    try {
+      const snooze = await SnoozeService.findSnooze(
+        alertId,
+        config ? { headerId: config.header_id, projectId: config.project_id, headerName: config.header_name } : null,
+        snoozeContext
       );
 
       if (snooze) {
         return {
           snoozed: true,
-          snoozeUntil: snooze.snooze_until,
-          createdAt: snooze.created_at,
+          snoozeUntil: snooze.snoozeUntil,
+          createdAt: snooze.createdAt,
+          snoozeId: snooze.id,
+          scope: snooze.scope,
+          reason: snooze.reason,
+          autoUnsnooze: snooze.autoUnsnooze,
         };
       } else {
         return { snoozed: false };
@@ -1121,9 +1992,18 @@ export class HeaderMonitorService {
   }
 
   /**
-   * Get all active alerts with snooze info
+   * Get all active (open or acknowledged) alerts with snooze info
    */
   static async getActiveAlerts() {
+    return this.getAlertsByState(ACTIVE_ALERT_STATES);
+  }
+
+  /**
+   * Get the alerts in the given lifecycle states with snooze info
+   * @param {string[]} states - Values of ALERT_STATES
+   * @param {number|null} limit - Most alerts returned (newest first within each severity), null for all
+   */
+  static async getAlertsByState(states, limit = null) {
     try {
       const db = await getDb();
       const now = new Date().toISOString();
@@ -1139,16 +2019,33 @@ export class HeaderMonitorService {
         SELECT a.*
         FROM alerts a
         LEFT JOIN alert_snoozes s ON a.id = s.alert_id AND s.snooze_until > ?
-        WHERE a.dismissed = 0
+        WHERE COALESCE(a.state, 'open') IN (${states.map(() => "?").join(", ")})
       `;
 
-      // Order by timestamp
-      query += ` ORDER BY a.timestamp DESC`;
+      // Most severe first, then newest
+      query += ` ORDER BY CASE a.severity WHEN 'critical' THEN 2 WHEN 'warning' THEN 1 ELSE 0 END DESC, a.timestamp DESC`;
+      if (limit) {
+        query += ` LIMIT ${Number(limit)}`;
+      }
 
-      const alerts = await db.all(query, [now]);
+      const alerts = await db.all(query, [now, ...states]);
+
+      // Snoozes of a header, project, stage or category cover its alerts too
+      const scopeSnoozes = (await SnoozeService.getActiveSnoozes()).filter((snooze) => snooze.scope !== "alert");
+      const targets =
+        scopeSnoozes.length > 0
+          ? await SnoozeService.resolveTargets(
+              alerts.map((alert) => ({
+                alertId: alert.id,
+                headerId: alert.header_id,
+                projectId: alert.project_id,
+                headerName: alert.header_name,
+              }))
+            )
+          : [];
 
       // Process alerts to include snooze information
-      return alerts.map((alert) => {
+      return alerts.map((alert, index) => {
         // Check for snooze status from either internal columns or joined table
         let snoozed = false;
         let snoozeUntil = null;
@@ -1165,21 +2062,128 @@ export class HeaderMonitorService {
           snoozeUntil = alert.snooze_until;
         }
 
-        return {
-          ...alert,
-          snoozed,
-          snoozeUntil,
-          // Convert string values to numbers for frontend
-          value: typeof alert.value === "string" ? parseFloat(alert.value) : alert.value,
-          threshold: typeof alert.threshold === "string" ? parseFloat(alert.threshold) : alert.threshold,
-        };
+        const scopeSnooze = !snoozed && scopeSnoozes.find((snooze) => SnoozeService.covers(snooze, targets[index]));
+        if (scopeSnooze) {
+          snoozed = true;
+          snoozeUntil = scopeSnooze.snoozeUntil;
+        }
+
+        return this.formatAlert(alert, snoozed, snoozeUntil);
       });
     } catch (error) {
-      console.error("Error fetching active alerts:", error);
+      console.error(`Error fetching ${states.join("/")} alerts:`, error);
       return [];
     }
   }
 
+  /**
+   * Shape an alerts row for the frontend (camelCase rule fields, numeric values)
+   */
+  static formatAlert(alert, snoozed = false, snoozeUntil = null) {
+    return {
+      ...alert,
+      snoozed,
+      snoozeUntil,
+      // Convert string values to numbers for frontend
+      value: typeof alert.value === "string" ? parseFloat(alert.value) : alert.value,
+      threshold: typeof alert.threshold === "string" ? parseFloat(alert.threshold) : alert.threshold,
+      thresholdDirection: alert.threshold_direction || "below",
+      thresholdMin: alert.threshold_min ?? null,
+      thresholdMax: alert.threshold_max ?? null,
+      rate: alert.rate ?? null,
+      rateLimit: alert.rate_limit ?? null,
+      rateWindow: alert.rate_window ?? null,
+      rateDirection: alert.rate_direction ?? null,
+      forecastEta: alert.forecast_eta ?? null,
+      forecastRate: alert.forecast_rate ?? null,
+      forecastLeadTime: alert.forecast_lead_time ?? null,
+      anomalyScore: alert.anomaly_score ?? null,
+      anomalyMean: alert.anomaly_mean ?? null,
+      anomalyStdDev: alert.anomaly_std_dev ?? null,
+      anomalySigma: alert.anomaly_sigma ?? null,
+      severity: alert.severity || DEFAULT_SEVERITY,
+      escalatedAt: alert.escalated_at ?? null,
+      ruleId: alert.rule_id ?? null,
+      expression: alert.expression ?? null,
+      comparison: alert.comparison ?? null,
+      state: alert.state || "open",
+      triggeredAt: alert.triggered_at ?? null,
+      breachStartedAt: alert.breach_started_at ?? null,
+      acknowledgedAt: alert.acknowledged_at ?? null,
+      acknowledgedBy: alert.acknowledged_by ?? null,
+      acknowledgementNote: alert.acknowledgement_note ?? null,
+      resolvedAt: alert.resolved_at ?? null,
+      resolvedBy: alert.resolved_by ?? null,
+      resolution: alert.resolution ?? null,
+      closedAt: alert.closed_at ?? null,
+      closedBy: alert.closed_by ?? null,
+    };
+  }
+
+  /**
+   * Get one alert with everything known about it: when its breach started and ended, the extreme
+   * values recorded in between, its snooze and its event history.
+   * The fixed id of a rule and header falls back to its latest archived occurrence once that is resolved.
+   * @returns {Promise<Object|null>} null when the alert does not exist
+   */
+  static async getAlertDetail(alertId) {
+    try {
+      const db = await getDb();
+      let row = await db.get("SELECT * FROM alerts WHERE id = ?", [alertId]);
+      if (!row && !AlertLifecycleService.isArchivedId(alertId)) {
+        const prefix = `${alertId}:`;
+        row = await db.get(
+          "SELECT * FROM alerts WHERE substr(id, 1, ?) = ? ORDER BY triggered_at DESC, timestamp DESC LIMIT 1",
+          [prefix.length, prefix]
+        );
+      }
+      if (!row) return null;
+
+      const active = ACTIVE_ALERT_STATES.includes(row.state || "open");
+      const snooze = active
+        ? await this.isAlertSnoozed(row.id, {
+            header_id: row.header_id,
+            project_id: row.project_id,
+            header_name: row.header_name,
+          })
+        : { snoozed: false };
+      const alert = this.formatAlert(row, snooze.snoozed, snooze.snoozeUntil || null);
+
+      const raisedAt = row.triggered_at ?? new Date(row.timestamp).getTime();
+      const breachStartedAt = row.breach_started_at ?? raisedAt;
+      const endedAt = active ? null : row.resolved_at ?? row.closed_at ?? null;
+
+      const now = Date.now();
+      const valueStats = row.header_id
+        ? await HeaderHistoryService.getValueStats(Number(row.header_id), breachStartedAt, endedAt ?? now)
+        : null;
+      const events = await AlertEventService.getEvents(row.id);
+
+      return {
+        alert,
+        snooze: snooze.snoozed
+          ? {
+              id: snooze.snoozeId,
+              scope: snooze.scope,
+              reason: snooze.reason,
+              snoozeUntil: snooze.snoozeUntil,
+              autoUnsnooze: snooze.autoUnsnooze,
+            }
+          : null,
+        breachStartedAt,
+        raisedAt,
+        endedAt,
+        ongoing: active,
+        durationSeconds: Math.round(((endedAt ?? now) - breachStartedAt) / 1000),
+        valueStats,
+        events,
+      };
+    } catch (error) {
+      console.error(`Error fetching alert detail for ${alertId}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Generate alert ID
    */
@@ -1187,51 +2191,32 @@ export class HeaderMonitorService {
     return `${type.toLowerCase()}_${headerId}_${timestamp}`;
   }
 
+  /**
+   * Get the pattern category settings (default threshold, direction, durations) for a header
+   * @param {Object} [settings] - Settings already loaded this cycle, read from storage when omitted
+   */
+  static async getCategorySettings(headerName, settings = null) {
+    try {
+      settings = settings || (await loadSettings());
+      const headerType = await this.detectHeaderType(headerName, settings);
+      return settings?.patternCategories?.[headerType] || null;
+    } catch (error) {
+      console.error("Error loading category settings:", error);
+      return null;
+    }
+  }
+
   // Helper method to detect header type
-  static async detectHeaderType(headerName) {
+  static async detectHeaderType(headerName, settings = null) {
     if (!headerName) return null;
 
     try {
-      // Load settings to get pattern categories
-      const settings = await loadSettings();
+      // Load settings to get pattern categories, unless the caller already has them
+      settings = settings || (await loadSettings());
       if (!settings || !settings.patternCategories) return null;
 
-      const { patternCategories } = settings;
-      const headerNameLower = headerName.toLowerCase();
-
-      // Check if it's a pressure header
-      if (patternCategories.pressure) {
-        const { patterns, negativePatterns } = patternCategories.pressure;
-
-        // Check if the header matches any positive patterns
-        const matchesPositive = patterns && patterns.some((pattern) => headerNameLower.includes(pattern.toLowerCase()));
-
-        // Check if the header matches any negative patterns
-        const matchesNegative =
-          negativePatterns && negativePatterns.some((pattern) => headerNameLower.includes(pattern.toLowerCase()));
-
-        // It's a pressure header if it matches positive patterns but not negative ones
-        if (matchesPositive && !matchesNegative) {
-          return "pressure";
-        }
-      }
-
-      // Check if it's a battery header
-      if (patternCategories.battery) {
-        const { patterns, negativePatterns } = patternCategories.battery;
-
-        // Check if the header matches any positive patterns
-        const matchesPositive = patterns && patterns.some((pattern) => headerNameLower.includes(pattern.toLowerCase()));
-
-        // Check if the header matches any negative patterns
-        const matchesNegative =
-          negativePatterns && negativePatterns.some((pattern) => headerNameLower.includes(pattern.toLowerCase()));
-
-        // It's a battery header if it matches positive patterns but not negative ones
-        if (matchesPositive && !matchesNegative) {
-          return "battery";
-        }
-      }
+      const headerType = classifyHeader(headerName, settings.patternCategories);
+      if (headerType) return headerType;
 
       // Couldn't determine the type
       return "unknown";
@@ -1450,6 +2435,12 @@ export class HeaderMonitorService {
             id: newHeader.id,
             name: newHeader.name,
             threshold: matchingOldHeader.threshold,
+            thresholdDirection: matchingOldHeader.threshold_direction,
+            thresholdMin: matchingOldHeader.threshold_min,
+            thresholdMax: matchingOldHeader.threshold_max,
+            rateLimit: matchingOldHeader.rate_limit,
+            rateWindow: matchingOldHeader.rate_window,
+            rateDirection: matchingOldHeader.rate_direction,
             alertDuration: matchingOldHeader.alert_duration,
             frozenThreshold: matchingOldHeader.frozen_threshold,
             isMonitored: true, // Keep monitoring status for matching headers
@@ -1462,6 +2453,9 @@ export class HeaderMonitorService {
 
             // Clear any frozen states for the old header
             HeaderMonitorService.clearFrozenState(matchingOldHeader.header_id);
+            HeaderMonitorService.clearValueSamples(matchingOldHeader.header_id);
+            ForecastService.clearForecast(matchingOldHeader.header_id);
+            HeaderMonitorService.clearAnomalyBaseline(matchingOldHeader.header_id);
           } else {
             console.error(`Failed to migrate monitoring settings to new header ${newHeader.id}`);
           }
@@ -14,6 +14,12 @@ export class HeaderSettingsService {
           header_id,
           header_name,
           threshold,
+          threshold_direction,
+          threshold_min,
+          threshold_max,
+          rate_limit,
+          rate_window,
+          rate_direction,
           alert_duration,
           frozen_threshold,
           is_monitored,
@@ -55,11 +61,19 @@ export class HeaderSettingsService {
       await database.run(`
         INSERT INTO project_header_settings (
           project_id, header_id, header_name, threshold,
+          threshold_direction, threshold_min, threshold_max,
+          rate_limit, rate_window, rate_direction,
           alert_duration, frozen_threshold, is_monitored, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
         ON CONFLICT(project_id, header_id) DO UPDATE SET
           header_name = excluded.header_name,
           threshold = excluded.threshold,
+          threshold_direction = excluded.threshold_direction,
+          threshold_min = excluded.threshold_min,
+          threshold_max = excluded.threshold_max,
+          rate_limit = excluded.rate_limit,
+          rate_window = excluded.rate_window,
+          rate_direction = excluded.rate_direction,
           alert_duration = excluded.alert_duration,
           frozen_threshold = excluded.frozen_threshold,
           is_monitored = excluded.is_monitored,
@@ -69,6 +83,12 @@ export class HeaderSettingsService {
         headerData.id,
         headerData.name,
         headerData.threshold,
+        headerData.thresholdDirection || null,
+        headerData.thresholdMin ?? null,
+        headerData.thresholdMax ?? null,
+        headerData.rateLimit ?? null,
+        headerData.rateWindow ?? null,
+        headerData.rateDirection || null,
         headerData.alertDuration || null,
         headerData.frozenThreshold || null,
         headerData.isMonitored ? 1 : 0
@@ -0,0 +1,249 @@
+import { getDb } from '../database/db.js';
+import {
+  MAINTENANCE_SCOPES,
+  MAINTENANCE_RECURRENCES,
+  getCurrentOrNextOccurrence,
+  windowCoversHeader
+} from '../utils/maintenanceWindows.js';
+
+const DAY = 24 * 3600 * 1000;
+const RECURRENCE_PERIODS = { daily: DAY, weekly: 7 * DAY };
+
+/**
+ * Scheduled maintenance windows (wireline runs, gauge swaps, pressure tests...).
+ * While a window covering a header is in progress its values are still recorded, but no alerts are
+ * raised or notified for it.
+ */
+export class MaintenanceWindowService {
+  /**
+   * Convert a maintenance_windows row to the API shape, with the occurrence in progress or coming up next
+   */
+  static mapWindow(row, now = Date.now()) {
+    const window = {
+      id: row.id,
+      name: row.name,
+      scope: row.scope,
+      scopeId: row.scope_id,
+      scopeName: row.scope_name,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      recurrence: row.recurrence || 'none',
+      repeatUntil: row.repeat_until,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+    const occurrence = getCurrentOrNextOccurrence(window, now);
+    return { ...window, occurrence, active: Boolean(occurrence && occurrence.start <= now) };
+  }
+
+  /**
+   * Get all maintenance windows
+   */
+  static async getWindows(now = Date.now()) {
+    try {
+      const database = await getDb();
+      const rows = await database.all('SELECT * FROM maintenance_windows ORDER BY starts_at DESC');
+      return rows.map((row) => this.mapWindow(row, now));
+    } catch (error) {
+      console.error('Error getting maintenance windows:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single maintenance window
+   */
+  static async getWindow(windowId) {
+    try {
+      const database = await getDb();
+      const row = await database.get('SELECT * FROM maintenance_windows WHERE id = ?', [windowId]);
+      return row ? this.mapWindow(row) : null;
+    } catch (error) {
+      console.error(`Error getting maintenance window ${windowId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the windows in progress at `now`
+   */
+  static async getActiveWindows(now = Date.now()) {
+    try {
+      const database = await getDb();
+      const rows = await database.all(
+        `SELECT * FROM maintenance_windows
+         WHERE starts_at <= ? AND (ends_at > ? OR recurrence != 'none')`,
+        [now, now]
+      );
+      return rows.map((row) => this.mapWindow(row, now)).filter((window) => window.active);
+    } catch (error) {
+      console.error('Error getting active maintenance windows:', error);
+      return [];
+    }
+  }
+
+  /**
+   * The first of the windows that covers a header, null when none does
+   * @param {Array<Object>} windows - Windows from getActiveWindows
+   * @param {{companyId, projectId, stageId, headerId}} target
+   */
+  static findWindow(windows, target) {
+    return windows.find((window) => windowCoversHeader(window, target)) || null;
+  }
+
+  /**
+   * Validate a window definition
+   * @returns {string|null} The first problem found, or null when the window is valid
+   */
+  static validateWindow(window) {
+    if (!window.name || !String(window.name).trim()) return 'Window name is required';
+    if (!MAINTENANCE_SCOPES.includes(window.scope)) {
+      return `Scope must be one of ${MAINTENANCE_SCOPES.join(', ')}`;
+    }
+    if (window.scopeId === null || window.scopeId === undefined || String(window.scopeId).trim() === '') {
+      return `A ${window.scope} must be selected`;
+    }
+    if (!Number.isFinite(window.startsAt) || !Number.isFinite(window.endsAt)) {
+      return 'startsAt and endsAt must be timestamps (epoch ms or ISO)';
+    }
+    if (window.endsAt <= window.startsAt) return 'The window must end after it starts';
+    if (!MAINTENANCE_RECURRENCES.includes(window.recurrence)) {
+      return `Recurrence must be one of ${MAINTENANCE_RECURRENCES.join(', ')}`;
+    }
+
+    const period = RECURRENCE_PERIODS[window.recurrence];
+    if (period && window.endsAt - window.startsAt >= period) {
+      return `A ${window.recurrence} window must be shorter than its repeat interval`;
+    }
+    if (window.repeatUntil !== null && window.repeatUntil !== undefined) {
+      if (!period) return 'repeatUntil only applies to recurring windows';
+      if (!Number.isFinite(window.repeatUntil) || window.repeatUntil < window.startsAt) {
+        return 'repeatUntil must be a timestamp after the first occurrence starts';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a maintenance window
+   */
+  static async createWindow(window) {
+    try {
+      const database = await getDb();
+      const now = Date.now();
+      const result = await database.run(
+        `INSERT INTO maintenance_windows (
+          name, scope, scope_id, scope_name, starts_at, ends_at, recurrence, repeat_until,
+          created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          String(window.name).trim(),
+          window.scope,
+          String(window.scopeId),
+          window.scopeName || null,
+          window.startsAt,
+          window.endsAt,
+          window.recurrence,
+          window.repeatUntil ?? null,
+          window.createdBy || null,
+          now,
+          now
+        ]
+      );
+
+      return this.getWindow(result.lastID);
+    } catch (error) {
+      console.error('Error creating maintenance window:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update a maintenance window
+   */
+  static async updateWindow(windowId, window) {
+    try {
+      const database = await getDb();
+      await database.run(
+        `UPDATE maintenance_windows
+         SET name = ?,
+             scope = ?,
+             scope_id = ?,
+             scope_name = ?,
+             starts_at = ?,
+             ends_at = ?,
+             recurrence = ?,
+             repeat_until = ?,
+             updated_at = ?
+         WHERE id = ?`,
+        [
+          String(window.name).trim(),
+          window.scope,
+          String(window.scopeId),
+          window.scopeName || null,
+          window.startsAt,
+          window.endsAt,
+          window.recurrence,
+          window.repeatUntil ?? null,
+          Date.now(),
+          windowId
+        ]
+      );
+
+      return this.getWindow(windowId);
+    } catch (error) {
+      console.error(`Error updating maintenance window ${windowId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a maintenance window
+   */
+  static async deleteWindow(windowId) {
+    try {
+      const database = await getDb();
+      await database.run('DELETE FROM maintenance_windows WHERE id = ?', [windowId]);
+      return true;
+    } catch (error) {
+      console.error(`Error deleting maintenance window ${windowId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Companies, projects, stages and monitored headers a window can be scoped to
+   */
+  static async getScopeOptions() {
+    const database = await getDb();
+    const projects = await database.all(
+      `SELECT project_id AS projectId, project_name AS projectName, company_id AS companyId,
+         company_name AS companyName, stage_id AS stageId
+       FROM active_projects WHERE is_deleted = 0
+       ORDER BY company_name, project_name`
+    );
+    const headers = await database.all(
+      `SELECT phs.header_id AS headerId, phs.header_name AS headerName, phs.project_id AS projectId,
+         ap.project_name AS projectName
+       FROM project_header_settings phs
+       JOIN active_projects ap ON ap.project_id = phs.project_id
+       WHERE phs.is_monitored = 1 AND ap.is_deleted = 0
+       ORDER BY ap.project_name, phs.header_name`
+    );
+
+    const companies = [
+      ...new Map(
+        projects
+          .filter((project) => project.companyId !== null)
+          .map((project) => [project.companyId, { companyId: project.companyId, companyName: project.companyName }])
+      ).values()
+    ];
+    const stages = projects
+      .filter((project) => project.stageId)
+      .map(({ stageId, projectId, projectName }) => ({ stageId, projectId, projectName }));
+
+    return { companies, projects, stages, headers };
+  }
+}
@@ -0,0 +1,460 @@
+import fs from 'fs';
+import path from 'path';
+import { getDb } from '../database/db.js';
+import { loadSettings } from '../utils/settingsStorage.js';
+import { DEFAULT_SETTINGS } from '../schemas/settings.js';
+import { sendShiftReportNotifications } from '../utils/notifications.js';
+import { sendEmail, parseRecipients } from '../utils/email.js';
+import {
+  escapeHtml,
+  formatTime,
+  formatDuration,
+  formatNumber,
+  renderReportDocument,
+  renderOverview,
+  renderTable
+} from '../utils/reportHtml.js';
+import { HeaderMonitorService } from './headerMonitorService.js';
+import { RAISED_AT_SQL } from './alertHistoryService.js';
+import { ACTIVE_ALERT_STATES } from './alertLifecycleService.js';
+import { REPORTS_DIR } from './stageReportService.js';
+
+const HOUR = 3600 * 1000;
+
+export const DEFAULT_SHIFT_REPORTS_LIMIT = 50;
+
+// A shift change missed by more than this (e.g. the monitor was down) is skipped rather than reported late
+const SCHEDULE_GRACE = 30 * 60 * 1000;
+
+const ALERT_COLUMNS = ['Raised', 'Project', 'Header', 'Type', 'Severity', 'Value', 'State', 'Handled'];
+
+const renderAlertRow = (alert) => {
+  const handledBy = [
+    alert.acknowledgedBy && `acknowledged by ${alert.acknowledgedBy}`,
+    alert.resolvedBy && `resolved by ${alert.resolvedBy}`,
+    alert.closedBy && `closed by ${alert.closedBy}`
+  ]
+    .filter(Boolean)
+    .join(', ');
+  return `
+        <tr>
+          <td>${formatTime(alert.raisedAt)}</td>
+          <td>${escapeHtml(alert.projectName || alert.projectId || '-')}</td>
+          <td>${escapeHtml(alert.headerName || '-')}</td>
+          <td>${escapeHtml(alert.type)}</td>
+          <td class="${escapeHtml(alert.severity)}">${escapeHtml(alert.severity)}</td>
+          <td class="number">${formatNumber(alert.value)}</td>
+          <td>${escapeHtml(alert.state)}</td>
+          <td>${escapeHtml(handledBy || '-')}</td>
+        </tr>`;
+};
+
+/**
+ * Shift handover reports.
+ *
+ * At each configured crew change (`shiftReports.times`, server local time) the last `shiftReports.periodHours`
+ * are compiled: active projects, alerts opened, resolved and still outstanding, snoozes in effect and headers
+ * currently frozen. The report is kept in shift_reports, rendered to a print-friendly HTML file next to the
+ * stage reports, posted to the webhooks and emailed to `webhooks.emailRecipients` as an attachment.
+ */
+export class ShiftReportService {
+  static scheduleRunning = false;
+
+  /**
+   * Resolve the shift report settings, filling in defaults for anything not configured
+   */
+  static async getShiftReportSettings() {
+    const settings = await loadSettings();
+    return { ...DEFAULT_SETTINGS.shiftReports, ...(settings?.shiftReports || {}) };
+  }
+
+  /**
+   * The most recent shift change at or before `now`, null when no valid time is configured
+   */
+  static getLatestShiftChange(times, now = Date.now()) {
+    const changes = (times || [])
+      .map((time) => String(time).match(/^(\d{1,2}):(\d{2})$/))
+      .filter(Boolean)
+      .map(([, hours, minutes]) => {
+        const change = new Date(now);
+        change.setHours(Number(hours), Number(minutes), 0, 0);
+        if (change.getTime() > now) change.setDate(change.getDate() - 1);
+        return change.getTime();
+      });
+    return changes.length > 0 ? Math.max(...changes) : null;
+  }
+
+  /**
+   * Compile a report when a shift change has just passed and it was not reported yet.
+   * Called every minute by the monitor; report history in the database keeps restarts from sending it twice.
+   */
+  static async runSchedule(now = Date.now()) {
+    if (this.scheduleRunning) return null;
+    this.scheduleRunning = true;
+    try {
+      const config = await this.getShiftReportSettings();
+      if (!config.enabled) return null;
+
+      const shiftChange = this.getLatestShiftChange(config.times, now);
+      if (shiftChange === null || now - shiftChange > SCHEDULE_GRACE) return null;
+
+      const database = await getDb();
+      const existing = await database.get('SELECT id FROM shift_reports WHERE scheduled = 1 AND period_end = ?', [
+        shiftChange
+      ]);
+      if (existing) return null;
+
+      console.log(`[ShiftReports] Compiling the ${new Date(shiftChange).toLocaleTimeString()} shift report`);
+      return await this.generateReport({
+        from: shiftChange - config.periodHours * HOUR,
+        to: shiftChange,
+        scheduled: true,
+        deliver: true
+      });
+    } catch (error) {
+      console.error('[ShiftReports] Error running the shift report schedule:', error);
+      return null;
+    } finally {
+      this.scheduleRunning = false;
+    }
+  }
+
+  /**
+   * Summarize what happened between from and to and what is still going on
+   */
+  static async buildSummary({ from, to }) {
+    const database = await getDb();
+    const now = Date.now();
+
+    const projects = await database.all(
+      `SELECT project_id, project_name, company_name, stage_id, last_active_at
+       FROM active_projects WHERE is_deleted = 0
+       ORDER BY company_name, project_name`
+    );
+    const projectNames = new Map(projects.map((project) => [String(project.project_id), project.project_name]));
+
+    const toAlert = (row) => {
+      const alert = HeaderMonitorService.formatAlert(row);
+      return {
+        id: alert.id,
+        projectId: alert.project_id ?? null,
+        projectName: projectNames.get(String(alert.project_id)) ?? null,
+        headerId: alert.header_id ?? null,
+        headerName: alert.header_name ?? null,
+        type: alert.type,
+        severity: alert.severity,
+        state: alert.state,
+        value: alert.value,
+        message: alert.message ?? null,
+        raisedAt: row.raised_at,
+        breachStartedAt: alert.breachStartedAt,
+        resolvedAt: alert.resolvedAt,
+        acknowledgedBy: alert.acknowledgedBy,
+        resolvedBy: alert.resolvedBy,
+        closedBy: alert.closedBy
+      };
+    };
+
+    const opened = await database.all(
+      `SELECT a.*, ${RAISED_AT_SQL} AS raised_at FROM alerts a
+       WHERE ${RAISED_AT_SQL} >= ? AND ${RAISED_AT_SQL} < ?
+       ORDER BY raised_at`,
+      [from, to]
+    );
+    const resolved = await database.all(
+      `SELECT a.*, ${RAISED_AT_SQL} AS raised_at FROM alerts a
+       WHERE a.resolved_at >= ? AND a.resolved_at < ?
+       ORDER BY a.resolved_at`,
+      [from, to]
+    );
+    const outstanding = await database.all(
+      `SELECT a.*, ${RAISED_AT_SQL} AS raised_at FROM alerts a
+       WHERE COALESCE(a.state, 'open') IN (${ACTIVE_ALERT_STATES.map(() => '?').join(', ')})
+       ORDER BY raised_at`,
+      ACTIVE_ALERT_STATES
+    );
+
+    const snoozes = await database.all(
+      `SELECT s.id, s.alert_id, s.scope, s.scope_name, s.reason, s.snooze_until, s.created_at, a.header_name,
+         COALESCE(a.project_id, s.project_id) AS project_id, a.type, a.severity
+       FROM alert_snoozes s
+       LEFT JOIN alerts a ON a.id = s.alert_id
+       WHERE s.snooze_until > ?
+       ORDER BY s.snooze_until`,
+      [new Date(now).toISOString()]
+    );
+
+    const outstandingAlerts = outstanding.map(toAlert);
+    // A header is frozen for as long as its frozen alert is active
+    const frozenHeaders = outstandingAlerts
+      .filter((alert) => alert.type === 'frozen')
+      .map((alert) => ({
+        headerId: alert.headerId,
+        headerName: alert.headerName,
+        projectId: alert.projectId,
+        projectName: alert.projectName,
+        value: alert.value,
+        frozenSince: alert.breachStartedAt ?? alert.raisedAt,
+        state: alert.state
+      }));
+
+    return {
+      from,
+      to,
+      activeProjects: projects.map((project) => ({
+        projectId: String(project.project_id),
+        projectName: project.project_name,
+        companyName: project.company_name,
+        stageId: project.stage_id,
+        lastActiveAt: project.last_active_at,
+        outstandingAlerts: outstandingAlerts.filter((alert) => String(alert.projectId) === String(project.project_id))
+          .length
+      })),
+      alertsOpened: opened.map(toAlert),
+      alertsResolved: resolved.map(toAlert),
+      alertsOutstanding: outstandingAlerts,
+      snoozes: snoozes.map((snooze) => ({
+        id: snooze.id,
+        alertId: snooze.alert_id,
+        scope: snooze.scope || 'alert',
+        // Scope snoozes cover a whole header, project, stage or category rather than one alert
+        headerName: snooze.header_name ?? (snooze.scope_name ? `${snooze.scope}: ${snooze.scope_name}` : null),
+        reason: snooze.reason ?? null,
+        projectId: snooze.project_id ?? null,
+        projectName: projectNames.get(String(snooze.project_id)) ?? null,
+        type: snooze.type ?? null,
+        severity: snooze.severity ?? null,
+        snoozedUntil: new Date(snooze.snooze_until).getTime()
+      })),
+      frozenHeaders
+    };
+  }
+
+  static getTitle(summary) {
+    return `Shift handover report - ${formatTime(summary.to)}`;
+  }
+
+  static renderHtml(summary, generatedAt) {
+    const title = this.getTitle(summary);
+
+    const projectRows = summary.activeProjects.map(
+      (project) => `
+        <tr>
+          <td>${escapeHtml(project.companyName || '-')}</td>
+          <td>${escapeHtml(project.projectName || project.projectId)}</td>
+          <td>${escapeHtml(project.stageId || '-')}</td>
+          <td class="number">${project.outstandingAlerts}</td>
+        </tr>`
+    );
+    const snoozeRows = summary.snoozes.map(
+      (snooze) => `
+        <tr>
+          <td>${escapeHtml(snooze.projectName || snooze.projectId || '-')}</td>
+          <td>${escapeHtml(snooze.headerName || snooze.alertId || '-')}</td>
+          <td>${escapeHtml(snooze.type || '-')}</td>
+          <td>${formatTime(snooze.snoozedUntil)}</td>
+          <td>${escapeHtml(snooze.reason || '-')}</td>
+        </tr>`
+    );
+    const frozenRows = summary.frozenHeaders.map(
+      (header) => `
+        <tr>
+          <td>${escapeHtml(header.projectName || header.projectId || '-')}</td>
+          <td>${escapeHtml(header.headerName)}</td>
+          <td class="number">${formatNumber(header.value)}</td>
+          <td>${formatTime(header.frozenSince)}</td>
+          <td class="number">${formatDuration(generatedAt - header.frozenSince)}</td>
+        </tr>`
+    );
+
+    return renderReportDocument(
+      title,
+      `<h1>${escapeHtml(title)}</h1>
+  <p class="subtitle">${formatTime(summary.from)} to ${formatTime(summary.to)}</p>
+  ${renderOverview([
+    ['Active projects', summary.activeProjects.length],
+    ['Alerts opened', summary.alertsOpened.length],
+    ['Alerts resolved', summary.alertsResolved.length],
+    ['Outstanding', summary.alertsOutstanding.length],
+    ['Snoozed', summary.snoozes.length],
+    ['Frozen headers', summary.frozenHeaders.length]
+  ])}
+
+  <h2>Active Projects</h2>
+  ${renderTable(['Company', 'Project', 'Stage', 'Outstanding alerts'], projectRows, 'No active projects.')}
+
+  <h2>Outstanding Alerts</h2>
+  ${renderTable(ALERT_COLUMNS, summary.alertsOutstanding.map(renderAlertRow), 'No alerts are outstanding.')}
+
+  <h2>Headers Currently Frozen</h2>
+  ${renderTable(['Project', 'Header', 'Value', 'Frozen since', 'For'], frozenRows, 'No headers are frozen.')}
+
+  <h2>Snoozes In Effect</h2>
+  ${renderTable(['Project', 'Header', 'Type', 'Snoozed until', 'Reason'], snoozeRows, 'No alerts are snoozed.')}
+
+  <h2>Alerts Opened This Shift</h2>
+  ${renderTable(ALERT_COLUMNS, summary.alertsOpened.map(renderAlertRow), 'No alerts were opened.')}
+
+  <h2>Alerts Resolved This Shift</h2>
+  ${renderTable(ALERT_COLUMNS, summary.alertsResolved.map(renderAlertRow), 'No alerts were resolved.')}`,
+      generatedAt
+    );
+  }
+
+  // Plain text body of the email, the full report is attached
+  static renderText(summary) {
+    const lines = [
+      this.getTitle(summary),
+      `${formatTime(summary.from)} to ${formatTime(summary.to)}`,
+      '',
+      `Active projects: ${summary.activeProjects.length}`,
+      `Alerts opened: ${summary.alertsOpened.length}`,
+      `Alerts resolved: ${summary.alertsResolved.length}`,
+      `Outstanding alerts: ${summary.alertsOutstanding.length}`,
+      `Snoozes in effect: ${summary.snoozes.length}`,
+      `Headers frozen: ${summary.frozenHeaders.length}`
+    ];
+    if (summary.alertsOutstanding.length > 0) {
+      lines.push('', 'Outstanding:');
+      for (const alert of summary.alertsOutstanding) {
+        lines.push(
+          `- [${alert.severity}] ${alert.projectName || alert.projectId || ''} ${alert.headerName || alert.id}`
+        );
+      }
+    }
+    lines.push('', 'The full report is attached.');
+    return lines.join('\n');
+  }
+
+  /**
+   * Send a compiled report out through the enabled channels
+   * @returns {Promise<{notifications: boolean|null, email: boolean|null}>} null for a channel not used
+   */
+  static async deliver(report, html) {
+    const settings = await loadSettings();
+    const config = { ...DEFAULT_SETTINGS.shiftReports, ...(settings?.shiftReports || {}) };
+    const delivery = { notifications: null, email: null };
+
+    // Each channel has its own switch, email works with Slack, Teams and webhooks turned off
+    if (config.sendNotifications && settings?.webhooks?.enabled) {
+      delivery.notifications = await sendShiftReportNotifications(report);
+    }
+
+    const recipients = parseRecipients(settings?.webhooks?.emailRecipients);
+    if (config.sendEmail && settings?.webhooks?.emailEnabled && recipients.length > 0) {
+      try {
+        await sendEmail({
+          to: recipients,
+          subject: this.getTitle(report.summary),
+          text: this.renderText(report.summary),
+          attachments: [{ filename: report.fileName, content: html, contentType: 'text/html' }]
+        });
+        delivery.email = true;
+      } catch (error) {
+        console.error('[ShiftReports] Error emailing shift report:', error);
+        delivery.email = false;
+      }
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Compile, save and optionally deliver the report for a period.
+   * Errors are logged and swallowed so a failed report never holds up monitoring.
+   * @returns {Promise<Object|null>} the stored report, null when it could not be generated
+   */
+  static async generateReport({ from, to, scheduled = false, deliver = false }) {
+    try {
+      const generatedAt = Date.now();
+      const summary = await this.buildSummary({ from, to });
+      const html = this.renderHtml(summary, generatedAt);
+
+      if (!fs.existsSync(REPORTS_DIR)) {
+        fs.mkdirSync(REPORTS_DIR, { recursive: true });
+      }
+      const fileName = `shift-report-${new Date(to).toISOString().slice(0, 16).replace(/[^\d]/g, '')}-${generatedAt}.html`;
+      await fs.promises.writeFile(path.join(REPORTS_DIR, fileName), html, 'utf8');
+
+      const database = await getDb();
+      const result = await database.run(
+        `INSERT INTO shift_reports (period_start, period_end, generated_at, scheduled, file_name, summary)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [from, to, generatedAt, scheduled ? 1 : 0, fileName, JSON.stringify(summary)]
+      );
+      console.log(`[ShiftReports] Report ${result.lastID} generated for ${formatTime(from)} to ${formatTime(to)}`);
+
+      if (deliver) {
+        const delivery = await this.deliver({ id: result.lastID, fileName, summary }, html);
+        await database.run('UPDATE shift_reports SET delivery = ? WHERE id = ?', [
+          JSON.stringify(delivery),
+          result.lastID
+        ]);
+      }
+
+      return this.getReport(result.lastID);
+    } catch (error) {
+      console.error('[ShiftReports] Error generating shift report:', error);
+      return null;
+    }
+  }
+
+  static formatReport(row, includeSummary = false) {
+    const summary = JSON.parse(row.summary);
+    return {
+      id: row.id,
+      periodStart: row.period_start,
+      periodEnd: row.period_end,
+      generatedAt: row.generated_at,
+      scheduled: Boolean(row.scheduled),
+      fileName: row.file_name,
+      delivery: row.delivery ? JSON.parse(row.delivery) : null,
+      counts: {
+        activeProjects: summary.activeProjects.length,
+        opened: summary.alertsOpened.length,
+        resolved: summary.alertsResolved.length,
+        outstanding: summary.alertsOutstanding.length,
+        snoozed: summary.snoozes.length,
+        frozen: summary.frozenHeaders.length
+      },
+      ...(includeSummary ? { summary } : {})
+    };
+  }
+
+  /**
+   * Reports compiled so far, newest first
+   */
+  static async listReports({ limit = DEFAULT_SHIFT_REPORTS_LIMIT } = {}) {
+    try {
+      const database = await getDb();
+      const rows = await database.all('SELECT * FROM shift_reports ORDER BY period_end DESC, id DESC LIMIT ?', [limit]);
+      return rows.map((row) => this.formatReport(row));
+    } catch (error) {
+      console.error('[ShiftReports] Error listing reports:', error);
+      return [];
+    }
+  }
+
+  /**
+   * One report with the summary it was rendered from
+   * @returns {Promise<Object|null>} null when the report does not exist
+   */
+  static async getReport(reportId) {
+    try {
+      const database = await getDb();
+      const row = await database.get('SELECT * FROM shift_reports WHERE id = ?', [reportId]);
+      return row ? this.formatReport(row, true) : null;
+    } catch (error) {
+      console.error(`[ShiftReports] Error getting report ${reportId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Path of a report's rendered file, null when it has been removed from disk
+   */
+  static getReportFilePath(report) {
+    const filePath = path.join(REPORTS_DIR, path.basename(report.fileName));
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+}
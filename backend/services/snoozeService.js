@@ -0,0 +1,382 @@
+import { getDb } from '../database/db.js';
+import { loadSettings } from '../utils/settingsStorage.js';
+import { classifyHeader } from '../shared/headerClassifier.js';
+import { resolveThresholdRule } from '../shared/thresholdRules.js';
+import { isSnoozeRecovered } from '../utils/snoozeRules.js';
+import { AlertEventService, ALERT_EVENT_TYPES } from './alertEventService.js';
+import { AlertLifecycleService, ACTIVE_ALERT_STATES } from './alertLifecycleService.js';
+import { MaintenanceWindowService } from './maintenanceWindowService.js';
+
+export const SNOOZE_SCOPES = ['alert', 'header', 'project', 'stage', 'category'];
+
+// Stages and categories are snoozed within one project
+const PROJECT_SCOPES = ['stage', 'category'];
+
+const same = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+/**
+ * Snoozes, stored in alert_snoozes. A snooze covers a single alert (scope "alert", keyed by alert_id) or
+ * every alert of a header, project, stage or category within a project (scope_id, plus project_id for the
+ * last two). A stage snooze only applies while its project is on that stage.
+ * Checks skip covered alerts until the snooze expires or, with auto_unsnooze, until every alert it
+ * covers has been resolved or closed for the category's recovery hold time (see utils/snoozeRules.js).
+ */
+export class SnoozeService {
+  /**
+   * Convert an alert_snoozes row (joined with its alert) to the API shape
+   */
+  static mapSnooze(row) {
+    return {
+      id: row.id,
+      scope: row.scope || 'alert',
+      alertId: row.alert_id,
+      scopeId: row.scope_id,
+      projectId: row.project_id ?? row.alert_project_id ?? null,
+      scopeName: row.scope_name || row.alert_header_name || null,
+      alertType: row.alert_type ?? null,
+      alertHeaderId: row.alert_header_id ?? null,
+      reason: row.reason,
+      autoUnsnooze: row.auto_unsnooze === 1,
+      snoozeUntil: row.snooze_until,
+      createdAt: row.created_at,
+      createdBy: row.created_by
+    };
+  }
+
+  /**
+   * Get the snoozes in effect at `now`, ending soonest first
+   */
+  static async getActiveSnoozes(now = Date.now()) {
+    try {
+      const database = await getDb();
+      const rows = await database.all(
+        `SELECT s.*, a.header_id AS alert_header_id, a.header_name AS alert_header_name,
+           a.project_id AS alert_project_id, a.type AS alert_type
+         FROM alert_snoozes s
+         LEFT JOIN alerts a ON a.id = s.alert_id
+         WHERE s.snooze_until > ?
+         ORDER BY s.snooze_until`,
+        [new Date(now).toISOString()]
+      );
+      return rows.map((row) => this.mapSnooze(row));
+    } catch (error) {
+      console.error('Error getting active snoozes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single snooze
+   */
+  static async getSnooze(snoozeId) {
+    try {
+      const database = await getDb();
+      const row = await database.get(
+        `SELECT s.*, a.header_id AS alert_header_id, a.header_name AS alert_header_name,
+           a.project_id AS alert_project_id, a.type AS alert_type
+         FROM alert_snoozes s
+         LEFT JOIN alerts a ON a.id = s.alert_id
+         WHERE s.id = ?`,
+        [snoozeId]
+      );
+      return row ? this.mapSnooze(row) : null;
+    } catch (error) {
+      console.error(`Error getting snooze ${snoozeId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a snooze covers an alert or header
+   * @param {Object} snooze - Snooze in the API shape
+   * @param {{alertId, headerId, projectId, stageId, category}} target - From resolveTargets
+   */
+  static covers(snooze, target) {
+    switch (snooze.scope) {
+      case 'header':
+        return same(snooze.scopeId, target.headerId);
+      case 'project':
+        return same(snooze.scopeId, target.projectId);
+      case 'stage':
+        return same(snooze.projectId, target.projectId) && same(snooze.scopeId, target.stageId);
+      case 'category':
+        return same(snooze.projectId, target.projectId) && same(snooze.scopeId, target.category);
+      case 'alert':
+      default:
+        return same(snooze.alertId, target.alertId);
+    }
+  }
+
+  /**
+   * Settings and the current stage of each active project, used to resolve targets
+   */
+  static async loadTargetContext() {
+    const database = await getDb();
+    const settings = await loadSettings();
+    const projects = await database.all('SELECT project_id, stage_id FROM active_projects');
+    const stages = new Map(projects.map((project) => [String(project.project_id), project.stage_id]));
+    return { settings, stages };
+  }
+
+  /**
+   * The active snoozes, plus the target context when a scope snooze is among them; loaded once per
+   * monitoring cycle and passed to findSnooze for every check
+   * @returns {Promise<{snoozes: Array<Object>, targetContext: {settings, stages}|null}>}
+   */
+  static async loadSnoozeContext(now = Date.now()) {
+    const snoozes = await this.getActiveSnoozes(now);
+    const targetContext = snoozes.some((snooze) => snooze.scope !== 'alert') ? await this.loadTargetContext() : null;
+    return { snoozes, targetContext };
+  }
+
+  /**
+   * Add the current stage and the category to alerts or headers, so snoozes can be matched against them
+   * @param {Array<{alertId, headerId, projectId, headerName}>} items
+   * @param {{settings, stages}|null} targetContext - From loadTargetContext, loaded when omitted
+   * @returns {Promise<Array<{alertId, headerId, projectId, stageId, category}>>} In the order of items
+   */
+  static async resolveTargets(items, targetContext = null) {
+    const { settings, stages } = targetContext || (await this.loadTargetContext());
+
+    return items.map(({ alertId, headerId, projectId, headerName }) => ({
+      alertId: alertId ?? null,
+      headerId: headerId ?? null,
+      projectId: projectId ?? null,
+      stageId: projectId !== null && projectId !== undefined ? stages.get(String(projectId)) ?? null : null,
+      category:
+        headerName && settings?.patternCategories ? classifyHeader(headerName, settings.patternCategories) : null
+    }));
+  }
+
+  /**
+   * The snooze covering an alert, if any: its own snooze first, then any scope snooze
+   * @param {string} alertId
+   * @param {{headerId, projectId, headerName}|null} source - Where the alert comes from, only looked into
+   *   when a scope snooze is in effect
+   * @param {{snoozes, targetContext}|null} snoozeContext - From loadSnoozeContext, loaded when omitted
+   * @returns {Promise<Object|null>} Snooze in the API shape
+   */
+  static async findSnooze(alertId, source = null, snoozeContext = null) {
+    const { snoozes, targetContext } = snoozeContext || (await this.loadSnoozeContext());
+    const alertSnooze = snoozes.find((snooze) => snooze.scope === 'alert' && snooze.alertId === alertId);
+    if (alertSnooze) return alertSnooze;
+
+    const scopeSnoozes = snoozes.filter((snooze) => snooze.scope !== 'alert');
+    if (scopeSnoozes.length === 0 || !source) return null;
+
+    const [target] = await this.resolveTargets([{ alertId, ...source }], targetContext);
+    return scopeSnoozes.find((snooze) => this.covers(snooze, target)) || null;
+  }
+
+  /**
+   * Ids of the active alerts a snooze covers
+   */
+  static async getCoveredAlertIds(snooze) {
+    if (snooze.scope === 'alert') return [snooze.alertId];
+
+    const database = await getDb();
+    const alerts = await database.all(
+      `SELECT id, header_id, header_name, project_id FROM alerts
+       WHERE COALESCE(state, 'open') IN (${ACTIVE_ALERT_STATES.map(() => '?').join(', ')})`,
+      ACTIVE_ALERT_STATES
+    );
+    const targets = await this.resolveTargets(
+      alerts.map((alert) => ({
+        alertId: alert.id,
+        headerId: alert.header_id,
+        projectId: alert.project_id,
+        headerName: alert.header_name
+      }))
+    );
+    return alerts.filter((alert, index) => this.covers(snooze, targets[index])).map((alert) => alert.id);
+  }
+
+  /**
+   * Validate a snooze request
+   * @returns {Promise<string|null>} The first problem found, or null when the snooze is valid
+   */
+  static async validateSnooze(snooze) {
+    if (!SNOOZE_SCOPES.includes(snooze.scope)) return `Scope must be one of ${SNOOZE_SCOPES.join(', ')}`;
+    if (typeof snooze.duration !== 'number' || !(snooze.duration > 0)) {
+      return 'Duration is required and must be a positive number (in seconds)';
+    }
+    if (snooze.reason !== undefined && snooze.reason !== null && typeof snooze.reason !== 'string') {
+      return 'Reason must be text';
+    }
+
+    if (snooze.scope === 'alert') {
+      if (!snooze.alertId) return 'alertId is required';
+      return null;
+    }
+
+    if (snooze.scopeId === null || snooze.scopeId === undefined || String(snooze.scopeId).trim() === '') {
+      return `A ${snooze.scope} must be selected`;
+    }
+    if (PROJECT_SCOPES.includes(snooze.scope) && !snooze.projectId) {
+      return `A ${snooze.scope} is snoozed within a project, projectId is required`;
+    }
+    return null;
+  }
+
+  /**
+   * Snooze an alert or scope for `duration` seconds, replacing the snooze it already had.
+   * The active alerts it covers get a snoozed event.
+   */
+  static async createSnooze(snooze) {
+    try {
+      const database = await getDb();
+      const now = new Date();
+      const snoozeUntil = new Date(now.getTime() + snooze.duration * 1000).toISOString();
+      const values = [
+        snooze.reason ? snooze.reason.trim() : null,
+        snooze.autoUnsnooze ? 1 : 0,
+        snooze.createdBy || null,
+        snoozeUntil,
+        now.toISOString()
+      ];
+
+      let result;
+      if (snooze.scope === 'alert') {
+        // One current snooze per alert, earlier snoozes are kept in the alert's events
+        result = await database.run(
+          `INSERT OR REPLACE INTO alert_snoozes (alert_id, scope, reason, auto_unsnooze, created_by, snooze_until, created_at)
+           VALUES (?, 'alert', ?, ?, ?, ?, ?)`,
+          [snooze.alertId, ...values]
+        );
+      } else {
+        const projectId = PROJECT_SCOPES.includes(snooze.scope) ? String(snooze.projectId) : snooze.projectId ?? null;
+        await database.run(
+          `DELETE FROM alert_snoozes WHERE scope = ? AND scope_id = ? AND COALESCE(project_id, '') = COALESCE(?, '')`,
+          [snooze.scope, String(snooze.scopeId), projectId]
+        );
+        result = await database.run(
+          `INSERT INTO alert_snoozes (scope, scope_id, project_id, scope_name, reason, auto_unsnooze, created_by,
+             snooze_until, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [snooze.scope, String(snooze.scopeId), projectId, snooze.scopeName || null, ...values]
+        );
+      }
+
+      const created = await this.getSnooze(result.lastID);
+      const alertIds = await this.getCoveredAlertIds(created);
+      await AlertEventService.recordEvents(
+        alertIds.map((alertId) => ({
+          alertId,
+          type: ALERT_EVENT_TYPES.SNOOZED,
+          actor: created.createdBy,
+          details: {
+            duration: snooze.duration,
+            snoozeUntil,
+            scope: created.scope,
+            scopeName: created.scope === 'alert' ? null : created.scopeName,
+            reason: created.reason,
+            autoUnsnooze: created.autoUnsnooze
+          }
+        }))
+      );
+
+      return created;
+    } catch (error) {
+      console.error('Error creating snooze:', error);
+      return null;
+    }
+  }
+
+  /**
+   * End a snooze before it expires. The active alerts it covered get an unsnoozed event.
+   * @param {{automatic?: boolean, reason?: string, by?: string}} options
+   * @returns {Promise<boolean>} false when the snooze does not exist or could not be deleted
+   */
+  static async deleteSnooze(snoozeId, { automatic = false, reason = null, by = null } = {}) {
+    try {
+      const snooze = await this.getSnooze(snoozeId);
+      if (!snooze) return false;
+
+      const database = await getDb();
+      await database.run('DELETE FROM alert_snoozes WHERE id = ?', [snoozeId]);
+
+      const alertIds = await this.getCoveredAlertIds(snooze);
+      await AlertEventService.recordEvents(
+        alertIds.map((alertId) => ({
+          alertId,
+          type: ALERT_EVENT_TYPES.UNSNOOZED,
+          actor: by,
+          details: {
+            automatic,
+            reason,
+            scope: snooze.scope,
+            scopeName: snooze.scope === 'alert' ? null : snooze.scopeName
+          }
+        }))
+      );
+      return true;
+    } catch (error) {
+      console.error(`Error deleting snooze ${snoozeId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Lift auto-unsnooze snoozes once every alert they cover has been resolved or closed for its category's
+   * recovery hold time, called once per monitoring cycle
+   * @param {Array<Object>} snoozes - Active snoozes with autoUnsnooze
+   * @param {{settings, stages}|null} targetContext - From loadTargetContext, loaded when omitted
+   * @returns {Promise<number[]>} Ids of the snoozes lifted
+   */
+  static async processAutoUnsnooze(snoozes, targetContext = null, now = Date.now()) {
+    if (snoozes.length === 0) return [];
+
+    // Occurrences still active, or ended since the oldest of these snoozes was created
+    const since = Math.min(...snoozes.map((snooze) => Date.parse(snooze.createdAt)));
+    const database = await getDb();
+    const alerts = await database.all(
+      `SELECT id, header_id, header_name, project_id, state, resolved_at, closed_at FROM alerts
+       WHERE COALESCE(state, 'open') IN (${ACTIVE_ALERT_STATES.map(() => '?').join(', ')})
+         OR COALESCE(resolved_at, closed_at) >= ?`,
+      [...ACTIVE_ALERT_STATES, since]
+    );
+    if (alerts.length === 0) return [];
+
+    targetContext = targetContext || (await this.loadTargetContext());
+    const targets = await this.resolveTargets(
+      alerts.map((alert) => ({
+        alertId: AlertLifecycleService.getBaseId(alert.id),
+        headerId: alert.header_id,
+        projectId: alert.project_id,
+        headerName: alert.header_name
+      })),
+      targetContext
+    );
+    const occurrences = alerts.map((alert, index) => ({
+      active: ACTIVE_ALERT_STATES.includes(alert.state || 'open'),
+      endedAt: alert.resolved_at ?? alert.closed_at ?? null,
+      recoveryHold: resolveThresholdRule({}, targetContext.settings?.patternCategories?.[targets[index].category])
+        .recoveryHold
+    }));
+
+    const lifted = [];
+    for (const snooze of snoozes) {
+      const covered = occurrences.filter((occurrence, index) => this.covers(snooze, targets[index]));
+      if (!isSnoozeRecovered(snooze, covered, now)) continue;
+
+      console.log(
+        `[SNOOZE][${snooze.id}] ${snooze.scope} ${snooze.scopeName || snooze.alertId} alerts resolved - unsnoozing`
+      );
+      if (await this.deleteSnooze(snooze.id, { automatic: true, reason: 'Alerts resolved' })) {
+        lifted.push(snooze.id);
+      }
+    }
+
+    return lifted;
+  }
+
+  /**
+   * Projects, stages, headers and categories a snooze can cover
+   */
+  static async getScopeOptions() {
+    const { projects, stages, headers } = await MaintenanceWindowService.getScopeOptions();
+    const settings = await loadSettings();
+    const categories = Object.keys(settings?.patternCategories || {}).sort();
+    return { projects, stages, headers, categories };
+  }
+}
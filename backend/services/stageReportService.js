@@ -0,0 +1,366 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDb } from '../database/db.js';
+import { loadSettings } from '../utils/settingsStorage.js';
+import { sendStageReportNotifications } from '../utils/notifications.js';
+import { HeaderMonitorService } from './headerMonitorService.js';
+import { HeaderHistoryService } from './headerHistoryService.js';
+import { RAISED_AT_SQL } from './alertHistoryService.js';
+import {
+  escapeHtml,
+  formatTime,
+  formatDuration,
+  formatNumber,
+  renderReportDocument,
+  renderOverview,
+  renderTable
+} from '../utils/reportHtml.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const REPORTS_DIR = path.resolve(__dirname, '../private/reports');
+
+export const DEFAULT_STAGE_REPORTS_LIMIT = 50;
+
+// Alert types that put a header "in alert"; frozen alerts are counted separately, errors not at all
+const IN_ALERT_TYPES = ['threshold', 'rate', 'compound'];
+
+// Total length of a set of [start, end] intervals, overlaps counted once and clipped to the stage
+const coveredTime = (intervals, from, to) => {
+  const sorted = intervals
+    .map(([start, end]) => [Math.max(start, from), Math.min(end, to)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  for (const [start, end] of sorted) {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+    } else {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    }
+  }
+  if (current) total += current[1] - current[0];
+  return total;
+};
+
+/**
+ * End-of-stage reports.
+ *
+ * When a project moves on to its next stage the completed stage is summarized: every alert raised
+ * during it, how long each header spent in alert or frozen, and the min/max/avg of each monitored header.
+ * The summary is kept in stage_reports and rendered to a print-friendly HTML file under private/reports
+ * (opened in a browser it can be saved as PDF); it is posted to the webhooks when `webhooks.sendStageReports` is on.
+ */
+export class StageReportService {
+  /**
+   * Summarize a stage, from the first value or alert recorded for it until endedAt
+   * @returns {Promise<Object>}
+   */
+  static async buildSummary(projectId, stageId, { nextStageId = null, endedAt = Date.now() } = {}) {
+    const database = await getDb();
+
+    const project = await database.get('SELECT project_name, company_name FROM active_projects WHERE project_id = ?', [
+      projectId
+    ]);
+
+    const alertRows = await database.all(
+      `SELECT a.*, ${RAISED_AT_SQL} AS raised_at FROM alerts a
+       WHERE a.project_id = ? AND a.stage_id = ?
+       ORDER BY raised_at, a.id`,
+      [String(projectId), String(stageId)]
+    );
+    const alerts = alertRows.map((row) => ({ ...HeaderMonitorService.formatAlert(row), raisedAt: row.raised_at }));
+
+    // Header ids belong to a stage, so the project's monitored headers are still the completed stage's ones
+    // until they are mapped onto the next stage; headers that alerted are included even if no longer monitored
+    const monitoredHeaders = await database.all(
+      'SELECT header_id, header_name FROM project_header_settings WHERE project_id = ? AND is_monitored = 1',
+      [projectId]
+    );
+    const headers = new Map(monitoredHeaders.map((row) => [row.header_id, row.header_name]));
+    for (const alert of alerts) {
+      if (alert.header_id && !headers.has(alert.header_id)) {
+        headers.set(alert.header_id, alert.header_name);
+      }
+    }
+
+    const headerIds = [...headers.keys()];
+    let startedAt = null;
+    if (headerIds.length > 0) {
+      const placeholders = headerIds.map(() => '?').join(', ');
+      const firstRaw = await database.get(
+        `SELECT MIN(recorded_at) AS time FROM header_value_history WHERE header_id IN (${placeholders})`,
+        headerIds
+      );
+      const firstRollup = await database.get(
+        `SELECT MIN(bucket_start) AS time FROM header_value_rollups WHERE header_id IN (${placeholders})`,
+        headerIds
+      );
+      startedAt = Math.min(
+        ...[firstRaw?.time, firstRollup?.time].filter((time) => time !== null && time !== undefined)
+      );
+    }
+    const firstAlertAt = Math.min(...alerts.map((alert) => alert.breachStartedAt ?? alert.raisedAt).filter(Boolean));
+    startedAt = Math.min(Number.isFinite(startedAt) ? startedAt : Infinity, firstAlertAt);
+    if (!Number.isFinite(startedAt)) startedAt = null;
+
+    // An occurrence lasts from when its breach started until it was resolved or closed, or until the stage ended
+    const intervalsFor = (headerId, types) =>
+      alerts
+        .filter((alert) => alert.header_id === headerId && types.includes(alert.type))
+        .map((alert) => [alert.breachStartedAt ?? alert.raisedAt, alert.resolvedAt ?? alert.closedAt ?? endedAt]);
+
+    const headerSummaries = [];
+    for (const [headerId, headerName] of headers) {
+      const stats = startedAt ? await HeaderHistoryService.getValueStats(headerId, startedAt, endedAt) : null;
+      headerSummaries.push({
+        headerId,
+        headerName,
+        min: stats?.min ?? null,
+        max: stats?.max ?? null,
+        avg: stats?.avg ?? null,
+        sampleCount: stats?.count ?? 0,
+        alertCount: alerts.filter((alert) => alert.header_id === headerId).length,
+        timeInAlert: startedAt ? coveredTime(intervalsFor(headerId, IN_ALERT_TYPES), startedAt, endedAt) : 0,
+        timeFrozen: startedAt ? coveredTime(intervalsFor(headerId, ['frozen']), startedAt, endedAt) : 0
+      });
+    }
+    headerSummaries.sort(
+      (a, b) =>
+        b.timeInAlert + b.timeFrozen - (a.timeInAlert + a.timeFrozen) || a.headerName.localeCompare(b.headerName)
+    );
+
+    const bySeverity = {};
+    const byType = {};
+    for (const alert of alerts) {
+      bySeverity[alert.severity] = (bySeverity[alert.severity] || 0) + 1;
+      byType[alert.type] = (byType[alert.type] || 0) + 1;
+    }
+
+    return {
+      projectId: String(projectId),
+      projectName: project?.project_name ?? null,
+      companyName: project?.company_name ?? null,
+      stageId: String(stageId),
+      nextStageId: nextStageId ? String(nextStageId) : null,
+      startedAt,
+      endedAt,
+      alertCounts: { total: alerts.length, bySeverity, byType },
+      headers: headerSummaries,
+      alerts: alerts.map((alert) => ({
+        id: alert.id,
+        headerId: alert.header_id ?? null,
+        headerName: alert.header_name ?? null,
+        type: alert.type,
+        severity: alert.severity,
+        state: alert.state,
+        value: alert.value,
+        threshold: alert.threshold,
+        message: alert.message ?? null,
+        raisedAt: alert.raisedAt,
+        breachStartedAt: alert.breachStartedAt,
+        endedAt: alert.resolvedAt ?? alert.closedAt,
+        acknowledgedBy: alert.acknowledgedBy,
+        resolvedBy: alert.resolvedBy,
+        closedBy: alert.closedBy
+      }))
+    };
+  }
+
+  static renderHtml(summary, generatedAt) {
+    const title = `Stage ${summary.stageId} report`;
+    const projectLabel = [summary.companyName, summary.projectName || `Project ${summary.projectId}`]
+      .filter(Boolean)
+      .join(' / ');
+    const stageDuration = summary.startedAt ? summary.endedAt - summary.startedAt : null;
+
+    const overviewItems = [
+      ['Alerts raised', summary.alertCounts.total],
+      ...Object.entries(summary.alertCounts.bySeverity).map(([severity, count]) => [`${severity} alerts`, count]),
+      ['Headers monitored', summary.headers.length],
+      ['Stage duration', formatDuration(stageDuration)]
+    ];
+
+    const headerRows = summary.headers.map(
+      (header) => `
+        <tr>
+          <td>${escapeHtml(header.headerName)}</td>
+          <td class="number">${formatNumber(header.min)}</td>
+          <td class="number">${formatNumber(header.max)}</td>
+          <td class="number">${formatNumber(header.avg)}</td>
+          <td class="number">${header.sampleCount}</td>
+          <td class="number">${header.alertCount}</td>
+          <td class="number">${formatDuration(header.timeInAlert)}</td>
+          <td class="number">${formatDuration(header.timeFrozen)}</td>
+        </tr>`
+    );
+
+    const alertRows = summary.alerts.map((alert) => {
+      const handledBy = [
+        alert.acknowledgedBy && `acknowledged by ${alert.acknowledgedBy}`,
+        alert.resolvedBy && `resolved by ${alert.resolvedBy}`,
+        alert.closedBy && `closed by ${alert.closedBy}`
+      ]
+        .filter(Boolean)
+        .join(', ');
+      const lastedUntil = alert.endedAt ?? summary.endedAt;
+      return `
+        <tr>
+          <td>${formatTime(alert.raisedAt)}</td>
+          <td>${escapeHtml(alert.headerName || '-')}</td>
+          <td>${escapeHtml(alert.type)}</td>
+          <td class="${escapeHtml(alert.severity)}">${escapeHtml(alert.severity)}</td>
+          <td class="number">${formatNumber(alert.value)}</td>
+          <td class="number">${formatNumber(alert.threshold)}</td>
+          <td>${escapeHtml(alert.state)}</td>
+          <td class="number">${formatDuration(lastedUntil - (alert.breachStartedAt ?? alert.raisedAt))}</td>
+          <td>${escapeHtml(handledBy || '-')}</td>
+        </tr>`;
+    });
+
+    return renderReportDocument(
+      title,
+      `<h1>${escapeHtml(title)}</h1>
+  <p class="subtitle">${escapeHtml(projectLabel)}</p>
+  <p class="subtitle">
+    ${formatTime(summary.startedAt)} to ${formatTime(summary.endedAt)}
+    ${summary.nextStageId ? ` &middot; followed by stage ${escapeHtml(summary.nextStageId)}` : ''}
+  </p>
+  ${renderOverview(overviewItems)}
+
+  <h2>Headers</h2>
+  ${renderTable(
+    ['Header', 'Min', 'Max', 'Avg', 'Samples', 'Alerts', 'Time in alert', 'Time frozen'],
+    headerRows,
+    'No headers were monitored during this stage.'
+  )}
+
+  <h2>Alerts</h2>
+  ${renderTable(
+    ['Raised', 'Header', 'Type', 'Severity', 'Value', 'Threshold', 'State', 'Duration', 'Handled'],
+    alertRows,
+    'No alerts were raised during this stage.'
+  )}`,
+      generatedAt
+    );
+  }
+
+  /**
+   * Summarize a completed stage, save the rendered report and post it when that is enabled.
+   * Errors are logged and swallowed so a failed report never holds up the monitoring cycle.
+   * @param {{nextStageId?: string, post?: boolean}} options post overrides the webhooks.sendStageReports setting
+   * @returns {Promise<Object|null>} the stored report, null when it could not be generated
+   */
+  static async generateReport(projectId, stageId, { nextStageId = null, post } = {}) {
+    try {
+      const generatedAt = Date.now();
+      const summary = await this.buildSummary(projectId, stageId, { nextStageId, endedAt: generatedAt });
+
+      if (!fs.existsSync(REPORTS_DIR)) {
+        fs.mkdirSync(REPORTS_DIR, { recursive: true });
+      }
+      const fileName = `stage-report-${projectId}-${stageId}-${generatedAt}.html`.replace(/[^\w.-]/g, '_');
+      await fs.promises.writeFile(path.join(REPORTS_DIR, fileName), this.renderHtml(summary, generatedAt), 'utf8');
+
+      const database = await getDb();
+      const result = await database.run(
+        `INSERT INTO stage_reports
+         (project_id, stage_id, next_stage_id, started_at, ended_at, generated_at, file_name, summary)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          summary.projectId,
+          summary.stageId,
+          summary.nextStageId,
+          summary.startedAt,
+          summary.endedAt,
+          generatedAt,
+          fileName,
+          JSON.stringify(summary)
+        ]
+      );
+      console.log(
+        `[StageReports] Report ${result.lastID} generated for stage ${stageId} of project ${projectId} (${summary.alertCounts.total} alerts)`
+      );
+
+      const settings = await loadSettings();
+      const shouldPost = post ?? Boolean(settings?.webhooks?.sendStageReports);
+      if (shouldPost) {
+        const posted = await sendStageReportNotifications({ id: result.lastID, ...summary });
+        if (posted) {
+          await database.run('UPDATE stage_reports SET posted = 1 WHERE id = ?', [result.lastID]);
+        }
+      }
+
+      return this.getReport(result.lastID);
+    } catch (error) {
+      console.error(`[StageReports] Error generating report for stage ${stageId} of project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  static formatReport(row, includeSummary = false) {
+    const summary = JSON.parse(row.summary);
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      projectName: summary.projectName,
+      companyName: summary.companyName,
+      stageId: row.stage_id,
+      nextStageId: row.next_stage_id,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      generatedAt: row.generated_at,
+      fileName: row.file_name,
+      posted: Boolean(row.posted),
+      alertCounts: summary.alertCounts,
+      ...(includeSummary ? { summary } : {})
+    };
+  }
+
+  /**
+   * Reports generated so far, newest first
+   */
+  static async listReports({ projectId = null, limit = DEFAULT_STAGE_REPORTS_LIMIT } = {}) {
+    try {
+      const database = await getDb();
+      const rows = projectId
+        ? await database.all('SELECT * FROM stage_reports WHERE project_id = ? ORDER BY generated_at DESC LIMIT ?', [
+            String(projectId),
+            limit
+          ])
+        : await database.all('SELECT * FROM stage_reports ORDER BY generated_at DESC LIMIT ?', [limit]);
+      return rows.map((row) => this.formatReport(row));
+    } catch (error) {
+      console.error('[StageReports] Error listing reports:', error);
+      return [];
+    }
+  }
+
+  /**
+   * One report with the summary it was rendered from
+   * @returns {Promise<Object|null>} null when the report does not exist
+   */
+  static async getReport(reportId) {
+    try {
+      const database = await getDb();
+      const row = await database.get('SELECT * FROM stage_reports WHERE id = ?', [reportId]);
+      return row ? this.formatReport(row, true) : null;
+    } catch (error) {
+      console.error(`[StageReports] Error getting report ${reportId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Path of a report's rendered file, null when it has been removed from disk
+   */
+  static getReportFilePath(report) {
+    const filePath = path.join(REPORTS_DIR, path.basename(report.fileName));
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+}
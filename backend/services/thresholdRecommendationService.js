@@ -0,0 +1,431 @@
+import { getDb } from '../database/db.js';
+import { loadSettings } from '../utils/settingsStorage.js';
+import { classifyHeader } from '../shared/headerClassifier.js';
+import { THRESHOLD_DIRECTIONS, resolveThresholdRule, isThresholdBreached } from '../shared/thresholdRules.js';
+import { resolveFrozenRule, isWithinFrozenTolerance } from '../utils/frozenRules.js';
+import { DEFAULT_ALERT_DURATION } from '../utils/severityLevels.js';
+
+export const DEFAULT_RECOMMENDATION_DAYS = 30;
+export const MAX_RECOMMENDATION_DAYS = 365;
+
+// A category analysis covers at most this many headers, the rest are left out and the result is marked truncated
+export const MAX_RECOMMENDATION_HEADERS = 50;
+
+export const PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+
+// Percentiles tried as candidate thresholds; the outermost one is suggested, values past it are rare in normal operation
+const CANDIDATE_PERCENTILES = {
+  below: [1, 5, 10, 25],
+  above: [99, 95, 90, 75],
+  band: [
+    [1, 99],
+    [5, 95],
+    [10, 90],
+    [25, 75]
+  ]
+};
+
+// A breach or flat run ends when nothing was recorded for this long (the header stopped loading)
+const MAX_SAMPLE_GAP = 5 * 60 * 1000;
+
+// Suggested alert duration: filters out this share of the breaches at the suggested threshold
+const ALERT_DURATION_PERCENTILE = 75;
+const ALERT_DURATION_LIMITS = [10, 600]; // seconds
+const ALERT_DURATION_STEP = 10;
+
+// Suggested frozen threshold: this factor over the longest flat runs of a live signal (99th percentile)
+const FROZEN_HEADROOM = 1.5;
+const FROZEN_THRESHOLD_LIMITS = [60, 3600]; // seconds
+const FROZEN_THRESHOLD_STEP = 30;
+// Fewer flat runs than this are too little to suggest a frozen threshold from
+const MIN_FROZEN_RUNS = 20;
+
+const DAY = 24 * 3600 * 1000;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+// Percentile of an ascending array of plain numbers
+const percentileOf = (sorted, percentile) => {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1));
+  return sorted[index];
+};
+
+// Percentiles of [value, weight] pairs sorted by value
+const weightedPercentiles = (pairs, percentiles) => {
+  const total = pairs.reduce((sum, [, weight]) => sum + weight, 0);
+  const result = {};
+  let index = 0;
+  let cumulative = 0;
+  for (const percentile of percentiles) {
+    const target = (percentile / 100) * total;
+    while (index < pairs.length - 1 && cumulative + pairs[index][1] < target) {
+      cumulative += pairs[index][1];
+      index++;
+    }
+    result[`p${percentile}`] = pairs.length > 0 ? pairs[index][0] : null;
+  }
+  return result;
+};
+
+// Round to a step of about a hundredth of the spread, e.g. 34.72 -> 34.7 or 1234 -> 1230
+const roundStep = (spread) => (spread > 0 ? 10 ** (Math.floor(Math.log10(spread)) - 1) : 1);
+const roundTo = (value, step, mode = 'round') => {
+  const rounded = Math[mode](value / step) * step;
+  // Drop floating point noise such as 34.699999999999996
+  return Number(rounded.toFixed(Math.max(0, -Math.floor(Math.log10(step)))));
+};
+
+/**
+ * Threshold, alert duration and frozen threshold suggestions derived from recorded header history.
+ *
+ * Values come from header_value_history (raw samples taken while LOADING) and, for the part of the
+ * range older than the raw retention, from header_value_rollups (min/max/avg per bucket, which
+ * cannot tell loading from idle time). From them:
+ * - value percentiles give candidate thresholds on the concerning side of the rule direction;
+ * - each candidate is counted against the history: a breach held for the alert duration is one alert,
+ *   the recovery margin and hold are not modelled, so counts are close to but not exactly what fired;
+ * - the alert duration is suggested from how long breaches at the suggested threshold lasted;
+ * - the frozen threshold is suggested from how long the live signal stayed flat (raw samples only).
+ */
+export class ThresholdRecommendationService {
+  /**
+   * Suggestions for one header, using its overrides and its category for anything not given
+   * @param {{days: number, direction: string, alertDuration: number, candidates: number[]}} options
+   * @returns {Promise<Object|null>} null when the header is unknown
+   */
+  static async recommendForHeader(headerId, options = {}) {
+    const database = await getDb();
+    const config = await database.get('SELECT * FROM project_header_settings WHERE header_id = ?', [String(headerId)]);
+    if (!config) return null;
+
+    const settings = await loadSettings();
+    const category = classifyHeader(config.header_name, settings?.patternCategories || {});
+    const categorySettings = settings?.patternCategories?.[category] || {};
+
+    const result = await this.analyze([{ headerId: String(headerId), headerName: config.header_name }], {
+      ...options,
+      config,
+      categorySettings
+    });
+    return { scope: 'header', headerId: String(headerId), headerName: config.header_name, category, ...result };
+  }
+
+  /**
+   * Suggestions for a whole category, pooling the history of every header it classifies
+   * @returns {Promise<Object|null>} null when the category does not exist
+   */
+  static async recommendForCategory(category, options = {}) {
+    const settings = await loadSettings();
+    const patternCategories = settings?.patternCategories || {};
+    if (!patternCategories[category]) return null;
+
+    const to = options.to ?? Date.now();
+    const from = to - (options.days || DEFAULT_RECOMMENDATION_DAYS) * DAY;
+    const headers = (await this.getRecordedHeaders(from, to)).filter(
+      (header) => classifyHeader(header.headerName, patternCategories) === category
+    );
+
+    const result = await this.analyze(headers.slice(0, MAX_RECOMMENDATION_HEADERS), {
+      ...options,
+      to,
+      config: {},
+      categorySettings: patternCategories[category]
+    });
+    return { scope: 'category', category, truncated: headers.length > MAX_RECOMMENDATION_HEADERS, ...result };
+  }
+
+  /**
+   * Headers with recorded values (raw or rolled up) in the range, named from the monitored headers or their alerts
+   */
+  static async getRecordedHeaders(from, to) {
+    const database = await getDb();
+    const rows = await database.all(
+      `SELECT header_id FROM header_value_history WHERE recorded_at >= ? AND recorded_at <= ?
+       UNION
+       SELECT header_id FROM header_value_rollups WHERE bucket_start >= ? AND bucket_start <= ?`,
+      [from, to, from, to]
+    );
+
+    const names = new Map();
+    for (const row of await database.all(
+      'SELECT DISTINCT header_id, header_name FROM alerts WHERE header_id IS NOT NULL AND header_name IS NOT NULL'
+    )) {
+      names.set(String(row.header_id), row.header_name);
+    }
+    for (const row of await database.all('SELECT header_id, header_name FROM project_header_settings')) {
+      names.set(String(row.header_id), row.header_name);
+    }
+
+    return rows
+      .map((row) => ({ headerId: String(row.header_id), headerName: names.get(String(row.header_id)) || null }))
+      .filter((header) => header.headerName)
+      .sort((a, b) => a.headerName.localeCompare(b.headerName));
+  }
+
+  /**
+   * A header's history as points, oldest first: rollup buckets where the raw samples are gone, then raw LOADING samples.
+   * Each point has the time it covers (time to end), its extremes (low, high), a representative value and a weight.
+   */
+  static async loadPoints(headerId, from, to) {
+    const database = await getDb();
+    const rawStart =
+      (await database.get('SELECT MIN(recorded_at) AS time FROM header_value_history WHERE header_id = ?', [headerId]))
+        ?.time ?? Number.MAX_SAFE_INTEGER;
+
+    const buckets = await database.all(
+      `SELECT bucket_start, bucket_seconds, min_value, max_value, avg_value, sample_count FROM header_value_rollups
+       WHERE header_id = ? AND bucket_start >= ? AND bucket_start <= ? AND bucket_start + bucket_seconds * 1000 <= ?
+       ORDER BY bucket_start`,
+      [headerId, from, to, rawStart]
+    );
+    const samples = await database.all(
+      `SELECT recorded_at, value FROM header_value_history
+       WHERE header_id = ? AND state = 'LOADING' AND recorded_at >= ? AND recorded_at <= ?
+       ORDER BY recorded_at, id`,
+      [headerId, from, to]
+    );
+
+    return [
+      ...buckets.map((bucket) => ({
+        time: bucket.bucket_start,
+        end: bucket.bucket_start + bucket.bucket_seconds * 1000,
+        low: bucket.min_value,
+        high: bucket.max_value,
+        value: bucket.avg_value,
+        weight: bucket.sample_count,
+        raw: false
+      })),
+      ...samples.map((sample) => ({
+        time: sample.recorded_at,
+        end: sample.recorded_at,
+        low: sample.value,
+        high: sample.value,
+        value: sample.value,
+        weight: 1,
+        raw: true
+      }))
+    ];
+  }
+
+  /**
+   * Breaches of a threshold rule over a header's points. A point breaches when either extreme does;
+   * a breach lasting at least alertDuration (seconds) counts as an alert.
+   * @returns {{alerts: number, breachTime: number, durations: number[]}} breachTime and durations in ms
+   */
+  static countBreaches(points, rule, alertDuration) {
+    const durations = [];
+    let start = null;
+    let lastEnd = null;
+
+    const close = () => {
+      durations.push(lastEnd - start);
+      start = null;
+    };
+
+    for (const point of points) {
+      const breached = isThresholdBreached(point.low, rule) || isThresholdBreached(point.high, rule);
+      if (start !== null && (!breached || point.time - lastEnd > MAX_SAMPLE_GAP)) close();
+      if (breached) {
+        start = start ?? point.time;
+        lastEnd = point.end;
+      }
+    }
+    if (start !== null) close();
+
+    return {
+      alerts: durations.filter((duration) => duration >= alertDuration * 1000).length,
+      breachTime: durations.reduce((sum, duration) => sum + duration, 0),
+      durations
+    };
+  }
+
+  /**
+   * How long the raw signal stayed within the frozen tolerance of where each flat run started, in ms
+   */
+  static getFlatRuns(points, frozenRule) {
+    const runs = [];
+    let anchor = null;
+    let last = null;
+
+    for (const point of points) {
+      if (!point.raw) continue;
+      if (
+        anchor &&
+        (point.time - last.time > MAX_SAMPLE_GAP || !isWithinFrozenTolerance(point.value, anchor.value, frozenRule))
+      ) {
+        runs.push(last.time - anchor.time);
+        anchor = null;
+      }
+      anchor = anchor || point;
+      last = point;
+    }
+    if (anchor) runs.push(last.time - anchor.time);
+
+    return runs;
+  }
+
+  /**
+   * Percentiles, a sweep of candidate thresholds with the alerts each would have raised, and the suggestions
+   */
+  static async analyze(headers, { days, to, direction, alertDuration, candidates = [], config, categorySettings }) {
+    const rangeDays = days || DEFAULT_RECOMMENDATION_DAYS;
+    const rangeTo = to ?? Date.now();
+    const from = rangeTo - rangeDays * DAY;
+
+    const rule = resolveThresholdRule(config, categorySettings);
+    rule.direction = THRESHOLD_DIRECTIONS.includes(direction) ? direction : rule.direction;
+    const frozenRule = resolveFrozenRule(config, categorySettings);
+    const currentAlertDuration = isSet(alertDuration)
+      ? Number(alertDuration)
+      : isSet(config.alert_duration)
+      ? Number(config.alert_duration)
+      : isSet(categorySettings.alertDuration)
+      ? Number(categorySettings.alertDuration)
+      : DEFAULT_ALERT_DURATION;
+
+    // Pass 1: value distribution and flat runs
+    const pairs = [];
+    const flatRuns = [];
+    const coverage = { headers: 0, rawSamples: 0, rollupBuckets: 0, from: null };
+    for (const header of headers) {
+      const points = await this.loadPoints(header.headerId, from, rangeTo);
+      if (points.length === 0) continue;
+
+      coverage.headers++;
+      coverage.from = Math.min(coverage.from ?? Infinity, points[0].time);
+      for (const point of points) {
+        pairs.push([point.value, point.weight]);
+        coverage[point.raw ? 'rawSamples' : 'rollupBuckets']++;
+      }
+      flatRuns.push(...this.getFlatRuns(points, frozenRule));
+    }
+    pairs.sort((a, b) => a[0] - b[0]);
+    const percentiles = weightedPercentiles(pairs, PERCENTILES);
+
+    const current = {
+      direction: rule.direction,
+      threshold: rule.threshold,
+      thresholdMin: rule.min,
+      thresholdMax: rule.max,
+      alertDuration: currentAlertDuration,
+      frozenThreshold: frozenRule.duration
+    };
+    const base = { from, to: rangeTo, days: rangeDays, unit: categorySettings.unit || null, coverage, percentiles };
+    if (pairs.length === 0) {
+      return { ...base, current, sweep: [], recommendation: null };
+    }
+
+    // Candidate rules: percentiles on the concerning side, the current setting and any asked for
+    const step = roundStep(percentiles.p99 - percentiles.p1);
+    const sweepRules = [];
+    const addCandidate = (values, source) => {
+      const key = `${values.threshold}/${values.thresholdMin}/${values.thresholdMax}`;
+      const existing = sweepRules.find((entry) => entry.key === key);
+      if (existing) {
+        existing.sources.push(source);
+      } else {
+        sweepRules.push({ key, ...values, sources: [source] });
+      }
+    };
+
+    if (rule.direction === 'band') {
+      for (const [low, high] of CANDIDATE_PERCENTILES.band) {
+        addCandidate(
+          {
+            threshold: null,
+            thresholdMin: roundTo(percentiles[`p${low}`], step, 'floor'),
+            thresholdMax: roundTo(percentiles[`p${high}`], step, 'ceil')
+          },
+          `p${low}-p${high}`
+        );
+      }
+      if (rule.min !== null && rule.max !== null) {
+        addCandidate({ threshold: null, thresholdMin: rule.min, thresholdMax: rule.max }, 'current');
+      }
+    } else {
+      const mode = rule.direction === 'below' ? 'floor' : 'ceil';
+      for (const percentile of CANDIDATE_PERCENTILES[rule.direction]) {
+        addCandidate(
+          { threshold: roundTo(percentiles[`p${percentile}`], step, mode), thresholdMin: null, thresholdMax: null },
+          `p${percentile}`
+        );
+      }
+      if (rule.threshold !== null) {
+        addCandidate({ threshold: rule.threshold, thresholdMin: null, thresholdMax: null }, 'current');
+      }
+      for (const candidate of candidates) {
+        addCandidate({ threshold: candidate, thresholdMin: null, thresholdMax: null }, 'requested');
+      }
+    }
+    const suggested = sweepRules[0];
+
+    // Pass 2: breaches of every candidate, header by header
+    const totals = sweepRules.map(() => ({ alerts: 0, breachTime: 0, durations: [] }));
+    for (const header of headers) {
+      const points = await this.loadPoints(header.headerId, from, rangeTo);
+      sweepRules.forEach((entry, index) => {
+        const breaches = this.countBreaches(
+          points,
+          { ...rule, threshold: entry.threshold, min: entry.thresholdMin, max: entry.thresholdMax },
+          currentAlertDuration
+        );
+        totals[index].alerts += breaches.alerts;
+        totals[index].breachTime += breaches.breachTime;
+        totals[index].durations.push(...breaches.durations);
+      });
+    }
+
+    const sweep = sweepRules
+      .map(({ key, ...entry }, index) => ({
+        ...entry,
+        alerts: totals[index].alerts,
+        breaches: totals[index].durations.length,
+        breachTime: totals[index].breachTime
+      }))
+      .sort((a, b) => (a.threshold ?? a.thresholdMin) - (b.threshold ?? b.thresholdMin));
+
+    // Alert duration: long enough to sit out most breaches at the suggested threshold
+    const suggestedDurations = totals[0].durations.sort((a, b) => a - b);
+    const suggestedAlertDuration =
+      suggestedDurations.length > 0
+        ? clamp(
+            roundTo(percentileOf(suggestedDurations, ALERT_DURATION_PERCENTILE) / 1000, ALERT_DURATION_STEP, 'ceil'),
+            ALERT_DURATION_LIMITS
+          )
+        : currentAlertDuration;
+
+    // Frozen threshold: comfortably longer than the flat runs of a live signal
+    const sortedRuns = flatRuns.sort((a, b) => a - b);
+    const suggestedFrozenThreshold =
+      sortedRuns.length >= MIN_FROZEN_RUNS
+        ? clamp(
+            roundTo((percentileOf(sortedRuns, 99) / 1000) * FROZEN_HEADROOM, FROZEN_THRESHOLD_STEP, 'ceil'),
+            FROZEN_THRESHOLD_LIMITS
+          )
+        : null;
+
+    return {
+      ...base,
+      current: {
+        ...current,
+        alerts: sweep.find((entry) => entry.sources.includes('current'))?.alerts ?? null
+      },
+      sweep,
+      recommendation: {
+        direction: rule.direction,
+        threshold: suggested.threshold,
+        thresholdMin: suggested.thresholdMin,
+        thresholdMax: suggested.thresholdMax,
+        percentile: suggested.sources[0],
+        alertDuration: suggestedAlertDuration,
+        // Alerts with both the suggested threshold and alert duration
+        alerts: suggestedDurations.filter((duration) => duration >= suggestedAlertDuration * 1000).length,
+        frozenThreshold: suggestedFrozenThreshold,
+        flatRuns: sortedRuns.length
+      }
+    };
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Header classification engine shared by the backend and the frontend
+ *
+ * The frontend imports this file through the `@shared` alias (see frontend/vite.config.js),
+ * so it must stay free of Node and browser specific imports.
+ *
+ * Pattern syntax (matching is case-insensitive):
+ *   casing            substring anywhere in the name (the historical behaviour), or a whole word
+ *                     where the caller passes `{ defaultType: 'word' }`
+ *   word:psi          whole word, words are separated by anything but letters and digits
+ *   glob:*tubing*psi  glob over the whole name, * matches any run of characters and ? one character
+ *   /^cas(ing)?\b/    regular expression, flags may follow the closing slash
+ *   regex:^cas        regular expression without the slashes
+ *
+ * A header belongs to a category when one of its `patterns` matches and none of its
+ * `negativePatterns` do. When several categories claim a header, the highest `priority`
+ * wins and ties go to the category defined first.
+ */
+
+export const PATTERN_TYPES = ['substring', 'word', 'glob', 'regex'];
+
+export const DEFAULT_CATEGORY_PRIORITY = 0;
+
+const PREFIXES = {
+  'word:': 'word',
+  'glob:': 'glob',
+  'regex:': 'regex',
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a pattern string into its type and body
+ * @param {string} pattern
+ * @param {string} defaultType - Type of a pattern without a prefix or slashes, 'substring' or 'word'
+ * @returns {{type: string, body: string, flags: string}}
+ */
+export function parsePattern(pattern, defaultType = 'substring') {
+  const text = String(pattern ?? '').trim();
+
+  for (const [prefix, type] of Object.entries(PREFIXES)) {
+    if (text.toLowerCase().startsWith(prefix)) {
+      return { type, body: text.slice(prefix.length).trim(), flags: '' };
+    }
+  }
+
+  const slashed = /^\/(.+)\/([a-z]*)$/.exec(text);
+  if (slashed) {
+    return { type: 'regex', body: slashed[1], flags: slashed[2] };
+  }
+
+  return { type: defaultType, body: text, flags: '' };
+}
+
+function buildRegExp({ type, body, flags }) {
+  switch (type) {
+    case 'word':
+      return new RegExp(`(?:^|[^a-z0-9])${escapeRegExp(body)}(?:$|[^a-z0-9])`, 'i');
+    case 'glob': {
+      const source = body
+        .split('')
+        .map((char) => (char === '*' ? '.*' : char === '?' ? '.' : escapeRegExp(char)))
+        .join('');
+      return new RegExp(`^${source}$`, 'i');
+    }
+    case 'regex':
+      // Always case-insensitive; g and y would make test() stateful
+      return new RegExp(body, `${flags.replace(/[giy]/g, '')}i`);
+    default:
+      return null;
+  }
+}
+
+// Compiled matchers by pattern string, patterns are few and change rarely
+const matcherCache = new Map();
+
+function getMatcher(pattern, defaultType) {
+  const key = `${defaultType}:${pattern}`;
+  if (matcherCache.has(key)) return matcherCache.get(key);
+
+  const parsed = parsePattern(pattern, defaultType);
+  let matcher;
+
+  if (!parsed.body) {
+    matcher = () => false;
+  } else if (parsed.type === 'substring') {
+    const needle = parsed.body.toLowerCase();
+    matcher = (name) => name.toLowerCase().includes(needle);
+  } else {
+    try {
+      const regExp = buildRegExp(parsed);
+      matcher = (name) => regExp.test(name);
+    } catch (error) {
+      // Invalid expressions never match, validatePattern reports them when settings are saved
+      matcher = () => false;
+    }
+  }
+
+  matcherCache.set(key, matcher);
+  return matcher;
+}
+
+/**
+ * Check a pattern for syntax errors
+ * @returns {string|null} The problem found, or null when the pattern is valid
+ */
+export function validatePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) return 'Pattern must be a non-empty string';
+
+  const parsed = parsePattern(pattern);
+  if (!parsed.body) return `Pattern "${pattern}" has nothing after its ${parsed.type} prefix`;
+
+  try {
+    buildRegExp(parsed);
+  } catch (error) {
+    // Drop the engine's own "Invalid regular expression: /.../i:" prefix, it shows the compiled source
+    return `Invalid regular expression "${pattern}": ${error.message.split(': ').pop()}`;
+  }
+  return null;
+}
+
+/**
+ * Find the first pattern of a list that matches a header name
+ * @param {Object} options - `defaultType` for patterns without a prefix, see parsePattern
+ * @returns {string|null} The matching pattern
+ */
+export function findMatchingPattern(headerName, patterns, { defaultType = 'substring' } = {}) {
+  if (!headerName || !Array.isArray(patterns)) return null;
+  return patterns.find((pattern) => getMatcher(pattern, defaultType)(headerName)) ?? null;
+}
+
+export const matchesAnyPattern = (headerName, patterns, options) =>
+  findMatchingPattern(headerName, patterns, options) !== null;
+
+const getPriority = (category) =>
+  typeof category?.priority === 'number' && !isNaN(category.priority) ? category.priority : DEFAULT_CATEGORY_PRIORITY;
+
+/**
+ * Evaluate a header name against every category
+ * @param {string} headerName
+ * @param {Object} patternCategories - Settings patternCategories keyed by category key
+ * @param {Object} options - `defaultType` for patterns without a prefix, see parsePattern
+ * @returns {Array<{category: string, priority: number, pattern: string|null, excludedBy: string|null, matched: boolean}>}
+ *   One entry per category whose include patterns matched, in precedence order (winner first)
+ */
+export function getCategoryMatches(headerName, patternCategories, options) {
+  if (!headerName || !patternCategories) return [];
+
+  const matches = [];
+  Object.entries(patternCategories).forEach(([category, config], order) => {
+    const pattern = findMatchingPattern(headerName, config?.patterns, options);
+    if (pattern === null) return;
+
+    const excludedBy = findMatchingPattern(headerName, config?.negativePatterns, options);
+    matches.push({
+      category,
+      priority: getPriority(config),
+      pattern,
+      excludedBy,
+      matched: excludedBy === null,
+      order,
+    });
+  });
+
+  return matches
+    .sort((a, b) => Number(b.matched) - Number(a.matched) || b.priority - a.priority || a.order - b.order)
+    .map(({ order, ...match }) => match);
+}
+
+/**
+ * Classify a header name
+ * @returns {string|null} The winning category key, or null when no category claims the header
+ */
+export function classifyHeader(headerName, patternCategories, options) {
+  const [winner] = getCategoryMatches(headerName, patternCategories, options);
+  return winner?.matched ? winner.category : null;
+}
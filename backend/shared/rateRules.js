@@ -0,0 +1,140 @@
+/**
+ * Rate-of-change rule helpers
+ *
+ * A rate rule alerts on how fast a value moves rather than where it is:
+ * - drop:   alert when the value falls faster than `limit` units per minute
+ * - rise:   alert when the value climbs faster than `limit` units per minute
+ * - either: alert on a move faster than `limit` in any direction
+ *
+ * The slope is a least-squares fit over the samples polled during the last `window` seconds,
+ * so a single noisy reading does not trip the rule.
+ *
+ * The frontend imports this file through the `@shared` alias (see frontend/vite.config.js),
+ * so it must stay free of Node and browser specific imports.
+ */
+
+export const RATE_DIRECTIONS = ['drop', 'rise', 'either'];
+
+export const RATE_DIRECTION_OPTIONS = [
+  { value: 'drop', label: 'Dropping faster than limit' },
+  { value: 'rise', label: 'Rising faster than limit' },
+  { value: 'either', label: 'Changing faster than limit' },
+];
+
+export const DEFAULT_RATE_WINDOW = 60; // seconds
+export const DEFAULT_RATE_DIRECTION = 'drop';
+
+// A slope needs at least this many samples spread over half the window to be trusted
+export const MIN_RATE_SAMPLES = 3;
+const MIN_WINDOW_COVERAGE = 0.5;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Resolve the effective rate rule for a header.
+ * Per-header overrides (project_header_settings row) win over the category defaults.
+ * A rule without a limit is disabled.
+ * @param {Object} headerConfig - project_header_settings row
+ * @param {Object} categorySettings - patternCategories entry for the header's category
+ * @returns {{limit: number|null, window: number, direction: string}}
+ */
+export function resolveRateRule(headerConfig = {}, categorySettings = {}) {
+  const category = categorySettings || {};
+
+  const limit = isSet(headerConfig.rate_limit)
+    ? Number(headerConfig.rate_limit)
+    : isSet(category.rateLimit)
+    ? Number(category.rateLimit)
+    : null;
+
+  const window = isSet(headerConfig.rate_window)
+    ? Number(headerConfig.rate_window)
+    : isSet(category.rateWindow)
+    ? Number(category.rateWindow)
+    : DEFAULT_RATE_WINDOW;
+
+  const direction = RATE_DIRECTIONS.includes(headerConfig.rate_direction)
+    ? headerConfig.rate_direction
+    : RATE_DIRECTIONS.includes(category.rateDirection)
+    ? category.rateDirection
+    : DEFAULT_RATE_DIRECTION;
+
+  return { limit: limit > 0 ? limit : null, window: window > 0 ? window : DEFAULT_RATE_WINDOW, direction };
+}
+
+/**
+ * Compute the slope (units per minute) of the samples inside the window ending at `now`.
+ * @param {Array<{time: number, value: number}>} samples - Samples with epoch-ms timestamps
+ * @param {number} windowSeconds - Window length in seconds
+ * @param {number} now - Epoch ms the window ends at
+ * @returns {number|null} Slope per minute, or null if there is not enough data
+ */
+export function computeSlope(samples, windowSeconds, now = Date.now()) {
+  const windowStart = now - windowSeconds * 1000;
+  const points = (samples || []).filter(
+    (s) => s.time >= windowStart && s.time <= now && s.value !== null && !isNaN(s.value)
+  );
+
+  if (points.length < MIN_RATE_SAMPLES) return null;
+
+  const span = points[points.length - 1].time - points[0].time;
+  if (span < windowSeconds * 1000 * MIN_WINDOW_COVERAGE) return null;
+
+  // Least-squares fit with time in minutes relative to the first sample
+  const t0 = points[0].time;
+  const n = points.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+
+  for (const { time, value } of points) {
+    const x = (time - t0) / 60000;
+    sumX += x;
+    sumY += value;
+    sumXY += x * value;
+    sumXX += x * x;
+  }
+
+  const denominator = n * sumXX - sumX * sumX;
+  if (denominator === 0) return null;
+
+  return (n * sumXY - sumX * sumY) / denominator;
+}
+
+/**
+ * Check whether a slope breaches a rate rule
+ */
+export function isRateBreached(slope, rule) {
+  if (slope === null || slope === undefined || isNaN(slope) || !isSet(rule.limit)) return false;
+
+  switch (rule.direction) {
+    case 'rise':
+      return slope > rule.limit;
+    case 'either':
+      return Math.abs(slope) > rule.limit;
+    case 'drop':
+    default:
+      return slope < -rule.limit;
+  }
+}
+
+/**
+ * Short form of a rate rule for cards and chips, e.g. "drop > 500/min (60s)"
+ */
+export function formatRateRule({ limit, window, direction }) {
+  if (!isSet(limit)) return null;
+  return `${direction || DEFAULT_RATE_DIRECTION} > ${limit}/min (${window || DEFAULT_RATE_WINDOW}s)`;
+}
+
+/**
+ * Describe a rate alert for notifications, e.g. "Dropping 820.5/min over 60s (limit 500/min)"
+ * Accepts both the camelCase alert objects produced by the monitor and raw alerts rows.
+ */
+export function describeRateBreach(alert) {
+  const rate = Number(alert.rate ?? 0);
+  const limit = alert.rateLimit ?? alert.rate_limit;
+  const window = alert.rateWindow ?? alert.rate_window ?? DEFAULT_RATE_WINDOW;
+
+  return `${rate < 0 ? 'Dropping' : 'Rising'} ${Math.abs(rate).toFixed(1)}/min over ${window}s (limit ${limit}/min)`;
+}
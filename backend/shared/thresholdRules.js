@@ -0,0 +1,199 @@
+/**
+ * Threshold rule helpers
+ *
+ * A threshold rule describes which side of a limit is concerning:
+ * - below: alert when the value drops under `threshold` (default, e.g. pressure loss)
+ * - above: alert when the value rises over `threshold` (e.g. over-pressure)
+ * - band:  alert when the value leaves the [`min`, `max`] operating band
+ *
+ * Recovery uses hysteresis: once breached, the value has to come back past the limit by
+ * `recoveryMargin` and stay there for `recoveryHold` seconds before the alert clears.
+ *
+ * The frontend imports this file through the `@shared` alias (see frontend/vite.config.js),
+ * so it must stay free of Node and browser specific imports.
+ */
+
+export const THRESHOLD_DIRECTIONS = ['below', 'above', 'band'];
+
+export const THRESHOLD_DIRECTION_OPTIONS = [
+  { value: 'below', label: 'Below threshold' },
+  { value: 'above', label: 'Above threshold' },
+  { value: 'band', label: 'Outside band (min/max)' },
+];
+
+export const DEFAULT_THRESHOLD = 20;
+export const DEFAULT_DIRECTION = 'below';
+export const DEFAULT_RECOVERY_MARGIN = 0;
+export const DEFAULT_RECOVERY_HOLD = 30; // seconds
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Resolve the effective threshold rule for a header.
+ * Per-header overrides (project_header_settings row) win over the category defaults.
+ * @param {Object} headerConfig - project_header_settings row
+ * @param {Object} categorySettings - patternCategories entry for the header's category
+ * @returns {{direction: string, threshold: number|null, min: number|null, max: number|null,
+ *   recoveryMargin: number, recoveryHold: number}}
+ */
+export function resolveThresholdRule(headerConfig = {}, categorySettings = {}) {
+  const category = categorySettings || {};
+  const direction = THRESHOLD_DIRECTIONS.includes(headerConfig.threshold_direction)
+    ? headerConfig.threshold_direction
+    : THRESHOLD_DIRECTIONS.includes(category.thresholdDirection)
+    ? category.thresholdDirection
+    : DEFAULT_DIRECTION;
+
+  const threshold = isSet(headerConfig.threshold)
+    ? Number(headerConfig.threshold)
+    : isSet(category.threshold)
+    ? Number(category.threshold)
+    : DEFAULT_THRESHOLD;
+
+  const min = isSet(headerConfig.threshold_min)
+    ? Number(headerConfig.threshold_min)
+    : isSet(category.thresholdMin)
+    ? Number(category.thresholdMin)
+    : null;
+
+  const max = isSet(headerConfig.threshold_max)
+    ? Number(headerConfig.threshold_max)
+    : isSet(category.thresholdMax)
+    ? Number(category.thresholdMax)
+    : null;
+
+  const recoveryMargin = isSet(category.recoveryMargin)
+    ? Math.max(0, Number(category.recoveryMargin))
+    : DEFAULT_RECOVERY_MARGIN;
+
+  const recoveryHold = isSet(category.recoveryHoldTime)
+    ? Math.max(0, Number(category.recoveryHoldTime))
+    : DEFAULT_RECOVERY_HOLD;
+
+  return { direction, threshold, min, max, recoveryMargin, recoveryHold };
+}
+
+/**
+ * Check whether a value breaches a threshold rule.
+ * A band with a missing edge only checks the edge that is set.
+ */
+export function isThresholdBreached(value, { direction, threshold, min, max }) {
+  if (value === null || value === undefined || isNaN(value)) return false;
+
+  switch (direction) {
+    case 'above':
+      return value > Number(threshold);
+    case 'band':
+      return (isSet(min) && value < Number(min)) || (isSet(max) && value > Number(max));
+    case 'below':
+    default:
+      return value < Number(threshold);
+  }
+}
+
+/**
+ * Check whether a previously breached value has moved far enough back to count as recovered,
+ * i.e. past the limit on the safe side by the rule's recovery margin.
+ * Values inside the deadband are neither breached nor recovered.
+ */
+export function isThresholdRecovered(value, rule) {
+  if (value === null || value === undefined || isNaN(value)) return false;
+  const margin = rule.recoveryMargin || 0;
+
+  switch (rule.direction) {
+    case 'above':
+      return value <= rule.threshold - margin;
+    case 'band':
+      return (!isSet(rule.min) || value >= rule.min + margin) && (!isSet(rule.max) || value <= rule.max - margin);
+    case 'below':
+    default:
+      return value >= rule.threshold + margin;
+  }
+}
+
+/**
+ * Short human readable form of a rule, e.g. "below 20" or "outside 10 – 50"
+ */
+export function describeThresholdRule(rule) {
+  switch (rule.direction) {
+    case 'above':
+      return `above ${rule.threshold}`;
+    case 'band':
+      return `outside ${isSet(rule.min) ? rule.min : '-∞'} – ${isSet(rule.max) ? rule.max : '∞'}`;
+    case 'below':
+    default:
+      return `below ${rule.threshold}`;
+  }
+}
+
+/**
+ * Short form of a rule for cards and chips, e.g. "< 20", "> 150", "outside 10 – 50"
+ */
+export function formatThresholdRule({ direction, threshold, min, max }) {
+  switch (direction) {
+    case 'above':
+      return `> ${threshold}`;
+    case 'band':
+      return `outside ${isSet(min) ? min : '-∞'} – ${isSet(max) ? max : '∞'}`;
+    case 'below':
+    default:
+      return `< ${threshold}`;
+  }
+}
+
+/**
+ * Describe a threshold alert for notifications, e.g. "Value 12 is below threshold (20)"
+ * Accepts both the camelCase alert objects produced by the monitor and raw alerts rows.
+ */
+export function describeThresholdBreach(alert) {
+  const rule = {
+    direction: alert.thresholdDirection || alert.threshold_direction || DEFAULT_DIRECTION,
+    threshold: alert.threshold,
+    min: alert.thresholdMin ?? alert.threshold_min ?? null,
+    max: alert.thresholdMax ?? alert.threshold_max ?? null,
+  };
+
+  if (rule.direction === 'band') {
+    const side = isSet(rule.min) && alert.value < rule.min ? 'below' : 'above';
+    return `Value ${alert.value} is ${side} the operating band (${describeThresholdRule(rule).replace('outside ', '')})`;
+  }
+
+  return `Value ${alert.value} is ${rule.direction === 'above' ? 'above' : 'below'} threshold (${rule.threshold})`;
+}
+
+/**
+ * Periods of bucketed history ({time, avg} points, `resolution` seconds each) whose average breached
+ * the rule for at least `minDuration` seconds, i.e. long enough to have raised a threshold alert.
+ * @returns {Array<{start: number, end: number}>} Epoch ms
+ */
+export function findBreachWindows(points, rule, resolution, minDuration = 0) {
+  const bucketMs = (resolution || 0) * 1000;
+  const windows = [];
+  let current = null;
+
+  (points || []).forEach((point) => {
+    if (isThresholdBreached(point.avg, rule)) {
+      // A gap in the data ends the period, the header was not polled in between
+      if (current && point.time - current.end <= bucketMs) {
+        current.end = point.time + bucketMs;
+      } else {
+        if (current) windows.push(current);
+        current = { start: point.time, end: point.time + bucketMs };
+      }
+    } else if (current) {
+      windows.push(current);
+      current = null;
+    }
+  });
+  if (current) windows.push(current);
+
+  return windows.filter((window) => window.end - window.start >= minDuration * 1000);
+}
+
+/**
+ * Values to draw as threshold lines on a chart: the threshold, or the edges of the band
+ */
+export function getThresholdLines({ direction, threshold, min, max }) {
+  const values = direction === 'band' ? [min, max] : [threshold];
+  return values.filter(isSet).map(Number);
+}
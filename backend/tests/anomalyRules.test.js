@@ -0,0 +1,98 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  resolveAnomalyRule,
+  updateBaseline,
+  computeAnomalyScore,
+  isAnomalous,
+  describeAnomaly,
+  DEFAULT_ANOMALY_WINDOW,
+  MIN_ANOMALY_SAMPLES,
+} from '../utils/anomalyRules.js';
+import { DEFAULT_ALERT_DURATION } from '../utils/severityLevels.js';
+
+describe('resolveAnomalyRule', () => {
+  it('is disabled without a sigma limit', () => {
+    expect(resolveAnomalyRule({}, null)).toEqual({
+      sigma: null,
+      window: DEFAULT_ANOMALY_WINDOW,
+      alertDuration: DEFAULT_ALERT_DURATION,
+    });
+    expect(resolveAnomalyRule({}, { anomalySigma: 0 }).sigma).toBeNull();
+  });
+
+  it('takes the limit and window from the category and the duration from the header', () => {
+    expect(
+      resolveAnomalyRule({ alert_duration: 30 }, { anomalySigma: '3', anomalyWindow: 300, alertDuration: 60 })
+    ).toEqual({ sigma: 3, window: 300, alertDuration: 30 });
+    expect(resolveAnomalyRule({}, { anomalySigma: 3, alertDuration: 60 }).alertDuration).toBe(60);
+  });
+});
+
+describe('updateBaseline', () => {
+  it('starts a baseline from the first value', () => {
+    expect(updateBaseline(null, 10, 5000, 60)).toEqual({ mean: 10, variance: 0, count: 1, lastTime: 5000 });
+  });
+
+  it('weights a sample by the time since the previous one', () => {
+    const start = updateBaseline(null, 10, 0, 60);
+    const alpha = 1 - Math.exp(-1);
+
+    const baseline = updateBaseline(start, 20, 60000, 60);
+    expect(baseline.mean).toBeCloseTo(10 + 10 * alpha);
+    expect(baseline.variance).toBeCloseTo((1 - alpha) * 10 * 10 * alpha);
+    expect(baseline).toMatchObject({ count: 2, lastTime: 60000 });
+
+    // Twice the gap moves the mean further
+    expect(updateBaseline(start, 20, 120000, 60).mean).toBeGreaterThan(baseline.mean);
+  });
+
+  it('leaves the averages alone for a sample with the same timestamp', () => {
+    const start = updateBaseline(null, 10, 0, 60);
+    expect(updateBaseline(start, 50, 0, 60)).toEqual({ mean: 10, variance: 0, count: 2, lastTime: 0 });
+  });
+
+  it('settles on the spread of a steady signal', () => {
+    let baseline = null;
+    for (let i = 0; i < 500; i++) {
+      baseline = updateBaseline(baseline, i % 2 === 0 ? 99 : 101, i * 5000, 600);
+    }
+    expect(baseline.mean).toBeCloseTo(100, 0);
+    expect(Math.sqrt(baseline.variance)).toBeCloseTo(1, 1);
+  });
+});
+
+describe('computeAnomalyScore', () => {
+  const baseline = { mean: 100, variance: 4, count: MIN_ANOMALY_SAMPLES, lastTime: 0 };
+
+  it('scores the distance from the mean in standard deviations', () => {
+    expect(computeAnomalyScore(baseline, 106)).toBe(3);
+    expect(computeAnomalyScore(baseline, 97)).toBe(-1.5);
+  });
+
+  it('has no score while warming up or without any spread', () => {
+    expect(computeAnomalyScore({ ...baseline, count: MIN_ANOMALY_SAMPLES - 1 }, 106)).toBeNull();
+    expect(computeAnomalyScore({ ...baseline, variance: 0 }, 106)).toBeNull();
+    expect(computeAnomalyScore(null, 106)).toBeNull();
+  });
+});
+
+describe('isAnomalous', () => {
+  it('compares the absolute score with the sigma limit', () => {
+    expect(isAnomalous(3.5, { sigma: 3 })).toBe(true);
+    expect(isAnomalous(-3.5, { sigma: 3 })).toBe(true);
+    expect(isAnomalous(3, { sigma: 3 })).toBe(false);
+    expect(isAnomalous(null, { sigma: 3 })).toBe(false);
+    expect(isAnomalous(5, { sigma: null })).toBe(false);
+  });
+});
+
+describe('describeAnomaly', () => {
+  it('describes camelCase alerts and raw alert rows', () => {
+    expect(describeAnomaly({ value: 812, anomalyScore: 4.31, anomalyMean: 640, anomalySigma: 3 })).toBe(
+      'Value 812 is 4.3σ above the mean of 640 (limit 3σ)'
+    );
+    expect(describeAnomaly({ value: 12, anomaly_score: -3.2, anomaly_mean: 20.456, anomaly_sigma: 3 })).toBe(
+      'Value 12 is 3.2σ below the mean of 20.46 (limit 3σ)'
+    );
+  });
+});
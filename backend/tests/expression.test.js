@@ -0,0 +1,89 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseExpression,
+  getExpressionVariables,
+  evaluateExpression,
+  compareValue,
+  describeCompoundBreach,
+} from '../utils/expression.js';
+
+const evaluate = (source, variables = {}) => evaluateExpression(parseExpression(source), variables);
+
+describe('parseExpression', () => {
+  it('builds an AST with operator precedence', () => {
+    expect(parseExpression('A - B * 2')).toEqual({
+      type: 'binary',
+      op: '-',
+      left: { type: 'variable', name: 'A' },
+      right: {
+        type: 'binary',
+        op: '*',
+        left: { type: 'variable', name: 'B' },
+        right: { type: 'number', value: 2 },
+      },
+    });
+  });
+
+  it('parses functions case-insensitively', () => {
+    expect(parseExpression('ABS(A)')).toEqual({ type: 'call', name: 'abs', args: [{ type: 'variable', name: 'A' }] });
+  });
+
+  it('rejects invalid expressions', () => {
+    expect(() => parseExpression('')).toThrow('Expression is required');
+    expect(() => parseExpression('A +')).toThrow('Unexpected end of expression');
+    expect(() => parseExpression('(A - B')).toThrow('Expected ")"');
+    expect(() => parseExpression('A B')).toThrow('Unexpected "name"');
+    expect(() => parseExpression('A % B')).toThrow('Unexpected character "%"');
+    expect(() => parseExpression('1.2.3')).toThrow('Invalid number "1.2.3"');
+    expect(() => parseExpression('sqrt(A)')).toThrow('Unknown function "sqrt"');
+    expect(() => parseExpression('abs(A, B)')).toThrow('abs() takes 1 argument');
+  });
+});
+
+describe('getExpressionVariables', () => {
+  it('lists each variable once', () => {
+    expect(getExpressionVariables(parseExpression('abs(A - B) / max(A, C, 1)'))).toEqual(['A', 'B', 'C']);
+  });
+});
+
+describe('evaluateExpression', () => {
+  it('evaluates arithmetic, unary minus and functions', () => {
+    expect(evaluate('A - B', { A: 1200, B: 580 })).toBe(620);
+    expect(evaluate('(A + B) * 2', { A: 1, B: 2 })).toBe(6);
+    expect(evaluate('-A + 10', { A: 4 })).toBe(6);
+    expect(evaluate('abs(A - B) / max(A, 1)', { A: 2, B: 6 })).toBe(2);
+    expect(evaluate('min(A, B, 3)', { A: 5, B: 4 })).toBe(3);
+  });
+
+  it('accepts numeric strings', () => {
+    expect(evaluate('A * 2', { A: '2.5' })).toBe(5);
+  });
+
+  it('returns null for a missing value or a non-finite result', () => {
+    expect(evaluate('A - B', { A: 1 })).toBeNull();
+    expect(evaluate('A - B', { A: 1, B: null })).toBeNull();
+    expect(evaluate('A / B', { A: 1, B: 0 })).toBeNull();
+  });
+});
+
+describe('compareValue', () => {
+  it('applies each operator', () => {
+    expect(compareValue(5, '>', 4)).toBe(true);
+    expect(compareValue(4, '>=', 4)).toBe(true);
+    expect(compareValue(3, '<', 4)).toBe(true);
+    expect(compareValue(5, '<=', 4)).toBe(false);
+  });
+
+  it('never matches a missing value or an unknown operator', () => {
+    expect(compareValue(null, '<', 4)).toBe(false);
+    expect(compareValue(5, '==', 5)).toBe(false);
+  });
+});
+
+describe('describeCompoundBreach', () => {
+  it('rounds the value to two decimals', () => {
+    expect(describeCompoundBreach({ expression: 'A - B', value: 620.456, comparison: '>', threshold: 500 })).toBe(
+      'A - B = 620.46 (> 500)'
+    );
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  resolveForecastRule,
+  forecastThresholdCrossing,
+  describeForecast,
+  DEFAULT_FORECAST_WINDOW,
+} from '../utils/forecastRules.js';
+
+const HOUR = 3600 * 1000;
+const START = Date.UTC(2026, 0, 1);
+
+// A sample every 10 minutes for `hours`, starting at `value` and changing by `perHour`
+const trend = (value, perHour, hours, start = START) =>
+  Array.from({ length: hours * 6 + 1 }, (_, index) => ({
+    time: start + (index * HOUR) / 6,
+    value: value + (perHour * index) / 6,
+  }));
+
+const below = { direction: 'below', threshold: 20 };
+
+describe('resolveForecastRule', () => {
+  it('is disabled without a lead time', () => {
+    expect(resolveForecastRule({})).toEqual({ leadTime: null, window: DEFAULT_FORECAST_WINDOW });
+    expect(resolveForecastRule(null)).toEqual({ leadTime: null, window: DEFAULT_FORECAST_WINDOW });
+  });
+
+  it('uses the category lead time and window', () => {
+    expect(resolveForecastRule({ forecastLeadTime: 4, forecastWindow: 12 })).toEqual({ leadTime: 4, window: 12 });
+    expect(resolveForecastRule({ forecastLeadTime: -1, forecastWindow: 0 })).toEqual({
+      leadTime: null,
+      window: DEFAULT_FORECAST_WINDOW,
+    });
+  });
+});
+
+describe('forecastThresholdCrossing', () => {
+  it('projects a falling trend to a below threshold', () => {
+    const samples = trend(50, -2, 3);
+    const now = samples[samples.length - 1].time;
+    const forecast = forecastThresholdCrossing(samples, below, now);
+
+    expect(forecast).toMatchObject({ target: 20, trend: 'falling', sampleCount: 19, since: START });
+    expect(forecast.rate).toBeCloseTo(-2);
+    expect(forecast.timeToThreshold).toBe(12 * HOUR);
+    expect(forecast.eta).toBe(now + 12 * HOUR);
+  });
+
+  it('reports no crossing for a trend moving away from the threshold', () => {
+    // A dip after the last peak that is recovering again
+    const samples = [{ time: START, value: 50 }, ...trend(30, 3, 3, START + HOUR / 6).slice(0, 18)];
+    const forecast = forecastThresholdCrossing(samples, below, samples[samples.length - 1].time);
+
+    expect(forecast).toMatchObject({ target: 20, trend: 'falling', timeToThreshold: null, eta: null });
+    expect(forecast.rate).toBeGreaterThan(0);
+  });
+
+  it('has no usable trend while the value keeps setting new highs', () => {
+    const samples = trend(50, 2, 3);
+    expect(forecastThresholdCrossing(samples, below, samples[samples.length - 1].time)).toBeNull();
+  });
+
+  it('reports 0 once the trend is past the threshold', () => {
+    const samples = trend(25, -4, 3);
+    expect(forecastThresholdCrossing(samples, below, samples[samples.length - 1].time).timeToThreshold).toBe(0);
+  });
+
+  it('only fits the samples since the value last restarted', () => {
+    const drained = trend(30, -1, 2);
+    const recharged = trend(60, -2, 3, START + 2 * HOUR + HOUR / 6);
+    const samples = [...drained, ...recharged];
+    const forecast = forecastThresholdCrossing(samples, below, samples[samples.length - 1].time);
+
+    expect(forecast.since).toBe(recharged[0].time);
+    expect(forecast.sampleCount).toBe(recharged.length);
+    expect(forecast.rate).toBeCloseTo(-2);
+  });
+
+  it('uses the band edge reached first', () => {
+    const samples = trend(40, 5, 3);
+    const forecast = forecastThresholdCrossing(
+      samples,
+      { direction: 'band', min: 10, max: 60 },
+      samples[samples.length - 1].time
+    );
+
+    expect(forecast).toMatchObject({ target: 60, trend: 'rising', timeToThreshold: HOUR });
+  });
+
+  it('needs enough samples over enough time', () => {
+    expect(forecastThresholdCrossing(trend(50, -2, 1).slice(0, 5), below, START + HOUR)).toBeNull();
+
+    const quick = Array.from({ length: 12 }, (_, index) => ({ time: START + index * 60000, value: 50 - index }));
+    expect(forecastThresholdCrossing(quick, below, START + 11 * 60000)).toBeNull();
+  });
+
+  it('ignores samples after now', () => {
+    const samples = trend(50, -2, 3);
+    const forecast = forecastThresholdCrossing(samples, below, START + 2 * HOUR);
+    expect(forecast.sampleCount).toBe(13);
+  });
+});
+
+describe('describeForecast', () => {
+  it('describes camelCase alerts and raw alert rows', () => {
+    const timestamp = new Date(START).toISOString();
+    expect(
+      describeForecast({
+        threshold: 20,
+        forecastRate: -2.5,
+        forecastEta: START + 3 * HOUR + 10 * 60000,
+        forecastLeadTime: 4,
+        timestamp,
+      })
+    ).toBe('Reaches 20 in about 3h 10m (falling 2.5/h, lead time 4h)');
+    expect(
+      describeForecast({
+        threshold: 150,
+        forecast_rate: 10,
+        forecast_eta: START + 45 * 60000,
+        forecast_lead_time: 2,
+        timestamp: START,
+      })
+    ).toBe('Reaches 150 in about 45m (rising 10.0/h, lead time 2h)');
+  });
+});
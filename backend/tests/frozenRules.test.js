@@ -0,0 +1,119 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  resolveFrozenRule,
+  isWithinFrozenTolerance,
+  computeStdDev,
+  describeFrozenTolerance,
+  trackFrozenValue,
+  DEFAULT_FROZEN_THRESHOLD,
+} from '../utils/frozenRules.js';
+
+describe('resolveFrozenRule', () => {
+  it('falls back to an exact match for the default duration', () => {
+    expect(resolveFrozenRule({}, null)).toEqual({
+      duration: DEFAULT_FROZEN_THRESHOLD,
+      tolerance: 0,
+      toleranceType: 'absolute',
+      varianceWindow: null,
+      maxStdDev: null,
+    });
+  });
+
+  it('lets the header duration win over the category', () => {
+    expect(resolveFrozenRule({ frozen_threshold: 60 }, { frozenThreshold: 300 }).duration).toBe(60);
+    expect(resolveFrozenRule({ frozen_threshold: null }, { frozenThreshold: 300 }).duration).toBe(300);
+  });
+
+  it('only enables the variance test with both a window and a limit', () => {
+    expect(resolveFrozenRule({}, { frozenVarianceWindow: 60 })).toMatchObject({ varianceWindow: null });
+    expect(resolveFrozenRule({}, { frozenVarianceWindow: 60, frozenMaxStdDev: 0.05 })).toMatchObject({
+      varianceWindow: 60,
+      maxStdDev: 0.05,
+    });
+  });
+});
+
+describe('isWithinFrozenTolerance', () => {
+  it('matches exactly without a tolerance', () => {
+    expect(isWithinFrozenTolerance(100, 100, {})).toBe(true);
+    expect(isWithinFrozenTolerance(100.1, 100, {})).toBe(false);
+    expect(isWithinFrozenTolerance(0, 0, {})).toBe(true);
+  });
+
+  it('applies absolute and percent tolerances around the anchor', () => {
+    expect(isWithinFrozenTolerance(100.4, 100, { tolerance: 0.5, toleranceType: 'absolute' })).toBe(true);
+    expect(isWithinFrozenTolerance(100.6, 100, { tolerance: 0.5, toleranceType: 'absolute' })).toBe(false);
+    expect(isWithinFrozenTolerance(1009, 1000, { tolerance: 1, toleranceType: 'percent' })).toBe(true);
+    expect(isWithinFrozenTolerance(1011, 1000, { tolerance: 1, toleranceType: 'percent' })).toBe(false);
+  });
+
+  it('is never flat without an anchor', () => {
+    expect(isWithinFrozenTolerance(100, null, {})).toBe(false);
+  });
+});
+
+describe('computeStdDev', () => {
+  it('computes the spread of the samples in the window', () => {
+    const samples = [0, 10, 20, 30].map((seconds, index) => ({ time: seconds * 1000, value: [1, 3, 1, 3][index] }));
+    expect(computeStdDev(samples, 30, 30000)).toBeCloseTo(1);
+  });
+
+  it('needs enough samples spread over half the window', () => {
+    const samples = [0, 1, 2].map((seconds) => ({ time: seconds * 1000, value: 5 }));
+    expect(computeStdDev(samples, 60, 2000)).toBeNull();
+  });
+});
+
+describe('describeFrozenTolerance', () => {
+  it('describes each tolerance type', () => {
+    expect(describeFrozenTolerance({ tolerance: 0 })).toBe('exact');
+    expect(describeFrozenTolerance({ tolerance: 0.5, toleranceType: 'absolute' })).toBe('±0.5');
+    expect(describeFrozenTolerance({ tolerance: 1, toleranceType: 'percent' })).toBe('±1%');
+  });
+});
+
+describe('trackFrozenValue', () => {
+  const poll = (tracker, values, rule) =>
+    values.map((value, index) => trackFrozenValue(tracker, value, index * 5000, rule));
+
+  it('freezes a dithering value after the duration and keeps the anchor', () => {
+    const rule = resolveFrozenRule({}, { frozenThreshold: 10, frozenTolerance: 0.5 });
+    const tracker = {};
+    const results = poll(tracker, [100, 100.1, 100, 100.1], rule);
+
+    expect(results.map((result) => result.frozen)).toEqual([false, false, true, true]);
+    expect(results[3].frozenFor).toBe(15000);
+    expect(tracker.anchor).toBe(100);
+  });
+
+  it('starts a new flat period when the value leaves the tolerance band', () => {
+    const rule = resolveFrozenRule({}, { frozenThreshold: 10 });
+    const tracker = {};
+    const results = poll(tracker, [100, 100, 105, 105], rule);
+
+    expect(results.map((result) => result.frozenFor)).toEqual([0, 5000, 0, 5000]);
+    expect(results.some((result) => result.frozen)).toBe(false);
+  });
+
+  it('does not freeze a live signal that stays inside the tolerance band', () => {
+    const rule = resolveFrozenRule(
+      {},
+      { frozenThreshold: 10, frozenTolerance: 0.5, frozenVarianceWindow: 10, frozenMaxStdDev: 0.01 }
+    );
+    const results = poll({}, [100, 100.2, 100, 100.2, 100], rule);
+
+    expect(results.some((result) => result.frozen)).toBe(false);
+  });
+
+  it('waits for the variance test to confirm a flat signal', () => {
+    const rule = resolveFrozenRule(
+      {},
+      { frozenThreshold: 5, frozenTolerance: 0.5, frozenVarianceWindow: 10, frozenMaxStdDev: 0.01 }
+    );
+    const results = poll({}, [100, 100, 100], rule);
+
+    // At 5s the duration has passed but two samples are too few for a standard deviation
+    expect(results.map((result) => result.frozen)).toEqual([false, false, true]);
+    expect(results[2].stdDev).toBe(0);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  parsePattern,
+  validatePattern,
+  findMatchingPattern,
+  getCategoryMatches,
+  classifyHeader,
+} from '../shared/headerClassifier.js';
+
+const categories = {
+  pressure: {
+    patterns: ['pressure', 'casing'],
+    negativePatterns: ['derivative', 'word:qc'],
+  },
+  battery: {
+    patterns: ['word:bat', 'battery'],
+  },
+  temperature: {
+    patterns: ['glob:*temp*'],
+    priority: 5,
+  },
+};
+
+describe('parsePattern', () => {
+  it('reads each pattern type', () => {
+    expect(parsePattern('casing')).toEqual({ type: 'substring', body: 'casing', flags: '' });
+    expect(parsePattern('word: psi')).toEqual({ type: 'word', body: 'psi', flags: '' });
+    expect(parsePattern('GLOB:*tubing*')).toEqual({ type: 'glob', body: '*tubing*', flags: '' });
+    expect(parsePattern('regex:^cas')).toEqual({ type: 'regex', body: '^cas', flags: '' });
+    expect(parsePattern('/^cas(ing)?$/m')).toEqual({ type: 'regex', body: '^cas(ing)?$', flags: 'm' });
+  });
+
+  it('uses the default type for plain patterns', () => {
+    expect(parsePattern('casing', 'word').type).toBe('word');
+    expect(parsePattern('glob:cas*', 'word').type).toBe('glob');
+  });
+});
+
+describe('validatePattern', () => {
+  it('accepts valid patterns', () => {
+    expect(validatePattern('casing')).toBeNull();
+    expect(validatePattern('/^cas(ing)?$/')).toBeNull();
+  });
+
+  it('reports empty patterns and invalid expressions', () => {
+    expect(validatePattern('')).toBe('Pattern must be a non-empty string');
+    expect(validatePattern('word:')).toBe('Pattern "word:" has nothing after its word prefix');
+    expect(validatePattern('regex:(cas')).toMatch(/^Invalid regular expression "regex:\(cas"/);
+  });
+});
+
+describe('findMatchingPattern', () => {
+  it('matches case-insensitively by type', () => {
+    expect(findMatchingPattern('Casing Pressure', ['tubing', 'casing'])).toBe('casing');
+    expect(findMatchingPattern('Battery_Voltage', ['word:bat'])).toBeNull();
+    expect(findMatchingPattern('Bat Voltage', ['word:bat'])).toBe('word:bat');
+    expect(findMatchingPattern('Wellhead Temp 2', ['glob:*temp ?'])).toBe('glob:*temp ?');
+    expect(findMatchingPattern('Casing Pressure', ['/^casing/'])).toBe('/^casing/');
+  });
+
+  it('matches plain patterns as whole words when asked to', () => {
+    expect(findMatchingPattern('Encasing Pressure', ['casing'], { defaultType: 'word' })).toBeNull();
+    expect(findMatchingPattern('casing_pressure', ['casing'], { defaultType: 'word' })).toBe('casing');
+  });
+
+  it('never matches with an invalid expression', () => {
+    expect(findMatchingPattern('Casing', ['regex:(cas'])).toBeNull();
+  });
+});
+
+describe('getCategoryMatches', () => {
+  it('reports the negative pattern that excluded a category', () => {
+    expect(getCategoryMatches('Casing Pressure QC', categories)).toEqual([
+      { category: 'pressure', priority: 0, pattern: 'pressure', excludedBy: 'word:qc', matched: false },
+    ]);
+  });
+
+  it('orders matches by priority', () => {
+    const matches = getCategoryMatches('Casing Temp', categories);
+    expect(matches.map((match) => match.category)).toEqual(['temperature', 'pressure']);
+  });
+});
+
+describe('classifyHeader', () => {
+  it('returns the winning category', () => {
+    expect(classifyHeader('Casing Pressure', categories)).toBe('pressure');
+    expect(classifyHeader('Gauge Battery', categories)).toBe('battery');
+    expect(classifyHeader('Casing Temp', categories)).toBe('temperature');
+  });
+
+  it('returns null when no category claims the header', () => {
+    expect(classifyHeader('Pressure Derivative', categories)).toBeNull();
+    expect(classifyHeader('Flow Rate', categories)).toBeNull();
+    expect(classifyHeader('', categories)).toBeNull();
+    expect(classifyHeader('Casing Pressure', null)).toBeNull();
+  });
+
+  it('breaks priority ties by category order', () => {
+    const tied = { first: { patterns: ['casing'] }, second: { patterns: ['pressure'] } };
+    expect(classifyHeader('Casing Pressure', tied)).toBe('first');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  resolveRateRule,
+  computeSlope,
+  isRateBreached,
+  formatRateRule,
+  describeRateBreach,
+  DEFAULT_RATE_WINDOW,
+} from '../shared/rateRules.js';
+
+// One sample every 10 seconds, changing by `perMinute` units a minute
+const linearSamples = (count, perMinute, start = 0) =>
+  Array.from({ length: count }, (_, index) => ({ time: start + index * 10000, value: 100 + (perMinute * index) / 6 }));
+
+describe('resolveRateRule', () => {
+  it('is disabled without a limit', () => {
+    expect(resolveRateRule({}, {})).toEqual({ limit: null, window: DEFAULT_RATE_WINDOW, direction: 'drop' });
+  });
+
+  it('lets header overrides win over the category', () => {
+    const rule = resolveRateRule(
+      { rate_limit: 200, rate_direction: 'rise' },
+      { rateLimit: 500, rateWindow: 120, rateDirection: 'drop' }
+    );
+    expect(rule).toEqual({ limit: 200, window: 120, direction: 'rise' });
+  });
+
+  it('treats a non-positive limit as disabled and a non-positive window as the default', () => {
+    expect(resolveRateRule({}, { rateLimit: 0, rateWindow: -5 })).toEqual({
+      limit: null,
+      window: DEFAULT_RATE_WINDOW,
+      direction: 'drop',
+    });
+  });
+});
+
+describe('computeSlope', () => {
+  it('fits the slope in units per minute', () => {
+    const samples = linearSamples(7, -120);
+    expect(computeSlope(samples, 60, samples[6].time)).toBeCloseTo(-120);
+  });
+
+  it('needs enough samples spread over the window', () => {
+    const samples = linearSamples(7, -120);
+    expect(computeSlope(samples.slice(0, 2), 60, samples[1].time)).toBeNull();
+    // Three samples over 20s do not cover half of a 60s window
+    expect(computeSlope(samples.slice(0, 3), 60, samples[2].time)).toBeNull();
+  });
+
+  it('only uses the samples inside the window', () => {
+    const samples = [...linearSamples(7, 600), ...linearSamples(7, -60, 70000)];
+    expect(computeSlope(samples, 60, 130000)).toBeCloseTo(-60);
+  });
+});
+
+describe('isRateBreached', () => {
+  it('checks each direction against the limit', () => {
+    expect(isRateBreached(-600, { limit: 500, direction: 'drop' })).toBe(true);
+    expect(isRateBreached(600, { limit: 500, direction: 'drop' })).toBe(false);
+    expect(isRateBreached(600, { limit: 500, direction: 'rise' })).toBe(true);
+    expect(isRateBreached(-600, { limit: 500, direction: 'either' })).toBe(true);
+    expect(isRateBreached(-400, { limit: 500, direction: 'either' })).toBe(false);
+  });
+
+  it('never breaches without a slope or a limit', () => {
+    expect(isRateBreached(null, { limit: 500, direction: 'drop' })).toBe(false);
+    expect(isRateBreached(-600, { limit: null, direction: 'drop' })).toBe(false);
+  });
+});
+
+describe('formatRateRule', () => {
+  it('formats a rule and skips a disabled one', () => {
+    expect(formatRateRule({ limit: 500, window: 120, direction: 'rise' })).toBe('rise > 500/min (120s)');
+    expect(formatRateRule({ limit: 500 })).toBe(`drop > 500/min (${DEFAULT_RATE_WINDOW}s)`);
+    expect(formatRateRule({ limit: null })).toBeNull();
+  });
+});
+
+describe('describeRateBreach', () => {
+  it('describes camelCase alerts and raw alert rows', () => {
+    expect(describeRateBreach({ rate: -820.54, rateLimit: 500, rateWindow: 60 })).toBe(
+      'Dropping 820.5/min over 60s (limit 500/min)'
+    );
+    expect(describeRateBreach({ rate: 30, rate_limit: 20, rate_window: 120 })).toBe(
+      'Rising 30.0/min over 120s (limit 20/min)'
+    );
+  });
+});
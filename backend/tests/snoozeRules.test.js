@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import { isSnoozeRecovered } from '../utils/snoozeRules.js';
+
+const CREATED = Date.UTC(2026, 0, 1, 12);
+const snooze = { createdAt: new Date(CREATED).toISOString() };
+const MINUTE = 60000;
+
+describe('isSnoozeRecovered', () => {
+  it('keeps a snoozed frozen alert snoozed while the value is still frozen', () => {
+    // A frozen value can sit well inside its threshold, only the frozen check resolves the alert
+    const frozen = { type: 'frozen', value: 3500, active: true, endedAt: null, recoveryHold: 30 };
+    expect(isSnoozeRecovered(snooze, [frozen], CREATED + 60 * MINUTE)).toBe(false);
+  });
+
+  it('waits for every covered alert to resolve', () => {
+    const resolved = { active: false, endedAt: CREATED + MINUTE, recoveryHold: 30 };
+    const open = { active: true, endedAt: null, recoveryHold: 30 };
+    expect(isSnoozeRecovered(snooze, [resolved, open], CREATED + 10 * MINUTE)).toBe(false);
+    expect(isSnoozeRecovered(snooze, [resolved], CREATED + 10 * MINUTE)).toBe(true);
+  });
+
+  it('holds for the longest recovery hold after the last alert ended', () => {
+    const occurrences = [
+      { active: false, endedAt: CREATED + MINUTE, recoveryHold: 30 },
+      { active: false, endedAt: CREATED + 2 * MINUTE, recoveryHold: 120 },
+    ];
+    expect(isSnoozeRecovered(snooze, occurrences, CREATED + 3 * MINUTE)).toBe(false);
+    expect(isSnoozeRecovered(snooze, occurrences, CREATED + 4 * MINUTE)).toBe(true);
+  });
+
+  it('keeps a snooze that has not covered an alert yet', () => {
+    expect(isSnoozeRecovered(snooze, [], CREATED + 60 * MINUTE)).toBe(false);
+
+    const endedBefore = { active: false, endedAt: CREATED - MINUTE, recoveryHold: 0 };
+    expect(isSnoozeRecovered(snooze, [endedBefore], CREATED + 60 * MINUTE)).toBe(false);
+  });
+});
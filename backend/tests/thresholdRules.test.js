@@ -0,0 +1,140 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  resolveThresholdRule,
+  isThresholdBreached,
+  isThresholdRecovered,
+  describeThresholdBreach,
+  formatThresholdRule,
+  findBreachWindows,
+  getThresholdLines,
+  DEFAULT_THRESHOLD,
+  DEFAULT_RECOVERY_HOLD,
+} from '../shared/thresholdRules.js';
+
+describe('resolveThresholdRule', () => {
+  it('falls back to the defaults without settings', () => {
+    expect(resolveThresholdRule({}, null)).toEqual({
+      direction: 'below',
+      threshold: DEFAULT_THRESHOLD,
+      min: null,
+      max: null,
+      recoveryMargin: 0,
+      recoveryHold: DEFAULT_RECOVERY_HOLD,
+    });
+  });
+
+  it('uses the category settings', () => {
+    const rule = resolveThresholdRule(
+      {},
+      { thresholdDirection: 'band', threshold: 100, thresholdMin: 10, thresholdMax: 50, recoveryMargin: 2 }
+    );
+    expect(rule).toMatchObject({ direction: 'band', threshold: 100, min: 10, max: 50, recoveryMargin: 2 });
+  });
+
+  it('lets header overrides win over the category', () => {
+    const rule = resolveThresholdRule(
+      { threshold: '150', threshold_direction: 'above' },
+      { threshold: 20, thresholdDirection: 'below' }
+    );
+    expect(rule).toMatchObject({ direction: 'above', threshold: 150 });
+  });
+
+  it('keeps a zero threshold', () => {
+    expect(resolveThresholdRule({ threshold: 0 }, { threshold: 20 }).threshold).toBe(0);
+  });
+
+  it('ignores unknown directions', () => {
+    expect(resolveThresholdRule({ threshold_direction: 'sideways' }, {}).direction).toBe('below');
+  });
+});
+
+describe('isThresholdBreached', () => {
+  it('checks each direction', () => {
+    expect(isThresholdBreached(19, { direction: 'below', threshold: 20 })).toBe(true);
+    expect(isThresholdBreached(20, { direction: 'below', threshold: 20 })).toBe(false);
+    expect(isThresholdBreached(151, { direction: 'above', threshold: 150 })).toBe(true);
+    expect(isThresholdBreached(150, { direction: 'above', threshold: 150 })).toBe(false);
+  });
+
+  it('checks both edges of a band and skips a missing edge', () => {
+    const band = { direction: 'band', min: 10, max: 50 };
+    expect(isThresholdBreached(5, band)).toBe(true);
+    expect(isThresholdBreached(55, band)).toBe(true);
+    expect(isThresholdBreached(30, band)).toBe(false);
+    expect(isThresholdBreached(1000, { direction: 'band', min: 10, max: null })).toBe(false);
+  });
+
+  it('never breaches on a missing value', () => {
+    expect(isThresholdBreached(null, { direction: 'below', threshold: 20 })).toBe(false);
+    expect(isThresholdBreached(NaN, { direction: 'below', threshold: 20 })).toBe(false);
+  });
+});
+
+describe('isThresholdRecovered', () => {
+  it('requires the value to pass the limit by the recovery margin', () => {
+    const rule = { direction: 'below', threshold: 20, recoveryMargin: 5 };
+    expect(isThresholdRecovered(22, rule)).toBe(false);
+    expect(isThresholdRecovered(25, rule)).toBe(true);
+  });
+
+  it('keeps values inside the deadband neither breached nor recovered', () => {
+    const rule = { direction: 'above', threshold: 100, recoveryMargin: 10 };
+    expect(isThresholdBreached(95, rule)).toBe(false);
+    expect(isThresholdRecovered(95, rule)).toBe(false);
+    expect(isThresholdRecovered(90, rule)).toBe(true);
+  });
+
+  it('shrinks a band by the margin', () => {
+    const rule = { direction: 'band', min: 10, max: 50, recoveryMargin: 2 };
+    expect(isThresholdRecovered(11, rule)).toBe(false);
+    expect(isThresholdRecovered(30, rule)).toBe(true);
+    expect(isThresholdRecovered(49, rule)).toBe(false);
+  });
+});
+
+describe('describeThresholdBreach', () => {
+  it('describes camelCase alerts and raw alert rows', () => {
+    expect(describeThresholdBreach({ value: 12, threshold: 20 })).toBe('Value 12 is below threshold (20)');
+    expect(describeThresholdBreach({ value: 160, threshold: 150, threshold_direction: 'above' })).toBe(
+      'Value 160 is above threshold (150)'
+    );
+    expect(describeThresholdBreach({ value: 5, thresholdDirection: 'band', thresholdMin: 10, thresholdMax: 50 })).toBe(
+      'Value 5 is below the operating band (10 – 50)'
+    );
+  });
+});
+
+describe('formatThresholdRule', () => {
+  it('formats each direction', () => {
+    expect(formatThresholdRule({ direction: 'below', threshold: 20 })).toBe('< 20');
+    expect(formatThresholdRule({ direction: 'above', threshold: 150 })).toBe('> 150');
+    expect(formatThresholdRule({ direction: 'band', min: 10, max: null })).toBe('outside 10 – ∞');
+  });
+});
+
+describe('findBreachWindows', () => {
+  const rule = { direction: 'below', threshold: 20 };
+  const points = [0, 60, 120, 180, 240, 600].map((seconds, index) => ({
+    time: seconds * 1000,
+    avg: [30, 10, 10, 30, 10, 10][index],
+  }));
+
+  it('joins consecutive breached buckets and splits on gaps', () => {
+    expect(findBreachWindows(points, rule, 60)).toEqual([
+      { start: 60000, end: 180000 },
+      { start: 240000, end: 300000 },
+      { start: 600000, end: 660000 },
+    ]);
+  });
+
+  it('drops periods shorter than the minimum duration', () => {
+    expect(findBreachWindows(points, rule, 60, 120)).toEqual([{ start: 60000, end: 180000 }]);
+  });
+});
+
+describe('getThresholdLines', () => {
+  it('returns the threshold or the band edges that are set', () => {
+    expect(getThresholdLines({ direction: 'below', threshold: '20' })).toEqual([20]);
+    expect(getThresholdLines({ direction: 'band', min: 10, max: null })).toEqual([10]);
+  });
+});
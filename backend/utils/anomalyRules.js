@@ -0,0 +1,107 @@
+/**
+ * Statistical anomaly rule helpers
+ *
+ * An anomaly rule alerts on values that are unusual for the header itself rather than outside a fixed
+ * limit: each header keeps an exponentially weighted moving average (EWMA) and deviation of its own
+ * values, and a value more than `anomalySigma` standard deviations from that mean is anomalous.
+ * `anomalyWindow` is the time constant of the averages in seconds, i.e. roughly how far back they look.
+ *
+ * Anomalous values are kept out of the baseline so a sustained excursion is not learnt away before its
+ * alert duration has passed. An excursion lasting a whole window is taken as the new normal: the
+ * baseline starts over from there.
+ */
+
+import { DEFAULT_ALERT_DURATION } from './severityLevels.js';
+
+export const DEFAULT_ANOMALY_WINDOW = 600; // seconds
+
+// The baseline needs this many samples before it is trusted
+export const MIN_ANOMALY_SAMPLES = 20;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Resolve the anomaly rule of a header. The limit and window come from the category; the alert
+ * duration is the header's override or the category's. A rule without a sigma limit is disabled.
+ * @param {Object} headerConfig - project_header_settings row
+ * @param {Object} categorySettings - patternCategories entry for the header's category
+ * @returns {{sigma: number|null, window: number, alertDuration: number}}
+ */
+export function resolveAnomalyRule(headerConfig = {}, categorySettings = {}) {
+  const category = categorySettings || {};
+
+  const sigma = isSet(category.anomalySigma) ? Number(category.anomalySigma) : null;
+  const window = isSet(category.anomalyWindow) ? Number(category.anomalyWindow) : DEFAULT_ANOMALY_WINDOW;
+  const alertDuration = isSet(headerConfig.alert_duration)
+    ? Number(headerConfig.alert_duration)
+    : isSet(category.alertDuration)
+    ? Number(category.alertDuration)
+    : DEFAULT_ALERT_DURATION;
+
+  return {
+    sigma: sigma > 0 ? sigma : null,
+    window: window > 0 ? window : DEFAULT_ANOMALY_WINDOW,
+    alertDuration: alertDuration >= 0 ? alertDuration : DEFAULT_ALERT_DURATION
+  };
+}
+
+/**
+ * Add a value to a baseline. The weight of a sample depends on the time since the previous one,
+ * so irregular polling does not skew the averages.
+ * @param {{mean: number, variance: number, count: number, lastTime: number}|null} baseline - null starts a new one
+ * @param {number} value
+ * @param {number} time - Epoch ms of the value
+ * @param {number} windowSeconds - Time constant of the averages
+ * @returns {{mean: number, variance: number, count: number, lastTime: number}}
+ */
+export function updateBaseline(baseline, value, time, windowSeconds) {
+  if (!baseline) {
+    return { mean: value, variance: 0, count: 1, lastTime: time };
+  }
+
+  const elapsed = Math.max(0, time - baseline.lastTime) / 1000;
+  const alpha = 1 - Math.exp(-elapsed / windowSeconds);
+  const diff = value - baseline.mean;
+  const increment = alpha * diff;
+
+  return {
+    mean: baseline.mean + increment,
+    variance: (1 - alpha) * (baseline.variance + diff * increment),
+    count: baseline.count + 1,
+    lastTime: time
+  };
+}
+
+/**
+ * How many standard deviations a value is from the baseline mean, signed
+ * @returns {number|null} null while the baseline is warming up or has no spread at all
+ */
+export function computeAnomalyScore(baseline, value) {
+  if (!baseline || baseline.count < MIN_ANOMALY_SAMPLES) return null;
+
+  const stdDev = Math.sqrt(baseline.variance);
+  if (!(stdDev > 0)) return null;
+
+  return (value - baseline.mean) / stdDev;
+}
+
+/**
+ * Check whether an anomaly score breaches a rule
+ */
+export function isAnomalous(score, rule) {
+  return score !== null && score !== undefined && !isNaN(score) && isSet(rule.sigma) && Math.abs(score) > rule.sigma;
+}
+
+/**
+ * Describe an anomaly alert for notifications, e.g. "Value 812 is 4.3σ above the mean of 640 (limit 3σ)"
+ * Accepts both the camelCase alert objects produced by the monitor and raw alerts rows.
+ */
+export function describeAnomaly(alert) {
+  const score = Number(alert.anomalyScore ?? alert.anomaly_score ?? 0);
+  const mean = Number(alert.anomalyMean ?? alert.anomaly_mean ?? 0);
+  const limit = alert.anomalySigma ?? alert.anomaly_sigma;
+
+  return `Value ${alert.value} is ${Math.abs(score).toFixed(1)}σ ${score < 0 ? 'below' : 'above'} the mean of ${Number(
+    mean.toFixed(2)
+  )} (limit ${limit}σ)`;
+}
@@ -0,0 +1,65 @@
+import nodemailer from 'nodemailer';
+import { loadSettings } from './settingsStorage.js';
+import { DEFAULT_SETTINGS } from '../schemas/settings.js';
+
+// How long to wait for the server at each step before giving up
+const SMTP_TIMEOUT = 30000;
+
+/**
+ * Resolve the SMTP server settings, filling in defaults for anything not configured
+ */
+export async function getEmailSettings() {
+  const settings = await loadSettings();
+  return { ...DEFAULT_SETTINGS.email, ...(settings?.email || {}) };
+}
+
+// Comma or semicolon separated list as stored in webhooks.emailRecipients
+export function parseRecipients(recipients) {
+  return String(recipients || '')
+    .split(/[,;]/)
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Send an email through the configured SMTP server.
+ * Credentials are only ever sent encrypted: with a username the connection has to be implicit TLS
+ * (`secure`) or upgrade with STARTTLS, otherwise the message is not sent.
+ * @param {{to: string[], subject: string, text: string,
+ *   attachments?: {filename: string, content: string|Buffer, contentType: string}[]}} message
+ * @throws when the server is not configured, cannot be reached over TLS for authentication or refuses the message
+ */
+export async function sendEmail({ to, subject, text, attachments = [] }) {
+  const config = await getEmailSettings();
+  if (!config.host || !config.from) {
+    throw new Error('Email is not configured, set the SMTP host and sender address');
+  }
+  if (!to || to.length === 0) {
+    throw new Error('No email recipients');
+  }
+
+  const authenticate = Boolean(config.username);
+  const transporter = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: Boolean(config.secure),
+    // STARTTLS has to succeed before AUTH, a server without it is refused rather than sent the password
+    requireTLS: authenticate && !config.secure,
+    auth: authenticate ? { user: config.username, pass: config.password || '' } : undefined,
+    connectionTimeout: SMTP_TIMEOUT,
+    greetingTimeout: SMTP_TIMEOUT,
+    socketTimeout: SMTP_TIMEOUT
+  });
+
+  try {
+    await transporter.sendMail({
+      from: config.from,
+      to,
+      subject,
+      text,
+      attachments: attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+    });
+  } finally {
+    transporter.close();
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Arithmetic expression helpers for compound rules
+ *
+ * Expressions combine header aliases with numbers, + - * /, parentheses, unary minus and the
+ * functions abs(), min() and max(), e.g. "A - B" or "abs(A - B) / max(A, 1)".
+ * They are parsed into a small AST once and evaluated each monitoring cycle, no eval() involved.
+ */
+
+export const COMPARISON_OPERATORS = ['>', '>=', '<', '<='];
+
+const FUNCTIONS = {
+  abs: { arity: 1, fn: Math.abs },
+  min: { arity: -1, fn: Math.min },
+  max: { arity: -1, fn: Math.max },
+};
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      let number = '';
+      while (i < source.length && /[0-9.]/.test(source[i])) number += source[i++];
+      if (isNaN(Number(number))) throw new Error(`Invalid number "${number}"`);
+      tokens.push({ type: 'number', value: Number(number) });
+    } else if (/[A-Za-z_]/.test(char)) {
+      let name = '';
+      while (i < source.length && /[A-Za-z0-9_]/.test(source[i])) name += source[i++];
+      tokens.push({ type: 'name', value: name });
+    } else if ('+-*/(),'.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+    } else {
+      throw new Error(`Unexpected character "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST
+ * @throws {Error} When the expression is not valid
+ */
+export function parseExpression(source) {
+  if (!source || typeof source !== 'string') throw new Error('Expression is required');
+
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expect = (type) => {
+    const token = tokens[position++];
+    if (!token || token.type !== type) throw new Error(`Expected "${type}"`);
+    return token;
+  };
+
+  // expression := term (("+" | "-") term)*
+  const parseSum = () => {
+    let node = parseProduct();
+    while (peek() && (peek().type === '+' || peek().type === '-')) {
+      const op = tokens[position++].type;
+      node = { type: 'binary', op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  // term := factor (("*" | "/") factor)*
+  const parseProduct = () => {
+    let node = parseFactor();
+    while (peek() && (peek().type === '*' || peek().type === '/')) {
+      const op = tokens[position++].type;
+      node = { type: 'binary', op, left: node, right: parseFactor() };
+    }
+    return node;
+  };
+
+  // factor := number | name | name "(" args ")" | "(" expression ")" | "-" factor
+  const parseFactor = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('Unexpected end of expression');
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'number', value: token.value };
+      case '-':
+        return { type: 'negate', operand: parseFactor() };
+      case '(': {
+        const node = parseSum();
+        expect(')');
+        return node;
+      }
+      case 'name': {
+        if (peek()?.type !== '(') return { type: 'variable', name: token.value };
+
+        const fn = FUNCTIONS[token.value.toLowerCase()];
+        if (!fn) throw new Error(`Unknown function "${token.value}"`);
+        position++;
+        const args = [parseSum()];
+        while (peek()?.type === ',') {
+          position++;
+          args.push(parseSum());
+        }
+        expect(')');
+        if (fn.arity !== -1 && args.length !== fn.arity) {
+          throw new Error(`${token.value}() takes ${fn.arity} argument${fn.arity > 1 ? 's' : ''}`);
+        }
+        return { type: 'call', name: token.value.toLowerCase(), args };
+      }
+      default:
+        throw new Error(`Unexpected "${token.type}"`);
+    }
+  };
+
+  const ast = parseSum();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].type}"`);
+  return ast;
+}
+
+/**
+ * List the variable names an AST references
+ */
+export function getExpressionVariables(ast, names = new Set()) {
+  switch (ast?.type) {
+    case 'variable':
+      names.add(ast.name);
+      break;
+    case 'negate':
+      getExpressionVariables(ast.operand, names);
+      break;
+    case 'binary':
+      getExpressionVariables(ast.left, names);
+      getExpressionVariables(ast.right, names);
+      break;
+    case 'call':
+      ast.args.forEach((arg) => getExpressionVariables(arg, names));
+      break;
+    default:
+      break;
+  }
+  return [...names];
+}
+
+/**
+ * Evaluate an AST against variable values.
+ * @returns {number|null} null when a variable is missing or the result is not finite (e.g. division by 0)
+ */
+export function evaluateExpression(ast, variables) {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'variable': {
+        const value = variables[node.name];
+        if (value === null || value === undefined || isNaN(value)) throw new Error(`Missing value for ${node.name}`);
+        return Number(value);
+      }
+      case 'negate':
+        return -evaluate(node.operand);
+      case 'binary': {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        switch (node.op) {
+          case '+':
+            return left + right;
+          case '-':
+            return left - right;
+          case '*':
+            return left * right;
+          default:
+            return left / right;
+        }
+      }
+      case 'call':
+        return FUNCTIONS[node.name].fn(...node.args.map(evaluate));
+      default:
+        throw new Error(`Unknown node ${node.type}`);
+    }
+  };
+
+  try {
+    const result = evaluate(ast);
+    return Number.isFinite(result) ? result : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare an evaluated value against a threshold
+ */
+export function compareValue(value, operator, threshold) {
+  if (value === null || value === undefined) return false;
+
+  switch (operator) {
+    case '>':
+      return value > threshold;
+    case '>=':
+      return value >= threshold;
+    case '<':
+      return value < threshold;
+    case '<=':
+      return value <= threshold;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Describe a compound alert, e.g. "Casing - Tubing differential: A - B = 620 (> 500)"
+ * Accepts both the camelCase alert objects produced by the monitor and raw alerts rows.
+ */
+export function describeCompoundBreach(alert) {
+  const value = typeof alert.value === 'number' ? Math.round(alert.value * 100) / 100 : alert.value;
+  return `${alert.expression} = ${value} (${alert.comparison} ${alert.threshold})`;
+}
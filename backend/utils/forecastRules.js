@@ -0,0 +1,152 @@
+/**
+ * Time-to-threshold forecast helpers
+ *
+ * Slowly draining values (e.g. battery level) are projected forward with a least-squares trend over
+ * the last `forecastWindow` hours of recorded history. A forecast rule alerts ahead of the threshold:
+ * while the estimated time until the trend crosses the threshold is shorter than `forecastLeadTime` hours.
+ *
+ * The trend only covers the samples since the value last restarted (e.g. a battery swap or recharge),
+ * otherwise the jump would flatten the slope.
+ */
+
+import { formatDuration } from './reportHtml.js';
+
+const HOUR = 3600 * 1000;
+
+export const DEFAULT_FORECAST_WINDOW = 6; // hours
+
+// A trend needs at least this many samples spread over this much time to be trusted
+export const MIN_FORECAST_SAMPLES = 10;
+export const MIN_FORECAST_SPAN = 15 * 60 * 1000;
+
+// An alert clears once the estimate is this much longer than the lead time, so it does not flap at the edge
+export const FORECAST_RECOVERY_FACTOR = 1.25;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Resolve the forecast rule of a category. A rule without a lead time is disabled.
+ * @param {Object} categorySettings - patternCategories entry for the header's category
+ * @returns {{leadTime: number|null, window: number}} Both in hours
+ */
+export function resolveForecastRule(categorySettings = {}) {
+  const category = categorySettings || {};
+  const leadTime = isSet(category.forecastLeadTime) ? Number(category.forecastLeadTime) : null;
+  const window = isSet(category.forecastWindow) ? Number(category.forecastWindow) : DEFAULT_FORECAST_WINDOW;
+
+  return { leadTime: leadTime > 0 ? leadTime : null, window: window > 0 ? window : DEFAULT_FORECAST_WINDOW };
+}
+
+// Least-squares fit of value over time, slope per hour and the fitted value at time t0
+const fitLine = (points) => {
+  const t0 = points[0].time;
+  const n = points.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+
+  for (const { time, value } of points) {
+    const x = (time - t0) / HOUR;
+    sumX += x;
+    sumY += value;
+    sumXY += x * value;
+    sumXX += x * x;
+  }
+
+  const denominator = n * sumXX - sumX * sumX;
+  if (denominator === 0) return null;
+
+  const slope = (n * sumXY - sumX * sumY) / denominator;
+  return { slope, intercept: (sumY - slope * sumX) / n, t0 };
+};
+
+// Samples since the value last peaked (falling) or bottomed out (rising), i.e. since its last restart
+const sinceLastRestart = (points, falling) => {
+  let start = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (falling ? points[i].value >= points[start].value : points[i].value <= points[start].value) {
+      start = i;
+    }
+  }
+  return points.slice(start);
+};
+
+// Forecast of the samples towards one target, approached by a falling or rising value
+const forecastTowards = (points, target, falling, now) => {
+  const recent = sinceLastRestart(points, falling);
+  if (recent.length < MIN_FORECAST_SAMPLES || recent[recent.length - 1].time - recent[0].time < MIN_FORECAST_SPAN) {
+    return null;
+  }
+
+  const fit = fitLine(recent);
+  if (!fit) return null;
+
+  const forecast = {
+    target,
+    trend: falling ? 'falling' : 'rising',
+    rate: fit.slope,
+    timeToThreshold: null,
+    eta: null,
+    sampleCount: recent.length,
+    since: recent[0].time
+  };
+
+  // Not heading for the target (flat or moving away from it)
+  if (falling ? fit.slope >= 0 : fit.slope <= 0) return forecast;
+
+  const fittedNow = fit.intercept + (fit.slope * (now - fit.t0)) / HOUR;
+  forecast.timeToThreshold = Math.round(Math.max(0, ((target - fittedNow) / fit.slope) * HOUR));
+  forecast.eta = now + forecast.timeToThreshold;
+  return forecast;
+};
+
+/**
+ * Estimate when the trend of the samples crosses the threshold of a rule.
+ * Below thresholds are approached by a falling value, above thresholds by a rising one; a band uses
+ * whichever edge is reached first.
+ * @param {Array<{time: number, value: number}>} samples - Samples with epoch-ms timestamps, oldest first
+ * @param {Object} thresholdRule - Rule from resolveThresholdRule
+ * @param {number} now - Epoch ms the estimate is made at
+ * @returns {{target: number, trend: string, rate: number, timeToThreshold: number|null, eta: number|null,
+ *   sampleCount: number, since: number}|null} rate in units per hour, timeToThreshold in ms (null when the
+ *   trend is not heading for the threshold, 0 when it is already past it); null without a usable trend
+ */
+export function forecastThresholdCrossing(samples, thresholdRule, now = Date.now()) {
+  const points = (samples || []).filter((s) => s.time <= now && s.value !== null && !isNaN(s.value));
+  if (points.length < MIN_FORECAST_SAMPLES) return null;
+
+  const targets =
+    thresholdRule.direction === 'band'
+      ? [
+          { target: thresholdRule.min, falling: true },
+          { target: thresholdRule.max, falling: false }
+        ]
+      : [{ target: thresholdRule.threshold, falling: thresholdRule.direction !== 'above' }];
+
+  const forecasts = targets
+    .filter(({ target }) => isSet(target))
+    .map(({ target, falling }) => forecastTowards(points, target, falling, now))
+    .filter(Boolean);
+
+  const crossing = forecasts
+    .filter((forecast) => forecast.timeToThreshold !== null)
+    .sort((a, b) => a.timeToThreshold - b.timeToThreshold)[0];
+  return crossing || forecasts[0] || null;
+}
+
+/**
+ * Describe a forecast alert for notifications, e.g. "Reaches 20 in about 3h 10m (falling 2.5/h, lead time 4h)"
+ * Accepts both the camelCase alert objects produced by the monitor and raw alerts rows.
+ */
+export function describeForecast(alert) {
+  const rate = Number(alert.forecastRate ?? alert.forecast_rate ?? 0);
+  const eta = alert.forecastEta ?? alert.forecast_eta;
+  const leadTime = alert.forecastLeadTime ?? alert.forecast_lead_time;
+  const timestamp = typeof alert.timestamp === 'string' ? Date.parse(alert.timestamp) : alert.timestamp;
+  const remaining = eta ? Math.max(0, eta - (timestamp || Date.now())) : null;
+
+  return `Reaches ${alert.threshold} in about ${formatDuration(remaining)} (${rate < 0 ? 'falling' : 'rising'} ${Math.abs(
+    rate
+  ).toFixed(1)}/h, lead time ${leadTime}h)`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Frozen-data rule helpers
+ *
+ * A header is frozen when its value stays within `frozenTolerance` of the value it had when
+ * the flat period started (the anchor) for `frozenThreshold` seconds. The tolerance is either
+ * absolute (units) or a percentage of the anchor; 0 keeps the old exact-match behaviour.
+ * A stuck transducer that dithers by ±0.1 psi therefore still counts as frozen.
+ *
+ * When `frozenVarianceWindow` is set, the standard deviation of the samples polled during that
+ * window must also be at most `frozenMaxStdDev`. A flat but live signal keeps some noise and
+ * is not flagged, even while it sits inside the tolerance band.
+ */
+
+export const FROZEN_TOLERANCE_TYPES = ['absolute', 'percent'];
+
+export const DEFAULT_FROZEN_THRESHOLD = 120; // seconds
+export const DEFAULT_FROZEN_TOLERANCE = 0;
+export const DEFAULT_FROZEN_TOLERANCE_TYPE = 'absolute';
+
+// A standard deviation needs at least this many samples spread over half the window to be trusted
+export const MIN_VARIANCE_SAMPLES = 3;
+const MIN_WINDOW_COVERAGE = 0.5;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Resolve the effective frozen rule for a header.
+ * The per-header frozen_threshold override wins over the category duration; tolerance and
+ * variance settings come from the category.
+ * @param {Object} headerConfig - project_header_settings row
+ * @param {Object} categorySettings - patternCategories entry for the header's category
+ * @returns {{duration: number, tolerance: number, toleranceType: string, varianceWindow: number|null, maxStdDev: number|null}}
+ */
+export function resolveFrozenRule(headerConfig = {}, categorySettings = {}) {
+  const category = categorySettings || {};
+
+  const duration = isSet(headerConfig.frozen_threshold)
+    ? Number(headerConfig.frozen_threshold)
+    : isSet(category.frozenThreshold)
+    ? Number(category.frozenThreshold)
+    : DEFAULT_FROZEN_THRESHOLD;
+
+  const tolerance = isSet(category.frozenTolerance) ? Number(category.frozenTolerance) : DEFAULT_FROZEN_TOLERANCE;
+  const toleranceType = FROZEN_TOLERANCE_TYPES.includes(category.frozenToleranceType)
+    ? category.frozenToleranceType
+    : DEFAULT_FROZEN_TOLERANCE_TYPE;
+
+  const varianceWindow = isSet(category.frozenVarianceWindow) ? Number(category.frozenVarianceWindow) : null;
+  const maxStdDev = isSet(category.frozenMaxStdDev) ? Number(category.frozenMaxStdDev) : null;
+
+  return {
+    duration,
+    tolerance: tolerance > 0 ? tolerance : 0,
+    toleranceType,
+    // The variance test needs both a window and a limit
+    varianceWindow: varianceWindow > 0 && maxStdDev !== null ? varianceWindow : null,
+    maxStdDev: varianceWindow > 0 ? maxStdDev : null,
+  };
+}
+
+/**
+ * Check whether a value is still within the frozen tolerance of the anchor value
+ */
+export function isWithinFrozenTolerance(value, anchor, rule = {}) {
+  if (value === null || value === undefined || anchor === null || anchor === undefined) return false;
+
+  const current = Number(value);
+  const reference = Number(anchor);
+  if (isNaN(current) || isNaN(reference)) return value === anchor;
+
+  const tolerance = rule.tolerance || 0;
+  const allowed = rule.toleranceType === 'percent' ? (Math.abs(reference) * tolerance) / 100 : tolerance;
+
+  return Math.abs(current - reference) <= allowed;
+}
+
+/**
+ * Compute the standard deviation of the samples inside the window ending at `now`.
+ * @param {Array<{time: number, value: number}>} samples - Samples with epoch-ms timestamps
+ * @param {number} windowSeconds - Window length in seconds
+ * @param {number} now - Epoch ms the window ends at
+ * @returns {number|null} Standard deviation, or null if there is not enough data
+ */
+export function computeStdDev(samples, windowSeconds, now = Date.now()) {
+  const windowStart = now - windowSeconds * 1000;
+  const points = (samples || []).filter(
+    (s) => s.time >= windowStart && s.time <= now && s.value !== null && !isNaN(s.value)
+  );
+
+  if (points.length < MIN_VARIANCE_SAMPLES) return null;
+
+  const span = points[points.length - 1].time - points[0].time;
+  if (span < windowSeconds * 1000 * MIN_WINDOW_COVERAGE) return null;
+
+  const mean = points.reduce((sum, { value }) => sum + value, 0) / points.length;
+  const variance = points.reduce((sum, { value }) => sum + (value - mean) ** 2, 0) / points.length;
+
+  return Math.sqrt(variance);
+}
+
+/**
+ * Describe a frozen rule's tolerance for logs, e.g. "±0.5" or "±1%"
+ */
+export function describeFrozenTolerance(rule) {
+  if (!rule.tolerance) return 'exact';
+  return rule.toleranceType === 'percent' ? `±${rule.tolerance}%` : `±${rule.tolerance}`;
+}
+
+/**
+ * Track a header's flat period in memory and decide whether it is frozen, for the monitors that
+ * keep no frozen state in the database.
+ * `tracker` holds the anchor value, when the flat period started and the recent samples; pass an
+ * empty object for a new header and keep passing the same one, it is updated in place.
+ * @param {Object} tracker - {anchor, anchorTime, samples}
+ * @param {*} value - Polled value
+ * @param {number} time - Epoch ms of the polled value
+ * @param {Object} rule - Rule from resolveFrozenRule
+ * @returns {{frozen: boolean, frozenFor: number, stdDev: number|null}}
+ */
+export function trackFrozenValue(tracker, value, time, rule) {
+  tracker.samples = tracker.samples || [];
+  tracker.samples.push({ time, value: Number(value) });
+  if (rule.varianceWindow) {
+    const windowStart = time - rule.varianceWindow * 1000;
+    tracker.samples = tracker.samples.filter((sample) => sample.time >= windowStart);
+  } else {
+    tracker.samples = [];
+  }
+
+  // A live signal keeps some noise even when it looks flat
+  const stdDev = rule.varianceWindow ? computeStdDev(tracker.samples, rule.varianceWindow, time) : null;
+  const isLive = stdDev !== null && stdDev > rule.maxStdDev;
+
+  // The anchor only moves when the value leaves the tolerance band, dithering within it keeps the flat period
+  if (tracker.anchorTime === undefined || isLive || !isWithinFrozenTolerance(value, tracker.anchor, rule)) {
+    tracker.anchor = value;
+    tracker.anchorTime = time;
+    return { frozen: false, frozenFor: 0, stdDev };
+  }
+
+  const frozenFor = time - tracker.anchorTime;
+  // The variance test must confirm the flat period once it is configured
+  const frozen = frozenFor >= rule.duration * 1000 && (!rule.varianceWindow || stdDev !== null);
+
+  return { frozen, frozenFor, stdDev };
+}
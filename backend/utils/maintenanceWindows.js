@@ -0,0 +1,70 @@
+/**
+ * Maintenance window helpers
+ *
+ * A maintenance window covers a company, project, stage or single header. It is either one-off
+ * (`startsAt` to `endsAt`) or repeats daily or weekly from that first occurrence, optionally until
+ * `repeatUntil`. Recurring occurrences keep the local wall-clock time of the first one across DST changes.
+ */
+
+export const MAINTENANCE_SCOPES = ['company', 'project', 'stage', 'header'];
+export const MAINTENANCE_RECURRENCES = ['none', 'daily', 'weekly'];
+
+const DAY = 24 * 3600 * 1000;
+const RECURRENCE_DAYS = { daily: 1, weekly: 7 };
+
+// Start of the index-th occurrence, stepped in calendar days so it stays at the same local time
+const occurrenceStart = (window, index) => {
+  const start = new Date(window.startsAt);
+  start.setDate(start.getDate() + index * RECURRENCE_DAYS[window.recurrence]);
+  return start.getTime();
+};
+
+/**
+ * The occurrence of a window in progress at `now`, or else the next one
+ * @param {Object} window - Window in the API shape (startsAt, endsAt, recurrence, repeatUntil)
+ * @param {number} now - Epoch ms
+ * @returns {{start: number, end: number}|null} null once the window has no occurrences left
+ */
+export function getCurrentOrNextOccurrence(window, now = Date.now()) {
+  const length = window.endsAt - window.startsAt;
+  if (!(length > 0)) return null;
+
+  const days = RECURRENCE_DAYS[window.recurrence];
+  if (!days) {
+    return window.endsAt > now ? { start: window.startsAt, end: window.endsAt } : null;
+  }
+
+  // The day-count estimate can be one off across a DST change, so its neighbours are checked too
+  const estimate = Math.max(0, Math.floor((now - window.startsAt) / (days * DAY)));
+  for (const index of [estimate - 1, estimate, estimate + 1, estimate + 2]) {
+    if (index < 0) continue;
+    const start = occurrenceStart(window, index);
+    if (window.repeatUntil && start > window.repeatUntil) return null;
+    if (start + length > now) return { start, end: start + length };
+  }
+  return null;
+}
+
+/**
+ * Whether an occurrence of the window is in progress at `now`
+ */
+export function isWindowActive(window, now = Date.now()) {
+  const occurrence = getCurrentOrNextOccurrence(window, now);
+  return Boolean(occurrence && occurrence.start <= now);
+}
+
+/**
+ * Whether a window covers a header, given the company, project and stage the header belongs to
+ * @param {Object} window - Window in the API shape (scope, scopeId)
+ * @param {{companyId, projectId, stageId, headerId}} target
+ */
+export function windowCoversHeader(window, target) {
+  const ids = {
+    company: target.companyId,
+    project: target.projectId,
+    stage: target.stageId,
+    header: target.headerId
+  };
+  const id = ids[window.scope];
+  return id !== null && id !== undefined && String(id) === String(window.scopeId);
+}
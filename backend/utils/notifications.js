@@ -1,10 +1,24 @@
 import fetch from 'node-fetch';
 import { loadSettings } from '../utils/settingsStorage.js';
 import { getDb } from '../database/db.js';
+import { describeThresholdBreach } from '../shared/thresholdRules.js';
+import { describeRateBreach } from '../shared/rateRules.js';
+import { describeForecast } from './forecastRules.js';
+import { describeAnomaly } from './anomalyRules.js';
+import { describeCompoundBreach } from './expression.js';
+import { getSeverityNotificationSettings, severityRank, SEVERITY_COLORS, DEFAULT_SEVERITY } from './severityLevels.js';
+import { classifyHeader } from '../shared/headerClassifier.js';
+import { formatDuration } from './reportHtml.js';
+import { AlertEventService, ALERT_EVENT_TYPES } from '../services/alertEventService.js';
+import { AlertLifecycleService } from '../services/alertLifecycleService.js';
 
-// Store last notification times for each header
+// Store last notification times for each header and severity
 const lastNotificationTimes = new Map();
 
+// Escalating to a new severity is notified right away instead of waiting out the previous interval.
+// Compound alerts have no single header and are keyed by their alert id.
+const getNotificationKey = (alert) => `${alert.headerId || alert.id}:${alert.severity || DEFAULT_SEVERITY}`;
+
 // Main function to send alert notifications
 export async function sendAlertNotifications(alerts) {
   if (!alerts || alerts.length === 0) {
@@ -29,6 +43,14 @@ export async function sendAlertNotifications(alerts) {
           return settings.webhooks.sendThresholdAlerts !== false;
         case 'frozen':
           return settings.webhooks.sendFrozenAlerts !== false;
+        case 'rate':
+          return settings.webhooks.sendRateAlerts !== false;
+        case 'compound':
+          return settings.webhooks.sendCompoundAlerts !== false;
+        case 'forecast':
+          return settings.webhooks.sendForecastAlerts !== false;
+        case 'anomaly':
+          return settings.webhooks.sendAnomalyAlerts !== false;
         case 'error':
           return settings.webhooks.sendErrorAlerts !== false;
         default:
@@ -36,46 +58,79 @@ export async function sendAlertNotifications(alerts) {
       }
     });
     
-    if (filteredAlerts.length === 0) {
+    // Acknowledged alerts are only notified again when they escalate
+    const acknowledgedIds = await AlertLifecycleService.getAcknowledgedIds(filteredAlerts.map(alert => alert.id));
+    const unacknowledgedAlerts = filteredAlerts.filter(alert => alert.escalatedFrom || !acknowledgedIds.has(alert.id));
+    
+    if (unacknowledgedAlerts.length === 0) {
       console.log('[Notifications] No alerts to send after filtering');
       return;
     }
     
-    // Filter alerts based on per-header notification intervals
+    // Resolve the notification interval and channels of each alert's severity level
     const now = Date.now();
-    const filteredByInterval = await filterAlertsByNotificationInterval(filteredAlerts, settings, now);
+    const levelSettings = await getAlertLevelSettings(unacknowledgedAlerts, settings);
+
+    // Filter alerts based on per-header, per-severity notification intervals
+    const filteredByInterval = unacknowledgedAlerts.filter(alert => {
+      const interval = levelSettings.get(alert).notificationInterval * 1000;
+      const lastTime = lastNotificationTimes.get(getNotificationKey(alert)) || 0;
+      return (now - lastTime) >= interval;
+    });
     
     if (filteredByInterval.length === 0) {
       console.log('[Notifications] No alerts to send after interval filtering');
       return;
     }
+
+    // Most severe alerts first in every message
+    filteredByInterval.sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+    const alertsForChannel = (channel) =>
+      filteredByInterval.filter(alert => levelSettings.get(alert).channels.includes(channel));
     
     // Send notifications through each enabled channel
-    const notificationPromises = [];
+    const deliveries = [];
     
     // Slack notifications
-    if (settings.webhooks.slackEnabled !== false && settings.webhooks.slackWebhookUrl) {
-      notificationPromises.push(sendSlackNotification(settings.webhooks.slackWebhookUrl, filteredByInterval));
+    const slackAlerts = alertsForChannel('slack');
+    if (settings.webhooks.slackEnabled !== false && settings.webhooks.slackWebhookUrl && slackAlerts.length > 0) {
+      deliveries.push({
+        channel: 'slack',
+        alerts: slackAlerts,
+        promise: sendSlackNotification(settings.webhooks.slackWebhookUrl, slackAlerts)
+      });
     }
     
     // Microsoft Teams notifications
-    if (settings.webhooks.teamsEnabled && settings.webhooks.teamsWebhookUrl) {
-      notificationPromises.push(sendTeamsNotification(settings.webhooks.teamsWebhookUrl, filteredByInterval));
+    const teamsAlerts = alertsForChannel('teams');
+    if (settings.webhooks.teamsEnabled && settings.webhooks.teamsWebhookUrl && teamsAlerts.length > 0) {
+      deliveries.push({
+        channel: 'teams',
+        alerts: teamsAlerts,
+        promise: sendTeamsNotification(settings.webhooks.teamsWebhookUrl, teamsAlerts)
+      });
     }
     
     // Custom webhooks
-    if (Array.isArray(settings.webhooks.customWebhooks) && settings.webhooks.customWebhooks.length > 0) {
+    const customAlerts = alertsForChannel('custom');
+    if (Array.isArray(settings.webhooks.customWebhooks) && settings.webhooks.customWebhooks.length > 0 && customAlerts.length > 0) {
       for (const webhookUrl of settings.webhooks.customWebhooks) {
-        notificationPromises.push(sendCustomWebhookNotification(webhookUrl, filteredByInterval));
+        deliveries.push({
+          channel: 'custom',
+          target: getWebhookHost(webhookUrl),
+          alerts: customAlerts,
+          promise: sendCustomWebhookNotification(webhookUrl, customAlerts)
+        });
       }
     }
     
     // Wait for all notifications to be sent
-    await Promise.allSettled(notificationPromises);
+    const results = await Promise.allSettled(deliveries.map(delivery => delivery.promise));
+    await recordDeliveries(deliveries, results, now);
     
     // Update last notification times
     for (const alert of filteredByInterval) {
-      lastNotificationTimes.set(alert.headerId, now);
+      lastNotificationTimes.set(getNotificationKey(alert), now);
     }
     
     console.log('[Notifications] Finished sending notifications');
@@ -84,11 +139,178 @@ export async function sendAlertNotifications(alerts) {
   }
 }
 
-// Filter alerts based on per-header notification intervals
-async function filterAlertsByNotificationInterval(alerts, settings, now) {
+// Follow up on the channels an alert is sent to once an operator acknowledged it
+export async function sendAcknowledgementNotifications(alert, { by, note }) {
+  try {
+    const settings = await loadSettings();
+    if (!settings.webhooks?.enabled) {
+      return;
+    }
+
+    // Stored alerts use snake_case columns, the channel routing expects the shape of a fresh alert
+    const acknowledgedAlert = {
+      ...alert,
+      headerId: alert.headerId ?? alert.header_id,
+      headerName: alert.headerName ?? alert.header_name
+    };
+    const acknowledgement = { by, note, at: Date.now() };
+    const levelSettings = await getAlertLevelSettings([acknowledgedAlert], settings);
+    const channels = levelSettings.get(acknowledgedAlert).channels;
+
+    const deliveries = [];
+    if (channels.includes('slack') && settings.webhooks.slackEnabled !== false && settings.webhooks.slackWebhookUrl) {
+      deliveries.push({
+        channel: 'slack',
+        alerts: [acknowledgedAlert],
+        promise: postWebhook(settings.webhooks.slackWebhookUrl, formatAcknowledgementForSlack(acknowledgedAlert, acknowledgement), 'Slack')
+      });
+    }
+    if (channels.includes('teams') && settings.webhooks.teamsEnabled && settings.webhooks.teamsWebhookUrl) {
+      deliveries.push({
+        channel: 'teams',
+        alerts: [acknowledgedAlert],
+        promise: postWebhook(settings.webhooks.teamsWebhookUrl, formatAcknowledgementForTeams(acknowledgedAlert, acknowledgement), 'Teams')
+      });
+    }
+    if (channels.includes('custom') && Array.isArray(settings.webhooks.customWebhooks)) {
+      for (const webhookUrl of settings.webhooks.customWebhooks) {
+        deliveries.push({
+          channel: 'custom',
+          target: getWebhookHost(webhookUrl),
+          alerts: [acknowledgedAlert],
+          promise: postWebhook(webhookUrl, formatAcknowledgementForWebhook(acknowledgedAlert, acknowledgement), 'Custom webhook')
+        });
+      }
+    }
+
+    if (deliveries.length === 0) {
+      return;
+    }
+
+    console.log(`[Notifications] Sending acknowledgement of ${alert.id} to ${deliveries.length} channel(s)`);
+    const results = await Promise.allSettled(deliveries.map(delivery => delivery.promise));
+    await recordDeliveries(deliveries, results, acknowledgement.at, 'acknowledged');
+  } catch (error) {
+    console.error('[Notifications] Error sending acknowledgement notifications:', error);
+  }
+}
+
+/**
+ * Post the summary of a completed stage to every enabled channel
+ * @returns {Promise<boolean>} whether at least one channel received it
+ */
+export async function sendStageReportNotifications(report) {
+  return postReport(`stage report ${report.id}`, {
+    slack: () => formatStageReportForSlack(report),
+    teams: () => formatStageReportForTeams(report),
+    webhook: () => formatStageReportForWebhook(report)
+  });
+}
+
+/**
+ * Post a shift handover report ({id, fileName, summary}) to every enabled channel
+ * @returns {Promise<boolean>} whether at least one channel received it
+ */
+export async function sendShiftReportNotifications(report) {
+  return postReport(`shift report ${report.id}`, {
+    slack: () => formatShiftReportForSlack(report),
+    teams: () => formatShiftReportForTeams(report),
+    webhook: () => formatShiftReportForWebhook(report)
+  });
+}
+
+// Reports are not tied to an alert's category, so they go to every enabled channel
+async function postReport(description, formatters) {
+  try {
+    const settings = await loadSettings();
+    if (!settings.webhooks?.enabled) {
+      return false;
+    }
+
+    const posts = [];
+    if (settings.webhooks.slackEnabled !== false && settings.webhooks.slackWebhookUrl) {
+      posts.push(postWebhook(settings.webhooks.slackWebhookUrl, formatters.slack(), 'Slack'));
+    }
+    if (settings.webhooks.teamsEnabled && settings.webhooks.teamsWebhookUrl) {
+      posts.push(postWebhook(settings.webhooks.teamsWebhookUrl, formatters.teams(), 'Teams'));
+    }
+    if (Array.isArray(settings.webhooks.customWebhooks)) {
+      for (const webhookUrl of settings.webhooks.customWebhooks) {
+        posts.push(postWebhook(webhookUrl, formatters.webhook(), 'Custom webhook'));
+      }
+    }
+
+    if (posts.length === 0) {
+      return false;
+    }
+
+    console.log(`[Notifications] Posting ${description} to ${posts.length} channel(s)`);
+    const results = await Promise.allSettled(posts);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error(`[Notifications] Error posting ${description}:`, result.reason?.message || result.reason));
+    return results.some(result => result.status === 'fulfilled');
+  } catch (error) {
+    console.error(`[Notifications] Error posting ${description}:`, error);
+    return false;
+  }
+}
+
+async function postWebhook(webhookUrl, payload, label) {
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${label} notification failed: ${response.status} - ${errorText}`);
+  }
+}
+
+// Custom webhook URLs can carry credentials, only their host is kept in the alert events
+function getWebhookHost(webhookUrl) {
+  try {
+    return new URL(webhookUrl).host;
+  } catch (error) {
+    return 'invalid URL';
+  }
+}
+
+// Record on each alert which channels it was sent to, and which deliveries failed.
+// followUp names the transition a message reported (e.g. "acknowledged"), null for the alert itself.
+async function recordDeliveries(deliveries, results, sentAt, followUp = null) {
+  const events = deliveries.flatMap((delivery, index) => {
+    const result = results[index];
+    const delivered = result.status === 'fulfilled' && result.value !== false;
+
+    return delivery.alerts.map(alert => ({
+      alertId: alert.id,
+      type: delivered ? ALERT_EVENT_TYPES.NOTIFIED : ALERT_EVENT_TYPES.NOTIFICATION_FAILED,
+      occurredAt: sentAt,
+      details: {
+        channel: delivery.channel,
+        target: delivery.target || null,
+        severity: alert.severity || DEFAULT_SEVERITY,
+        value: alert.value ?? null,
+        error: result.status === 'rejected' ? result.reason?.message || String(result.reason) : null,
+        followUp
+      }
+    }));
+  });
+
+  await AlertEventService.recordEvents(events);
+}
+
+// Resolve the notification interval (seconds) and channels for each alert from its category and severity
+async function getAlertLevelSettings(alerts, settings) {
+  const levelSettings = new Map();
+  const headerTypes = {};
+
   try {
-    // Get header types for determining notification intervals
-    const headerTypes = {};
     const db = await getDb();
     
     for (const alert of alerts) {
@@ -101,48 +323,23 @@ async function filterAlertsByNotificationInterval(alerts, settings, now) {
         
         if (headerSettings) {
           // Determine header type based on patterns
-          const headerName = headerSettings.header_name.toLowerCase();
-          let type = 'unknown';
-          
-          if (settings.patternCategories?.pressure?.patterns) {
-            const matches = settings.patternCategories.pressure.patterns.some(pattern => 
-              headerName.includes(pattern.toLowerCase())
-            );
-            if (matches) type = 'pressure';
-          }
-          
-          if (type === 'unknown' && settings.patternCategories?.battery?.patterns) {
-            const matches = settings.patternCategories.battery.patterns.some(pattern => 
-              headerName.includes(pattern.toLowerCase())
-            );
-            if (matches) type = 'battery';
-          }
-          
-          headerTypes[alert.headerId] = type;
+          headerTypes[alert.headerId] = classifyHeader(headerSettings.header_name, settings.patternCategories) || 'unknown';
         } else {
           headerTypes[alert.headerId] = 'unknown';
         }
       }
     }
-    
-    // Get notification intervals for each type
-    const intervals = {
-      pressure: settings.patternCategories?.pressure?.notificationInterval * 1000 || 300000,
-      battery: settings.patternCategories?.battery?.notificationInterval * 1000 || 300000,
-      unknown: 300000 // 5 minutes default
-    };
-    
-    return alerts.filter(alert => {
-      const headerType = headerTypes[alert.headerId] || 'unknown';
-      const interval = intervals[headerType];
-      const lastTime = lastNotificationTimes.get(alert.headerId) || 0;
-      
-      return (now - lastTime) >= interval;
-    });
   } catch (error) {
-    console.error('[Notifications] Error filtering alerts by interval:', error);
-    return alerts; // On error, return all alerts
+    console.error('[Notifications] Error resolving alert header types:', error);
+  }
+
+  // Unknown headers fall back to a 5 minute interval on every channel
+  for (const alert of alerts) {
+    const category = settings.patternCategories?.[headerTypes[alert.headerId]] || null;
+    levelSettings.set(alert, getSeverityNotificationSettings(category, alert.severity || DEFAULT_SEVERITY));
   }
+
+  return levelSettings;
 }
 
 // Send notification to Slack
@@ -159,25 +356,22 @@ async function sendSlackNotification(webhookUrl, alerts) {
           text: `🚨 FracBrain Monitoring - ${alerts.length} Alert${alerts.length > 1 ? 's' : ''}`,
           emoji: true
         }
-      },
-      {
-        type: 'divider'
       }
     ];
     
-    // Add alert blocks
-    alerts.forEach(alert => {
-      const alertBlock = {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: formatAlertForSlack(alert)
+    // One attachment per alert so the side bar is colour-coded by severity
+    const attachments = alerts.map(alert => ({
+      color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS[DEFAULT_SEVERITY],
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: formatAlertForSlack(alert)
+          }
         }
-      };
-      
-      blocks.push(alertBlock);
-      blocks.push({ type: 'divider' });
-    });
+      ]
+    }));
     
     // Add a context block with timestamp
     blocks.push({
@@ -197,7 +391,8 @@ async function sendSlackNotification(webhookUrl, alerts) {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        blocks
+        blocks,
+        attachments
       })
     });
     
@@ -224,6 +419,10 @@ async function sendTeamsNotification(webhookUrl, alerts) {
       activitySubtitle: alert.headerName,
       text: formatAlertForTeams(alert),
       facts: [
+        {
+          name: 'Severity',
+          value: formatSeverity(alert)
+        },
         {
           name: 'Type',
           value: alert.type.charAt(0).toUpperCase() + alert.type.slice(1)
@@ -235,10 +434,16 @@ async function sendTeamsNotification(webhookUrl, alerts) {
       ]
     }));
     
+    // Teams only colours the whole card, so use the most severe alert's colour
+    const topSeverity = alerts.reduce(
+      (top, alert) => (severityRank(alert.severity) > severityRank(top) ? alert.severity || DEFAULT_SEVERITY : top),
+      'warning'
+    );
+    
     const payload = {
       '@type': 'MessageCard',
       '@context': 'http://schema.org/extensions',
-      themeColor: '0076D7',
+      themeColor: SEVERITY_COLORS[topSeverity].replace('#', ''),
       summary: `FracBrain Monitoring - ${alerts.length} Alert${alerts.length > 1 ? 's' : ''}`,
       sections
     };
@@ -276,10 +481,29 @@ async function sendCustomWebhookNotification(webhookUrl, alerts) {
       alerts: alerts.map(alert => ({
         id: alert.id,
         type: alert.type,
+        severity: alert.severity || DEFAULT_SEVERITY,
+        escalatedFrom: alert.escalatedFrom,
         headerName: alert.headerName,
         headerId: alert.headerId,
         value: alert.value,
         threshold: alert.threshold,
+        thresholdDirection: alert.thresholdDirection,
+        thresholdMin: alert.thresholdMin,
+        thresholdMax: alert.thresholdMax,
+        rate: alert.rate,
+        rateLimit: alert.rateLimit,
+        rateWindow: alert.rateWindow,
+        rateDirection: alert.rateDirection,
+        forecastEta: alert.forecastEta,
+        forecastRate: alert.forecastRate,
+        forecastLeadTime: alert.forecastLeadTime,
+        anomalyScore: alert.anomalyScore,
+        anomalyMean: alert.anomalyMean,
+        anomalyStdDev: alert.anomalyStdDev,
+        anomalySigma: alert.anomalySigma,
+        ruleId: alert.ruleId,
+        expression: alert.expression,
+        comparison: alert.comparison,
         timestamp: alert.timestamp,
         message: getAlertMessage(alert)
       }))
@@ -300,20 +524,36 @@ async function sendCustomWebhookNotification(webhookUrl, alerts) {
     }
     
     console.log('[Notifications] Successfully sent custom webhook notification');
+    return true;
   } catch (error) {
     console.error(`[Notifications] Error sending notification to ${webhookUrl}:`, error);
     // Don't throw here so other webhooks can still be tried
+    return false;
   }
 }
 
 // Helper functions to format alerts for different platforms
 
+function formatSeverity(alert) {
+  const severity = alert.severity || DEFAULT_SEVERITY;
+  const label = severity.charAt(0).toUpperCase() + severity.slice(1);
+  return alert.escalatedFrom ? `${label} (escalated from ${alert.escalatedFrom})` : label;
+}
+
 function getAlertTitle(alert) {
   switch (alert.type) {
     case 'threshold':
       return '⚠️ Threshold Alert';
     case 'frozen':
       return '❄️ Frozen Data Alert';
+    case 'rate':
+      return '📉 Rate of Change Alert';
+    case 'compound':
+      return '🔗 Compound Rule Alert';
+    case 'forecast':
+      return '🔋 Forecast Alert';
+    case 'anomaly':
+      return '📊 Anomaly Alert';
     case 'error':
       return '⛔ Error Alert';
     default:
@@ -324,7 +564,15 @@ function getAlertTitle(alert) {
 function getAlertMessage(alert) {
   switch (alert.type) {
     case 'threshold':
-      return `Value ${alert.value} is ${alert.value < alert.threshold ? 'below' : 'above'} threshold (${alert.threshold})`;
+      return describeThresholdBreach(alert);
+    case 'rate':
+      return `Value ${alert.value} - ${describeRateBreach(alert)}`;
+    case 'compound':
+      return describeCompoundBreach(alert);
+    case 'forecast':
+      return `Value ${alert.value} - ${describeForecast(alert)}`;
+    case 'anomaly':
+      return describeAnomaly(alert);
     case 'frozen':
       return `Value hasn't changed for ${alert.frozenDuration || Math.floor((alert.timestamp - alert.lastChangeTime)/1000)} seconds`;
     case 'error':
@@ -339,11 +587,23 @@ function formatAlertForSlack(alert) {
   
   switch (alert.type) {
     case 'threshold':
-      message = `*⚠️ Threshold Alert*\n*Header:* ${alert.headerName}\n*Value:* ${alert.value} (${alert.value < alert.threshold ? 'below' : 'above'} threshold ${alert.threshold})\n*Duration:* ${alert.duration || 'N/A'} seconds`;
+      message = `*⚠️ Threshold Alert*\n*Header:* ${alert.headerName}\n*Value:* ${describeThresholdBreach(alert)}\n*Duration:* ${alert.duration || 'N/A'} seconds`;
       break;
     case 'frozen':
       message = `*❄️ Frozen Data Alert*\n*Header:* ${alert.headerName}\n*Value:* ${alert.value || 'N/A'}\n*Frozen for:* ${alert.frozenDuration || Math.floor((alert.timestamp - alert.lastChangeTime)/1000)} seconds`;
       break;
+    case 'rate':
+      message = `*📉 Rate of Change Alert*\n*Header:* ${alert.headerName}\n*Value:* ${alert.value ?? 'N/A'}\n*Rate:* ${describeRateBreach(alert)}`;
+      break;
+    case 'compound':
+      message = `*🔗 Compound Rule Alert*\n*Rule:* ${alert.headerName}\n*Value:* ${describeCompoundBreach(alert)}`;
+      break;
+    case 'forecast':
+      message = `*🔋 Forecast Alert*\n*Header:* ${alert.headerName}\n*Value:* ${alert.value ?? 'N/A'}\n*Forecast:* ${describeForecast(alert)}`;
+      break;
+    case 'anomaly':
+      message = `*📊 Anomaly Alert*\n*Header:* ${alert.headerName}\n*Value:* ${describeAnomaly(alert)}\n*Duration:* ${Math.round((alert.duration || 0) / 1000)} seconds`;
+      break;
     case 'error':
       message = `*⛔ Error Alert*\n*Header:* ${alert.headerName}\n*Error:* ${alert.message || 'Unknown error'}`;
       break;
@@ -351,6 +611,7 @@ function formatAlertForSlack(alert) {
       message = `*🚨 Alert*\n*Header:* ${alert.headerName}\n*Info:* ${alert.message || JSON.stringify(alert)}`;
   }
   
+  message += `\n*Severity:* ${formatSeverity(alert)}`;
   message += `\n*Time:* <!date^${Math.floor(alert.timestamp/1000)}^{date_short_pretty} at {time}|${new Date(alert.timestamp).toLocaleString()}>`;
   
   return message;
@@ -361,11 +622,23 @@ function formatAlertForTeams(alert) {
   
   switch (alert.type) {
     case 'threshold':
-      message = `**Value:** ${alert.value} (${alert.value < alert.threshold ? 'below' : 'above'} threshold ${alert.threshold})\n\n**Duration:** ${alert.duration || 'N/A'} seconds`;
+      message = `**Value:** ${describeThresholdBreach(alert)}\n\n**Duration:** ${alert.duration || 'N/A'} seconds`;
       break;
     case 'frozen':
       message = `**Value:** ${alert.value || 'N/A'}\n\n**Frozen for:** ${alert.frozenDuration || Math.floor((alert.timestamp - alert.lastChangeTime)/1000)} seconds`;
       break;
+    case 'rate':
+      message = `**Value:** ${alert.value ?? 'N/A'}\n\n**Rate:** ${describeRateBreach(alert)}`;
+      break;
+    case 'compound':
+      message = `**Value:** ${describeCompoundBreach(alert)}`;
+      break;
+    case 'forecast':
+      message = `**Value:** ${alert.value ?? 'N/A'}\n\n**Forecast:** ${describeForecast(alert)}`;
+      break;
+    case 'anomaly':
+      message = `**Value:** ${describeAnomaly(alert)}\n\n**Duration:** ${Math.round((alert.duration || 0) / 1000)} seconds`;
+      break;
     case 'error':
       message = `**Error:** ${alert.message || 'Unknown error'}`;
       break;
@@ -374,4 +647,216 @@ function formatAlertForTeams(alert) {
   }
   
   return message;
-} 
\ No newline at end of file
+} 
+
+function formatAcknowledgementForSlack(alert, acknowledgement) {
+  let message = `*✅ Acknowledged by ${acknowledgement.by}*\n*${getAlertTitle(alert)}:* ${alert.headerName}\n*Severity:* ${formatSeverity(alert)}`;
+  if (acknowledgement.note) {
+    message += `\n*Note:* ${acknowledgement.note}`;
+  }
+
+  return {
+    text: `${alert.headerName} alert acknowledged by ${acknowledgement.by}`,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: message }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `*Acknowledged:* ${new Date(acknowledgement.at).toISOString()}` }]
+      }
+    ]
+  };
+}
+
+function formatAcknowledgementForTeams(alert, acknowledgement) {
+  const facts = [
+    { name: 'Alert', value: getAlertTitle(alert) },
+    { name: 'Severity', value: formatSeverity(alert) },
+    { name: 'Acknowledged', value: new Date(acknowledgement.at).toLocaleString() }
+  ];
+  if (acknowledgement.note) {
+    facts.push({ name: 'Note', value: acknowledgement.note });
+  }
+
+  return {
+    '@type': 'MessageCard',
+    '@context': 'http://schema.org/extensions',
+    themeColor: '2e7d32',
+    summary: `${alert.headerName} alert acknowledged by ${acknowledgement.by}`,
+    sections: [
+      {
+        activityTitle: `✅ Acknowledged by ${acknowledgement.by}`,
+        activitySubtitle: alert.headerName,
+        facts
+      }
+    ]
+  };
+}
+
+function formatAcknowledgementForWebhook(alert, acknowledgement) {
+  return {
+    title: `FracBrain Monitoring - Alert acknowledged by ${acknowledgement.by}`,
+    event: 'acknowledged',
+    timestamp: new Date(acknowledgement.at).toISOString(),
+    acknowledgedBy: acknowledgement.by,
+    note: acknowledgement.note || null,
+    alert: {
+      id: alert.id,
+      type: alert.type,
+      severity: alert.severity || DEFAULT_SEVERITY,
+      headerName: alert.headerName,
+      headerId: alert.headerId,
+      value: alert.value
+    }
+  };
+}
+
+// Headers that spent the longest in alert or frozen, for the chat summaries
+function getStageReportHighlights(report, limit = 5) {
+  return report.headers
+    .filter(header => header.timeInAlert > 0 || header.timeFrozen > 0)
+    .slice(0, limit)
+    .map(header => {
+      const parts = [];
+      if (header.timeInAlert > 0) parts.push(`${formatDuration(header.timeInAlert)} in alert`);
+      if (header.timeFrozen > 0) parts.push(`${formatDuration(header.timeFrozen)} frozen`);
+      return `${header.headerName}: ${parts.join(', ')}`;
+    });
+}
+
+function getStageReportTitle(report) {
+  return `Stage ${report.stageId} completed - ${report.projectName || `Project ${report.projectId}`}`;
+}
+
+function formatStageReportCounts(report) {
+  const bySeverity = Object.entries(report.alertCounts.bySeverity).map(([severity, count]) => `${count} ${severity}`);
+  return bySeverity.length > 0 ? `${report.alertCounts.total} (${bySeverity.join(', ')})` : '0';
+}
+
+function formatStageReportForSlack(report) {
+  const highlights = getStageReportHighlights(report);
+  let message = `*📋 ${getStageReportTitle(report)}*\n*Alerts raised:* ${formatStageReportCounts(report)}\n*Headers monitored:* ${report.headers.length}`;
+  if (highlights.length > 0) {
+    message += `\n*Longest in alert or frozen:*\n${highlights.map(line => `• ${line}`).join('\n')}`;
+  }
+
+  return {
+    text: getStageReportTitle(report),
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: message }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `*Full report:* #${report.id} in the monitoring dashboard` }]
+      }
+    ]
+  };
+}
+
+function formatStageReportForTeams(report) {
+  const facts = [
+    { name: 'Alerts raised', value: formatStageReportCounts(report) },
+    { name: 'Headers monitored', value: String(report.headers.length) },
+    { name: 'Started', value: report.startedAt ? new Date(report.startedAt).toLocaleString() : '-' },
+    { name: 'Ended', value: new Date(report.endedAt).toLocaleString() }
+  ];
+  const highlights = getStageReportHighlights(report);
+  if (highlights.length > 0) {
+    facts.push({ name: 'Longest in alert or frozen', value: highlights.join('; ') });
+  }
+
+  return {
+    '@type': 'MessageCard',
+    '@context': 'http://schema.org/extensions',
+    themeColor: '1976d2',
+    summary: getStageReportTitle(report),
+    sections: [
+      {
+        activityTitle: `📋 ${getStageReportTitle(report)}`,
+        activitySubtitle: `Full report #${report.id} in the monitoring dashboard`,
+        facts
+      }
+    ]
+  };
+}
+
+// Custom webhooks get the whole summary the report was rendered from
+function formatStageReportForWebhook(report) {
+  return {
+    title: `FracBrain Monitoring - ${getStageReportTitle(report)}`,
+    event: 'stage_report',
+    timestamp: new Date(report.endedAt).toISOString(),
+    report
+  };
+}
+
+function getShiftReportTitle(report) {
+  return `Shift handover - ${new Date(report.summary.to).toLocaleString()}`;
+}
+
+function getShiftReportFacts(report) {
+  const { summary } = report;
+  return [
+    ['Active projects', summary.activeProjects.length],
+    ['Alerts opened', summary.alertsOpened.length],
+    ['Alerts resolved', summary.alertsResolved.length],
+    ['Outstanding alerts', summary.alertsOutstanding.length],
+    ['Snoozes in effect', summary.snoozes.length],
+    ['Headers frozen', summary.frozenHeaders.length]
+  ];
+}
+
+function formatShiftReportForSlack(report) {
+  const outstanding = report.summary.alertsOutstanding
+    .slice(0, 10)
+    .map(alert => `• ${formatSeverity(alert)} ${alert.headerName || alert.id}${alert.projectName ? ` (${alert.projectName})` : ''}`);
+  let message = `*🔄 ${getShiftReportTitle(report)}*\n${getShiftReportFacts(report).map(([name, value]) => `*${name}:* ${value}`).join('\n')}`;
+  if (outstanding.length > 0) {
+    message += `\n*Outstanding:*\n${outstanding.join('\n')}`;
+  }
+
+  return {
+    text: getShiftReportTitle(report),
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: message }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `*Full report:* shift report #${report.id} in the monitoring dashboard` }]
+      }
+    ]
+  };
+}
+
+function formatShiftReportForTeams(report) {
+  return {
+    '@type': 'MessageCard',
+    '@context': 'http://schema.org/extensions',
+    themeColor: '1976d2',
+    summary: getShiftReportTitle(report),
+    sections: [
+      {
+        activityTitle: `🔄 ${getShiftReportTitle(report)}`,
+        activitySubtitle: `Full report: shift report #${report.id} in the monitoring dashboard`,
+        facts: getShiftReportFacts(report).map(([name, value]) => ({ name, value: String(value) }))
+      }
+    ]
+  };
+}
+
+// Custom webhooks get the whole summary the report was rendered from
+function formatShiftReportForWebhook(report) {
+  return {
+    title: `FracBrain Monitoring - ${getShiftReportTitle(report)}`,
+    event: 'shift_report',
+    timestamp: new Date(report.summary.to).toISOString(),
+    reportId: report.id,
+    report: report.summary
+  };
+}
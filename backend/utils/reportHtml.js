@@ -0,0 +1,90 @@
+/**
+ * Helpers shared by the generated HTML reports (end-of-stage and shift handover).
+ * Reports are self-contained pages styled for printing, so a browser can save them as PDF.
+ */
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const formatTime = (time) => (time ? `${new Date(time).toISOString().slice(0, 19).replace('T', ' ')} UTC` : '-');
+
+// e.g. "2h 5m", "12m", "45s"
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  const seconds = Math.round(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+};
+
+export const formatNumber = (value) =>
+  value === null || value === undefined || Number.isNaN(Number(value)) ? '-' : Number(Number(value).toFixed(2));
+
+const REPORT_STYLES = `
+  body { font-family: Arial, Helvetica, sans-serif; color: #212121; margin: 32px; font-size: 13px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin-top: 28px; border-bottom: 2px solid #1976d2; padding-bottom: 4px; }
+  .subtitle { color: #616161; margin-top: 0; }
+  .overview { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 16px; }
+  .overview div { border: 1px solid #e0e0e0; border-radius: 4px; padding: 8px 12px; min-width: 120px; }
+  .overview span { display: block; color: #616161; font-size: 11px; }
+  .overview strong { font-size: 18px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  th, td { border: 1px solid #e0e0e0; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f5f5f5; }
+  td.number { text-align: right; white-space: nowrap; }
+  .critical { color: #d32f2f; font-weight: bold; }
+  .warning { color: #ed6c02; font-weight: bold; }
+  .info { color: #0288d1; font-weight: bold; }
+  .empty { color: #9e9e9e; font-style: italic; }
+  footer { margin-top: 32px; color: #9e9e9e; font-size: 11px; }
+  @media print {
+    body { margin: 12mm; }
+    h2 { page-break-after: avoid; }
+    tr { page-break-inside: avoid; }
+  }
+`;
+
+/**
+ * Wrap a report body in a complete page
+ * @param {string} title page title
+ * @param {string} body HTML, already escaped
+ * @param {number} generatedAt epoch ms, shown in the footer
+ */
+export const renderReportDocument = (title, body, generatedAt) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  ${body}
+  <footer>Generated ${formatTime(generatedAt)} by FracBrain Monitoring</footer>
+</body>
+</html>
+`;
+
+// Headline figures as a row of boxes, items are [label, value] pairs
+export const renderOverview = (items) => `<div class="overview">
+    ${items.map(([label, value]) => `<div><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join('')}
+  </div>`;
+
+/**
+ * A table, or a note in its place when there are no rows
+ * @param {string[]} headings column titles
+ * @param {string[]} rows rendered <tr> elements
+ */
+export const renderTable = (headings, rows, emptyText) =>
+  rows.length === 0
+    ? `<p class="empty">${escapeHtml(emptyText)}</p>`
+    : `<table>
+    <thead><tr>${headings.map((heading) => `<th>${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>`;
@@ -0,0 +1,174 @@
+/**
+ * Severity level helpers
+ *
+ * A pattern category can define tiered levels in `severityLevels`, e.g.
+ *   [{ severity: 'warning', threshold: 50, alertDuration: 120, notificationInterval: 900, channels: ['slack'] },
+ *    { severity: 'critical', threshold: 20, alertDuration: 30, notificationInterval: 300 }]
+ * Each level uses the category's threshold direction with its own threshold (or band edges),
+ * alert duration, notification interval and notification channels.
+ *
+ * Without levels (or when a header overrides its threshold) the single threshold rule acts as
+ * one critical level, which matches the behaviour before severities existed.
+ *
+ * Rate, anomaly and forecast alerts have one severity each, set per category as `rateSeverity`,
+ * `anomalySeverity` and `forecastSeverity` (see ALERT_TYPE_SEVERITIES for the defaults).
+ */
+
+import { resolveThresholdRule } from '../shared/thresholdRules.js';
+
+export const SEVERITIES = ['warning', 'critical'];
+export const DEFAULT_SEVERITY = 'critical';
+export const NOTIFICATION_CHANNELS = ['slack', 'teams', 'custom'];
+
+export const DEFAULT_ALERT_DURATION = 120; // seconds
+export const DEFAULT_NOTIFICATION_INTERVAL = 300; // seconds
+
+// Severity of the alert types without levels of their own, unless the category sets `<type>Severity`
+export const ALERT_TYPE_SEVERITIES = {
+  rate: 'critical', // a fast pressure move is treated as an emergency
+  anomaly: 'warning', // unusual for the header, but not outside any configured limit
+  forecast: 'warning', // an early warning, the threshold alert itself follows if nothing is done
+};
+
+// Colours used for notification cards (Slack attachments, Teams theme)
+export const SEVERITY_COLORS = {
+  warning: '#F9A825',
+  critical: '#D32F2F',
+};
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Rank of a severity, higher is more severe. Unknown severities rank as critical.
+ */
+export function severityRank(severity) {
+  const index = SEVERITIES.indexOf(severity);
+  return index === -1 ? SEVERITIES.indexOf(DEFAULT_SEVERITY) : index;
+}
+
+/**
+ * Severity of a rate, anomaly or forecast alert in a category.
+ * @param {string} type - Alert type, a key of ALERT_TYPE_SEVERITIES
+ * @param {Object} categorySettings - patternCategories entry for the header's category
+ * @returns {string}
+ */
+export function resolveAlertTypeSeverity(type, categorySettings) {
+  const severity = categorySettings?.[`${type}Severity`];
+  return SEVERITIES.includes(severity) ? severity : ALERT_TYPE_SEVERITIES[type] || DEFAULT_SEVERITY;
+}
+
+/**
+ * Resolve the severity levels that apply to a header, least severe first.
+ * @param {Object} headerConfig - project_header_settings row
+ * @param {Object} categorySettings - patternCategories entry for the header's category
+ * @returns {Array<{severity: string, rule: Object, alertDuration: number, notificationInterval: number, channels: string[]}>}
+ */
+export function resolveSeverityLevels(headerConfig = {}, categorySettings = {}) {
+  const category = categorySettings || {};
+  const headerOverridesRule = isSet(headerConfig.threshold) || isSet(headerConfig.threshold_direction);
+  const levels = Array.isArray(category.severityLevels)
+    ? category.severityLevels.filter((level) => SEVERITIES.includes(level?.severity))
+    : [];
+
+  if (headerOverridesRule || levels.length === 0) {
+    return [
+      {
+        severity: DEFAULT_SEVERITY,
+        rule: resolveThresholdRule(headerConfig, category),
+        alertDuration: isSet(headerConfig.alert_duration)
+          ? Number(headerConfig.alert_duration)
+          : isSet(category.alertDuration)
+          ? Number(category.alertDuration)
+          : DEFAULT_ALERT_DURATION,
+        notificationInterval: isSet(category.notificationInterval)
+          ? Number(category.notificationInterval)
+          : DEFAULT_NOTIFICATION_INTERVAL,
+        channels: NOTIFICATION_CHANNELS,
+      },
+    ];
+  }
+
+  return levels
+    .map((level) => ({
+      severity: level.severity,
+      // Level edges replace the category's, direction and recovery settings are shared
+      rule: resolveThresholdRule(
+        {},
+        { ...category, threshold: level.threshold, thresholdMin: level.thresholdMin, thresholdMax: level.thresholdMax }
+      ),
+      alertDuration: isSet(level.alertDuration)
+        ? Number(level.alertDuration)
+        : isSet(category.alertDuration)
+        ? Number(category.alertDuration)
+        : DEFAULT_ALERT_DURATION,
+      notificationInterval: isSet(level.notificationInterval)
+        ? Number(level.notificationInterval)
+        : isSet(category.notificationInterval)
+        ? Number(category.notificationInterval)
+        : DEFAULT_NOTIFICATION_INTERVAL,
+      channels: Array.isArray(level.channels)
+        ? level.channels.filter((channel) => NOTIFICATION_CHANNELS.includes(channel))
+        : NOTIFICATION_CHANNELS,
+    }))
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+}
+
+/**
+ * Notification interval (seconds) and channels for an alert of the given severity in a category.
+ * Falls back to the category interval and all channels when the category has no such level.
+ */
+export function getSeverityNotificationSettings(categorySettings, severity) {
+  const category = categorySettings || {};
+  const level = Array.isArray(category.severityLevels)
+    ? category.severityLevels.find((l) => l?.severity === severity)
+    : null;
+
+  return {
+    notificationInterval: isSet(level?.notificationInterval)
+      ? Number(level.notificationInterval)
+      : isSet(category.notificationInterval)
+      ? Number(category.notificationInterval)
+      : DEFAULT_NOTIFICATION_INTERVAL,
+    channels: Array.isArray(level?.channels) ? level.channels : NOTIFICATION_CHANNELS,
+  };
+}
+
+/**
+ * Validate a category's severity levels.
+ * Levels must be known and unique, and a more severe level must sit further along the
+ * threshold direction (e.g. for "below", critical 20 under warning 50).
+ * @returns {string|null} The first problem found, or null when the levels are valid
+ */
+export function validateSeverityLevels(levels, direction = 'below') {
+  if (levels === undefined || levels === null) return null;
+  if (!Array.isArray(levels)) return 'severity levels must be an array';
+
+  const seen = new Set();
+  for (const level of levels) {
+    if (!SEVERITIES.includes(level?.severity)) return `unknown severity "${level?.severity}"`;
+    if (seen.has(level.severity)) return `duplicate ${level.severity} level`;
+    seen.add(level.severity);
+
+    if (direction === 'band') {
+      if (!isSet(level.thresholdMin) && !isSet(level.thresholdMax)) return `${level.severity} band needs a minimum or maximum`;
+    } else if (typeof level.threshold !== 'number') {
+      return `${level.severity} threshold must be a number`;
+    }
+
+    if (level.channels !== undefined &&
+        (!Array.isArray(level.channels) || level.channels.some(channel => !NOTIFICATION_CHANNELS.includes(channel)))) {
+      return `${level.severity} channels must be any of ${NOTIFICATION_CHANNELS.join(', ')}`;
+    }
+  }
+
+  const warning = levels.find(level => level.severity === 'warning');
+  const critical = levels.find(level => level.severity === 'critical');
+  if (warning && critical && direction !== 'band') {
+    const ordered = direction === 'above' ? warning.threshold < critical.threshold : warning.threshold > critical.threshold;
+    if (!ordered) {
+      return `warning threshold must be ${direction === 'above' ? 'lower' : 'higher'} than critical threshold`;
+    }
+  }
+
+  return null;
+}
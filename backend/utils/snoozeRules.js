@@ -0,0 +1,31 @@
+/**
+ * Auto-unsnooze helpers
+ *
+ * A snooze with auto_unsnooze is lifted once every alert occurrence it covers has been resolved or
+ * closed for the recovery hold time of the occurrence's category. The check that raised an alert decides
+ * when it resolves, so a frozen, rate, anomaly, forecast or compound alert keeps its snooze for as long as
+ * its own condition holds, whatever the header's threshold says.
+ *
+ * Occurrences that ended before the snooze was created are not counted, and a snooze that has not
+ * covered any occurrence yet is kept.
+ */
+
+/**
+ * Whether an auto-unsnooze snooze can be lifted
+ * @param {{createdAt: string}} snooze - Snooze in the API shape
+ * @param {Array<{active: boolean, endedAt: number|null, recoveryHold: number}>} occurrences - Alert occurrences
+ *   the snooze covers; endedAt in epoch ms when resolved or closed, recoveryHold in seconds
+ * @param {number} now - Epoch ms
+ * @returns {boolean}
+ */
+export function isSnoozeRecovered(snooze, occurrences, now = Date.now()) {
+  const createdAt = Date.parse(snooze.createdAt);
+  const relevant = occurrences.filter(
+    (occurrence) => occurrence.active || (occurrence.endedAt !== null && occurrence.endedAt >= createdAt)
+  );
+  if (relevant.length === 0 || relevant.some((occurrence) => occurrence.active)) return false;
+
+  const endedAt = Math.max(...relevant.map((occurrence) => occurrence.endedAt));
+  const hold = Math.max(...relevant.map((occurrence) => occurrence.recoveryHold || 0)) * 1000;
+  return now - endedAt >= hold;
+}
@@ -7,6 +7,12 @@ import Layout from './components/Layout/Layout';
 import Dashboard from './pages/Dashboard';
 import MonitoredHeaders from './pages/MonitoredHeaders';
 import Settings from './pages/Settings';
+import AlertHistory from './pages/AlertHistory';
+import AlertAnalytics from './pages/AlertAnalytics';
+import StageReports from './pages/StageReports';
+import ShiftReports from './pages/ShiftReports';
+import MaintenanceWindows from './pages/MaintenanceWindows';
+import Snoozes from './pages/Snoozes';
 
 const App = () => {
   return (
@@ -17,6 +23,12 @@ const App = () => {
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
             <Route path="/dashboard" element={<Dashboard />} />
             <Route path="/monitored-headers" element={<MonitoredHeaders />} />
+            <Route path="/history" element={<AlertHistory />} />
+            <Route path="/analytics" element={<AlertAnalytics />} />
+            <Route path="/reports" element={<StageReports />} />
+            <Route path="/shift-reports" element={<ShiftReports />} />
+            <Route path="/maintenance" element={<MaintenanceWindows />} />
+            <Route path="/snoozes" element={<Snoozes />} />
             <Route path="/settings" element={<Settings />} />
           </Routes>
         </Layout>
@@ -150,4 +150,259 @@ export const updatePatternCategories = async (patternCategories) => {
     console.error('Error updating pattern categories:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+// Header value history
+// from/to are epoch ms (or ISO strings), resolution is seconds per bucket or 'auto'
+export const fetchHeaderHistory = async ({ headerIds, from, to, resolution = 'auto' }) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/history`, {
+      params: { headerIds: headerIds.join(','), from, to, resolution },
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching history for headers ${headerIds.join(', ')}:`, error);
+    throw error;
+  }
+};
+
+// Alert history search
+// filters: projectId, companyId, stageId, header, category, type/severity/state (comma-separated), from, to (epoch ms)
+export const fetchAlertHistory = async (filters, { page = 1, pageSize = 50 } = {}) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/alert-history`, {
+      params: { ...filters, page, pageSize },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching alert history:', error);
+    throw error;
+  }
+};
+
+export const fetchAlertHistoryFilters = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/alert-history/filters`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching alert history filters:', error);
+    throw error;
+  }
+};
+
+// The CSV export is a plain download link with the same filters
+export const getAlertHistoryExportUrl = (filters) => {
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  return `${API_BASE_URL}/monitoring/alert-history/export?${params.toString()}`;
+};
+
+// Alert analytics over a range: from/to epoch ms, interval 'hour' | 'day' | 'week' (chosen by the server when omitted)
+export const fetchAlertAnalytics = async ({ from, to, interval, projectId, companyId } = {}) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/alert-analytics`, {
+      params: { from, to, interval, projectId, companyId },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching alert analytics:', error);
+    throw error;
+  }
+};
+
+// Threshold suggestions from recorded history: ?days, direction, alertDuration and candidate thresholds
+export const fetchHeaderRecommendations = async (headerId, { days, direction, alertDuration, candidates } = {}) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/headers/${headerId}/recommendations`, {
+      params: { days, direction, alertDuration, candidates: candidates?.join(',') || undefined },
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching threshold recommendations for header ${headerId}:`, error);
+    throw error;
+  }
+};
+
+export const fetchCategoryRecommendations = async (category, { days, direction, alertDuration, candidates } = {}) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/categories/${category}/recommendations`, {
+      params: { days, direction, alertDuration, candidates: candidates?.join(',') || undefined },
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching threshold recommendations for category ${category}:`, error);
+    throw error;
+  }
+};
+
+// Replay recorded history of a category through candidate settings (the saved ones when settings is omitted)
+export const runBacktest = async ({ category, settings, from, to, projectId }) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/monitoring/backtest`, {
+      category,
+      settings,
+      from,
+      to,
+      projectId,
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error running backtest for category ${category}:`, error);
+    throw error;
+  }
+};
+
+// End-of-stage reports, newest first
+export const fetchStageReports = async ({ projectId, limit } = {}) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/stage-reports`, { params: { projectId, limit } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching stage reports:', error);
+    throw error;
+  }
+};
+
+// Summarize a stage now rather than waiting for its transition
+export const generateStageReport = async ({ projectId, stageId, post = false }) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/monitoring/stage-reports`, { projectId, stageId, post });
+    return response.data;
+  } catch (error) {
+    console.error('Error generating stage report:', error);
+    throw error;
+  }
+};
+
+// The rendered report opens in the browser, from where it can be printed or saved as PDF
+export const getStageReportUrl = (reportId, { download = false } = {}) =>
+  `${API_BASE_URL}/monitoring/stage-reports/${reportId}/html${download ? '?download=true' : ''}`;
+
+// Shift handover reports, newest first
+export const fetchShiftReports = async ({ limit } = {}) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/shift-reports`, { params: { limit } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching shift reports:', error);
+    throw error;
+  }
+};
+
+// One shift report with its full summary
+export const fetchShiftReport = async (reportId) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/shift-reports/${reportId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching shift report:', error);
+    throw error;
+  }
+};
+
+// Compile a report for the configured period up to now; deliver sends it out like a scheduled one
+export const generateShiftReport = async ({ deliver = false } = {}) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/monitoring/shift-reports`, { deliver });
+    return response.data;
+  } catch (error) {
+    console.error('Error generating shift report:', error);
+    throw error;
+  }
+};
+
+export const getShiftReportUrl = (reportId, { download = false } = {}) =>
+  `${API_BASE_URL}/monitoring/shift-reports/${reportId}/html${download ? '?download=true' : ''}`;
+
+// Maintenance windows with their current or next occurrence
+export const fetchMaintenanceWindows = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/maintenance-windows`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching maintenance windows:', error);
+    throw error;
+  }
+};
+
+// Companies, projects, stages and headers a maintenance window can cover
+export const fetchMaintenanceScopes = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/maintenance-windows/scopes`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching maintenance window scopes:', error);
+    throw error;
+  }
+};
+
+export const createMaintenanceWindow = async (window) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/monitoring/maintenance-windows`, window);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating maintenance window:', error);
+    throw error;
+  }
+};
+
+export const updateMaintenanceWindow = async (windowId, window) => {
+  try {
+    const response = await axios.put(`${API_BASE_URL}/monitoring/maintenance-windows/${windowId}`, window);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating maintenance window:', error);
+    throw error;
+  }
+};
+
+export const deleteMaintenanceWindow = async (windowId) => {
+  try {
+    await axios.delete(`${API_BASE_URL}/monitoring/maintenance-windows/${windowId}`);
+  } catch (error) {
+    console.error('Error deleting maintenance window:', error);
+    throw error;
+  }
+};
+
+// Snoozes in effect, for single alerts and whole headers, projects, stages or categories
+export const fetchSnoozes = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/snoozes`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching snoozes:', error);
+    throw error;
+  }
+};
+
+// Projects, stages, headers and categories a snooze can cover
+export const fetchSnoozeScopes = async () => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/monitoring/snoozes/scopes`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching snooze scopes:', error);
+    throw error;
+  }
+};
+
+export const createSnooze = async (snooze) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/monitoring/snoozes`, snooze);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating snooze:', error);
+    throw error;
+  }
+};
+
+export const deleteSnooze = async (snoozeId, by) => {
+  try {
+    await axios.delete(`${API_BASE_URL}/monitoring/snoozes/${snoozeId}`, { params: by ? { by } : {} });
+  } catch (error) {
+    console.error('Error deleting snooze:', error);
+    throw error;
+  }
+};
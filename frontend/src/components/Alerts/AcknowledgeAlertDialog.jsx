@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch } from "react-redux";
+import { Dialog, DialogTitle, DialogContent, DialogActions, TextField, Button, Alert, Typography } from "@mui/material";
+import { acknowledgeAlert } from "../../store/slices/alertsSlice";
+import { getOperatorName, saveOperatorName } from "../../utils/alertLifecycle";
+
+/**
+ * Asks who is acknowledging an alert and for an optional note, then acknowledges it
+ */
+const AcknowledgeAlertDialog = ({ alert, open, onClose }) => {
+  const dispatch = useDispatch();
+  const [operatorName, setOperatorName] = useState(getOperatorName);
+  const [note, setNote] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setNote("");
+      setError(null);
+    }
+  }, [open]);
+
+  const handleSubmit = async () => {
+    const by = operatorName.trim();
+    saveOperatorName(by);
+    setSubmitting(true);
+    setError(null);
+    try {
+      await dispatch(acknowledgeAlert({ alertId: alert.id, by, note: note.trim() })).unwrap();
+      onClose();
+    } catch (rejection) {
+      setError(rejection?.error || "Failed to acknowledge alert");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Acknowledge Alert</DialogTitle>
+      <DialogContent>
+        {alert && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {alert.headerName || alert.header_name} stays active, repeat notifications stop and the channels it was sent
+            to are told who is on it.
+          </Typography>
+        )}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          label="Your name"
+          value={operatorName}
+          onChange={(event) => setOperatorName(event.target.value)}
+          fullWidth
+          required
+          autoFocus
+          margin="dense"
+        />
+        <TextField
+          label="Note"
+          value={note}
+          onChange={(event) => setNote(event.target.value)}
+          fullWidth
+          multiline
+          minRows={2}
+          margin="dense"
+          placeholder="e.g. Checking the pump, will update in 10 minutes"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSubmit} disabled={!operatorName.trim() || submitting}>
+          Acknowledge
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AcknowledgeAlertDialog;
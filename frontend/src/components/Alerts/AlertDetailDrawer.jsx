@@ -0,0 +1,484 @@
+import React, { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  Drawer,
+  Box,
+  Typography,
+  IconButton,
+  Divider,
+  Chip,
+  CircularProgress,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  TextField,
+  Button,
+} from "@mui/material";
+import CloseIcon from "@mui/icons-material/Close";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import { Chart as ChartJS, LinearScale, PointElement, LineElement, Legend, Tooltip as ChartTooltip } from "chart.js";
+import { Line } from "react-chartjs-2";
+import { format } from "date-fns";
+import {
+  fetchAlertDetail,
+  clearAlertDetail,
+  acknowledgeAlert,
+  resolveAlert,
+  closeAlert,
+} from "../../store/slices/alertsSlice";
+import { fetchHeaderHistory } from "../../api/monitoringApi";
+import { alertWindowsPlugin } from "../HeaderHistory/chartPlugins";
+import { describeThresholdBreach, getThresholdLines } from "@shared/thresholdRules";
+import { describeRateBreach } from "@shared/rateRules";
+import { describeForecast } from "../../utils/forecastRules";
+import { describeAnomaly } from "../../utils/anomalyRules";
+import { describeCompoundBreach } from "../../utils/compoundRules";
+import { getSeverityColor, getSeverityLabel } from "../../utils/severity";
+import { describeSnooze } from "../../utils/snoozes";
+import {
+  getAlertStateOption,
+  isAlertActive,
+  describeAlertEvent,
+  getOperatorName,
+  saveOperatorName,
+} from "../../utils/alertLifecycle";
+
+ChartJS.register(LinearScale, PointElement, LineElement, Legend, ChartTooltip);
+
+// The chart starts this long before the breach so the lead-up is visible
+const BREACH_LEAD = 5 * 60 * 1000;
+
+const formatTime = (time) => (time ? format(new Date(time), "MM/dd/yyyy, h:mm:ss a") : "-");
+
+// e.g. "2h 5m", "3m 20s", "45s"
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = seconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${rest}s`;
+  return `${rest}s`;
+};
+
+const describeAlert = (alert) => {
+  switch (alert.type) {
+    case "threshold":
+      return describeThresholdBreach(alert);
+    case "rate":
+      return `Value ${alert.value}: ${describeRateBreach(alert)}`;
+    case "compound":
+      return describeCompoundBreach(alert);
+    case "forecast":
+      return `Value ${alert.value}: ${describeForecast(alert)}`;
+    case "anomaly":
+      return describeAnomaly(alert);
+    case "frozen":
+      return `Value ${alert.value} stopped changing`;
+    default:
+      return alert.message || `Issue with ${alert.headerName || alert.header_name}`;
+  }
+};
+
+const EVENT_COLORS = {
+  triggered: "error.main",
+  escalated: "error.main",
+  notification_failed: "error.main",
+  resolved: "success.main",
+};
+
+/**
+ * Everything known about one alert: breach timing, value extremes since the breach started,
+ * a chart of the header around the breach and the timeline of its lifecycle events
+ */
+const AlertDetailDrawer = ({ alertId, open, onClose }) => {
+  const dispatch = useDispatch();
+  const { alertDetail, detailLoading, detailError } = useSelector((state) => state.alerts);
+  const [history, setHistory] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+  const [operatorName, setOperatorName] = useState(getOperatorName);
+  const [note, setNote] = useState("");
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    if (open && alertId) {
+      dispatch(fetchAlertDetail(alertId));
+    }
+    return () => {
+      dispatch(clearAlertDetail());
+      setHistory(null);
+      setHistoryError(null);
+      setNote("");
+      setActionError(null);
+    };
+  }, [open, alertId, dispatch]);
+
+  // Once resolved or closed the alert is archived under "<id>:<triggered at>"
+  const detailId = alertDetail?.alert?.id;
+  const detail = detailId === alertId || detailId?.startsWith(`${alertId}:`) ? alertDetail : null;
+  const alert = detail?.alert;
+  const headerId = alert?.header_id;
+
+  useEffect(() => {
+    if (!detail || !headerId) return undefined;
+
+    let cancelled = false;
+    const loadHistory = async () => {
+      try {
+        const result = await fetchHeaderHistory({
+          headerIds: [headerId],
+          from: detail.breachStartedAt - BREACH_LEAD,
+          to: detail.endedAt ? Math.min(detail.endedAt + BREACH_LEAD, detail.timestamp) : detail.timestamp,
+        });
+        if (!cancelled) {
+          setHistory({ ...result, points: result.series[0]?.points || [] });
+          setHistoryError(null);
+        }
+      } catch (error) {
+        if (!cancelled) setHistoryError(error.response?.data?.error || "Failed to load header history");
+      }
+    };
+    loadHistory();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [detail, headerId]);
+
+  const handleRefresh = () => {
+    dispatch(fetchAlertDetail(alertId));
+  };
+
+  const handleTransition = async (action) => {
+    saveOperatorName(operatorName.trim());
+    setActionError(null);
+    try {
+      await dispatch(action({ alertId: alert.id, by: operatorName.trim() || null, note: note.trim() || null })).unwrap();
+      setNote("");
+      dispatch(fetchAlertDetail(alertId));
+    } catch (error) {
+      setActionError(error?.error || "Failed to update the alert");
+    }
+  };
+
+  const renderChart = () => {
+    if (!headerId) {
+      return (
+        <Typography variant="body2" color="text.secondary">
+          Compound alerts combine several headers, open the headers on the Monitored Headers page to chart them.
+        </Typography>
+      );
+    }
+    if (historyError) return <Alert severity="error">{historyError}</Alert>;
+    if (!history) return <CircularProgress size={24} />;
+    if (history.points.length === 0) {
+      return (
+        <Typography variant="body2" color="text.secondary">
+          No values were recorded for this header around the breach.
+        </Typography>
+      );
+    }
+
+    const rule =
+      alert.type === "threshold"
+        ? {
+            direction: alert.thresholdDirection,
+            threshold: alert.threshold,
+            min: alert.thresholdMin,
+            max: alert.thresholdMax,
+          }
+        : null;
+    const timeFormat = history.to - history.from > 24 * 3600 * 1000 ? "MM/dd HH:mm" : "HH:mm";
+
+    const data = {
+      datasets: [
+        {
+          label: alert.headerName || alert.header_name,
+          data: history.points.map((point) => ({ x: point.time, y: point.avg })),
+          borderColor: "#1976d2",
+          backgroundColor: "#1976d2",
+          borderWidth: 2,
+          pointRadius: history.points.length > 60 ? 0 : 2,
+          tension: 0.2,
+        },
+        ...(rule ? getThresholdLines(rule) : []).map((value) => ({
+          label: `Threshold ${value}`,
+          data: [
+            { x: history.from, y: value },
+            { x: history.to, y: value },
+          ],
+          borderColor: "#d32f2f",
+          backgroundColor: "#d32f2f",
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          pointRadius: 0,
+        })),
+      ],
+    };
+
+    const options = {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: "nearest", axis: "x", intersect: false },
+      plugins: {
+        alertWindows: {
+          windows: [{ start: detail.breachStartedAt, end: detail.endedAt ?? history.to, active: detail.ongoing }],
+        },
+        legend: { labels: { boxWidth: 12 } },
+        tooltip: {
+          callbacks: { title: (items) => (items.length ? formatTime(items[0].parsed.x) : "") },
+        },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          min: history.from,
+          max: history.to,
+          ticks: { maxTicksLimit: 6, callback: (value) => format(new Date(value), timeFormat) },
+        },
+        y: { grace: "5%" },
+      },
+    };
+
+    return (
+      <Box sx={{ height: 220 }}>
+        <Line data={data} options={options} plugins={[alertWindowsPlugin]} />
+      </Box>
+    );
+  };
+
+  const renderValueStats = () => {
+    const stats = detail.valueStats;
+    if (!stats) {
+      return (
+        <TableRow>
+          <TableCell>Values</TableCell>
+          <TableCell>No values recorded since the breach started</TableCell>
+        </TableRow>
+      );
+    }
+
+    // The extreme that matters depends on which side of the rule was breached
+    const direction = alert.type === "threshold" ? alert.thresholdDirection : null;
+    const showMin = direction !== "above";
+    const showMax = direction !== "below";
+
+    return (
+      <>
+        {showMin && (
+          <TableRow>
+            <TableCell>Minimum</TableCell>
+            <TableCell>
+              {stats.min.toFixed(2)} {stats.minAt && `at ${formatTime(stats.minAt)}`}
+            </TableCell>
+          </TableRow>
+        )}
+        {showMax && (
+          <TableRow>
+            <TableCell>Peak</TableCell>
+            <TableCell>
+              {stats.max.toFixed(2)} {stats.maxAt && `at ${formatTime(stats.maxAt)}`}
+            </TableCell>
+          </TableRow>
+        )}
+        <TableRow>
+          <TableCell>Average</TableCell>
+          <TableCell>
+            {stats.avg.toFixed(2)} over {stats.count} samples
+          </TableCell>
+        </TableRow>
+      </>
+    );
+  };
+
+  const renderActions = () => {
+    if (alert.state === "closed") return null;
+
+    return (
+      <>
+        <Divider sx={{ my: 2 }} />
+        <Box sx={{ display: "flex", gap: 1, mb: 1 }}>
+          <TextField
+            label="Your name"
+            size="small"
+            value={operatorName}
+            onChange={(event) => setOperatorName(event.target.value)}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            label="Note"
+            size="small"
+            value={note}
+            onChange={(event) => setNote(event.target.value)}
+            sx={{ flex: 2 }}
+          />
+        </Box>
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 1 }}>
+            {actionError}
+          </Alert>
+        )}
+        <Box sx={{ display: "flex", gap: 1, justifyContent: "flex-end" }}>
+          {alert.state === "open" && (
+            <Button
+              variant="contained"
+              size="small"
+              disabled={!operatorName.trim()}
+              onClick={() => handleTransition(acknowledgeAlert)}
+            >
+              Acknowledge
+            </Button>
+          )}
+          {isAlertActive(alert) && (
+            <Button variant="contained" color="success" size="small" onClick={() => handleTransition(resolveAlert)}>
+              Resolve
+            </Button>
+          )}
+          <Button variant="outlined" size="small" onClick={() => handleTransition(closeAlert)}>
+            Close
+          </Button>
+        </Box>
+      </>
+    );
+  };
+
+  const countEvents = (...types) => detail?.events.filter((event) => types.includes(event.type)).length || 0;
+  const stateOption = getAlertStateOption(alert);
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose} PaperProps={{ sx: { width: { xs: "100%", sm: 520 } } }}>
+      <Box sx={{ display: "flex", alignItems: "center", p: 2, bgcolor: "primary.main", color: "white" }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Alert Details
+        </Typography>
+        <Tooltip title="Refresh">
+          <IconButton onClick={handleRefresh} color="inherit">
+            <RefreshIcon />
+          </IconButton>
+        </Tooltip>
+        <IconButton onClick={onClose} color="inherit" aria-label="Close alert details">
+          <CloseIcon />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ p: 2, overflowY: "auto" }}>
+        {detailLoading && !detail && (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {detailError && (
+          <Alert severity="error">
+            {detailError.error || (typeof detailError === "string" ? detailError : "Failed to fetch alert details")}
+          </Alert>
+        )}
+
+        {detail && (
+          <>
+            <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+              <Chip label={`${getSeverityLabel(alert)} ${alert.type}`} color={getSeverityColor(alert)} size="small" />
+              <Chip label={stateOption.label} color={stateOption.color} size="small" variant="outlined" />
+              {alert.snoozed && (
+                <Tooltip title={detail.snooze ? describeSnooze(detail.snooze) : ""}>
+                  <Chip label="Snoozed" color="info" size="small" variant="outlined" />
+                </Tooltip>
+              )}
+            </Box>
+            <Typography variant="h6">{alert.headerName || alert.header_name}</Typography>
+            <Typography variant="body2" color="error.main" fontWeight="bold" sx={{ mb: 2 }}>
+              {describeAlert(alert)}
+            </Typography>
+
+            <Table size="small" sx={{ mb: 2 }}>
+              <TableBody>
+                <TableRow>
+                  <TableCell>Breach started</TableCell>
+                  <TableCell>{formatTime(detail.breachStartedAt)}</TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell>Alert raised</TableCell>
+                  <TableCell>{formatTime(detail.raisedAt)}</TableCell>
+                </TableRow>
+                {alert.acknowledgedAt && (
+                  <TableRow>
+                    <TableCell>Acknowledged</TableCell>
+                    <TableCell>
+                      {formatTime(alert.acknowledgedAt)} by {alert.acknowledgedBy}
+                      {alert.acknowledgementNote && `: ${alert.acknowledgementNote}`}
+                    </TableCell>
+                  </TableRow>
+                )}
+                {alert.escalatedAt && (
+                  <TableRow>
+                    <TableCell>Escalated</TableCell>
+                    <TableCell>{formatTime(alert.escalatedAt)}</TableCell>
+                  </TableRow>
+                )}
+                <TableRow>
+                  <TableCell>Duration</TableCell>
+                  <TableCell>
+                    {formatDuration(detail.durationSeconds)}{" "}
+                    {detail.ongoing ? "(ongoing)" : `(ended ${formatTime(detail.endedAt)})`}
+                  </TableCell>
+                </TableRow>
+                {headerId && renderValueStats()}
+                <TableRow>
+                  <TableCell>Stage</TableCell>
+                  <TableCell>{alert.stage_id || "Unknown"}</TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell>Snoozed</TableCell>
+                  <TableCell>{countEvents("snoozed")} times</TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell>Notifications</TableCell>
+                  <TableCell>
+                    {countEvents("notified")} sent, {countEvents("notification_failed")} failed
+                  </TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+
+            <Typography variant="subtitle1" gutterBottom>
+              Around the Breach
+            </Typography>
+            {renderChart()}
+
+            {renderActions()}
+
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1">Timeline</Typography>
+            {detail.events.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No events recorded
+              </Typography>
+            ) : (
+              <List dense disablePadding>
+                {detail.events.map((event) => (
+                  <ListItem key={event.id} disableGutters>
+                    <ListItemText
+                      primary={describeAlertEvent(event)}
+                      primaryTypographyProps={{ color: EVENT_COLORS[event.type] || "text.primary" }}
+                      secondary={[formatTime(event.occurredAt), event.details.note, event.details.error]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default AlertDetailDrawer;
@@ -24,24 +24,30 @@ import DeleteIcon from "@mui/icons-material/Delete";
 import NotificationsOffIcon from "@mui/icons-material/NotificationsOff";
 import ArrowRightIcon from "@mui/icons-material/ArrowRight";
 import RefreshIcon from "@mui/icons-material/Refresh";
+import TaskAltIcon from "@mui/icons-material/TaskAlt";
+import TuneIcon from "@mui/icons-material/Tune";
 import { format } from "date-fns";
 import { snoozeAlert, dismissAlert, fetchAlerts } from "../../store/slices/alertsSlice";
 import { removeMonitoredHeader } from "../../store/slices/monitoredHeadersSlice";
-
-// Snooze durations in seconds
-const SNOOZE_DURATIONS = [
-  { label: "15 minutes", value: 15 * 60 },
-  { label: "1 hour", value: 60 * 60 },
-  { label: "4 hours", value: 4 * 60 * 60 },
-  { label: "8 hours", value: 8 * 60 * 60 },
-  { label: "24 hours", value: 24 * 60 * 60 },
-];
+import { describeThresholdBreach } from "@shared/thresholdRules";
+import { describeRateBreach } from "@shared/rateRules";
+import { describeForecast } from "../../utils/forecastRules";
+import { describeAnomaly } from "../../utils/anomalyRules";
+import { describeCompoundBreach } from "../../utils/compoundRules";
+import { sortAlertsBySeverity, getSeverityColor, getSeverityLabel } from "../../utils/severity";
+import AlertDetailDrawer from "./AlertDetailDrawer";
+import AcknowledgeAlertDialog from "./AcknowledgeAlertDialog";
+import SnoozeDialog from "./SnoozeDialog";
+import { SNOOZE_DURATIONS } from "../../utils/snoozes";
 
 const AlertsSidebar = () => {
   const dispatch = useDispatch();
   const { alerts, loading, error } = useSelector((state) => state.alerts);
   const [snoozeAnchorEl, setSnoozeAnchorEl] = useState(null);
   const [selectedAlertId, setSelectedAlertId] = useState(null);
+  const [detailAlertId, setDetailAlertId] = useState(null);
+  const [acknowledgingAlert, setAcknowledgingAlert] = useState(null);
+  const [snoozingAlert, setSnoozingAlert] = useState(null);
 
   // Auto-refresh alerts every 30 seconds
   useEffect(() => {
@@ -69,6 +75,12 @@ const AlertsSidebar = () => {
     }
   };
 
+  // A reason, auto-unsnooze or a wider target (header, project, stage, category) need the dialog
+  const handleSnoozeDialog = () => {
+    setSnoozingAlert(alerts.find((alert) => alert.id === selectedAlertId) || null);
+    handleSnoozeClose();
+  };
+
   const handleDismissAlert = (alertId) => {
     dispatch(dismissAlert(alertId));
   };
@@ -135,18 +147,33 @@ const AlertsSidebar = () => {
         )}
 
         <List sx={{ overflowY: "auto", pt: 0 }}>
-          {alerts?.map((alert) => (
+          {sortAlertsBySeverity(alerts).map((alert) => (
             <React.Fragment key={alert.id}>
               <ListItem sx={{ flexDirection: "column", alignItems: "flex-start", p: 2, bgcolor: "background.paper" }}>
                 <Box sx={{ display: "flex", width: "100%", justifyContent: "space-between", mb: 1 }}>
-                  <Typography
-                    variant="subtitle1"
-                    fontWeight="bold"
-                    color={alert.type === "threshold" ? "error.main" : "warning.main"}
-                  >
-                    Alert
-                  </Typography>
                   <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                    <Typography variant="subtitle1" fontWeight="bold" color={`${getSeverityColor(alert)}.main`}>
+                      {getSeverityLabel(alert)} Alert
+                    </Typography>
+                    {alert.escalatedAt && (
+                      <Tooltip title={`Escalated ${format(new Date(alert.escalatedAt), "MM/dd/yyyy, h:mm a")}`}>
+                        <Chip label="Escalated" size="small" color={getSeverityColor(alert)} variant="outlined" />
+                      </Tooltip>
+                    )}
+                  </Box>
+                  <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                    {alert.state !== "acknowledged" && (
+                      <Tooltip title="Acknowledge alert">
+                        <IconButton
+                          size="small"
+                          onClick={() => setAcknowledgingAlert(alert)}
+                          aria-label="Acknowledge alert"
+                          color="success"
+                        >
+                          <TaskAltIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
                     <Tooltip title="Snooze notifications">
                       <IconButton
                         size="small"
@@ -156,16 +183,19 @@ const AlertsSidebar = () => {
                         <SnoozeIcon fontSize="small" />
                       </IconButton>
                     </Tooltip>
-                    <Tooltip title="Remove header from monitoring">
-                      <IconButton
-                        size="small"
-                        onClick={() => handleRemoveHeader(alert.headerId)}
-                        aria-label="Stop monitoring"
-                        color="error"
-                      >
-                        <DeleteIcon fontSize="small" />
-                      </IconButton>
-                    </Tooltip>
+                    {/* Compound alerts span several headers, so there is no single header to remove */}
+                    {alert.headerId && (
+                      <Tooltip title="Remove header from monitoring">
+                        <IconButton
+                          size="small"
+                          onClick={() => handleRemoveHeader(alert.headerId)}
+                          aria-label="Stop monitoring"
+                          color="error"
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
                     <Tooltip title="Dismiss alert">
                       <IconButton size="small" onClick={() => handleDismissAlert(alert.id)} aria-label="Dismiss alert">
                         <CloseIcon fontSize="small" />
@@ -174,30 +204,51 @@ const AlertsSidebar = () => {
                   </Box>
                 </Box>
 
-                <Typography variant="body1">{alert.headerName}</Typography>
-
-                <Typography variant="body2" color="text.secondary">
-                  Stage: {alert.header_name || alert.stageId || "Unknown"}
-                </Typography>
-
-                <Typography
-                  variant="body2"
-                  color={alert.type === "threshold" ? "error.main" : "warning.main"}
-                  fontWeight="bold"
-                  sx={{ mt: 1 }}
-                >
-                  {alert.type === "threshold"
-                    ? alert.threshold !== null
-                      ? `Value ${alert.value} is ${alert.value < alert.threshold ? "below" : "above"} threshold (${
-                          alert.threshold
-                        })`
-                      : `Value ${alert.value} is outside acceptable range (default threshold: 20)`
-                    : `Value hasn't changed for ${alert.frozenDuration || 0} seconds`}
-                </Typography>
-
-                <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5 }}>
-                  {alert.timestamp ? format(new Date(alert.timestamp), "MM/dd/yyyy, h:mm a") : ""}
-                </Typography>
+                {/* Clicking the alert text opens the detail drawer */}
+                <Box sx={{ width: "100%", cursor: "pointer" }} onClick={() => setDetailAlertId(alert.id)}>
+                  <Typography variant="body1">{alert.headerName}</Typography>
+
+                  <Typography variant="body2" color="text.secondary">
+                    Stage: {alert.header_name || alert.stageId || "Unknown"}
+                  </Typography>
+
+                  <Typography
+                    variant="body2"
+                    color={
+                      alert.type === "threshold" || alert.type === "rate" || alert.type === "compound"
+                        ? "error.main"
+                        : "warning.main"
+                    }
+                    fontWeight="bold"
+                    sx={{ mt: 1 }}
+                  >
+                    {alert.type === "threshold"
+                      ? alert.threshold !== null || alert.thresholdDirection === "band"
+                        ? describeThresholdBreach(alert)
+                        : `Value ${alert.value} is outside acceptable range (default threshold: 20)`
+                      : alert.type === "rate"
+                      ? `Value ${alert.value}: ${describeRateBreach(alert)}`
+                      : alert.type === "compound"
+                      ? describeCompoundBreach(alert)
+                      : alert.type === "forecast"
+                      ? `Value ${alert.value}: ${describeForecast(alert)}`
+                      : alert.type === "anomaly"
+                      ? describeAnomaly(alert)
+                      : `Value hasn't changed for ${alert.frozenDuration || 0} seconds`}
+                  </Typography>
+
+                  <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5 }}>
+                    {alert.timestamp ? format(new Date(alert.timestamp), "MM/dd/yyyy, h:mm a") : ""}
+                  </Typography>
+
+                  {alert.state === "acknowledged" && (
+                    <Typography variant="body2" color="success.main" sx={{ mt: 0.5 }}>
+                      Acknowledged by {alert.acknowledgedBy}
+                      {alert.acknowledgedAt && ` at ${format(new Date(alert.acknowledgedAt), "h:mm a")}`}
+                      {alert.acknowledgementNote && `: ${alert.acknowledgementNote}`}
+                    </Typography>
+                  )}
+                </Box>
               </ListItem>
               <Divider />
             </React.Fragment>
@@ -205,6 +256,18 @@ const AlertsSidebar = () => {
         </List>
       </Drawer>
 
+      <AlertDetailDrawer
+        alertId={detailAlertId}
+        open={Boolean(detailAlertId)}
+        onClose={() => setDetailAlertId(null)}
+      />
+
+      <AcknowledgeAlertDialog
+        alert={acknowledgingAlert}
+        open={Boolean(acknowledgingAlert)}
+        onClose={() => setAcknowledgingAlert(null)}
+      />
+
       {/* Snooze menu */}
       <Menu anchorEl={snoozeAnchorEl} open={Boolean(snoozeAnchorEl)} onClose={handleSnoozeClose}>
         <Typography variant="subtitle2" sx={{ px: 2, py: 1, fontWeight: "bold" }}>
@@ -218,7 +281,16 @@ const AlertsSidebar = () => {
             <ListItemText>{option.label}</ListItemText>
           </MenuItem>
         ))}
+        <Divider />
+        <MenuItem onClick={handleSnoozeDialog}>
+          <ListItemIcon>
+            <TuneIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>Snooze with reason or scope...</ListItemText>
+        </MenuItem>
       </Menu>
+
+      <SnoozeDialog alert={snoozingAlert} open={Boolean(snoozingAlert)} onClose={() => setSnoozingAlert(null)} />
     </>
   );
 };
@@ -0,0 +1,270 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Button,
+  Alert,
+  Typography,
+} from "@mui/material";
+import { classifyHeader } from "@shared/headerClassifier";
+import { snoozeAlert, fetchAlerts } from "../../store/slices/alertsSlice";
+import { fetchSnoozeScopes, createSnooze } from "../../api/monitoringApi";
+import { getOperatorName, saveOperatorName } from "../../utils/alertLifecycle";
+import { SNOOZE_SCOPES, SNOOZE_DURATIONS } from "../../utils/snoozes";
+
+/**
+ * Snoozes an alert, or everything on its header, project, stage or a category within its project, with a
+ * reason and optionally until the alerts it covers resolve. Without an alert any target can be picked.
+ */
+const SnoozeDialog = ({ alert = null, open, onClose, onSnoozed }) => {
+  const dispatch = useDispatch();
+  const patternCategories = useSelector((state) => state.settings.settings?.patternCategories);
+  const [scopes, setScopes] = useState({ projects: [], stages: [], headers: [], categories: [] });
+  const [scope, setScope] = useState("header");
+  const [projectId, setProjectId] = useState("");
+  const [headerId, setHeaderId] = useState("");
+  const [category, setCategory] = useState("");
+  const [duration, setDuration] = useState(SNOOZE_DURATIONS[1].value);
+  const [reason, setReason] = useState("");
+  const [autoUnsnooze, setAutoUnsnooze] = useState(false);
+  const [operatorName, setOperatorName] = useState(getOperatorName);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Compound alerts span several headers, so only the alert itself or its project can be snoozed
+  const alertHeaderId = alert?.header_id ?? alert?.headerId ?? null;
+  const alertHeaderName = alert?.header_name ?? alert?.headerName ?? null;
+
+  useEffect(() => {
+    if (!open) return;
+    setScope(alert ? "alert" : "header");
+    setProjectId(alert?.project_id ?? "");
+    setHeaderId(alertHeaderId ?? "");
+    setCategory((alertHeaderName && classifyHeader(alertHeaderName, patternCategories)) || "");
+    setDuration(SNOOZE_DURATIONS[1].value);
+    setReason("");
+    setAutoUnsnooze(false);
+    setError(null);
+
+    fetchSnoozeScopes()
+      .then(setScopes)
+      .catch(() => setError("Failed to load projects and headers"));
+  }, [open, alert]);
+
+  const scopeOptions = SNOOZE_SCOPES.filter((option) => {
+    if (option.value === "alert") return Boolean(alert);
+    if (alert && !alertHeaderId) return option.value === "project" || option.value === "stage";
+    return true;
+  });
+
+  const project = scopes.projects.find((option) => String(option.projectId) === String(projectId));
+  const header = scopes.headers.find((option) => String(option.headerId) === String(headerId));
+  const stageId = scopes.stages.find((option) => String(option.projectId) === String(projectId))?.stageId;
+
+  // The id and display name of the selected target
+  const target = useMemo(() => {
+    switch (scope) {
+      case "alert":
+        return { scopeId: alert?.id, scopeName: alertHeaderName };
+      case "header":
+        return { scopeId: headerId, scopeName: header?.headerName || alertHeaderName };
+      case "project":
+        return { scopeId: projectId, scopeName: project?.projectName };
+      case "stage":
+        return { scopeId: stageId, scopeName: stageId ? `${stageId}` : null };
+      case "category":
+        return { scopeId: category, scopeName: category };
+      default:
+        return {};
+    }
+  }, [scope, alert, alertHeaderName, headerId, header, projectId, project, stageId, category]);
+
+  const handleSubmit = async () => {
+    const by = operatorName.trim();
+    saveOperatorName(by);
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (scope === "alert") {
+        await dispatch(snoozeAlert({ alertId: alert.id, duration, reason: reason.trim(), autoUnsnooze, by })).unwrap();
+      } else {
+        await createSnooze({
+          scope,
+          scopeId: target.scopeId,
+          projectId: scope === "header" ? header?.projectId ?? alert?.project_id : projectId,
+          scopeName: target.scopeName,
+          duration,
+          reason: reason.trim(),
+          autoUnsnooze,
+          by,
+        });
+        dispatch(fetchAlerts());
+      }
+      onSnoozed?.();
+      onClose();
+    } catch (rejection) {
+      setError(rejection?.response?.data?.error || rejection?.error || "Failed to snooze");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderProjectSelect = () => (
+    <TextField
+      select
+      label="Project"
+      value={projectId}
+      onChange={(event) => setProjectId(event.target.value)}
+      fullWidth
+      margin="dense"
+    >
+      {scopes.projects.map((option) => (
+        <MenuItem key={option.projectId} value={option.projectId}>
+          {option.projectName}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Snooze</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          select
+          label="Snooze"
+          value={scope}
+          onChange={(event) => setScope(event.target.value)}
+          fullWidth
+          margin="dense"
+        >
+          {scopeOptions.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.value === "alert" || !alert ? option.label : `${option.label} (every alert type)`}
+            </MenuItem>
+          ))}
+        </TextField>
+
+        {scope === "alert" && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {alertHeaderName || "This alert"} is no longer notified. New alerts on other headers still are.
+          </Typography>
+        )}
+        {scope === "header" && (
+          <TextField
+            select
+            label="Header"
+            value={headerId}
+            onChange={(event) => setHeaderId(event.target.value)}
+            fullWidth
+            margin="dense"
+          >
+            {scopes.headers.map((option) => (
+              <MenuItem key={`${option.projectId}-${option.headerId}`} value={option.headerId}>
+                {option.headerName} ({option.projectName})
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+        {scope === "project" && renderProjectSelect()}
+        {scope === "stage" && (
+          <>
+            {renderProjectSelect()}
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              {stageId
+                ? `Stage ${stageId}. The snooze stops applying once the project moves to another stage.`
+                : "This project is not on a stage."}
+            </Typography>
+          </>
+        )}
+        {scope === "category" && (
+          <>
+            {renderProjectSelect()}
+            <TextField
+              select
+              label="Category"
+              value={category}
+              onChange={(event) => setCategory(event.target.value)}
+              fullWidth
+              margin="dense"
+            >
+              {scopes.categories.map((option) => (
+                <MenuItem key={option} value={option}>
+                  {option}
+                </MenuItem>
+              ))}
+            </TextField>
+          </>
+        )}
+
+        <TextField
+          select
+          label="Duration"
+          value={duration}
+          onChange={(event) => setDuration(event.target.value)}
+          fullWidth
+          margin="dense"
+        >
+          {SNOOZE_DURATIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="Reason"
+          value={reason}
+          onChange={(event) => setReason(event.target.value)}
+          fullWidth
+          required
+          margin="dense"
+          placeholder="e.g. Wireline run, pressure swings expected"
+        />
+        <FormControlLabel
+          control={<Switch checked={autoUnsnooze} onChange={(event) => setAutoUnsnooze(event.target.checked)} />}
+          label="Unsnooze once the snoozed alerts resolve"
+        />
+        <TextField
+          label="Your name"
+          value={operatorName}
+          onChange={(event) => setOperatorName(event.target.value)}
+          fullWidth
+          required
+          margin="dense"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={
+            submitting ||
+            !operatorName.trim() ||
+            !reason.trim() ||
+            target.scopeId === undefined ||
+            target.scopeId === null ||
+            target.scopeId === "" ||
+            (scope === "category" && !projectId)
+          }
+        >
+          Snooze
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SnoozeDialog;
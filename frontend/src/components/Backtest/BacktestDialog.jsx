@@ -0,0 +1,236 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  Typography,
+  Button,
+  ButtonGroup,
+  Alert,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from "@mui/material";
+import { format } from "date-fns";
+import { runBacktest } from "../../api/monitoringApi";
+
+const HOUR = 3600 * 1000;
+
+const RANGES = [
+  { label: "6h", span: 6 * HOUR },
+  { label: "24h", span: 24 * HOUR },
+  { label: "2d", span: 48 * HOUR },
+  { label: "7d", span: 7 * 24 * HOUR },
+];
+const DEFAULT_SPAN = 24 * HOUR;
+
+const SEVERITY_CHIP_COLORS = { critical: "error", warning: "warning", info: "info" };
+
+const OUTCOMES = {
+  matched: { label: "Both", color: "default" },
+  onlySimulated: { label: "New", color: "warning" },
+  onlyActual: { label: "Would not fire", color: "success" },
+};
+
+const formatTime = (time) => (time ? format(new Date(time), "MM/dd HH:mm:ss") : "-");
+
+// e.g. "+2m 10s", "-45s", "0s"
+const formatShift = (ms) => {
+  const seconds = Math.round(Math.abs(ms) / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const text = minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+  return ms === 0 ? text : `${ms > 0 ? "+" : "-"}${text}`;
+};
+
+const severityChip = (alert) =>
+  alert ? <Chip size="small" label={alert.severity} color={SEVERITY_CHIP_COLORS[alert.severity] || "default"} /> : "-";
+
+// One row per occurrence, in time order: matched pairs, candidate-only and actual-only alerts
+const getRows = (result) =>
+  [
+    ...result.matched.map((pair) => ({ outcome: "matched", ...pair })),
+    ...result.onlySimulated.map((alert) => ({ outcome: "onlySimulated", simulated: alert, actual: null })),
+    ...result.onlyActual.map((alert) => ({ outcome: "onlyActual", simulated: null, actual: alert })),
+  ].sort(
+    (a, b) => (a.actual?.triggeredAt ?? a.simulated.triggeredAt) - (b.actual?.triggeredAt ?? b.simulated.triggeredAt)
+  );
+
+/**
+ * What-if replay of a category: the recorded history of its headers runs through the candidate
+ * (unsaved) settings and the alerts they would have raised are listed next to those that actually fired.
+ */
+const BacktestDialog = ({ open, onClose, categoryKey, categoryName, candidate }) => {
+  const [span, setSpan] = useState(DEFAULT_SPAN);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) {
+      setResult(null);
+      setError(null);
+    }
+  }, [open]);
+
+  const handleRun = async () => {
+    setRunning(true);
+    try {
+      const to = Date.now();
+      const data = await runBacktest({ category: categoryKey, settings: candidate, from: to - span, to });
+      setResult(data);
+      setError(null);
+    } catch (runError) {
+      setError(runError.response?.data?.error || "Failed to run backtest");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const renderResult = () => {
+    const rows = getRows(result);
+    const overridden = result.headers.filter((header) => header.overrides.length > 0);
+
+    return (
+      <>
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
+          <Chip label={`${result.headers.length} headers replayed`} />
+          <Chip label={`${result.counts.actual} fired`} />
+          <Chip color="primary" label={`${result.counts.simulated} with candidate`} />
+          <Chip variant="outlined" label={`${result.counts.matched} in both`} />
+          <Chip variant="outlined" color="warning" label={`${result.counts.onlySimulated} new`} />
+          <Chip variant="outlined" color="success" label={`${result.counts.onlyActual} would not fire`} />
+        </Box>
+
+        {result.rawHistoryFrom && result.rawHistoryFrom > result.from && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Only history since {formatTime(result.rawHistoryFrom)} is kept sample by sample and was replayed; older
+            values are kept as rollups only.
+          </Alert>
+        )}
+        {result.truncated && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            The range holds too many samples, some headers were left out. Pick a shorter range.
+          </Alert>
+        )}
+        {overridden.length > 0 && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {overridden.length} header{overridden.length === 1 ? " has" : "s have"} per-header overrides that win over
+            the category:{" "}
+            {overridden.map((header) => `${header.headerName} (${header.overrides.join(", ")})`).join("; ")}
+          </Alert>
+        )}
+
+        {rows.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            {result.headers.length === 0
+              ? "No recorded history for this category in the range."
+              : "No alerts fired and none would have with the candidate settings."}
+          </Typography>
+        ) : (
+          <TableContainer sx={{ maxHeight: 420 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Outcome</TableCell>
+                  <TableCell>Header</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Fired</TableCell>
+                  <TableCell>With Candidate</TableCell>
+                  <TableCell>Shift</TableCell>
+                  <TableCell>Severity (fired / candidate)</TableCell>
+                  <TableCell align="right">Value</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map((row, index) => {
+                  const alert = row.simulated || row.actual;
+                  return (
+                    <TableRow key={`${row.outcome}-${alert.headerId}-${alert.type}-${alert.triggeredAt}-${index}`}>
+                      <TableCell>
+                        <Chip
+                          size="small"
+                          variant="outlined"
+                          label={OUTCOMES[row.outcome].label}
+                          color={OUTCOMES[row.outcome].color}
+                        />
+                      </TableCell>
+                      <TableCell>{alert.headerName}</TableCell>
+                      <TableCell>{alert.type}</TableCell>
+                      <TableCell>{formatTime(row.actual?.triggeredAt)}</TableCell>
+                      <TableCell>
+                        {formatTime(row.simulated?.triggeredAt)}
+                        {row.simulated && !row.simulated.endedAt && (
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            still open at the end
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{row.outcome === "matched" ? formatShift(row.triggerShift) : "-"}</TableCell>
+                      <TableCell>
+                        <Box sx={{ display: "flex", gap: 0.5 }}>
+                          {severityChip(row.actual)}
+                          {severityChip(row.simulated)}
+                        </Box>
+                      </TableCell>
+                      <TableCell align="right">{alert.value ?? "-"}</TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Backtest {categoryName}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Replays the recorded history of the {categoryName.toLowerCase()} headers through the threshold, frozen and
+          rate rules as currently edited (not yet saved) and compares the result with the alerts that actually fired.
+        </Typography>
+
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 2 }}>
+          <ButtonGroup size="small">
+            {RANGES.map((range) => (
+              <Button
+                key={range.label}
+                variant={span === range.span ? "contained" : "outlined"}
+                onClick={() => setSpan(range.span)}
+              >
+                {range.label}
+              </Button>
+            ))}
+          </ButtonGroup>
+          <Button variant="contained" onClick={handleRun} disabled={running || !categoryKey}>
+            Run Backtest
+          </Button>
+          {running && <CircularProgress size={24} />}
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {result && !running && renderResult()}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BacktestDialog;
@@ -0,0 +1,322 @@
+import React, { useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  IconButton,
+  Divider,
+  Alert,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Paper,
+  Tooltip,
+  Switch,
+  FormControlLabel,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Select,
+  InputAdornment,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import {
+  createCompoundRule,
+  updateCompoundRule,
+  deleteCompoundRule,
+  clearCompoundRulesError,
+} from "../../store/slices/compoundRulesSlice";
+import { COMPARISON_OPERATORS, getDefaultAlias, formatCompoundRule } from "../../utils/compoundRules";
+import { SEVERITY_LEVELS, DEFAULT_SEVERITY } from "../../utils/severity";
+
+const emptyRule = (headers) => ({
+  name: "",
+  headers: headers.slice(0, 2).map((header, index) => ({
+    alias: getDefaultAlias(index),
+    headerId: header.headerId,
+    headerName: header.headerName,
+  })),
+  expression: "A - B",
+  operator: ">",
+  threshold: "",
+  alertDuration: 60,
+  severity: DEFAULT_SEVERITY,
+  isEnabled: true,
+});
+
+/**
+ * Compound rules of one project: expressions over two or more of its monitored headers,
+ * e.g. the casing/tubing differential "A - B > 500".
+ */
+const CompoundRulesPanel = ({ projectId, headers }) => {
+  const dispatch = useDispatch();
+  const { rules, saving, saveError } = useSelector((state) => state.compoundRules);
+  const projectRules = rules.filter((rule) => String(rule.projectId) === String(projectId));
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingRuleId, setEditingRuleId] = useState(null);
+  const [form, setForm] = useState(emptyRule(headers));
+
+  const handleOpen = (rule = null) => {
+    dispatch(clearCompoundRulesError());
+    setEditingRuleId(rule ? rule.id : null);
+    setForm(rule ? { ...rule, headers: rule.headers.map((header) => ({ ...header })) } : emptyRule(headers));
+    setDialogOpen(true);
+  };
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleHeaderChange = (index, field, value) => {
+    setForm((prev) => {
+      const ruleHeaders = prev.headers.map((header, i) => {
+        if (i !== index) return header;
+        if (field === "headerId") {
+          const selected = headers.find((h) => h.headerId === value);
+          return { ...header, headerId: value, headerName: selected?.headerName };
+        }
+        return { ...header, [field]: value };
+      });
+      return { ...prev, headers: ruleHeaders };
+    });
+  };
+
+  const handleAddHeader = () => {
+    setForm((prev) => {
+      const unused = headers.find((header) => !prev.headers.some((h) => h.headerId === header.headerId)) || headers[0];
+      return {
+        ...prev,
+        headers: [
+          ...prev.headers,
+          { alias: getDefaultAlias(prev.headers.length), headerId: unused?.headerId, headerName: unused?.headerName },
+        ],
+      };
+    });
+  };
+
+  const handleRemoveHeader = (index) => {
+    setForm((prev) => ({ ...prev, headers: prev.headers.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    const rule = {
+      ...form,
+      projectId,
+      threshold: form.threshold === "" ? null : Number(form.threshold),
+      alertDuration: form.alertDuration === "" ? null : Number(form.alertDuration),
+    };
+
+    const result = editingRuleId
+      ? await dispatch(updateCompoundRule({ ruleId: editingRuleId, rule }))
+      : await dispatch(createCompoundRule(rule));
+
+    if (!result.error) {
+      setDialogOpen(false);
+    }
+  };
+
+  const handleToggle = (rule) => {
+    dispatch(updateCompoundRule({ ruleId: rule.id, rule: { ...rule, isEnabled: !rule.isEnabled } }));
+  };
+
+  const handleDelete = (rule) => {
+    if (window.confirm(`Delete compound rule "${rule.name}"?`)) {
+      dispatch(deleteCompoundRule(rule.id));
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Divider sx={{ mb: 2 }} />
+      <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 1 }}>
+        <Typography variant="subtitle1">Compound Rules</Typography>
+        <Tooltip title={headers.length < 2 ? "Monitor at least two headers to compare them" : ""}>
+          <span>
+            <Button size="small" startIcon={<AddIcon />} onClick={() => handleOpen()} disabled={headers.length < 2}>
+              Add Rule
+            </Button>
+          </span>
+        </Tooltip>
+      </Box>
+
+      {projectRules.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          No compound rules. Add one to alert on an expression across headers, e.g. a casing/tubing differential.
+        </Typography>
+      )}
+
+      {projectRules.map((rule) => (
+        <Paper
+          key={rule.id}
+          variant="outlined"
+          sx={{ p: 1.5, mb: 1, display: "flex", alignItems: "center", gap: 1, opacity: rule.isEnabled ? 1 : 0.6 }}
+        >
+          <Box sx={{ flexGrow: 1 }}>
+            <Typography variant="body1">{rule.name}</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {formatCompoundRule(rule)} for {rule.alertDuration}s
+            </Typography>
+            <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5, mt: 0.5 }}>
+              {rule.headers.map((header) => (
+                <Chip key={header.alias} size="small" variant="outlined" label={`${header.alias} = ${header.headerName}`} />
+              ))}
+            </Box>
+          </Box>
+          <Chip
+            size="small"
+            label={SEVERITY_LEVELS.find((level) => level.value === rule.severity)?.label || rule.severity}
+            color={SEVERITY_LEVELS.find((level) => level.value === rule.severity)?.color || "default"}
+          />
+          <Tooltip title={rule.isEnabled ? "Disable rule" : "Enable rule"}>
+            <Switch size="small" checked={rule.isEnabled} onChange={() => handleToggle(rule)} />
+          </Tooltip>
+          <IconButton size="small" onClick={() => handleOpen(rule)}>
+            <EditIcon fontSize="small" />
+          </IconButton>
+          <IconButton size="small" color="error" onClick={() => handleDelete(rule)}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Paper>
+      ))}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingRuleId ? "Edit Compound Rule" : "Add Compound Rule"}</DialogTitle>
+        <DialogContent dividers>
+          {saveError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {typeof saveError === "string" ? saveError : JSON.stringify(saveError)}
+            </Alert>
+          )}
+
+          <TextField
+            label="Name"
+            fullWidth
+            margin="normal"
+            value={form.name}
+            onChange={(e) => handleChange("name", e.target.value)}
+            placeholder="Casing - Tubing differential"
+          />
+
+          <Typography variant="subtitle2" sx={{ mt: 2 }}>
+            Headers
+          </Typography>
+          {form.headers.map((header, index) => (
+            <Box key={index} sx={{ display: "flex", gap: 2, alignItems: "center" }}>
+              <TextField
+                label="Alias"
+                margin="normal"
+                sx={{ width: 100 }}
+                value={header.alias}
+                onChange={(e) => handleHeaderChange(index, "alias", e.target.value)}
+              />
+              <FormControl fullWidth margin="normal">
+                <InputLabel id={`compound-header-${index}-label`}>Header</InputLabel>
+                <Select
+                  labelId={`compound-header-${index}-label`}
+                  label="Header"
+                  value={header.headerId || ""}
+                  onChange={(e) => handleHeaderChange(index, "headerId", e.target.value)}
+                >
+                  {headers.map((option) => (
+                    <MenuItem key={option.headerId} value={option.headerId}>
+                      {option.headerName}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <IconButton onClick={() => handleRemoveHeader(index)} disabled={form.headers.length <= 2}>
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))}
+          <Button size="small" startIcon={<AddIcon />} onClick={handleAddHeader}>
+            Add Header
+          </Button>
+
+          <TextField
+            label="Expression"
+            fullWidth
+            margin="normal"
+            value={form.expression}
+            onChange={(e) => handleChange("expression", e.target.value)}
+            helperText="Use the aliases with + - * /, parentheses, abs(), min() and max(), e.g. abs(A - B)"
+          />
+
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <FormControl fullWidth margin="normal">
+              <InputLabel id="compound-operator-label">Alert When</InputLabel>
+              <Select
+                labelId="compound-operator-label"
+                label="Alert When"
+                value={form.operator}
+                onChange={(e) => handleChange("operator", e.target.value)}
+              >
+                {COMPARISON_OPERATORS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              label="Threshold"
+              type="number"
+              fullWidth
+              margin="normal"
+              value={form.threshold ?? ""}
+              onChange={(e) => handleChange("threshold", e.target.value)}
+            />
+          </Box>
+
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              label="Alert Duration"
+              type="number"
+              fullWidth
+              margin="normal"
+              value={form.alertDuration ?? ""}
+              onChange={(e) => handleChange("alertDuration", e.target.value)}
+              InputProps={{ endAdornment: <InputAdornment position="end">sec</InputAdornment> }}
+              helperText="How long the condition must hold before alerting"
+            />
+            <FormControl fullWidth margin="normal">
+              <InputLabel id="compound-severity-label">Severity</InputLabel>
+              <Select
+                labelId="compound-severity-label"
+                label="Severity"
+                value={form.severity}
+                onChange={(e) => handleChange("severity", e.target.value)}
+              >
+                {SEVERITY_LEVELS.map((level) => (
+                  <MenuItem key={level.value} value={level.value}>
+                    {level.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+
+          <FormControlLabel
+            control={<Switch checked={!!form.isEnabled} onChange={(e) => handleChange("isEnabled", e.target.checked)} />}
+            label="Enabled"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default CompoundRulesPanel;
@@ -1,14 +1,26 @@
 import React from 'react';
-import { Bell, AlertCircle, Clock, X, BarChart2 } from 'lucide-react';
+import { useDispatch } from 'react-redux';
+import { Bell, AlertCircle, Clock, X, BarChart2, CheckCircle } from 'lucide-react';
 import { useSettings } from '../../../contexts/SettingsContext.jsx';
 import { format } from 'date-fns';
 import { SNOOZE_DURATIONS } from '../constants';
+import { describeThresholdBreach } from '@shared/thresholdRules';
+import { describeRateBreach } from '@shared/rateRules';
+import { describeForecast } from '../../../utils/forecastRules';
+import { describeAnomaly } from '../../../utils/anomalyRules';
+import { describeCompoundBreach } from '../../../utils/compoundRules';
+import { sortAlertsBySeverity, getAlertSeverity, getSeverityLabel } from '../../../utils/severity';
+import { acknowledgeAlert } from '../../../store/slices/alertsSlice';
+import { getOperatorName, saveOperatorName } from '../../../utils/alertLifecycle';
+import AlertDetailDrawer from '../../Alerts/AlertDetailDrawer';
 
 export default function ActiveAlertPanel({ alerts, onDismiss }) {
+  const dispatch = useDispatch();
   const { snoozeAlert, isAlertSnoozed } = useSettings();
+  const [detailAlertId, setDetailAlertId] = React.useState(null);
   
-  // Filter out snoozed alerts
-  const activeAlerts = alerts.filter(alert => !isAlertSnoozed(alert.id));
+  // Filter out snoozed alerts, most severe first
+  const activeAlerts = sortAlertsBySeverity(alerts.filter(alert => !isAlertSnoozed(alert.id)));
   
   // Don't render if no active alerts
   if (activeAlerts.length === 0) {
@@ -57,17 +69,47 @@ export default function ActiveAlertPanel({ alerts, onDismiss }) {
                 alert={alert} 
                 onDismiss={() => onDismiss(alert.id)}
                 onSnooze={(duration) => snoozeAlert(alert.id, duration)}
+                onAcknowledge={(by, note) => dispatch(acknowledgeAlert({ alertId: alert.id, by, note })).unwrap()}
+                onOpen={() => setDetailAlertId(alert.id)}
               />
             ))}
           </div>
         ))}
       </div>
+
+      <AlertDetailDrawer
+        alertId={detailAlertId}
+        open={Boolean(detailAlertId)}
+        onClose={() => setDetailAlertId(null)}
+      />
     </div>
   );
 }
 
-function AlertCard({ alert, onDismiss, onSnooze }) {
+function AlertCard({ alert, onDismiss, onSnooze, onOpen, onAcknowledge }) {
   const [showSnoozeOptions, setShowSnoozeOptions] = React.useState(false);
+  const [showAcknowledgeForm, setShowAcknowledgeForm] = React.useState(false);
+  const [operatorName, setOperatorName] = React.useState(getOperatorName);
+  const [note, setNote] = React.useState('');
+  const [acknowledgeError, setAcknowledgeError] = React.useState(null);
+  // Shown right away, the alerts passed in only pick up the new state on their next refresh
+  const [acknowledgement, setAcknowledgement] = React.useState(null);
+
+  const acknowledgedBy = acknowledgement?.acknowledgedBy || (alert.state === 'acknowledged' ? alert.acknowledgedBy : null);
+
+  const handleAcknowledge = async () => {
+    const by = operatorName.trim();
+    saveOperatorName(by);
+    setAcknowledgeError(null);
+    try {
+      const result = await onAcknowledge(by, note.trim());
+      setAcknowledgement(result.alert);
+      setShowAcknowledgeForm(false);
+      setNote('');
+    } catch (error) {
+      setAcknowledgeError(error?.error || 'Failed to acknowledge alert');
+    }
+  };
   
   // Format the timestamp
   const formattedTime = alert.timestamp 
@@ -81,9 +123,29 @@ function AlertCard({ alert, onDismiss, onSnooze }) {
   switch (alert.type) {
     case 'threshold':
       alertTitle = 'Threshold Alert';
-      alertContent = `${alert.headerName} is at ${alert.value} (below threshold ${alert.threshold})`;
+      alertContent = `${alert.headerName}: ${describeThresholdBreach(alert)}`;
+      alertColor = 'red';
+      break;
+    case 'rate':
+      alertTitle = 'Rate of Change Alert';
+      alertContent = `${alert.headerName}: ${describeRateBreach(alert)}`;
       alertColor = 'red';
       break;
+    case 'compound':
+      alertTitle = 'Compound Rule Alert';
+      alertContent = `${alert.headerName}: ${describeCompoundBreach(alert)}`;
+      alertColor = alert.severity === 'warning' ? 'yellow' : 'red';
+      break;
+    case 'forecast':
+      alertTitle = 'Forecast Alert';
+      alertContent = `${alert.headerName}: ${describeForecast(alert)}`;
+      alertColor = 'yellow';
+      break;
+    case 'anomaly':
+      alertTitle = 'Anomaly Alert';
+      alertContent = `${alert.headerName}: ${describeAnomaly(alert)}`;
+      alertColor = 'yellow';
+      break;
     case 'frozen':
       alertTitle = 'Frozen Data Alert';
       alertContent = `${alert.headerName} has not changed for ${Math.floor((alert.timestamp - alert.lastChangeTime)/1000)} seconds`;
@@ -99,6 +161,12 @@ function AlertCard({ alert, onDismiss, onSnooze }) {
       alertContent = `Issue with ${alert.headerName}`;
       alertColor = 'gray';
   }
+
+  // Severity decides the colour of monitoring alerts (critical red, warning yellow)
+  if (alert.type !== 'error') {
+    alertTitle = `${getSeverityLabel(alert)} ${alertTitle}`;
+    alertColor = getAlertSeverity(alert) === 'warning' ? 'yellow' : 'red';
+  }
   
   return (
     <div className={`mb-3 p-3 rounded-md border ${
@@ -107,7 +175,7 @@ function AlertCard({ alert, onDismiss, onSnooze }) {
       'bg-gray-50 border-gray-200'
     }`}>
       <div className="flex justify-between items-start">
-        <div className="flex-1 min-w-0">
+        <div className="flex-1 min-w-0 cursor-pointer" onClick={onOpen} title="Show alert details">
           <div className="flex items-center gap-2">
             <span className={`text-xs font-medium px-2.5 py-0.5 rounded-full ${
               alertColor === 'red' ? 'bg-red-100 text-red-800' : 
@@ -119,9 +187,21 @@ function AlertCard({ alert, onDismiss, onSnooze }) {
             <span className="text-gray-500 text-xs">{formattedTime}</span>
           </div>
           <p className="mt-1 text-sm text-gray-800">{alertContent}</p>
+          {acknowledgedBy && (
+            <p className="mt-1 text-xs text-green-700">Acknowledged by {acknowledgedBy}</p>
+          )}
         </div>
         
         <div className="flex items-center gap-1 flex-shrink-0">
+          {!acknowledgedBy && (
+            <button
+              onClick={() => setShowAcknowledgeForm(!showAcknowledgeForm)}
+              className="text-gray-500 hover:text-green-700 p-1.5 rounded hover:bg-gray-100 w-8 h-8 flex items-center justify-center"
+              title="Acknowledge alert"
+            >
+              <CheckCircle className="w-4 h-4 flex-shrink-0" />
+            </button>
+          )}
           <button
             onClick={() => setShowSnoozeOptions(!showSnoozeOptions)}
             className="text-gray-500 hover:text-gray-700 p-1.5 rounded hover:bg-gray-100 w-8 h-8 flex items-center justify-center"
@@ -139,6 +219,36 @@ function AlertCard({ alert, onDismiss, onSnooze }) {
         </div>
       </div>
       
+      {showAcknowledgeForm && (
+        <div className="mt-2 p-2 bg-white rounded-md border border-gray-200 shadow-sm">
+          <div className="text-xs font-medium text-gray-600 mb-1">Acknowledge:</div>
+          <div className="flex flex-col gap-1">
+            <input
+              type="text"
+              value={operatorName}
+              onChange={(event) => setOperatorName(event.target.value)}
+              placeholder="Your name"
+              className="text-xs border border-gray-300 rounded px-2 py-1"
+            />
+            <input
+              type="text"
+              value={note}
+              onChange={(event) => setNote(event.target.value)}
+              placeholder="Note (optional)"
+              className="text-xs border border-gray-300 rounded px-2 py-1"
+            />
+            {acknowledgeError && <div className="text-xs text-red-600">{acknowledgeError}</div>}
+            <button
+              onClick={handleAcknowledge}
+              disabled={!operatorName.trim()}
+              className="self-end text-xs bg-green-600 hover:bg-green-700 disabled:bg-gray-300 text-white px-2 py-1 rounded"
+            >
+              Acknowledge
+            </button>
+          </div>
+        </div>
+      )}
+      
       {showSnoozeOptions && (
         <div className="mt-2 p-2 bg-white rounded-md border border-gray-200 shadow-sm">
           <div className="text-xs font-medium text-gray-600 mb-1">Snooze for:</div>
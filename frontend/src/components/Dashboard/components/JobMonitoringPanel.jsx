@@ -436,7 +436,7 @@ const JobMonitoringPanel = memo(({
                               key={alert.id}
                               title={alert.message || `Value: ${alert.value}, Threshold: ${alert.threshold}`}
                               className={`px-1.5 py-0.5 rounded text-xs ${
-                                alert.type === 'threshold'
+                                alert.type === 'threshold' || alert.type === 'rate'
                                   ? 'bg-red-100 text-red-800'
                                   : alert.type === 'frozen' 
                                   ? 'bg-yellow-100 text-yellow-800'
@@ -1,6 +1,6 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 // import { useSettings } from '../../../../SettingsContext'; // Settings are only used for patterns now
-import { matchPatterns, categorizeHeader } from "../utils/patterns";
+import { classifyHeader } from "@shared/headerClassifier";
 import useApi from "./useApi";
 
 // Debug flag
@@ -72,16 +72,17 @@ export default function useStageData(settings) {
       console.log(`[filterHeaders - Dashboard] Using settings:`, memoizedSettings);
     }
     // Check if we have valid pattern categories to filter with
-    const hasPatternCategories = memoizedSettings?.patternCategories &&
-      memoizedSettings.patternCategories.pressure?.patterns?.length > 0;
+    const categories = Object.entries(memoizedSettings?.patternCategories || {});
+    const hasPatternCategories = categories.some(([, category]) => category?.patterns?.length > 0);
     
     if (DEBUG_MODE) {
       console.log("-------- Header Filtering Debug --------");
       console.log("Pattern categories available:", hasPatternCategories);
       if (hasPatternCategories) {
-        console.log("Pressure patterns:", memoizedSettings.patternCategories.pressure.patterns);
-        console.log("Pressure negative patterns:", memoizedSettings.patternCategories.pressure.negativePatterns);
-        console.log("Battery patterns:", memoizedSettings.patternCategories.battery?.patterns);
+        categories.forEach(([key, category]) => {
+          console.log(`${key} patterns:`, category?.patterns);
+          console.log(`${key} negative patterns:`, category?.negativePatterns);
+        });
       }
       console.log("Headers before filtering:", headers.length);
       console.log("Sample headers:", headers.slice(0, 3).map(h => h.name));
@@ -142,42 +143,13 @@ export default function useStageData(settings) {
         return false;
       }
       
-      // Check pressure category
-      if (memoizedSettings.patternCategories.pressure) {
-        const { patterns, negativePatterns } = memoizedSettings.patternCategories.pressure;
-        
-        // First check negative patterns - if any match, exclude this header
-        if (negativePatterns && negativePatterns.length > 0) {
-          if (negativePatterns.some(pattern => lowerCaseName.includes(pattern.toLowerCase()))) {
-            if (DEBUG_MODE) {
-              console.log(`Header ${header.name} excluded by negative pattern`);
-            }
-            return false;
-          }
-        }
-        
-        // Then check positive patterns - if any match, include this header
-        if (patterns && patterns.length > 0) {
-          if (patterns.some(pattern => lowerCaseName.includes(pattern.toLowerCase()))) {
-            if (DEBUG_MODE) {
-              console.log(`Header ${header.name} included by pressure pattern`);
-            }
-            return true;
-          }
-        }
-      }
-      
-      // Check battery category 
-      if (memoizedSettings.patternCategories.battery) {
-        const { patterns } = memoizedSettings.patternCategories.battery;
-        if (patterns && patterns.length > 0) {
-          if (patterns.some(pattern => lowerCaseName.includes(pattern.toLowerCase()))) {
-            if (DEBUG_MODE) {
-              console.log(`Header ${header.name} included by battery pattern`);
-            }
-            return true;
-          }
+      // Include headers claimed by any category (see the shared classifier for the pattern syntax)
+      const category = classifyHeader(header.name, memoizedSettings.patternCategories);
+      if (category) {
+        if (DEBUG_MODE) {
+          console.log(`Header ${header.name} included by ${category} pattern`);
         }
+        return true;
       }
       
       // If we get here, no patterns matched
@@ -0,0 +1,364 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Box,
+  Typography,
+  Button,
+  ButtonGroup,
+  IconButton,
+  Tooltip,
+  Alert,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+} from "@mui/material";
+import ZoomInIcon from "@mui/icons-material/ZoomIn";
+import ZoomOutIcon from "@mui/icons-material/ZoomOut";
+import ChevronLeftIcon from "@mui/icons-material/ChevronLeft";
+import ChevronRightIcon from "@mui/icons-material/ChevronRight";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Legend,
+  Tooltip as ChartTooltip,
+} from "chart.js";
+import { Line } from "react-chartjs-2";
+import { format } from "date-fns";
+import { fetchHeaderHistory } from "../../api/monitoringApi";
+import { alertWindowsPlugin } from "./chartPlugins";
+import { findBreachWindows, formatThresholdRule, getThresholdLines } from "@shared/thresholdRules";
+
+ChartJS.register(LinearScale, PointElement, LineElement, Filler, Legend, ChartTooltip);
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const RANGES = [
+  { label: "30m", span: 30 * MINUTE },
+  { label: "2h", span: 2 * HOUR },
+  { label: "12h", span: 12 * HOUR },
+  { label: "2d", span: 2 * DAY },
+  { label: "7d", span: 7 * DAY },
+  { label: "30d", span: 30 * DAY },
+];
+const DEFAULT_SPAN = 2 * HOUR;
+const MIN_SPAN = 5 * MINUTE;
+const MAX_SPAN = 90 * DAY;
+
+// Wait for the wheel or drag to settle before asking the backend for the new window
+const REFETCH_DELAY = 300;
+
+// Keep a window inside [now - MAX_SPAN, now] with its span within limits
+const clampView = (from, to) => {
+  const now = Date.now();
+  const span = Math.min(Math.max(to - from, MIN_SPAN), MAX_SPAN);
+  const end = Math.min(Math.max(to, now - MAX_SPAN + span), now);
+  return { from: end - span, to: end };
+};
+
+/**
+ * Full history chart of one header: bucket averages with the min/max range, the threshold line(s)
+ * and the periods the value breached its rule shaded. The mouse wheel zooms around the cursor and
+ * dragging pans; each new window is fetched from the stored history at a matching resolution.
+ */
+const HeaderHistoryDialog = ({ open, onClose, header, rule, alertDuration, activeAlert }) => {
+  const chartRef = useRef(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [view, setView] = useState(() => ({ from: Date.now() - DEFAULT_SPAN, to: Date.now() }));
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const headerId = header?.headerId;
+
+  // Reset to the default window whenever the dialog is opened for a header
+  useEffect(() => {
+    if (open) {
+      const now = Date.now();
+      setView({ from: now - DEFAULT_SPAN, to: now });
+      setHistory(null);
+      setError(null);
+    }
+  }, [open, headerId]);
+
+  useEffect(() => {
+    if (!open || !headerId) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const result = await fetchHeaderHistory({ headerIds: [headerId], from: view.from, to: view.to });
+        if (!cancelled) {
+          setHistory({ resolution: result.resolution, points: result.series[0]?.points || [] });
+          setError(null);
+        }
+      } catch (fetchError) {
+        if (!cancelled) setError(fetchError.response?.data?.error || "Failed to load header history");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, REFETCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [open, headerId, view]);
+
+  const applyView = (from, to) => setView(clampView(from, to));
+
+  // Scale the window by `factor` around `pivot` (the centre by default)
+  const zoom = useCallback((factor, pivot) => {
+    setView((current) => {
+      const center = pivot ?? (current.from + current.to) / 2;
+      return clampView(center - (center - current.from) * factor, center + (current.to - center) * factor);
+    });
+  }, []);
+
+  const pan = (fraction) => {
+    const span = view.to - view.from;
+    applyView(view.from + span * fraction, view.to + span * fraction);
+  };
+
+  // React registers wheel listeners as passive, so zooming needs a native listener to stop the page scrolling
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!open || !container) return undefined;
+
+    const handleWheel = (event) => {
+      const chart = chartRef.current;
+      if (!chart) return;
+      event.preventDefault();
+
+      const rect = chart.canvas.getBoundingClientRect();
+      const pivot = chart.scales.x.getValueForPixel(event.clientX - rect.left);
+      zoom(event.deltaY > 0 ? 1.25 : 0.8, pivot);
+    };
+
+    container.addEventListener("wheel", handleWheel, { passive: false });
+    return () => container.removeEventListener("wheel", handleWheel);
+  }, [open, zoom]);
+
+  const handleMouseDown = (event) => {
+    dragRef.current = { x: event.clientX, from: view.from, to: view.to };
+  };
+
+  const handleMouseMove = (event) => {
+    const drag = dragRef.current;
+    const chart = chartRef.current;
+    if (!drag || !chart?.chartArea) return;
+
+    const msPerPixel = (drag.to - drag.from) / (chart.chartArea.right - chart.chartArea.left);
+    const shift = -(event.clientX - drag.x) * msPerPixel;
+    applyView(drag.from + shift, drag.to + shift);
+  };
+
+  const handleMouseUp = () => {
+    dragRef.current = null;
+  };
+
+  const points = history?.points || [];
+  const span = view.to - view.from;
+  const thresholdLines = rule ? getThresholdLines(rule) : [];
+
+  const alertWindows = rule ? findBreachWindows(points, rule, history?.resolution, alertDuration) : [];
+  const activeAlertStart = activeAlert?.timestamp ? new Date(activeAlert.timestamp).getTime() : null;
+  const shadedWindows = [
+    ...alertWindows,
+    ...(activeAlertStart ? [{ start: activeAlertStart, end: Date.now(), active: true }] : []),
+  ];
+
+  const data = {
+    datasets: [
+      {
+        label: "Min",
+        data: points.map((point) => ({ x: point.time, y: point.min })),
+        borderWidth: 0,
+        pointRadius: 0,
+      },
+      {
+        label: "Max",
+        data: points.map((point) => ({ x: point.time, y: point.max })),
+        borderWidth: 0,
+        pointRadius: 0,
+        backgroundColor: "rgba(25, 118, 210, 0.15)",
+        fill: "-1",
+      },
+      {
+        label: "Average",
+        data: points.map((point) => ({ x: point.time, y: point.avg })),
+        borderColor: "#1976d2",
+        backgroundColor: "#1976d2",
+        borderWidth: 2,
+        pointRadius: points.length > 60 ? 0 : 2,
+        tension: 0.2,
+      },
+      ...thresholdLines.map((value) => ({
+        label: `Threshold ${value}`,
+        data: [
+          { x: view.from, y: value },
+          { x: view.to, y: value },
+        ],
+        borderColor: "#d32f2f",
+        backgroundColor: "#d32f2f",
+        borderWidth: 1.5,
+        borderDash: [6, 4],
+        pointRadius: 0,
+      })),
+    ],
+  };
+
+  const timeFormat = span > DAY ? "MM/dd HH:mm" : span > 10 * MINUTE ? "HH:mm" : "HH:mm:ss";
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: "nearest", axis: "x", intersect: false },
+    plugins: {
+      alertWindows: { windows: shadedWindows },
+      legend: {
+        labels: { filter: (item) => item.text !== "Min" && item.text !== "Max" },
+      },
+      tooltip: {
+        filter: (item) => item.dataset.label === "Average",
+        callbacks: {
+          title: (items) => (items.length ? format(new Date(items[0].parsed.x), "yyyy-MM-dd HH:mm:ss") : ""),
+          label: (item) => {
+            const point = points[item.dataIndex];
+            return point
+              ? `avg ${point.avg.toFixed(2)} (min ${point.min.toFixed(2)}, max ${point.max.toFixed(2)}, last ${Number(
+                  point.last,
+                ).toFixed(2)})`
+              : "";
+          },
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: "linear",
+        min: view.from,
+        max: view.to,
+        ticks: { maxTicksLimit: 8, callback: (value) => format(new Date(value), timeFormat) },
+      },
+      y: { grace: "5%" },
+    },
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>
+        Value History
+        {header && (
+          <Typography variant="subtitle1" color="text.secondary" component="div">
+            {header.headerName}
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 1, mb: 2 }}>
+          <ButtonGroup size="small">
+            {RANGES.map((range) => (
+              <Button
+                key={range.label}
+                variant={Math.abs(span - range.span) < MINUTE ? "contained" : "outlined"}
+                onClick={() => applyView(Date.now() - range.span, Date.now())}
+              >
+                {range.label}
+              </Button>
+            ))}
+          </ButtonGroup>
+          <Tooltip title="Earlier">
+            <IconButton size="small" onClick={() => pan(-0.5)}>
+              <ChevronLeftIcon />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Later">
+            <IconButton size="small" onClick={() => pan(0.5)}>
+              <ChevronRightIcon />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Zoom in">
+            <IconButton size="small" onClick={() => zoom(0.5)}>
+              <ZoomInIcon />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Zoom out">
+            <IconButton size="small" onClick={() => zoom(2)}>
+              <ZoomOutIcon />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Refresh up to now">
+            <IconButton size="small" onClick={() => applyView(Date.now() - span, Date.now())}>
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+          {loading && <CircularProgress size={18} />}
+          <Box sx={{ flexGrow: 1 }} />
+          {rule && <Chip size="small" label={`Threshold ${formatThresholdRule(rule)}`} />}
+          <Chip
+            size="small"
+            color={alertWindows.length > 0 ? "error" : "default"}
+            label={`${alertWindows.length} alert window${alertWindows.length === 1 ? "" : "s"}`}
+          />
+        </Box>
+
+        <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+          {format(new Date(view.from), "yyyy-MM-dd HH:mm")} – {format(new Date(view.to), "yyyy-MM-dd HH:mm")}
+          {history && ` · ${history.resolution}s buckets · ${points.length} points`} · Scroll to zoom, drag to pan
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Box
+          ref={containerRef}
+          sx={{ height: 380, position: "relative", cursor: "grab" }}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseUp}
+        >
+          <Line ref={chartRef} data={data} options={options} plugins={[alertWindowsPlugin]} />
+          {history && points.length === 0 && !loading && (
+            <Box
+              sx={{
+                position: "absolute",
+                inset: 0,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                pointerEvents: "none",
+              }}
+            >
+              <Typography color="text.secondary">No recorded values in this window</Typography>
+            </Box>
+          )}
+        </Box>
+
+        <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+          Shaded: periods the bucket average breached the threshold for at least {alertDuration || 0}s
+          {activeAlertStart && ", darker since the current alert was raised"}.
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default HeaderHistoryDialog;
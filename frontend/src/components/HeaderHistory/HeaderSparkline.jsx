@@ -0,0 +1,71 @@
+import React from "react";
+import { Box, Typography } from "@mui/material";
+import { Chart as ChartJS, LinearScale, PointElement, LineElement } from "chart.js";
+import { Line } from "react-chartjs-2";
+
+ChartJS.register(LinearScale, PointElement, LineElement);
+
+/**
+ * Inline trend of a header's recent values (bucket averages), with the threshold as a dashed line.
+ * Purely presentational: the points come from historySlice.
+ */
+const HeaderSparkline = ({ points, thresholds = [], from, to, alerting = false, height = 40 }) => {
+  if (!points || points.length === 0) {
+    return (
+      <Box sx={{ height, display: "flex", alignItems: "center", justifyContent: "center" }}>
+        <Typography variant="caption" color="text.disabled">
+          No recent history
+        </Typography>
+      </Box>
+    );
+  }
+
+  const data = {
+    datasets: [
+      {
+        data: points.map((point) => ({ x: point.time, y: point.avg })),
+        borderColor: alerting ? "#d32f2f" : "#1976d2",
+        borderWidth: 1.5,
+        pointRadius: 0,
+        tension: 0.2,
+      },
+      ...thresholds.map((threshold) => ({
+        data: [
+          { x: from, y: threshold },
+          { x: to, y: threshold },
+        ],
+        borderColor: "rgba(211, 47, 47, 0.6)",
+        borderWidth: 1,
+        borderDash: [3, 3],
+        pointRadius: 0,
+      })),
+    ],
+  };
+
+  // The value series alone sets the y range (a far-away threshold would flatten the trend),
+  // threshold lines outside of it are clipped
+  const values = points.map((point) => point.avg);
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const padding = (high - low) * 0.1 || Math.abs(high) * 0.05 || 1;
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    events: [],
+    plugins: { legend: { display: false }, tooltip: { enabled: false } },
+    scales: {
+      x: { type: "linear", display: false, min: from, max: to },
+      y: { display: false, min: low - padding, max: high + padding },
+    },
+  };
+
+  return (
+    <Box sx={{ height }}>
+      <Line data={data} options={options} />
+    </Box>
+  );
+};
+
+export default HeaderSparkline;
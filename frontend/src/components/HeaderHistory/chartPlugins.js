@@ -0,0 +1,21 @@
+// Chart.js plugins shared by the header history charts
+
+// Shades alert windows behind the series, windows come from options.plugins.alertWindows.windows
+export const alertWindowsPlugin = {
+  id: "alertWindows",
+  beforeDatasetsDraw(chart, args, options) {
+    const { ctx, chartArea, scales } = chart;
+    if (!chartArea || !options.windows?.length) return;
+
+    ctx.save();
+    options.windows.forEach(({ start, end, active }) => {
+      const left = Math.max(scales.x.getPixelForValue(start), chartArea.left);
+      const right = Math.min(scales.x.getPixelForValue(end), chartArea.right);
+      if (right <= left) return;
+
+      ctx.fillStyle = active ? "rgba(211, 47, 47, 0.22)" : "rgba(211, 47, 47, 0.1)";
+      ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+    });
+    ctx.restore();
+  },
+};
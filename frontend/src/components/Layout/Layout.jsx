@@ -19,6 +19,12 @@ import MenuIcon from '@mui/icons-material/Menu';
 import DashboardIcon from '@mui/icons-material/Dashboard';
 import MonitorHeartIcon from '@mui/icons-material/MonitorHeart';
 import SettingsIcon from '@mui/icons-material/Settings';
+import HistoryIcon from '@mui/icons-material/History';
+import InsightsIcon from '@mui/icons-material/Insights';
+import AssessmentIcon from '@mui/icons-material/Assessment';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import BuildIcon from '@mui/icons-material/Build';
+import SnoozeIcon from '@mui/icons-material/Snooze';
 import NotificationsIcon from '@mui/icons-material/Notifications';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import { useSelector, useDispatch } from 'react-redux';
@@ -94,6 +100,72 @@ const Layout = ({ children }) => {
           </ListItemIcon>
           <ListItemText primary="Monitored Headers" />
         </ListItem>
+        <ListItem 
+          button 
+          component={Link} 
+          to="/history" 
+          selected={location.pathname === '/history'}
+        >
+          <ListItemIcon>
+            <HistoryIcon />
+          </ListItemIcon>
+          <ListItemText primary="Alert History" />
+        </ListItem>
+        <ListItem 
+          button 
+          component={Link} 
+          to="/analytics" 
+          selected={location.pathname === '/analytics'}
+        >
+          <ListItemIcon>
+            <InsightsIcon />
+          </ListItemIcon>
+          <ListItemText primary="Alert Analytics" />
+        </ListItem>
+        <ListItem 
+          button 
+          component={Link} 
+          to="/reports" 
+          selected={location.pathname === '/reports'}
+        >
+          <ListItemIcon>
+            <AssessmentIcon />
+          </ListItemIcon>
+          <ListItemText primary="Stage Reports" />
+        </ListItem>
+        <ListItem 
+          button 
+          component={Link} 
+          to="/shift-reports" 
+          selected={location.pathname === '/shift-reports'}
+        >
+          <ListItemIcon>
+            <SwapHorizIcon />
+          </ListItemIcon>
+          <ListItemText primary="Shift Reports" />
+        </ListItem>
+        <ListItem 
+          button 
+          component={Link} 
+          to="/maintenance" 
+          selected={location.pathname === '/maintenance'}
+        >
+          <ListItemIcon>
+            <BuildIcon />
+          </ListItemIcon>
+          <ListItemText primary="Maintenance" />
+        </ListItem>
+        <ListItem 
+          button 
+          component={Link} 
+          to="/snoozes" 
+          selected={location.pathname === '/snoozes'}
+        >
+          <ListItemIcon>
+            <SnoozeIcon />
+          </ListItemIcon>
+          <ListItemText primary="Snoozes" />
+        </ListItem>
         <ListItem 
           button 
           component={Link} 
@@ -0,0 +1,199 @@
+import React from "react";
+import { useSelector } from "react-redux";
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from "@mui/material";
+import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
+import { getCategoryName } from "../../schemas/settings";
+
+const getStageLabel = (stage) =>
+  [stage.projectName, stage.wellNumber, stage.stageName].filter(Boolean).join(" / ") || `Stage ${stage.stageId}`;
+
+/**
+ * Preview of how candidate pattern categories classify the headers of the active stages,
+ * shown before the categories are saved. The preview itself comes from settingsSlice.
+ */
+const PatternPreviewDialog = ({ open, onClose, onConfirm, patternCategories, savedCategories }) => {
+  const { patternPreview, previewLoading, previewError, loading } = useSelector((state) => state.settings);
+
+  const categoryLabel = (key) => {
+    if (!key) return "Unclassified";
+    return getCategoryName(key, patternCategories?.[key] || savedCategories?.[key]);
+  };
+
+  const renderCategoryChip = (key, variant = "filled") => (
+    <Chip size="small" variant={variant} color={key ? "primary" : "default"} label={categoryLabel(key)} />
+  );
+
+  const renderChanges = () => {
+    const { changes } = patternPreview;
+    if (changes.length === 0) {
+      return <Alert severity="success">No header changes category compared with the saved settings.</Alert>;
+    }
+
+    return (
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Stage</TableCell>
+            <TableCell>Header</TableCell>
+            <TableCell>Saved</TableCell>
+            <TableCell>Candidate</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {changes.map((change) => (
+            <TableRow key={`${change.stageId}-${change.headerId}`}>
+              <TableCell>{getStageLabel(change)}</TableCell>
+              <TableCell>{change.headerName}</TableCell>
+              <TableCell>{renderCategoryChip(change.from, "outlined")}</TableCell>
+              <TableCell>{renderCategoryChip(change.to)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    );
+  };
+
+  const renderStage = (stage) => (
+    <Accordion key={stage.stageId} disableGutters>
+      <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, width: "100%" }}>
+          <Typography sx={{ flexGrow: 1 }}>{getStageLabel(stage)}</Typography>
+          {stage.error ? (
+            <Chip size="small" color="error" label="Headers unavailable" />
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              {stage.totalHeaders - stage.unclassifiedCount} of {stage.totalHeaders} headers classified
+            </Typography>
+          )}
+        </Box>
+      </AccordionSummary>
+      <AccordionDetails>
+        {stage.error && <Alert severity="error">{stage.error}</Alert>}
+        {!stage.error && stage.headers.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No header of this stage matches a category.
+          </Typography>
+        )}
+        {stage.headers.length > 0 && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Header</TableCell>
+                <TableCell>Category</TableCell>
+                <TableCell>Matched By</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {stage.headers.map((header) => (
+                <TableRow key={header.headerId} selected={header.changed}>
+                  <TableCell>{header.headerName}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+                      {renderCategoryChip(header.category)}
+                      {header.changed && (
+                        <Typography variant="caption" color="text.secondary">
+                          was {categoryLabel(header.previousCategory)}
+                        </Typography>
+                      )}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    {header.pattern && <code>{header.pattern}</code>}
+                    {header.excludedBy && (
+                      <Typography variant="caption" color="text.secondary">
+                        excluded by <code>{header.excludedBy}</code>
+                      </Typography>
+                    )}
+                    {header.overlaps.length > 0 && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        also matches {header.overlaps.map(categoryLabel).join(", ")}
+                      </Typography>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </AccordionDetails>
+    </Accordion>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Preview Pattern Changes</DialogTitle>
+      <DialogContent dividers>
+        {previewLoading && (
+          <Box sx={{ display: "flex", alignItems: "center", gap: 2, py: 3 }}>
+            <CircularProgress size={24} />
+            <Typography>Classifying the headers of the active stages...</Typography>
+          </Box>
+        )}
+
+        {previewError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {previewError.error || (typeof previewError === "string" ? previewError : JSON.stringify(previewError))}
+          </Alert>
+        )}
+
+        {!previewLoading && patternPreview && (
+          <>
+            <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
+              <Chip label={`${patternPreview.summary.stageCount} active stages`} />
+              <Chip label={`${patternPreview.summary.classifiedCount} headers classified`} />
+              <Chip
+                color={patternPreview.summary.changedCount > 0 ? "warning" : "default"}
+                label={`${patternPreview.summary.changedCount} changed`}
+              />
+              {Object.entries(patternPreview.summary.categoryCounts).map(([key, count]) => (
+                <Chip key={key} variant="outlined" label={`${categoryLabel(key)}: ${count}`} />
+              ))}
+            </Box>
+
+            <Typography variant="subtitle1" gutterBottom>
+              Changes Compared With Saved Settings
+            </Typography>
+            {renderChanges()}
+
+            <Typography variant="subtitle1" sx={{ mt: 3 }} gutterBottom>
+              Stages
+            </Typography>
+            {patternPreview.stages.length === 0 && (
+              <Typography variant="body2" color="text.secondary">
+                No active stages to preview against.
+              </Typography>
+            )}
+            {patternPreview.stages.map(renderStage)}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={onConfirm} disabled={previewLoading || loading}>
+          Save Patterns
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PatternPreviewDialog;
@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  ButtonGroup,
+  TextField,
+  Alert,
+  Chip,
+  CircularProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from "@mui/material";
+import { fetchHeaderRecommendations, fetchCategoryRecommendations } from "../../api/monitoringApi";
+
+const DAY_OPTIONS = [7, 30, 90];
+const DEFAULT_DAYS = 30;
+
+const SOURCE_LABELS = { current: "Current", requested: "Compared" };
+
+const formatValue = (value) => (value === null || value === undefined ? "-" : String(Number(value.toFixed(2))));
+
+// e.g. "2h 5m", "12m", "45s"
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+};
+
+const formatRule = (entry, unit) => {
+  const suffix = unit ? ` ${unit}` : "";
+  return entry.threshold !== null && entry.threshold !== undefined
+    ? `${formatValue(entry.threshold)}${suffix}`
+    : `${formatValue(entry.thresholdMin)}-${formatValue(entry.thresholdMax)}${suffix}`;
+};
+
+// The values of a sweep entry or suggestion that a form takes over
+const ruleValues = (entry) =>
+  entry.threshold !== null && entry.threshold !== undefined
+    ? { threshold: entry.threshold }
+    : { thresholdMin: entry.thresholdMin, thresholdMax: entry.thresholdMax };
+
+/**
+ * Suggested threshold, alert duration and frozen threshold for a header or a category, derived from
+ * recorded history, with the alerts each candidate threshold would have raised. Applying a suggestion
+ * only fills in the caller's form through onApply; it is saved the way the form normally is.
+ */
+const ThresholdRecommendations = ({ scope, target, direction, alertDuration, unit, onApply }) => {
+  const [days, setDays] = useState(DEFAULT_DAYS);
+  const [candidatesInput, setCandidatesInput] = useState("");
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+  }, [scope, target]);
+
+  const handleAnalyse = async () => {
+    setLoading(true);
+    try {
+      const params = {
+        days,
+        direction,
+        alertDuration: alertDuration === "" ? undefined : alertDuration,
+        candidates: candidatesInput
+          .split(",")
+          .map((value) => value.trim())
+          .filter((value) => value !== "" && !isNaN(Number(value)))
+          .map(Number),
+      };
+      const data =
+        scope === "header"
+          ? await fetchHeaderRecommendations(target, params)
+          : await fetchCategoryRecommendations(target, params);
+      setResult(data);
+      setError(null);
+    } catch (fetchError) {
+      setError(fetchError.response?.data?.error || "Failed to analyse history");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderResult = () => {
+    const { recommendation, sweep, coverage, percentiles } = result;
+    const resultUnit = unit ?? result.unit;
+
+    if (!recommendation) {
+      return <Alert severity="info">No history was recorded in the last {result.days} days.</Alert>;
+    }
+
+    const current = sweep.find((entry) => entry.sources.includes("current"));
+    const suggested = sweep.find((entry) => entry.sources.includes(recommendation.percentile));
+    const compared = [current, suggested, ...sweep.filter((entry) => entry.sources.includes("requested"))].filter(
+      (entry, index, list) => entry && list.indexOf(entry) === index
+    );
+
+    return (
+      <>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {coverage.headers} header{coverage.headers === 1 ? "" : "s"}, {coverage.rawSamples} samples
+          {coverage.rollupBuckets > 0 && ` and ${coverage.rollupBuckets} rollup buckets`}. Alerts are counted with an
+          alert duration of {result.current.alertDuration}s.
+        </Typography>
+        <Typography variant="body1" gutterBottom>
+          Based on {result.days} days,{" "}
+          {compared
+            .map((entry) => `${formatRule(entry, resultUnit)} would have produced ${entry.alerts} alerts`)
+            .join(" and ")}
+          .
+        </Typography>
+        {result.truncated && (
+          <Alert severity="warning" sx={{ mb: 1 }}>
+            The category has too many headers, only part of them was analysed.
+          </Alert>
+        )}
+
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5, my: 1 }}>
+          {Object.entries(percentiles).map(([key, value]) => (
+            <Chip key={key} size="small" variant="outlined" label={`${key}: ${formatValue(value)}`} />
+          ))}
+        </Box>
+
+        <Paper variant="outlined" sx={{ p: 1.5, my: 1, display: "flex", alignItems: "center", gap: 2 }}>
+          <Box sx={{ flexGrow: 1 }}>
+            <Typography variant="subtitle2">Suggested</Typography>
+            <Typography variant="body2">
+              Threshold {formatRule(recommendation, resultUnit)} ({recommendation.percentile}), alert duration{" "}
+              {recommendation.alertDuration}s ({recommendation.alerts} alerts)
+              {recommendation.frozenThreshold !== null
+                ? `, frozen threshold ${recommendation.frozenThreshold}s`
+                : ", not enough samples to suggest a frozen threshold"}
+            </Typography>
+          </Box>
+          <Button
+            variant="contained"
+            size="small"
+            onClick={() =>
+              onApply({
+                ...ruleValues(recommendation),
+                alertDuration: recommendation.alertDuration,
+                ...(recommendation.frozenThreshold !== null && { frozenThreshold: recommendation.frozenThreshold }),
+              })
+            }
+          >
+            Apply
+          </Button>
+        </Paper>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Threshold</TableCell>
+              <TableCell>Source</TableCell>
+              <TableCell align="right">Breaches</TableCell>
+              <TableCell align="right">Alerts</TableCell>
+              <TableCell align="right">Time in Breach</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {sweep.map((entry) => (
+              <TableRow key={formatRule(entry)} selected={entry === suggested}>
+                <TableCell>{formatRule(entry, resultUnit)}</TableCell>
+                <TableCell>{entry.sources.map((source) => SOURCE_LABELS[source] || source).join(", ")}</TableCell>
+                <TableCell align="right">{entry.breaches}</TableCell>
+                <TableCell align="right">{entry.alerts}</TableCell>
+                <TableCell align="right">{formatDuration(entry.breachTime)}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" onClick={() => onApply(ruleValues(entry))}>
+                    Use
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </>
+    );
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 1, mb: 2 }}>
+        <ButtonGroup size="small">
+          {DAY_OPTIONS.map((option) => (
+            <Button key={option} variant={days === option ? "contained" : "outlined"} onClick={() => setDays(option)}>
+              {option}d
+            </Button>
+          ))}
+        </ButtonGroup>
+        {direction !== "band" && (
+          <TextField
+            size="small"
+            label="Compare thresholds"
+            placeholder="e.g. 20, 35, 50"
+            value={candidatesInput}
+            onChange={(e) => setCandidatesInput(e.target.value)}
+            sx={{ width: 180 }}
+          />
+        )}
+        <Button variant="outlined" onClick={handleAnalyse} disabled={loading || !target}>
+          Analyse History
+        </Button>
+        {loading && <CircularProgress size={24} />}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {result && !loading && renderResult()}
+    </Box>
+  );
+};
+
+export default ThresholdRecommendations;
@@ -1 +1,4 @@
 export const INTERVAL_TO_REFETCH_ACTIVE_STAGES = 10000; // 10 seconds
+export const SPARKLINE_WINDOW = 30 * 60 * 1000; // 30 minutes shown on header card sparklines
+export const INTERVAL_TO_REFETCH_SPARKLINES = 60000; // 1 minute
+export const HISTORY_HEADERS_PER_REQUEST = 20; // Most headers the history API returns at once
@@ -0,0 +1,368 @@
+import React, { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Alert,
+  LinearProgress,
+} from "@mui/material";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  ArcElement,
+  Legend,
+  Tooltip as ChartTooltip,
+} from "chart.js";
+import { Bar, Doughnut } from "react-chartjs-2";
+import { format } from "date-fns";
+import { fetchSettings } from "../store/slices/settingsSlice";
+import { fetchAlertAnalytics } from "../api/monitoringApi";
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, ArcElement, Legend, ChartTooltip);
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+
+const RANGES = [
+  { value: "1d", label: "24 hours", span: DAY },
+  { value: "7d", label: "7 days", span: 7 * DAY },
+  { value: "30d", label: "30 days", span: 30 * DAY },
+  { value: "90d", label: "90 days", span: 90 * DAY },
+];
+
+const TYPE_COLORS = {
+  threshold: "#d32f2f",
+  frozen: "#0288d1",
+  rate: "#7b1fa2",
+  compound: "#f57c00",
+  forecast: "#fbc02d",
+  anomaly: "#00796b",
+  error: "#616161",
+};
+const PALETTE = ["#1976d2", "#2e7d32", "#ed6c02", "#9c27b0", "#d32f2f", "#0097a7", "#5d4037", "#c2185b", "#689f38"];
+
+const BUCKET_FORMATS = { hour: "MM/dd HH:mm", day: "MM/dd", week: "'Week of' MM/dd" };
+
+// e.g. "2h 5m", "12m", "45s"; null when nothing was acknowledged or resolved
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return "-";
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+};
+
+const StatCard = ({ label, value, caption }) => (
+  <Paper sx={{ p: 2, height: "100%" }}>
+    <Typography variant="body2" color="text.secondary">
+      {label}
+    </Typography>
+    <Typography variant="h4">{value}</Typography>
+    {caption && (
+      <Typography variant="caption" color="text.secondary">
+        {caption}
+      </Typography>
+    )}
+  </Paper>
+);
+
+/**
+ * Alert volume, noisiest headers, response times and how alerts were handled, over a selectable range
+ */
+const AlertAnalytics = () => {
+  const dispatch = useDispatch();
+  const patternCategories = useSelector((state) => state.settings.settings?.patternCategories || {});
+  const [range, setRange] = useState("30d");
+  const [groupBy, setGroupBy] = useState("type");
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    dispatch(fetchSettings());
+  }, [dispatch]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const to = Date.now();
+        const span = RANGES.find((option) => option.value === range).span;
+        const data = await fetchAlertAnalytics({ from: to - span, to });
+        if (!cancelled) {
+          setAnalytics(data);
+          setError(null);
+        }
+      } catch (fetchError) {
+        if (!cancelled) setError(fetchError.response?.data?.error || "Failed to load alert analytics");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range, reloadCount]);
+
+  const seriesLabel = (key) => {
+    if (groupBy === "type") return key.charAt(0).toUpperCase() + key.slice(1);
+    return patternCategories[key]?.name || (key === "uncategorized" ? "Uncategorized" : key);
+  };
+
+  const renderVolumeChart = () => {
+    const series = groupBy === "type" ? analytics.volume.byType : analytics.volume.byCategory;
+    if (series.length === 0) {
+      return (
+        <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: "center" }}>
+          No alerts were raised in this range.
+        </Typography>
+      );
+    }
+
+    const data = {
+      labels: analytics.buckets.map((bucket) => format(new Date(bucket), BUCKET_FORMATS[analytics.interval])),
+      datasets: series.map((item, index) => ({
+        label: seriesLabel(item.key),
+        data: item.counts,
+        backgroundColor: (groupBy === "type" && TYPE_COLORS[item.key]) || PALETTE[index % PALETTE.length],
+      })),
+    };
+    const options = {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: { legend: { labels: { boxWidth: 12 } } },
+      scales: {
+        x: { stacked: true, ticks: { maxTicksLimit: 12 } },
+        y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } },
+      },
+    };
+
+    return (
+      <Box sx={{ height: 280 }}>
+        <Bar data={data} options={options} />
+      </Box>
+    );
+  };
+
+  const renderHandlingChart = () => {
+    const { handling } = analytics;
+    if (handling.total === 0) {
+      return (
+        <Typography variant="body2" color="text.secondary">
+          No alerts were raised in this range.
+        </Typography>
+      );
+    }
+
+    const data = {
+      labels: ["Acted on", "Only snoozed", "Unattended"],
+      datasets: [
+        {
+          data: [handling.actedOn, handling.snoozedOnly, handling.unattended],
+          backgroundColor: ["#2e7d32", "#ed6c02", "#9e9e9e"],
+        },
+      ],
+    };
+    return (
+      <Box sx={{ height: 220 }}>
+        <Doughnut
+          data={data}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: { legend: { position: "bottom" } },
+          }}
+        />
+      </Box>
+    );
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Typography variant="h4" component="h1">
+          Alert Analytics
+        </Typography>
+        <Box sx={{ display: "flex", gap: 1 }}>
+          <ToggleButtonGroup size="small" exclusive value={range} onChange={(event, value) => value && setRange(value)}>
+            {RANGES.map((option) => (
+              <ToggleButton key={option.value} value={option.value}>
+                {option.label}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={() => setReloadCount((count) => count + 1)}>
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {analytics && (
+        <Grid container spacing={2}>
+          <Grid item xs={6} md={3}>
+            <StatCard label="Alerts raised" value={analytics.handling.total} />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <StatCard
+              label="Acted on"
+              value={`${analytics.handling.actedOnPercent}%`}
+              caption={`${analytics.handling.actedOn} acknowledged, resolved or closed by an operator`}
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <StatCard
+              label="Snoozed"
+              value={`${analytics.handling.snoozedPercent}%`}
+              caption={`${analytics.handling.snoozed} snoozed, ${analytics.handling.snoozedOnly} of them never acted on`}
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <StatCard label="Unattended" value={analytics.handling.unattended} caption="Neither snoozed nor acted on" />
+          </Grid>
+
+          <Grid item xs={12}>
+            <Paper sx={{ p: 2 }}>
+              <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mb: 1 }}>
+                <Typography variant="h6">Alert Volume</Typography>
+                <ToggleButtonGroup
+                  size="small"
+                  exclusive
+                  value={groupBy}
+                  onChange={(event, value) => value && setGroupBy(value)}
+                >
+                  <ToggleButton value="type">By type</ToggleButton>
+                  <ToggleButton value="category">By category</ToggleButton>
+                </ToggleButtonGroup>
+              </Box>
+              {renderVolumeChart()}
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12} md={8}>
+            <Paper sx={{ p: 2, height: "100%" }}>
+              <Typography variant="h6" gutterBottom>
+                Noisiest Headers
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Header</TableCell>
+                      <TableCell>Project</TableCell>
+                      <TableCell>Category</TableCell>
+                      <TableCell align="right">Alerts</TableCell>
+                      <TableCell align="right">Critical</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {analytics.topHeaders.length === 0 && (
+                      <TableRow>
+                        <TableCell colSpan={5} align="center" sx={{ color: "text.secondary" }}>
+                          No alerts were raised in this range
+                        </TableCell>
+                      </TableRow>
+                    )}
+                    {analytics.topHeaders.map((header) => (
+                      <TableRow key={`${header.projectId}-${header.headerId}`}>
+                        <TableCell>{header.headerName}</TableCell>
+                        <TableCell>{header.projectName || header.projectId}</TableCell>
+                        <TableCell>
+                          {patternCategories[header.category]?.name ||
+                            (header.category === "uncategorized" ? "-" : header.category)}
+                        </TableCell>
+                        <TableCell align="right">{header.count}</TableCell>
+                        <TableCell align="right">{header.criticalCount}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12} md={4}>
+            <Paper sx={{ p: 2, height: "100%" }}>
+              <Typography variant="h6" gutterBottom>
+                How Alerts Were Handled
+              </Typography>
+              {renderHandlingChart()}
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12}>
+            <Paper sx={{ p: 2 }}>
+              <Typography variant="h6" gutterBottom>
+                Response Times
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Company</TableCell>
+                      <TableCell>Project</TableCell>
+                      <TableCell align="right">Alerts</TableCell>
+                      <TableCell align="right">Acknowledged</TableCell>
+                      <TableCell align="right">Mean time to acknowledge</TableCell>
+                      <TableCell align="right">Resolved</TableCell>
+                      <TableCell align="right">Mean time to resolve</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {analytics.responseTimes.length === 0 && (
+                      <TableRow>
+                        <TableCell colSpan={7} align="center" sx={{ color: "text.secondary" }}>
+                          No alerts were raised in this range
+                        </TableCell>
+                      </TableRow>
+                    )}
+                    {analytics.responseTimes.map((row) => (
+                      <TableRow key={`${row.companyId}-${row.projectId}`}>
+                        <TableCell>{row.companyName || row.companyId || "Unknown"}</TableCell>
+                        <TableCell>{row.projectName || row.projectId || "Unknown"}</TableCell>
+                        <TableCell align="right">{row.count}</TableCell>
+                        <TableCell align="right">{row.acknowledgedCount}</TableCell>
+                        <TableCell align="right">{formatDuration(row.meanTimeToAcknowledge)}</TableCell>
+                        <TableCell align="right">{row.resolvedCount}</TableCell>
+                        <TableCell align="right">{formatDuration(row.meanTimeToResolve)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Paper>
+          </Grid>
+        </Grid>
+      )}
+    </Box>
+  );
+};
+
+export default AlertAnalytics;
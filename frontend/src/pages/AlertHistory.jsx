@@ -0,0 +1,439 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  ListItemText,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TablePagination,
+  Chip,
+  Alert,
+  LinearProgress,
+} from "@mui/material";
+import DownloadIcon from "@mui/icons-material/Download";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import { format } from "date-fns";
+import { fetchSettings } from "../store/slices/settingsSlice";
+import { fetchAlertHistory, fetchAlertHistoryFilters, getAlertHistoryExportUrl } from "../api/monitoringApi";
+import { ALERT_STATES, getAlertStateOption } from "../utils/alertLifecycle";
+import { SEVERITY_LEVELS, getSeverityColor, getSeverityLabel } from "../utils/severity";
+import AlertDetailDrawer from "../components/Alerts/AlertDetailDrawer";
+
+const ALERT_TYPES = ["threshold", "frozen", "rate", "compound", "forecast", "anomaly", "error"];
+
+const EMPTY_FILTERS = {
+  companyId: "",
+  projectId: "",
+  stageId: "",
+  header: "",
+  category: "",
+  types: [],
+  severities: [],
+  states: [],
+  from: "",
+  to: "",
+};
+
+// Filter values typed into the page, turned into the query parameters of the history API
+const toQuery = (filters) => {
+  const query = {
+    companyId: filters.companyId,
+    projectId: filters.projectId,
+    stageId: filters.stageId,
+    header: filters.header.trim(),
+    category: filters.category,
+    type: filters.types.join(","),
+    severity: filters.severities.join(","),
+    state: filters.states.join(","),
+    from: filters.from ? new Date(filters.from).getTime() : "",
+    to: filters.to ? new Date(filters.to).getTime() : "",
+  };
+  return Object.fromEntries(Object.entries(query).filter(([, value]) => value !== ""));
+};
+
+const formatTime = (time) => (time ? format(new Date(time), "MM/dd/yyyy, h:mm a") : "-");
+
+// Who handled the alert, the most final transition first
+const describeHandling = (alert) => {
+  if (alert.resolution === "auto") return "Recovered";
+  if (alert.resolvedBy) return `Resolved by ${alert.resolvedBy}`;
+  if (alert.closedBy) return `Closed by ${alert.closedBy}`;
+  if (alert.acknowledgedBy) return `Acknowledged by ${alert.acknowledgedBy}`;
+  return "-";
+};
+
+const MultiSelect = ({ label, value, options, onChange }) => (
+  <FormControl fullWidth size="small">
+    <InputLabel>{label}</InputLabel>
+    <Select
+      multiple
+      value={value}
+      label={label}
+      onChange={(event) => onChange(event.target.value)}
+      renderValue={(selected) =>
+        selected.map((item) => options.find((option) => option.value === item)?.label || item).join(", ")
+      }
+    >
+      {options.map((option) => (
+        <MenuItem key={option.value} value={option.value}>
+          <Checkbox size="small" checked={value.includes(option.value)} />
+          <ListItemText primary={option.label} />
+        </MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+/**
+ * Search over past and current alerts with filters, pagination and CSV export
+ */
+const AlertHistory = () => {
+  const dispatch = useDispatch();
+  const patternCategories = useSelector((state) => state.settings.settings?.patternCategories || {});
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [filterOptions, setFilterOptions] = useState({ projects: [], stages: [], types: [] });
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(50);
+  const [result, setResult] = useState({ alerts: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [detailAlertId, setDetailAlertId] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchSettings());
+    fetchAlertHistoryFilters()
+      .then(setFilterOptions)
+      .catch(() => setFilterOptions({ projects: [], stages: [], types: [] }));
+  }, [dispatch]);
+
+  const query = useMemo(() => toQuery(filters), [filters]);
+  const queryKey = JSON.stringify(query);
+
+  // Debounced so typing a header name does not fire a request per key
+  useEffect(() => {
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const data = await fetchAlertHistory(JSON.parse(queryKey), { page: page + 1, pageSize });
+        if (!cancelled) {
+          setResult(data);
+          setError(null);
+        }
+      } catch (fetchError) {
+        if (!cancelled) setError(fetchError.response?.data?.error || "Failed to load alert history");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [queryKey, page, pageSize, reloadCount]);
+
+  const updateFilter = (name, value) => {
+    setFilters((current) => {
+      const next = { ...current, [name]: value };
+      // A narrower selection no longer applies once the wider one changes
+      if (name === "companyId") {
+        next.projectId = "";
+        next.stageId = "";
+      }
+      if (name === "projectId") next.stageId = "";
+      return next;
+    });
+    setPage(0);
+  };
+
+  const companies = [
+    ...new Map(
+      filterOptions.projects
+        .filter((project) => project.companyId)
+        .map((project) => [String(project.companyId), project.companyName || `Company ${project.companyId}`])
+    ),
+  ];
+  const projects = filterOptions.projects.filter(
+    (project) => !filters.companyId || String(project.companyId) === filters.companyId
+  );
+  const stages = filterOptions.stages.filter(
+    (stage) => !filters.projectId || String(stage.projectId) === filters.projectId
+  );
+  const typeOptions = [...new Set([...ALERT_TYPES, ...filterOptions.types])].map((type) => ({
+    value: type,
+    label: type.charAt(0).toUpperCase() + type.slice(1),
+  }));
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Typography variant="h4" component="h1">
+          Alert History
+        </Typography>
+        <Box sx={{ display: "flex", gap: 1 }}>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={() => setReloadCount((count) => count + 1)}>
+            Refresh
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<DownloadIcon />}
+            href={getAlertHistoryExportUrl(query)}
+            disabled={result.total === 0}
+          >
+            Export CSV
+          </Button>
+        </Box>
+      </Box>
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Company</InputLabel>
+              <Select
+                value={filters.companyId}
+                label="Company"
+                onChange={(event) => updateFilter("companyId", event.target.value)}
+              >
+                <MenuItem value="">All companies</MenuItem>
+                {companies.map(([companyId, companyName]) => (
+                  <MenuItem key={companyId} value={companyId}>
+                    {companyName}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Project</InputLabel>
+              <Select
+                value={filters.projectId}
+                label="Project"
+                onChange={(event) => updateFilter("projectId", event.target.value)}
+              >
+                <MenuItem value="">All projects</MenuItem>
+                {projects.map((project) => (
+                  <MenuItem key={project.projectId} value={String(project.projectId)}>
+                    {project.projectName || `Project ${project.projectId}`}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Stage</InputLabel>
+              <Select
+                value={filters.stageId}
+                label="Stage"
+                onChange={(event) => updateFilter("stageId", event.target.value)}
+              >
+                <MenuItem value="">All stages</MenuItem>
+                {stages.map((stage) => (
+                  <MenuItem key={`${stage.projectId}-${stage.stageId}`} value={String(stage.stageId)}>
+                    {stage.stageId}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              label="Header"
+              placeholder="Name or ID"
+              size="small"
+              fullWidth
+              value={filters.header}
+              onChange={(event) => updateFilter("header", event.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Category</InputLabel>
+              <Select
+                value={filters.category}
+                label="Category"
+                onChange={(event) => updateFilter("category", event.target.value)}
+              >
+                <MenuItem value="">All categories</MenuItem>
+                {Object.entries(patternCategories).map(([key, category]) => (
+                  <MenuItem key={key} value={key}>
+                    {category.name || key}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <MultiSelect
+              label="Type"
+              value={filters.types}
+              options={typeOptions}
+              onChange={(value) => updateFilter("types", value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <MultiSelect
+              label="Severity"
+              value={filters.severities}
+              options={SEVERITY_LEVELS}
+              onChange={(value) => updateFilter("severities", value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <MultiSelect
+              label="State"
+              value={filters.states}
+              options={ALERT_STATES}
+              onChange={(value) => updateFilter("states", value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              label="Raised from"
+              type="datetime-local"
+              size="small"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={filters.from}
+              onChange={(event) => updateFilter("from", event.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
+            <TextField
+              label="Raised to"
+              type="datetime-local"
+              size="small"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={filters.to}
+              onChange={(event) => updateFilter("to", event.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} md={6} sx={{ display: "flex", alignItems: "center", justifyContent: "flex-end" }}>
+            <Button
+              onClick={() => {
+                setFilters(EMPTY_FILTERS);
+                setPage(0);
+              }}
+            >
+              Clear Filters
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper>
+        {loading && <LinearProgress />}
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Raised</TableCell>
+                <TableCell>Header</TableCell>
+                <TableCell>Project</TableCell>
+                <TableCell>Stage</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Severity</TableCell>
+                <TableCell>State</TableCell>
+                <TableCell>Handled</TableCell>
+                <TableCell align="right">Snoozes</TableCell>
+                <TableCell align="right">Notifications</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {result.alerts.length === 0 && !loading && (
+                <TableRow>
+                  <TableCell colSpan={10} align="center" sx={{ py: 4, color: "text.secondary" }}>
+                    No alerts match these filters
+                  </TableCell>
+                </TableRow>
+              )}
+              {result.alerts.map((alert) => {
+                const stateOption = getAlertStateOption(alert);
+                return (
+                  <TableRow key={alert.id} hover sx={{ cursor: "pointer" }} onClick={() => setDetailAlertId(alert.id)}>
+                    <TableCell sx={{ whiteSpace: "nowrap" }}>{formatTime(alert.raisedAt)}</TableCell>
+                    <TableCell>{alert.header_name}</TableCell>
+                    <TableCell>
+                      {alert.projectName || alert.project_id}
+                      {alert.companyName && (
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {alert.companyName}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{alert.stage_id || "-"}</TableCell>
+                    <TableCell sx={{ textTransform: "capitalize" }}>{alert.type}</TableCell>
+                    <TableCell>
+                      <Chip label={getSeverityLabel(alert)} color={getSeverityColor(alert)} size="small" />
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={stateOption.label} color={stateOption.color} size="small" variant="outlined" />
+                    </TableCell>
+                    <TableCell>{describeHandling(alert)}</TableCell>
+                    <TableCell align="right">{alert.snoozeCount}</TableCell>
+                    <TableCell align="right">
+                      {alert.notificationCount}
+                      {alert.failedNotificationCount > 0 && (
+                        <Typography component="span" variant="body2" color="error.main">
+                          {` (${alert.failedNotificationCount} failed)`}
+                        </Typography>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={result.total}
+          page={page}
+          rowsPerPage={pageSize}
+          rowsPerPageOptions={[25, 50, 100, 250]}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(event) => {
+            setPageSize(parseInt(event.target.value, 10));
+            setPage(0);
+          }}
+        />
+      </Paper>
+
+      <AlertDetailDrawer
+        alertId={detailAlertId}
+        open={Boolean(detailAlertId)}
+        onClose={() => {
+          setDetailAlertId(null);
+          setReloadCount((count) => count + 1);
+        }}
+      />
+    </Box>
+  );
+};
+
+export default AlertHistory;
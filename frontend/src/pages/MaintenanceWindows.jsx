@@ -0,0 +1,380 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  IconButton,
+  Tooltip,
+  Chip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Alert,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import { format } from "date-fns";
+import {
+  fetchMaintenanceWindows,
+  fetchMaintenanceScopes,
+  createMaintenanceWindow,
+  updateMaintenanceWindow,
+  deleteMaintenanceWindow,
+} from "../api/monitoringApi";
+import {
+  MAINTENANCE_SCOPES,
+  MAINTENANCE_RECURRENCES,
+  formatMaintenanceScope,
+  formatMaintenanceSchedule,
+} from "../utils/maintenanceWindows";
+
+const HOUR = 3600 * 1000;
+
+const formatTime = (time) => (time ? format(new Date(time), "MM/dd/yyyy HH:mm") : "-");
+
+// datetime-local inputs work in local time without seconds
+const toInputValue = (time) => (time ? format(new Date(time), "yyyy-MM-dd'T'HH:mm") : "");
+const fromInputValue = (value) => (value ? new Date(value).getTime() : null);
+
+const emptyWindow = () => {
+  const start = Math.ceil(Date.now() / 60000) * 60000;
+  return {
+    name: "",
+    scope: "project",
+    scopeId: "",
+    startsAt: start,
+    endsAt: start + 2 * HOUR,
+    recurrence: "none",
+    repeatUntil: null,
+    createdBy: "",
+  };
+};
+
+// Selectable targets of a scope as { id, label }
+const getScopeTargets = (scopes, scope) => {
+  switch (scope) {
+    case "company":
+      return (scopes.companies || []).map((company) => ({ id: company.companyId, label: company.companyName }));
+    case "project":
+      return (scopes.projects || []).map((project) => ({
+        id: project.projectId,
+        label: project.companyName ? `${project.projectName} (${project.companyName})` : project.projectName,
+      }));
+    case "stage":
+      return (scopes.stages || []).map((stage) => ({
+        id: stage.stageId,
+        label: `Stage ${stage.stageId} (${stage.projectName})`,
+      }));
+    case "header":
+      return (scopes.headers || []).map((header) => ({
+        id: header.headerId,
+        label: `${header.headerName} (${header.projectName})`,
+      }));
+    default:
+      return [];
+  }
+};
+
+const renderStatus = (item) => {
+  if (item.active) {
+    return <Chip size="small" color="secondary" label={`In maintenance until ${formatTime(item.occurrence.end)}`} />;
+  }
+  if (item.occurrence) {
+    return <Chip size="small" variant="outlined" label={`Next ${formatTime(item.occurrence.start)}`} />;
+  }
+  return <Chip size="small" label="Ended" />;
+};
+
+/**
+ * Scheduled maintenance windows. While one is in progress the headers it covers keep being recorded,
+ * but raise no alerts.
+ */
+const MaintenanceWindows = () => {
+  const [windows, setWindows] = useState([]);
+  const [scopes, setScopes] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyWindow());
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const [windowData, scopeData] = await Promise.all([fetchMaintenanceWindows(), fetchMaintenanceScopes()]);
+        if (!cancelled) {
+          setWindows(windowData.windows || []);
+          setScopes(scopeData || {});
+          setError(null);
+        }
+      } catch (fetchError) {
+        if (!cancelled) setError(fetchError.response?.data?.error || "Failed to load maintenance windows");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadCount]);
+
+  const handleOpen = (item = null) => {
+    setSaveError(null);
+    setEditingId(item ? item.id : null);
+    setForm(item ? { ...item, createdBy: item.createdBy || "" } : emptyWindow());
+    setDialogOpen(true);
+  };
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  // The target's label is stored with the window so it stays readable after the project ends
+  const targets = getScopeTargets(scopes, form.scope);
+  if (editingId && form.scopeId && !targets.some((target) => String(target.id) === String(form.scopeId))) {
+    targets.push({ id: form.scopeId, label: form.scopeName || form.scopeId });
+  }
+
+  const handleTargetChange = (scopeId) => {
+    const target = targets.find((option) => String(option.id) === String(scopeId));
+    setForm((prev) => ({ ...prev, scopeId, scopeName: target?.label || null }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const payload = { ...form, repeatUntil: form.recurrence === "none" ? null : form.repeatUntil };
+      if (editingId) {
+        await updateMaintenanceWindow(editingId, payload);
+      } else {
+        await createMaintenanceWindow(payload);
+      }
+      setDialogOpen(false);
+      setReloadCount((count) => count + 1);
+    } catch (saveFailure) {
+      setSaveError(saveFailure.response?.data?.error || "Failed to save maintenance window");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Delete maintenance window "${item.name}"?`)) return;
+    try {
+      await deleteMaintenanceWindow(item.id);
+      setReloadCount((count) => count + 1);
+    } catch (deleteError) {
+      setError(deleteError.response?.data?.error || "Failed to delete maintenance window");
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Typography variant="h4" component="h1">
+          Maintenance Windows
+        </Typography>
+        <Box sx={{ display: "flex", gap: 1 }}>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleOpen()}>
+            Schedule Window
+          </Button>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={() => setReloadCount((count) => count + 1)}>
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        During a maintenance window (wireline runs, gauge swaps, pressure tests...) the headers it covers are still
+        recorded, but no alerts are raised or notified for them.
+      </Typography>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Covers</TableCell>
+              <TableCell>Schedule</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Scheduled by</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {!loading && windows.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} align="center" sx={{ color: "text.secondary" }}>
+                  No maintenance windows scheduled
+                </TableCell>
+              </TableRow>
+            )}
+            {windows.map((item) => (
+              <TableRow key={item.id} selected={item.active}>
+                <TableCell>{item.name}</TableCell>
+                <TableCell>{formatMaintenanceScope(item)}</TableCell>
+                <TableCell>{formatMaintenanceSchedule(item)}</TableCell>
+                <TableCell>{renderStatus(item)}</TableCell>
+                <TableCell>{item.createdBy || "-"}</TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Edit">
+                    <IconButton size="small" onClick={() => handleOpen(item)}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={item.active ? "Delete (ends the window now)" : "Delete"}>
+                    <IconButton size="small" onClick={() => handleDelete(item)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingId ? "Edit Maintenance Window" : "Schedule Maintenance Window"}</DialogTitle>
+        <DialogContent>
+          {saveError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {saveError}
+            </Alert>
+          )}
+          <TextField
+            label="Name"
+            fullWidth
+            margin="normal"
+            value={form.name}
+            onChange={(e) => handleChange("name", e.target.value)}
+            helperText="e.g. Wireline run, gauge swap, pressure test"
+          />
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              select
+              label="Covers"
+              margin="normal"
+              sx={{ minWidth: 140 }}
+              value={form.scope}
+              onChange={(e) => setForm((prev) => ({ ...prev, scope: e.target.value, scopeId: "", scopeName: null }))}
+            >
+              {MAINTENANCE_SCOPES.map((scope) => (
+                <MenuItem key={scope.value} value={scope.value}>
+                  {scope.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label={MAINTENANCE_SCOPES.find((scope) => scope.value === form.scope)?.label}
+              margin="normal"
+              fullWidth
+              value={form.scopeId}
+              onChange={(e) => handleTargetChange(e.target.value)}
+              helperText={targets.length === 0 ? "Nothing to select - add monitored headers first" : " "}
+            >
+              {targets.map((target) => (
+                <MenuItem key={target.id} value={target.id}>
+                  {target.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              label="Starts"
+              type="datetime-local"
+              margin="normal"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={toInputValue(form.startsAt)}
+              onChange={(e) => handleChange("startsAt", fromInputValue(e.target.value))}
+            />
+            <TextField
+              label="Ends"
+              type="datetime-local"
+              margin="normal"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              value={toInputValue(form.endsAt)}
+              onChange={(e) => handleChange("endsAt", fromInputValue(e.target.value))}
+            />
+          </Box>
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              select
+              label="Repeats"
+              margin="normal"
+              fullWidth
+              value={form.recurrence}
+              onChange={(e) => handleChange("recurrence", e.target.value)}
+              helperText="Recurring windows repeat the first occurrence at the same time of day"
+            >
+              {MAINTENANCE_RECURRENCES.map((recurrence) => (
+                <MenuItem key={recurrence.value} value={recurrence.value}>
+                  {recurrence.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Repeat Until"
+              type="datetime-local"
+              margin="normal"
+              fullWidth
+              InputLabelProps={{ shrink: true }}
+              disabled={form.recurrence === "none"}
+              value={form.recurrence === "none" ? "" : toInputValue(form.repeatUntil)}
+              onChange={(e) => handleChange("repeatUntil", fromInputValue(e.target.value))}
+              helperText="Empty repeats indefinitely"
+            />
+          </Box>
+          <TextField
+            label="Scheduled By"
+            fullWidth
+            margin="normal"
+            value={form.createdBy}
+            onChange={(e) => handleChange("createdBy", e.target.value)}
+            disabled={Boolean(editingId)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form.name.trim() || !form.scopeId}>
+            {editingId ? "Save" : "Schedule"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default MaintenanceWindows;
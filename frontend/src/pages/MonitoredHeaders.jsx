@@ -29,12 +29,16 @@ import {
   Skeleton,
   Menu,
   MenuItem,
+  FormControl,
+  InputLabel,
+  Select,
 } from "@mui/material";
 import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
 import DeleteIcon from "@mui/icons-material/Delete";
 import SettingsIcon from "@mui/icons-material/Settings";
 import RefreshIcon from "@mui/icons-material/Refresh";
 import NotificationsOffIcon from "@mui/icons-material/NotificationsOff";
+import BuildIcon from "@mui/icons-material/Build";
 import {
   fetchMonitoredHeaders,
   fetchHeaderValues,
@@ -45,9 +49,26 @@ import {
   addMonitoredHeader,
 } from "../store/slices/monitoredHeadersSlice";
 import { fetchSettings } from "../store/slices/settingsSlice";
+import { fetchCompoundRules } from "../store/slices/compoundRulesSlice";
 import { fetchActiveStages } from "../store/slices/stagesSlice";
-import { INTERVAL_TO_REFETCH_ACTIVE_STAGES } from "../constants";
+import { fetchHeaderHistory } from "../store/slices/historySlice";
+import {
+  INTERVAL_TO_REFETCH_ACTIVE_STAGES,
+  INTERVAL_TO_REFETCH_SPARKLINES,
+  SPARKLINE_WINDOW,
+  HISTORY_HEADERS_PER_REQUEST,
+} from "../constants";
 import axios from "axios";
+import { THRESHOLD_DIRECTION_OPTIONS, formatThresholdRule, getThresholdLines } from "@shared/thresholdRules";
+import { RATE_DIRECTION_OPTIONS, DEFAULT_RATE_WINDOW, formatRateRule } from "@shared/rateRules";
+import { formatForecast } from "../utils/forecastRules";
+import { formatAnomalyRule } from "../utils/anomalyRules";
+import { formatMaintenanceBadge } from "../utils/maintenanceWindows";
+import CompoundRulesPanel from "../components/CompoundRules/CompoundRulesPanel";
+import HeaderSparkline from "../components/HeaderHistory/HeaderSparkline";
+import HeaderHistoryDialog from "../components/HeaderHistory/HeaderHistoryDialog";
+import ThresholdRecommendations from "../components/Recommendations/ThresholdRecommendations";
+import { classifyHeader } from "@shared/headerClassifier";
 
 const MonitoredHeaders = () => {
   const dispatch = useDispatch();
@@ -55,11 +76,19 @@ const MonitoredHeaders = () => {
     (state) => state.monitoredHeaders
   );
   const { settings, loading: settingsLoading, error: settingsError } = useSelector((state) => state.settings);
+  const historyByHeader = useSelector((state) => state.history.byHeader);
   const [expandedProjects, setExpandedProjects] = useState({});
   const [settingsDialogOpen, setSettingsDialogOpen] = useState(false);
   const [currentHeader, setCurrentHeader] = useState(null);
+  const [historyHeader, setHistoryHeader] = useState(null);
   const [headerSettings, setHeaderSettings] = useState({
     threshold: "",
+    thresholdDirection: "below",
+    thresholdMin: "",
+    thresholdMax: "",
+    rateLimit: "",
+    rateWindow: "",
+    rateDirection: "drop",
     alertDuration: "",
     frozenThreshold: "",
   });
@@ -80,6 +109,7 @@ const MonitoredHeaders = () => {
           dispatch(fetchSettings()),
           dispatch(fetchMonitoredHeaders(currentHeaderIds)),
           dispatch(fetchHeaderValues()),
+          dispatch(fetchCompoundRules()),
         ]);
       } catch (error) {
         console.error("Error fetching monitoring data:", error);
@@ -111,6 +141,33 @@ const MonitoredHeaders = () => {
     return () => clearInterval(stagesInterval);
   }, [dispatch]);
 
+  // Refresh the card sparklines, batched because the history API limits the headers per request
+  const monitoredHeaderIds = (Array.isArray(monitoredHeaders) ? monitoredHeaders : [])
+    .map((header) => header.headerId)
+    .join(",");
+  useEffect(() => {
+    if (!monitoredHeaderIds) return undefined;
+
+    const fetchSparklines = () => {
+      const headerIds = monitoredHeaderIds.split(",");
+      const to = Date.now();
+      for (let start = 0; start < headerIds.length; start += HISTORY_HEADERS_PER_REQUEST) {
+        dispatch(
+          fetchHeaderHistory({
+            headerIds: headerIds.slice(start, start + HISTORY_HEADERS_PER_REQUEST),
+            from: to - SPARKLINE_WINDOW,
+            to,
+          })
+        );
+      }
+    };
+
+    fetchSparklines();
+    const sparklineInterval = setInterval(fetchSparklines, INTERVAL_TO_REFETCH_SPARKLINES);
+
+    return () => clearInterval(sparklineInterval);
+  }, [dispatch, monitoredHeaderIds]);
+
   // Manual refresh function
   const refreshData = async () => {
     try {
@@ -125,6 +182,7 @@ const MonitoredHeaders = () => {
         dispatch(fetchSettings()),
         dispatch(fetchMonitoredHeaders(currentHeaderIds)),
         dispatch(fetchHeaderValues()),
+        dispatch(fetchCompoundRules()),
       ]);
     } catch (error) {
       console.error("Error refreshing data:", error);
@@ -206,38 +264,29 @@ const MonitoredHeaders = () => {
     let defaultAlertDuration = "";
     let defaultFrozenThreshold = "";
 
-    const headerName = header?.headerName?.toLowerCase() || "";
-    let headerType = null;
-
-    // Safely access pattern categories
-    const pressureConfig = settings?.patternCategories?.pressure;
-    const batteryConfig = settings?.patternCategories?.battery;
-
-    // Check pressure patterns
-    if (pressureConfig?.patterns?.some((pattern) => headerName.includes(pattern.toLowerCase()))) {
-      if (!pressureConfig?.negativePatterns?.some((pattern) => headerName.includes(pattern.toLowerCase()))) {
-        headerType = "pressure";
-        defaultThreshold = pressureConfig.threshold || 20; // Default to 20 if not set
-        defaultAlertDuration = pressureConfig.alertDuration;
-        defaultFrozenThreshold = pressureConfig.frozenThreshold;
-      }
-    }
-
-    // Check battery patterns (only if not already pressure)
-    if (!headerType && batteryConfig?.patterns?.some((pattern) => headerName.includes(pattern.toLowerCase()))) {
-      if (!batteryConfig?.negativePatterns?.some((pattern) => headerName.includes(pattern.toLowerCase()))) {
-        headerType = "battery";
-        defaultThreshold = batteryConfig.threshold || 20; // Default to 20 if not set
-        defaultAlertDuration = batteryConfig.alertDuration;
-        defaultFrozenThreshold = batteryConfig.frozenThreshold;
-      }
+    // First category whose patterns match the header (and whose exclusions don't)
+    const categoryConfig = getCategoryConfig(header);
+    if (categoryConfig) {
+      defaultThreshold = categoryConfig.threshold || 20; // Default to 20 if not set
+      defaultAlertDuration = categoryConfig.alertDuration;
+      defaultFrozenThreshold = categoryConfig.frozenThreshold;
     }
 
     // Use header-specific settings if available, otherwise use determined defaults
-    const useCustom = header?.settings && header.settings.threshold !== null && header.settings.threshold !== undefined;
+    const useCustom =
+      header?.settings &&
+      ((header.settings.threshold !== null && header.settings.threshold !== undefined) ||
+        !!header.settings.thresholdDirection ||
+        (header.settings.rateLimit !== null && header.settings.rateLimit !== undefined));
 
     setHeaderSettings({
-      threshold: useCustom ? header.settings.threshold : defaultThreshold || "",
+      threshold: useCustom ? header.settings.threshold ?? "" : defaultThreshold || "",
+      thresholdDirection: (useCustom && header.settings.thresholdDirection) || categoryConfig?.thresholdDirection || "below",
+      thresholdMin: (useCustom ? header.settings.thresholdMin : categoryConfig?.thresholdMin) ?? "",
+      thresholdMax: (useCustom ? header.settings.thresholdMax : categoryConfig?.thresholdMax) ?? "",
+      rateLimit: (useCustom ? header.settings.rateLimit : categoryConfig?.rateLimit) ?? "",
+      rateWindow: (useCustom ? header.settings.rateWindow : categoryConfig?.rateWindow) ?? DEFAULT_RATE_WINDOW,
+      rateDirection: (useCustom && header.settings.rateDirection) || categoryConfig?.rateDirection || "drop",
       alertDuration: useCustom ? header.settings.alertDuration : defaultAlertDuration || "",
       frozenThreshold: useCustom ? header.settings.frozenThreshold : defaultFrozenThreshold || "",
       useCustomSettings: useCustom,
@@ -253,6 +302,12 @@ const MonitoredHeaders = () => {
     const settingsToSave = headerSettings.useCustomSettings
       ? {
           threshold: headerSettings.threshold !== "" ? Number(headerSettings.threshold) : null,
+          thresholdDirection: headerSettings.thresholdDirection,
+          thresholdMin: headerSettings.thresholdMin !== "" ? Number(headerSettings.thresholdMin) : null,
+          thresholdMax: headerSettings.thresholdMax !== "" ? Number(headerSettings.thresholdMax) : null,
+          rateLimit: headerSettings.rateLimit !== "" ? Number(headerSettings.rateLimit) : null,
+          rateWindow: headerSettings.rateWindow !== "" ? Number(headerSettings.rateWindow) : null,
+          rateDirection: headerSettings.rateDirection,
           alertDuration: headerSettings.alertDuration !== "" ? Number(headerSettings.alertDuration) : null,
           frozenThreshold: headerSettings.frozenThreshold !== "" ? Number(headerSettings.frozenThreshold) : null,
         }
@@ -289,6 +344,15 @@ const MonitoredHeaders = () => {
     }));
   };
 
+  // A suggestion from the header's history fills in the form as custom settings; it is saved as usual
+  const handleApplyRecommendation = (values) => {
+    setHeaderSettings((prev) => ({
+      ...prev,
+      ...values,
+      useCustomSettings: true,
+    }));
+  };
+
   // Get the current value for a header, safely
   const getCurrentValue = (headerId) => {
     // Make sure headerValues exists and is an array before trying to find
@@ -335,6 +399,24 @@ const MonitoredHeaders = () => {
     return headerValue?.alert?.snoozeUntil;
   };
 
+  // Time-to-threshold forecast of a header, only set for categories with a forecast lead time
+  const getForecast = (headerId) => {
+    if (!Array.isArray(headerValues)) {
+      return null;
+    }
+    const headerValue = headerValues.find((h) => h.id === headerId);
+    return headerValue?.forecast || null;
+  };
+
+  // Maintenance window the header is in, alerts are suppressed while it lasts
+  const getMaintenance = (headerId) => {
+    if (!Array.isArray(headerValues)) {
+      return null;
+    }
+    const headerValue = headerValues.find((h) => h.id === headerId);
+    return headerValue?.maintenance || null;
+  };
+
   // Check if a header has frozen data
   const isFrozen = (headerId) => {
     if (!Array.isArray(headerValues)) {
@@ -344,6 +426,12 @@ const MonitoredHeaders = () => {
     return headerValue?.frozenDuration > 0;
   };
 
+  // Helper to find the global pattern category config a header belongs to
+  const getCategoryConfig = (header) => {
+    const category = classifyHeader(header?.headerName, settings?.patternCategories);
+    return category ? settings.patternCategories[category] : undefined;
+  };
+
   // Helper to get display threshold (custom or global)
   const getDisplayThreshold = (header) => {
     if (header?.settings?.threshold !== null && header?.settings?.threshold !== undefined) {
@@ -352,41 +440,45 @@ const MonitoredHeaders = () => {
     // Logic to determine global default (simplified example)
     // This needs the full settings object available here or passed in
     if (!settings) return 20; // Default to 20 if settings not loaded
-    const headerName = header?.headerName?.toLowerCase() || "";
-    const pressureConfig = settings?.patternCategories?.pressure;
-    const batteryConfig = settings?.patternCategories?.battery;
-    if (
-      pressureConfig?.patterns?.some((p) => headerName.includes(p.toLowerCase())) &&
-      !pressureConfig?.negativePatterns?.some((p) => headerName.includes(p.toLowerCase()))
-    )
-      return pressureConfig.threshold || 20; // Default to 20 if not set
-    if (
-      batteryConfig?.patterns?.some((p) => headerName.includes(p.toLowerCase())) &&
-      !batteryConfig?.negativePatterns?.some((p) => headerName.includes(p.toLowerCase()))
-    )
-      return batteryConfig.threshold || 20; // Default to 20 if not set
+    const categoryConfig = getCategoryConfig(header);
+    if (categoryConfig) return categoryConfig.threshold || 20; // Default to 20 if not set
     return 20; // Default to 20 when no matching global category
   };
 
+  // Helper to get the display threshold rule (direction + threshold or band edges)
+  const getDisplayThresholdRule = (header) => {
+    const categoryConfig = getCategoryConfig(header);
+    const custom = header?.settings?.thresholdDirection ? header.settings : null;
+
+    return {
+      direction: custom?.thresholdDirection || categoryConfig?.thresholdDirection || "below",
+      threshold: getDisplayThreshold(header),
+      min: custom ? custom.thresholdMin : categoryConfig?.thresholdMin,
+      max: custom ? custom.thresholdMax : categoryConfig?.thresholdMax,
+    };
+  };
+
+  // Helper to get the display rate rule (null limit means the rule is disabled)
+  const getDisplayRateRule = (header) => {
+    const categoryConfig = getCategoryConfig(header);
+    const custom =
+      header?.settings?.rateLimit !== null && header?.settings?.rateLimit !== undefined ? header.settings : null;
+
+    return {
+      limit: custom ? custom.rateLimit : categoryConfig?.rateLimit,
+      window: (custom ? custom.rateWindow : categoryConfig?.rateWindow) || DEFAULT_RATE_WINDOW,
+      direction: (custom ? custom.rateDirection : categoryConfig?.rateDirection) || "drop",
+    };
+  };
+
   // Similar helpers for alertDuration and frozenThreshold...
   const getDisplayAlertDuration = (header) => {
     if (header?.settings?.alertDuration !== null && header?.settings?.alertDuration !== undefined) {
       return header.settings.alertDuration;
     }
     if (!settings) return 20; // Default to 20 if settings not loaded
-    const headerName = header?.headerName?.toLowerCase() || "";
-    const pressureConfig = settings?.patternCategories?.pressure;
-    const batteryConfig = settings?.patternCategories?.battery;
-    if (
-      pressureConfig?.patterns?.some((p) => headerName.includes(p.toLowerCase())) &&
-      !pressureConfig?.negativePatterns?.some((p) => headerName.includes(p.toLowerCase()))
-    )
-      return pressureConfig.alertDuration || 20; // Default to 20 if not set
-    if (
-      batteryConfig?.patterns?.some((p) => headerName.includes(p.toLowerCase())) &&
-      !batteryConfig?.negativePatterns?.some((p) => headerName.includes(p.toLowerCase()))
-    )
-      return batteryConfig.alertDuration || 20; // Default to 20 if not set
+    const categoryConfig = getCategoryConfig(header);
+    if (categoryConfig) return categoryConfig.alertDuration || 20; // Default to 20 if not set
     return 20; // Default to 20 when no matching global category
   };
 
@@ -395,19 +487,8 @@ const MonitoredHeaders = () => {
       return header.settings.frozenThreshold;
     }
     if (!settings) return 20; // Default to 20 if settings not loaded
-    const headerName = header?.headerName?.toLowerCase() || "";
-    const pressureConfig = settings?.patternCategories?.pressure;
-    const batteryConfig = settings?.patternCategories?.battery;
-    if (
-      pressureConfig?.patterns?.some((p) => headerName.includes(p.toLowerCase())) &&
-      !pressureConfig?.negativePatterns?.some((p) => headerName.includes(p.toLowerCase()))
-    )
-      return pressureConfig.frozenThreshold || 20; // Default to 20 if not set
-    if (
-      batteryConfig?.patterns?.some((p) => headerName.includes(p.toLowerCase())) &&
-      !batteryConfig?.negativePatterns?.some((p) => headerName.includes(p.toLowerCase()))
-    )
-      return batteryConfig.frozenThreshold || 20; // Default to 20 if not set
+    const categoryConfig = getCategoryConfig(header);
+    if (categoryConfig) return categoryConfig.frozenThreshold || 20; // Default to 20 if not set
     return 20; // Default to 20 when no matching global category
   };
 
@@ -514,6 +595,15 @@ const MonitoredHeaders = () => {
     return headerValue?.alert?.id;
   };
 
+  // Get the current alert of a header, snoozed or not
+  const getActiveAlert = (headerId) => {
+    if (!Array.isArray(headerValues)) {
+      return null;
+    }
+    const headerValue = headerValues.find((h) => h.id === headerId);
+    return headerValue?.alert || null;
+  };
+
   useEffect(() => {
     const refreshEndedHeaders = async () => {
       try {
@@ -680,10 +770,19 @@ const MonitoredHeaders = () => {
                   const isSnoozed = hasSnoozedAlert(header.headerId);
                   const isDataFrozen = isFrozen(header.headerId);
                   const currentValue = getCurrentValue(header.headerId);
-                  const displayThreshold = getDisplayThreshold(header);
+                  const displayThreshold = formatThresholdRule(getDisplayThresholdRule(header));
+                  const displayRate = formatRateRule(getDisplayRateRule(header));
+                  const displayAnomaly = formatAnomalyRule(getCategoryConfig(header));
                   const displayAlertDuration = getDisplayAlertDuration(header);
                   const displayFrozenThreshold = getDisplayFrozenThreshold(header);
                   const snoozeUntil = getSnoozeUntil(header.headerId);
+                  const sparkline = historyByHeader[header.headerId];
+                  const forecast = getForecast(header.headerId);
+                  const maintenance = getMaintenance(header.headerId);
+                  const isForecastDue =
+                    forecast?.timeToThreshold !== null &&
+                    forecast?.timeToThreshold !== undefined &&
+                    forecast.timeToThreshold <= forecast.leadTime;
 
                   return (
                     <Grid item xs={12} sm={6} md={4} lg={3} key={header.headerId || header.id}>
@@ -709,9 +808,12 @@ const MonitoredHeaders = () => {
                               : "background.paper", // Background hint
                         }}
                       >
-                        <CardContent sx={{ pb: 1 }}>
+                        <CardContent
+                          sx={{ pb: 1, cursor: "pointer" }}
+                          onClick={() => setHistoryHeader(header)}
+                        >
                           {" "}
-                          {/* Less bottom padding */}
+                          {/* Less bottom padding, click opens the history chart */}
                           <Box
                             sx={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", mb: 0.5 }}
                           >
@@ -720,15 +822,35 @@ const MonitoredHeaders = () => {
                                 {header.headerName}
                               </Typography>
                             </Tooltip>
-                            {(isAlerting || isDataFrozen || isSnoozed) && (
+                            {maintenance ? (
                               <Chip
-                                label={isAlerting ? "Alert" : isDataFrozen ? "Frozen" : "Snoozed"}
-                                color={isAlerting ? "error" : isDataFrozen ? "warning" : "info"}
+                                icon={<BuildIcon />}
+                                label="In maintenance"
+                                color="secondary"
                                 size="small"
-                                sx={{ ml: 1 }} // Add margin
+                                sx={{ ml: 1 }}
                               />
+                            ) : (
+                              (isAlerting || isDataFrozen || isSnoozed) && (
+                                <Chip
+                                  label={isAlerting ? "Alert" : isDataFrozen ? "Frozen" : "Snoozed"}
+                                  color={isAlerting ? "error" : isDataFrozen ? "warning" : "info"}
+                                  size="small"
+                                  sx={{ ml: 1 }} // Add margin
+                                />
+                              )
                             )}
                           </Box>
+                          {/* Maintenance window in progress, no alerts are raised until it ends */}
+                          {maintenance && (
+                            <Typography
+                              variant="caption"
+                              color="secondary.main"
+                              sx={{ display: "block", fontStyle: "italic", mb: 1 }}
+                            >
+                              {formatMaintenanceBadge(maintenance)}
+                            </Typography>
+                          )}
                           {/* Snooze Until Display */}
                           {isSnoozed && snoozeUntil && (
                             <Typography
@@ -755,6 +877,7 @@ const MonitoredHeaders = () => {
                                 borderRadius: "2px",
                                 display: "inline-block",
                               }}
+                              onClick={(e) => e.stopPropagation()} // Selecting the ID should not open the chart
                             >
                               ID: {header.headerId}
                             </Typography>
@@ -821,12 +944,48 @@ const MonitoredHeaders = () => {
                               )}
                             </Typography>
                           </Box>
+                          {/* Last 30 minutes */}
+                          <Box sx={{ mb: 1.5 }}>
+                            <HeaderSparkline
+                              points={sparkline?.points}
+                              from={sparkline?.from}
+                              to={sparkline?.to}
+                              thresholds={getThresholdLines(getDisplayThresholdRule(header))}
+                              alerting={isAlerting}
+                            />
+                          </Box>
+                          {/* Time until the trend reaches the threshold */}
+                          {forecast && (
+                            <Box sx={{ mb: 0.5 }}>
+                              <Typography
+                                variant="caption"
+                                color={isForecastDue ? "warning.dark" : "text.secondary"}
+                                fontWeight={isForecastDue ? "bold" : "normal"}
+                              >
+                                Forecast: {formatForecast(forecast, getCategoryConfig(header)?.unit)}
+                              </Typography>
+                            </Box>
+                          )}
                           {/* Display Settings */}
                           <Box sx={{ mb: 0.5 }}>
                             <Typography variant="caption" color="text.secondary">
                               Threshold: {displayThreshold}
                             </Typography>
                           </Box>
+                          {displayRate && (
+                            <Box sx={{ mb: 0.5 }}>
+                              <Typography variant="caption" color="text.secondary">
+                                Rate: {displayRate}
+                              </Typography>
+                            </Box>
+                          )}
+                          {displayAnomaly && (
+                            <Box sx={{ mb: 0.5 }}>
+                              <Typography variant="caption" color="text.secondary">
+                                Anomaly: {displayAnomaly}
+                              </Typography>
+                            </Box>
+                          )}
                           <Box sx={{ mb: 0.5 }}>
                             <Typography variant="caption" color="text.secondary">
                               Alert Duration: {displayAlertDuration}s
@@ -862,11 +1021,21 @@ const MonitoredHeaders = () => {
                   );
                 })}
               </Grid>
+              <CompoundRulesPanel projectId={project.projectId} headers={project.headers} />
             </AccordionDetails>
           </Accordion>
         </Paper>
       ))}
 
+      <HeaderHistoryDialog
+        open={Boolean(historyHeader)}
+        onClose={() => setHistoryHeader(null)}
+        header={historyHeader}
+        rule={historyHeader ? getDisplayThresholdRule(historyHeader) : null}
+        alertDuration={historyHeader ? Number(getDisplayAlertDuration(historyHeader)) : 0}
+        activeAlert={historyHeader ? getActiveAlert(historyHeader.headerId) : null}
+      />
+
       {/* Header Settings Dialog */}
       <Dialog open={settingsDialogOpen} onClose={() => setSettingsDialogOpen(false)} maxWidth="sm" fullWidth>
         <DialogTitle>
@@ -894,16 +1063,57 @@ const MonitoredHeaders = () => {
             </Typography>
           </Box>
 
-          <TextField
-            label="Threshold"
-            type="number"
-            fullWidth
-            value={headerSettings.threshold}
-            onChange={(e) => handleSettingChange("threshold", e.target.value)}
-            margin="normal"
-            disabled={!headerSettings.useCustomSettings}
-            helperText="Value threshold that will trigger an alert when crossed"
-          />
+          <FormControl fullWidth margin="normal" disabled={!headerSettings.useCustomSettings}>
+            <InputLabel id="threshold-direction-label">Alert When</InputLabel>
+            <Select
+              labelId="threshold-direction-label"
+              label="Alert When"
+              value={headerSettings.thresholdDirection}
+              onChange={(e) => handleSettingChange("thresholdDirection", e.target.value)}
+            >
+              {THRESHOLD_DIRECTION_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          {headerSettings.thresholdDirection === "band" ? (
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <TextField
+                label="Band Minimum"
+                type="number"
+                fullWidth
+                value={headerSettings.thresholdMin}
+                onChange={(e) => handleSettingChange("thresholdMin", e.target.value)}
+                margin="normal"
+                disabled={!headerSettings.useCustomSettings}
+                helperText="Alert when the value drops below this"
+              />
+              <TextField
+                label="Band Maximum"
+                type="number"
+                fullWidth
+                value={headerSettings.thresholdMax}
+                onChange={(e) => handleSettingChange("thresholdMax", e.target.value)}
+                margin="normal"
+                disabled={!headerSettings.useCustomSettings}
+                helperText="Alert when the value rises above this"
+              />
+            </Box>
+          ) : (
+            <TextField
+              label="Threshold"
+              type="number"
+              fullWidth
+              value={headerSettings.threshold}
+              onChange={(e) => handleSettingChange("threshold", e.target.value)}
+              margin="normal"
+              disabled={!headerSettings.useCustomSettings}
+              helperText={`Alert when the value goes ${headerSettings.thresholdDirection} this threshold`}
+            />
+          )}
 
           <TextField
             label="Alert Duration (seconds)"
@@ -913,7 +1123,7 @@ const MonitoredHeaders = () => {
             onChange={(e) => handleSettingChange("alertDuration", e.target.value)}
             margin="normal"
             disabled={!headerSettings.useCustomSettings}
-            helperText="Duration the value must stay below threshold before alerting"
+            helperText="Duration the value must breach the threshold before alerting"
           />
 
           <TextField
@@ -926,6 +1136,67 @@ const MonitoredHeaders = () => {
             disabled={!headerSettings.useCustomSettings}
             helperText="How long a value can remain unchanged before alerting as frozen"
           />
+
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              label="Rate Limit (per minute)"
+              type="number"
+              fullWidth
+              value={headerSettings.rateLimit}
+              onChange={(e) => handleSettingChange("rateLimit", e.target.value)}
+              margin="normal"
+              disabled={!headerSettings.useCustomSettings}
+              helperText="Leave empty to disable rate-of-change alerts"
+            />
+            <TextField
+              label="Rate Window (seconds)"
+              type="number"
+              fullWidth
+              value={headerSettings.rateWindow}
+              onChange={(e) => handleSettingChange("rateWindow", e.target.value)}
+              margin="normal"
+              disabled={!headerSettings.useCustomSettings}
+              helperText="Recent values used to compute the slope"
+            />
+          </Box>
+
+          <FormControl
+            fullWidth
+            margin="normal"
+            disabled={!headerSettings.useCustomSettings || headerSettings.rateLimit === ""}
+          >
+            <InputLabel id="rate-direction-label">Rate Alert When</InputLabel>
+            <Select
+              labelId="rate-direction-label"
+              label="Rate Alert When"
+              value={headerSettings.rateDirection}
+              onChange={(e) => handleSettingChange("rateDirection", e.target.value)}
+            >
+              {RATE_DIRECTION_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          {currentHeader && (
+            <Accordion disableGutters variant="outlined" sx={{ mt: 2 }}>
+              <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                <Typography>Suggest from history</Typography>
+              </AccordionSummary>
+              <AccordionDetails>
+                <ThresholdRecommendations
+                  scope="header"
+                  target={currentHeader.headerId}
+                  direction={headerSettings.thresholdDirection}
+                  alertDuration={headerSettings.alertDuration}
+                  unit={getCategoryConfig(currentHeader)?.unit}
+                  onApply={handleApplyRecommendation}
+                />
+              </AccordionDetails>
+            </Accordion>
+          )}
         </DialogContent>
 
         <DialogActions>
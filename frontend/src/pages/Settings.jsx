@@ -23,27 +23,58 @@ import {
   ListItem,
   ListItemText,
   ListItemSecondaryAction,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  FormGroup,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
 } from "@mui/material";
 import CloseIcon from "@mui/icons-material/Close";
 import AddIcon from "@mui/icons-material/Add";
 import DeleteIcon from "@mui/icons-material/Delete";
 import SaveIcon from "@mui/icons-material/Save";
+import HistoryIcon from "@mui/icons-material/History";
+import InsightsIcon from "@mui/icons-material/Insights";
 import {
   fetchSettings,
   updateSettings,
   updatePatternCategories,
+  previewPatternCategories,
+  clearPatternPreview,
   clearSettingsUpdated,
 } from "../store/slices/settingsSlice";
+import { THRESHOLD_DIRECTION_OPTIONS } from "@shared/thresholdRules";
+import { RATE_DIRECTION_OPTIONS, DEFAULT_RATE_WINDOW } from "@shared/rateRules";
+import { DEFAULT_FORECAST_WINDOW } from "../utils/forecastRules";
+import { DEFAULT_ANOMALY_WINDOW } from "../utils/anomalyRules";
+import { FROZEN_TOLERANCE_TYPES, formatFrozenTolerance } from "../utils/frozenRules";
+import { SEVERITY_LEVELS, NOTIFICATION_CHANNELS, ALERT_TYPE_SEVERITIES } from "../utils/severity";
+import { DEFAULT_SETTINGS, createCategory, getCategoryName } from "../schemas/settings";
+import { validatePattern, DEFAULT_CATEGORY_PRIORITY } from "@shared/headerClassifier";
+import PatternPreviewDialog from "../components/PatternPreview/PatternPreviewDialog";
+import BacktestDialog from "../components/Backtest/BacktestDialog";
+import ThresholdRecommendations from "../components/Recommendations/ThresholdRecommendations";
 
 const Settings = () => {
   const dispatch = useDispatch();
   const { settings, loading, error, updated } = useSelector((state) => state.settings);
   const [localSettings, setLocalSettings] = useState({});
-  const [newPressurePattern, setNewPressurePattern] = useState("");
-  const [newPressureNegativePattern, setNewPressureNegativePattern] = useState("");
-  const [newBatteryPattern, setNewBatteryPattern] = useState("");
-  const [newBatteryNegativePattern, setNewBatteryNegativePattern] = useState("");
+  // Pattern inputs keyed by `${category}.${patternType}`
+  const [newPatterns, setNewPatterns] = useState({});
+  const [newCategoryName, setNewCategoryName] = useState("");
+  const [previewOpen, setPreviewOpen] = useState(false);
+  // Key of the category whose edited settings are being backtested
+  const [backtestCategory, setBacktestCategory] = useState(null);
+  // Key of the category whose threshold suggestions are shown
+  const [recommendationCategory, setRecommendationCategory] = useState(null);
   const [newWebhookUrl, setNewWebhookUrl] = useState("");
+  // Shift times as typed, parsed into the settings when the field loses focus
+  const [shiftTimesInput, setShiftTimesInput] = useState(null);
   const [snackbarOpen, setSnackbarOpen] = useState(false);
 
   useEffect(() => {
@@ -65,43 +96,20 @@ const Settings = () => {
         settingsCopy.patternCategories = {};
       }
 
-      // Ensure pressure category
-      if (!settingsCopy.patternCategories.pressure) {
-        settingsCopy.patternCategories.pressure = {
-          patterns: [],
-          negativePatterns: [],
-          threshold: 100,
-          alertDuration: 120,
-          frozenThreshold: 60,
-        };
-      } else {
-        // Ensure arrays exist
-        if (!Array.isArray(settingsCopy.patternCategories.pressure.patterns)) {
-          settingsCopy.patternCategories.pressure.patterns = [];
-        }
-        if (!Array.isArray(settingsCopy.patternCategories.pressure.negativePatterns)) {
-          settingsCopy.patternCategories.pressure.negativePatterns = [];
-        }
+      // Start from the default categories only when none were ever saved
+      if (Object.keys(settingsCopy.patternCategories).length === 0) {
+        settingsCopy.patternCategories = JSON.parse(JSON.stringify(DEFAULT_SETTINGS.patternCategories));
       }
 
-      // Ensure battery category
-      if (!settingsCopy.patternCategories.battery) {
-        settingsCopy.patternCategories.battery = {
-          patterns: [],
-          negativePatterns: [],
-          threshold: 20,
-          alertDuration: 300,
-          frozenThreshold: 300,
-        };
-      } else {
-        // Ensure arrays exist
-        if (!Array.isArray(settingsCopy.patternCategories.battery.patterns)) {
-          settingsCopy.patternCategories.battery.patterns = [];
+      // Ensure pattern arrays exist for every category
+      Object.values(settingsCopy.patternCategories).forEach((category) => {
+        if (!Array.isArray(category.patterns)) {
+          category.patterns = [];
         }
-        if (!Array.isArray(settingsCopy.patternCategories.battery.negativePatterns)) {
-          settingsCopy.patternCategories.battery.negativePatterns = [];
+        if (!Array.isArray(category.negativePatterns)) {
+          category.negativePatterns = [];
         }
-      }
+      });
 
       // Ensure webhooks configuration exists
       if (!settingsCopy.webhooks) {
@@ -112,7 +120,12 @@ const Settings = () => {
           customWebhooks: [],
           sendThresholdAlerts: true,
           sendFrozenAlerts: true,
+          sendRateAlerts: true,
+          sendCompoundAlerts: true,
+          sendForecastAlerts: true,
+          sendAnomalyAlerts: true,
           sendErrorAlerts: true,
+          sendStageReports: false,
         };
       } else if (!Array.isArray(settingsCopy.webhooks.customWebhooks)) {
         settingsCopy.webhooks.customWebhooks = [];
@@ -174,26 +187,12 @@ const Settings = () => {
   };
 
   const handleAddPattern = (category, patternType) => {
-    let pattern = "";
-    let setPatternState = () => {};
-
-    // Determine which pattern state to use and clear
-    if (category === "pressure" && patternType === "patterns") {
-      pattern = newPressurePattern;
-      setPatternState = setNewPressurePattern;
-    } else if (category === "pressure" && patternType === "negativePatterns") {
-      pattern = newPressureNegativePattern;
-      setPatternState = setNewPressureNegativePattern;
-    } else if (category === "battery" && patternType === "patterns") {
-      pattern = newBatteryPattern;
-      setPatternState = setNewBatteryPattern;
-    } else if (category === "battery" && patternType === "negativePatterns") {
-      pattern = newBatteryNegativePattern;
-      setPatternState = setNewBatteryNegativePattern;
-    }
+    const inputKey = `${category}.${patternType}`;
+    const pattern = newPatterns[inputKey] || "";
+    const setPatternState = (value) => setNewPatterns((prev) => ({ ...prev, [inputKey]: value }));
 
     const trimmedPattern = pattern.trim();
-    if (!trimmedPattern) return;
+    if (!trimmedPattern || validatePattern(trimmedPattern)) return;
 
     // Create a new settings object with the updated pattern
     const newSettings = JSON.parse(JSON.stringify(localSettings)); // Deep copy
@@ -221,9 +220,6 @@ const Settings = () => {
 
     // Clear the input field
     setPatternState("");
-
-    // Save the changes immediately using the updated newSettings
-    dispatch(updatePatternCategories(newSettings.patternCategories));
   };
 
   const handleRemovePattern = (category, patternType, index) => {
@@ -234,9 +230,28 @@ const Settings = () => {
       }
       return newSettings;
     });
+  };
 
-    // Save the changes immediately
-    setTimeout(() => handleSavePatterns(), 0);
+  const handleAddCategory = () => {
+    const name = newCategoryName.trim();
+    if (!name) return;
+
+    const newSettings = JSON.parse(JSON.stringify(localSettings)); // Deep copy
+    const { key, category } = createCategory(name, Object.keys(newSettings.patternCategories || {}));
+    newSettings.patternCategories = { ...(newSettings.patternCategories || {}), [key]: category };
+
+    setLocalSettings(newSettings);
+    setNewCategoryName("");
+  };
+
+  const handleDeleteCategory = (category) => {
+    const name = getCategoryName(category, localSettings.patternCategories?.[category]);
+    if (!window.confirm(`Delete the ${name} category? Its headers will no longer be classified.`)) return;
+
+    const newSettings = JSON.parse(JSON.stringify(localSettings)); // Deep copy
+    delete newSettings.patternCategories[category];
+
+    setLocalSettings(newSettings);
   };
 
   const handleAddCustomWebhook = () => {
@@ -295,19 +310,537 @@ const Settings = () => {
     dispatch(updateSettings(globalSettings));
   };
 
+  // Pattern edits are previewed against the active stages before they are saved
+  const handlePreviewPatterns = () => {
+    if (localSettings.patternCategories) {
+      dispatch(previewPatternCategories(localSettings.patternCategories));
+      setPreviewOpen(true);
+    } else {
+      console.error("Attempted to preview patterns, but patternCategories is missing.");
+    }
+  };
+
+  const handleClosePreview = () => {
+    setPreviewOpen(false);
+    dispatch(clearPatternPreview());
+  };
+
   const handleSavePatterns = () => {
     // Only send patternCategories when saving patterns
     if (localSettings.patternCategories) {
       dispatch(updatePatternCategories(localSettings.patternCategories));
+      handleClosePreview();
     } else {
       console.error("Attempted to save patterns, but patternCategories is missing.");
     }
   };
 
+  // Fill the suggested values into the category editor, they are saved with the other pattern edits
+  const handleApplyRecommendation = (values) => {
+    Object.entries(values).forEach(([setting, value]) =>
+      handleSettingChange(`patternCategories.${recommendationCategory}`, setting, value)
+    );
+    setRecommendationCategory(null);
+  };
+
   const handleCloseSnackbar = () => {
     setSnackbarOpen(false);
   };
 
+  // Direction select plus either a single threshold or the band edges for a category
+  const renderThresholdRuleFields = (category, categorySettings, label) => {
+    const direction = categorySettings.thresholdDirection || "below";
+    const parseEdge = (value) => (value === "" ? null : Number(value));
+
+    return (
+      <>
+        <FormControl fullWidth margin="normal">
+          <InputLabel id={`${category}-direction-label`}>Alert When</InputLabel>
+          <Select
+            labelId={`${category}-direction-label`}
+            label="Alert When"
+            value={direction}
+            onChange={(e) => handleSettingChange(`patternCategories.${category}`, "thresholdDirection", e.target.value)}
+          >
+            {THRESHOLD_DIRECTION_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {direction === "band" ? (
+          <Box sx={{ display: "flex", gap: 2 }}>
+            <TextField
+              label="Band Minimum"
+              type="number"
+              fullWidth
+              value={categorySettings.thresholdMin ?? ""}
+              onChange={(e) =>
+                handleSettingChange(`patternCategories.${category}`, "thresholdMin", parseEdge(e.target.value))
+              }
+              margin="normal"
+              helperText={`Alert when ${label} drops below this`}
+            />
+            <TextField
+              label="Band Maximum"
+              type="number"
+              fullWidth
+              value={categorySettings.thresholdMax ?? ""}
+              onChange={(e) =>
+                handleSettingChange(`patternCategories.${category}`, "thresholdMax", parseEdge(e.target.value))
+              }
+              margin="normal"
+              helperText={`Alert when ${label} rises above this`}
+            />
+          </Box>
+        ) : (
+          <TextField
+            label="Default Threshold"
+            type="number"
+            fullWidth
+            value={categorySettings.threshold || ""}
+            onChange={(e) =>
+              handleSettingChange(`patternCategories.${category}`, "threshold", parseInt(e.target.value) || 0)
+            }
+            margin="normal"
+            helperText={`Default ${label} threshold (can be overridden per header)`}
+          />
+        )}
+
+        <Box sx={{ display: "flex", gap: 2 }}>
+          <TextField
+            label="Recovery Margin"
+            type="number"
+            fullWidth
+            value={categorySettings.recoveryMargin ?? 0}
+            onChange={(e) =>
+              handleSettingChange(`patternCategories.${category}`, "recoveryMargin", Number(e.target.value) || 0)
+            }
+            margin="normal"
+            helperText="How far back past the threshold the value must go to recover"
+          />
+          <TextField
+            label="Recovery Hold (seconds)"
+            type="number"
+            fullWidth
+            value={categorySettings.recoveryHoldTime ?? 30}
+            onChange={(e) =>
+              handleSettingChange(`patternCategories.${category}`, "recoveryHoldTime", parseInt(e.target.value) || 0)
+            }
+            margin="normal"
+            helperText="How long the value must stay recovered before the alert clears"
+          />
+        </Box>
+      </>
+    );
+  };
+
+  // Warning/critical tiers for a category, each with its own threshold, duration, interval and channels
+  const renderSeverityLevelFields = (category, categorySettings, label) => {
+    const levels = Array.isArray(categorySettings.severityLevels) ? categorySettings.severityLevels : [];
+    const direction = categorySettings.thresholdDirection || "below";
+    const path = `patternCategories.${category}`;
+    const parseNumber = (value) => (value === "" ? null : Number(value));
+
+    const updateLevel = (severity, changes) =>
+      handleSettingChange(
+        path,
+        "severityLevels",
+        levels.map((level) => (level.severity === severity ? { ...level, ...changes } : level))
+      );
+
+    const toggleLevel = (severity, enabled) =>
+      handleSettingChange(
+        path,
+        "severityLevels",
+        enabled
+          ? [
+              ...levels,
+              {
+                severity,
+                threshold: categorySettings.threshold ?? null,
+                thresholdMin: categorySettings.thresholdMin ?? null,
+                thresholdMax: categorySettings.thresholdMax ?? null,
+                alertDuration: categorySettings.alertDuration ?? null,
+                notificationInterval: categorySettings.notificationInterval ?? 300,
+                channels: NOTIFICATION_CHANNELS.map((channel) => channel.value),
+              },
+            ]
+          : levels.filter((level) => level.severity !== severity)
+      );
+
+    const toggleChannel = (level, channel, checked) => {
+      const channels = level.channels || NOTIFICATION_CHANNELS.map((c) => c.value);
+      updateLevel(level.severity, {
+        channels: checked ? [...new Set([...channels, channel])] : channels.filter((c) => c !== channel),
+      });
+    };
+
+    return (
+      <>
+        <Typography variant="subtitle1" sx={{ mt: 3 }}>
+          Severity Levels
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Without levels the default threshold raises a critical alert. Headers escalate from warning to critical on
+          the same alert.
+        </Typography>
+
+        {SEVERITY_LEVELS.map(({ value: severity, label: severityLabel, color }) => {
+          const level = levels.find((l) => l.severity === severity);
+          return (
+            <Box key={severity} sx={{ mt: 1 }}>
+              <FormControlLabel
+                control={
+                  <Switch checked={!!level} color={color} onChange={(e) => toggleLevel(severity, e.target.checked)} />
+                }
+                label={`${severityLabel} level`}
+              />
+              {level && (
+                <Box sx={{ pl: 2, borderLeft: 3, borderColor: `${color}.main` }}>
+                  {direction === "band" ? (
+                    <Box sx={{ display: "flex", gap: 2 }}>
+                      <TextField
+                        label="Band Minimum"
+                        type="number"
+                        fullWidth
+                        size="small"
+                        value={level.thresholdMin ?? ""}
+                        onChange={(e) => updateLevel(severity, { thresholdMin: parseNumber(e.target.value) })}
+                        margin="dense"
+                      />
+                      <TextField
+                        label="Band Maximum"
+                        type="number"
+                        fullWidth
+                        size="small"
+                        value={level.thresholdMax ?? ""}
+                        onChange={(e) => updateLevel(severity, { thresholdMax: parseNumber(e.target.value) })}
+                        margin="dense"
+                      />
+                    </Box>
+                  ) : (
+                    <TextField
+                      label={`${severityLabel} Threshold`}
+                      type="number"
+                      fullWidth
+                      size="small"
+                      value={level.threshold ?? ""}
+                      onChange={(e) => updateLevel(severity, { threshold: parseNumber(e.target.value) })}
+                      margin="dense"
+                      helperText={`Alert when ${label} goes ${direction} this value`}
+                    />
+                  )}
+                  <Box sx={{ display: "flex", gap: 2 }}>
+                    <TextField
+                      label="Alert Duration (seconds)"
+                      type="number"
+                      fullWidth
+                      size="small"
+                      value={level.alertDuration ?? ""}
+                      onChange={(e) => updateLevel(severity, { alertDuration: parseNumber(e.target.value) })}
+                      margin="dense"
+                    />
+                    <TextField
+                      label="Notification Interval (seconds)"
+                      type="number"
+                      fullWidth
+                      size="small"
+                      value={level.notificationInterval ?? ""}
+                      onChange={(e) => updateLevel(severity, { notificationInterval: parseNumber(e.target.value) })}
+                      margin="dense"
+                    />
+                  </Box>
+                  <FormGroup row>
+                    {NOTIFICATION_CHANNELS.map((channel) => (
+                      <FormControlLabel
+                        key={channel.value}
+                        control={
+                          <Checkbox
+                            size="small"
+                            checked={(level.channels || NOTIFICATION_CHANNELS.map((c) => c.value)).includes(
+                              channel.value
+                            )}
+                            onChange={(e) => toggleChannel(level, channel.value, e.target.checked)}
+                          />
+                        }
+                        label={channel.label}
+                      />
+                    ))}
+                  </FormGroup>
+                </Box>
+              )}
+            </Box>
+          );
+        })}
+      </>
+    );
+  };
+
+  // Severity of a category's rate, forecast or anomaly alerts; threshold alerts use the severity levels above
+  const renderAlertSeverityField = (category, categorySettings, type, label, disabled) => (
+    <FormControl fullWidth margin="normal" disabled={disabled}>
+      <InputLabel id={`${category}-${type}-severity-label`}>{label}</InputLabel>
+      <Select
+        labelId={`${category}-${type}-severity-label`}
+        label={label}
+        value={categorySettings[`${type}Severity`] || ALERT_TYPE_SEVERITIES[type]}
+        onChange={(e) => handleSettingChange(`patternCategories.${category}`, `${type}Severity`, e.target.value)}
+      >
+        {SEVERITY_LEVELS.map((level) => (
+          <MenuItem key={level.value} value={level.value}>
+            {level.label}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  // Rate-of-change limit (blank disables the rule), slope window and direction for a category
+  const renderRateRuleFields = (category, categorySettings, unit) => (
+    <>
+      <Box sx={{ display: "flex", gap: 2 }}>
+        <TextField
+          label="Rate Limit"
+          type="number"
+          fullWidth
+          value={categorySettings.rateLimit ?? ""}
+          onChange={(e) =>
+            handleSettingChange(
+              `patternCategories.${category}`,
+              "rateLimit",
+              e.target.value === "" ? null : Number(e.target.value)
+            )
+          }
+          margin="normal"
+          helperText="Leave empty to disable rate-of-change alerts"
+          InputProps={{
+            endAdornment: <InputAdornment position="end">{unit}/min</InputAdornment>,
+          }}
+        />
+        <TextField
+          label="Rate Window (seconds)"
+          type="number"
+          fullWidth
+          value={categorySettings.rateWindow ?? DEFAULT_RATE_WINDOW}
+          onChange={(e) =>
+            handleSettingChange(
+              `patternCategories.${category}`,
+              "rateWindow",
+              parseInt(e.target.value) || DEFAULT_RATE_WINDOW
+            )
+          }
+          margin="normal"
+          helperText="Recent values used to compute the slope"
+        />
+      </Box>
+      <FormControl fullWidth margin="normal" disabled={categorySettings.rateLimit == null}>
+        <InputLabel id={`${category}-rate-direction-label`}>Rate Alert When</InputLabel>
+        <Select
+          labelId={`${category}-rate-direction-label`}
+          label="Rate Alert When"
+          value={categorySettings.rateDirection || "drop"}
+          onChange={(e) => handleSettingChange(`patternCategories.${category}`, "rateDirection", e.target.value)}
+        >
+          {RATE_DIRECTION_OPTIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {renderAlertSeverityField(
+        category,
+        categorySettings,
+        "rate",
+        "Rate Alert Severity",
+        categorySettings.rateLimit == null
+      )}
+    </>
+  );
+
+  // Time-to-threshold forecast lead time (blank disables forecasting) and trend window for a category
+  const renderForecastRuleFields = (category, categorySettings) => (
+    <>
+      <Box sx={{ display: "flex", gap: 2 }}>
+        <TextField
+          label="Forecast Lead Time"
+          type="number"
+          fullWidth
+          value={categorySettings.forecastLeadTime ?? ""}
+          onChange={(e) =>
+            handleSettingChange(
+              `patternCategories.${category}`,
+              "forecastLeadTime",
+              e.target.value === "" ? null : Number(e.target.value)
+            )
+          }
+          margin="normal"
+          helperText="Alert when the trend reaches the threshold within this time; empty disables forecasting"
+          InputProps={{
+            endAdornment: <InputAdornment position="end">hours</InputAdornment>,
+          }}
+        />
+        <TextField
+          label="Forecast Window"
+          type="number"
+          fullWidth
+          value={categorySettings.forecastWindow ?? DEFAULT_FORECAST_WINDOW}
+          onChange={(e) =>
+            handleSettingChange(
+              `patternCategories.${category}`,
+              "forecastWindow",
+              Number(e.target.value) || DEFAULT_FORECAST_WINDOW
+            )
+          }
+          margin="normal"
+          disabled={categorySettings.forecastLeadTime == null}
+          helperText="Recorded history the trend is fitted over"
+          InputProps={{
+            endAdornment: <InputAdornment position="end">hours</InputAdornment>,
+          }}
+        />
+      </Box>
+      {renderAlertSeverityField(
+        category,
+        categorySettings,
+        "forecast",
+        "Forecast Alert Severity",
+        categorySettings.forecastLeadTime == null
+      )}
+    </>
+  );
+
+  // Anomaly detector sigma limit (blank disables it) and moving-average window for a category
+  const renderAnomalyRuleFields = (category, categorySettings) => (
+    <>
+      <Box sx={{ display: "flex", gap: 2 }}>
+        <TextField
+          label="Anomaly Limit"
+          type="number"
+          fullWidth
+          value={categorySettings.anomalySigma ?? ""}
+          onChange={(e) =>
+            handleSettingChange(
+              `patternCategories.${category}`,
+              "anomalySigma",
+              e.target.value === "" ? null : Number(e.target.value)
+            )
+          }
+          margin="normal"
+          helperText="Alert when a value stays this far from its header's moving average for the alert duration; empty disables"
+          InputProps={{
+            endAdornment: <InputAdornment position="end">σ</InputAdornment>,
+          }}
+        />
+        <TextField
+          label="Anomaly Window (seconds)"
+          type="number"
+          fullWidth
+          value={categorySettings.anomalyWindow ?? DEFAULT_ANOMALY_WINDOW}
+          onChange={(e) =>
+            handleSettingChange(
+              `patternCategories.${category}`,
+              "anomalyWindow",
+              parseInt(e.target.value) || DEFAULT_ANOMALY_WINDOW
+            )
+          }
+          margin="normal"
+          disabled={categorySettings.anomalySigma == null}
+          helperText="How far back the moving average and deviation look"
+        />
+      </Box>
+      {renderAlertSeverityField(
+        category,
+        categorySettings,
+        "anomaly",
+        "Anomaly Alert Severity",
+        categorySettings.anomalySigma == null
+      )}
+    </>
+  );
+
+  // Frozen-data tolerance (absolute or percent) and optional variance-over-window test for a category
+  const renderFrozenRuleFields = (category, categorySettings, unit) => (
+    <>
+      <Box sx={{ display: "flex", gap: 2 }}>
+        <TextField
+          label="Frozen Tolerance"
+          type="number"
+          fullWidth
+          value={categorySettings.frozenTolerance ?? 0}
+          onChange={(e) =>
+            handleSettingChange(`patternCategories.${category}`, "frozenTolerance", Number(e.target.value) || 0)
+          }
+          margin="normal"
+          helperText={`Drift still treated as frozen (${formatFrozenTolerance(categorySettings, unit)})`}
+          InputProps={{
+            endAdornment: (
+              <InputAdornment position="end">
+                {categorySettings.frozenToleranceType === "percent" ? "%" : unit}
+              </InputAdornment>
+            ),
+          }}
+        />
+        <FormControl fullWidth margin="normal">
+          <InputLabel id={`${category}-frozen-tolerance-type-label`}>Tolerance Type</InputLabel>
+          <Select
+            labelId={`${category}-frozen-tolerance-type-label`}
+            label="Tolerance Type"
+            value={categorySettings.frozenToleranceType || "absolute"}
+            onChange={(e) =>
+              handleSettingChange(`patternCategories.${category}`, "frozenToleranceType", e.target.value)
+            }
+          >
+            {FROZEN_TOLERANCE_TYPES.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+      <Box sx={{ display: "flex", gap: 2 }}>
+        <TextField
+          label="Variance Window (seconds)"
+          type="number"
+          fullWidth
+          value={categorySettings.frozenVarianceWindow ?? ""}
+          onChange={(e) =>
+            handleSettingChange(
+              `patternCategories.${category}`,
+              "frozenVarianceWindow",
+              e.target.value === "" ? null : Number(e.target.value)
+            )
+          }
+          margin="normal"
+          helperText="Leave empty to disable the variance test"
+        />
+        <TextField
+          label="Max Standard Deviation"
+          type="number"
+          fullWidth
+          value={categorySettings.frozenMaxStdDev ?? ""}
+          onChange={(e) =>
+            handleSettingChange(
+              `patternCategories.${category}`,
+              "frozenMaxStdDev",
+              e.target.value === "" ? null : Number(e.target.value)
+            )
+          }
+          margin="normal"
+          disabled={categorySettings.frozenVarianceWindow == null}
+          helperText="A live signal noisier than this is never frozen"
+          InputProps={{
+            endAdornment: <InputAdornment position="end">{unit}</InputAdornment>,
+          }}
+        />
+      </Box>
+    </>
+  );
+
   // Show loading spinner only when initially loading, not when localSettings is empty
   if (loading) {
     return (
@@ -323,6 +856,8 @@ const Settings = () => {
       pollingInterval: 5,
       patternCategories: {
         pressure: {
+          name: "Pressure",
+          unit: "psi",
           patterns: [],
           negativePatterns: [],
           threshold: 100,
@@ -330,6 +865,8 @@ const Settings = () => {
           frozenThreshold: 60,
         },
         battery: {
+          name: "Battery",
+          unit: "%",
           patterns: [],
           negativePatterns: [],
           threshold: 20,
@@ -344,7 +881,12 @@ const Settings = () => {
         customWebhooks: [],
         sendThresholdAlerts: true,
         sendFrozenAlerts: true,
+        sendRateAlerts: true,
+        sendCompoundAlerts: true,
+        sendForecastAlerts: true,
+        sendAnomalyAlerts: true,
         sendErrorAlerts: true,
+        sendStageReports: false,
       },
     };
 
@@ -376,8 +918,161 @@ const Settings = () => {
   // Use optional chaining for safer access
   const pollingInterval = localSettings?.pollingInterval || 5;
   const webhooksConfig = localSettings?.webhooks || {};
-  const pressurePatterns = localSettings?.patternCategories?.pressure || {};
-  const batteryPatterns = localSettings?.patternCategories?.battery || {};
+  const historyConfig = { ...DEFAULT_SETTINGS.history, ...(localSettings?.history || {}) };
+  const emailConfig = { ...DEFAULT_SETTINGS.email, ...(localSettings?.email || {}) };
+  const shiftReportConfig = { ...DEFAULT_SETTINGS.shiftReports, ...(localSettings?.shiftReports || {}) };
+  const patternCategories = localSettings?.patternCategories || {};
+
+  const renderPatternList = (key, categorySettings, patternType, placeholder) => {
+    const inputKey = `${key}.${patternType}`;
+    const inputValue = newPatterns[inputKey] || "";
+    const patternError = inputValue.trim() ? validatePattern(inputValue.trim()) : null;
+
+    return (
+      <>
+        <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
+          {Array.isArray(categorySettings[patternType]) &&
+            categorySettings[patternType].map((pattern, index) => (
+              <Chip
+                key={`${key}-${patternType}-${index}`}
+                label={pattern}
+                className={`pattern-chip ${patternType === "patterns" ? "include" : "exclude"}`}
+                onDelete={() => handleRemovePattern(key, patternType, index)}
+              />
+            ))}
+        </Box>
+
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 3 }}>
+          <TextField
+            size="small"
+            value={inputValue}
+            onChange={(e) => setNewPatterns((prev) => ({ ...prev, [inputKey]: e.target.value }))}
+            placeholder={placeholder}
+            error={!!patternError}
+            helperText={patternError || "Substring by default, or word:psi, glob:*tubing*, /^cas(ing)?$/"}
+            sx={{ flexGrow: 1 }}
+          />
+          <Button
+            startIcon={<AddIcon />}
+            onClick={() => handleAddPattern(key, patternType)}
+            disabled={!inputValue.trim() || !!patternError}
+          >
+            Add
+          </Button>
+        </Box>
+      </>
+    );
+  };
+
+  const renderCategory = (key, categorySettings) => {
+    const name = getCategoryName(key, categorySettings);
+    const label = name.toLowerCase();
+    const unit = categorySettings.unit || "";
+    const categoryPath = `patternCategories.${key}`;
+
+    return (
+      <Grid item xs={12} md={6} key={key}>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            {name} Patterns
+          </Typography>
+          <IconButton onClick={() => setRecommendationCategory(key)} title={`Suggest ${name} thresholds from history`}>
+            <InsightsIcon />
+          </IconButton>
+          <IconButton onClick={() => setBacktestCategory(key)} title={`Backtest ${name} settings against history`}>
+            <HistoryIcon />
+          </IconButton>
+          <IconButton color="error" onClick={() => handleDeleteCategory(key)} title={`Delete ${name} category`}>
+            <DeleteIcon />
+          </IconButton>
+        </Box>
+
+        <Box sx={{ display: "flex", gap: 2 }}>
+          <TextField
+            label="Name"
+            fullWidth
+            value={categorySettings.name ?? name}
+            onChange={(e) => handleSettingChange(categoryPath, "name", e.target.value)}
+            margin="normal"
+            helperText={`Key: ${key}`}
+          />
+          <TextField
+            label="Unit"
+            value={unit}
+            onChange={(e) => handleSettingChange(categoryPath, "unit", e.target.value)}
+            margin="normal"
+            sx={{ width: 140 }}
+          />
+          <TextField
+            label="Priority"
+            type="number"
+            value={categorySettings.priority ?? DEFAULT_CATEGORY_PRIORITY}
+            onChange={(e) =>
+              handleSettingChange(categoryPath, "priority", parseInt(e.target.value) || DEFAULT_CATEGORY_PRIORITY)
+            }
+            margin="normal"
+            sx={{ width: 140 }}
+            helperText="Higher wins overlaps"
+          />
+        </Box>
+
+        {renderThresholdRuleFields(key, categorySettings, label)}
+
+        <TextField
+          label="Alert Duration (seconds)"
+          type="number"
+          fullWidth
+          value={categorySettings.alertDuration || ""}
+          onChange={(e) => handleSettingChange(categoryPath, "alertDuration", parseInt(e.target.value) || 0)}
+          margin="normal"
+          helperText={`How long ${label} must breach its threshold before alerting (per header)`}
+        />
+
+        <TextField
+          label="Frozen Threshold (seconds)"
+          type="number"
+          fullWidth
+          value={categorySettings.frozenThreshold || ""}
+          onChange={(e) => handleSettingChange(categoryPath, "frozenThreshold", parseInt(e.target.value) || 0)}
+          margin="normal"
+          helperText={`How long ${label} value can remain unchanged before alerting (per header)`}
+        />
+
+        {renderFrozenRuleFields(key, categorySettings, unit)}
+
+        {renderRateRuleFields(key, categorySettings, unit)}
+
+        {renderForecastRuleFields(key, categorySettings)}
+
+        {renderAnomalyRuleFields(key, categorySettings)}
+
+        <TextField
+          label="Notification Interval (seconds)"
+          type="number"
+          fullWidth
+          value={categorySettings.notificationInterval || "300"}
+          onChange={(e) => handleSettingChange(categoryPath, "notificationInterval", parseInt(e.target.value) || 300)}
+          margin="normal"
+          helperText="Minimum time between repeated notifications for the same header"
+          InputProps={{
+            endAdornment: <InputAdornment position="end">seconds</InputAdornment>,
+          }}
+        />
+
+        {renderSeverityLevelFields(key, categorySettings, label)}
+
+        <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+          Include Patterns
+        </Typography>
+        {renderPatternList(key, categorySettings, "patterns", "Add new pattern...")}
+
+        <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+          Exclude Patterns
+        </Typography>
+        {renderPatternList(key, categorySettings, "negativePatterns", "Add exclusion pattern...")}
+      </Grid>
+    );
+  };
 
   return (
     <Box>
@@ -426,6 +1121,66 @@ const Settings = () => {
                   />
                 </Grid>
               </Grid>
+
+              <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+                Value History
+              </Typography>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={historyConfig.enabled}
+                    onChange={(e) => handleSettingChange("history", "enabled", e.target.checked)}
+                  />
+                }
+                label="Record every polled value of monitored headers"
+              />
+              <Grid container spacing={3}>
+                <Grid item xs={12} sm={6} md={4}>
+                  <TextField
+                    label="Raw Retention"
+                    type="number"
+                    fullWidth
+                    margin="normal"
+                    value={historyConfig.rawRetentionHours}
+                    onChange={(e) => handleSettingChange("history", "rawRetentionHours", Number(e.target.value) || 0)}
+                    InputProps={{
+                      endAdornment: <InputAdornment position="end">hours</InputAdornment>,
+                    }}
+                    helperText="Every polled value is kept this long"
+                    disabled={!historyConfig.enabled}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6} md={4}>
+                  <TextField
+                    label="Rollup Interval"
+                    type="number"
+                    fullWidth
+                    margin="normal"
+                    value={historyConfig.rollupInterval}
+                    onChange={(e) => handleSettingChange("history", "rollupInterval", parseInt(e.target.value) || 0)}
+                    InputProps={{
+                      endAdornment: <InputAdornment position="end">seconds</InputAdornment>,
+                    }}
+                    helperText="Older values are downsampled to min/max/avg per interval"
+                    disabled={!historyConfig.enabled}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6} md={4}>
+                  <TextField
+                    label="Rollup Retention"
+                    type="number"
+                    fullWidth
+                    margin="normal"
+                    value={historyConfig.rollupRetentionDays}
+                    onChange={(e) => handleSettingChange("history", "rollupRetentionDays", Number(e.target.value) || 0)}
+                    InputProps={{
+                      endAdornment: <InputAdornment position="end">days</InputAdornment>,
+                    }}
+                    helperText="Downsampled values are deleted after this"
+                    disabled={!historyConfig.enabled}
+                  />
+                </Grid>
+              </Grid>
             </CardContent>
           </Card>
         </Grid>
@@ -475,6 +1230,18 @@ const Settings = () => {
                   />
                 </Grid>
 
+                <Grid item xs={12} sm={6}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={webhooksConfig.emailEnabled || false}
+                        onChange={(e) => handleSettingChange("webhooks", "emailEnabled", e.target.checked)}
+                      />
+                    }
+                    label="Email (shift reports)"
+                  />
+                </Grid>
+
                 <Grid item xs={12}>
                   <Divider sx={{ my: 2 }} />
                   <Typography variant="subtitle1" gutterBottom>
@@ -508,6 +1275,58 @@ const Settings = () => {
                   />
                 </Grid>
 
+                <Grid item xs={12} sm={6}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={webhooksConfig.sendRateAlerts ?? true}
+                        onChange={(e) => handleSettingChange("webhooks", "sendRateAlerts", e.target.checked)}
+                        disabled={!webhooksConfig.enabled}
+                      />
+                    }
+                    label="Send Rate of Change Alerts"
+                  />
+                </Grid>
+
+                <Grid item xs={12} sm={6}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={webhooksConfig.sendCompoundAlerts ?? true}
+                        onChange={(e) => handleSettingChange("webhooks", "sendCompoundAlerts", e.target.checked)}
+                        disabled={!webhooksConfig.enabled}
+                      />
+                    }
+                    label="Send Compound Rule Alerts"
+                  />
+                </Grid>
+
+                <Grid item xs={12} sm={6}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={webhooksConfig.sendForecastAlerts ?? true}
+                        onChange={(e) => handleSettingChange("webhooks", "sendForecastAlerts", e.target.checked)}
+                        disabled={!webhooksConfig.enabled}
+                      />
+                    }
+                    label="Send Forecast Alerts"
+                  />
+                </Grid>
+
+                <Grid item xs={12} sm={6}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={webhooksConfig.sendAnomalyAlerts ?? true}
+                        onChange={(e) => handleSettingChange("webhooks", "sendAnomalyAlerts", e.target.checked)}
+                        disabled={!webhooksConfig.enabled}
+                      />
+                    }
+                    label="Send Anomaly Alerts"
+                  />
+                </Grid>
+
                 <Grid item xs={12} sm={6}>
                   <FormControlLabel
                     control={
@@ -521,6 +1340,19 @@ const Settings = () => {
                   />
                 </Grid>
 
+                <Grid item xs={12} sm={6}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={webhooksConfig.sendStageReports || false}
+                        onChange={(e) => handleSettingChange("webhooks", "sendStageReports", e.target.checked)}
+                        disabled={!webhooksConfig.enabled}
+                      />
+                    }
+                    label="Post End-of-Stage Reports"
+                  />
+                </Grid>
+
                 {webhooksConfig.slackEnabled && (
                   <Grid item xs={12}>
                     <TextField
@@ -547,6 +1379,77 @@ const Settings = () => {
                   </Grid>
                 )}
 
+                {webhooksConfig.emailEnabled && (
+                  <>
+                    <Grid item xs={12}>
+                      <TextField
+                        label="Email Recipients"
+                        fullWidth
+                        value={webhooksConfig.emailRecipients || ""}
+                        onChange={(e) => handleSettingChange("webhooks", "emailRecipients", e.target.value)}
+                        placeholder="ops@example.com, supervisor@example.com"
+                        helperText="Comma separated addresses"
+                      />
+                    </Grid>
+                    <Grid item xs={12} sm={6} md={4}>
+                      <TextField
+                        label="SMTP Host"
+                        fullWidth
+                        value={emailConfig.host}
+                        onChange={(e) => handleSettingChange("email", "host", e.target.value)}
+                        placeholder="smtp.example.com"
+                      />
+                    </Grid>
+                    <Grid item xs={6} sm={3} md={2}>
+                      <TextField
+                        label="Port"
+                        type="number"
+                        fullWidth
+                        value={emailConfig.port}
+                        onChange={(e) => handleSettingChange("email", "port", parseInt(e.target.value) || 0)}
+                      />
+                    </Grid>
+                    <Grid item xs={6} sm={3} md={2}>
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            checked={emailConfig.secure}
+                            onChange={(e) => handleSettingChange("email", "secure", e.target.checked)}
+                          />
+                        }
+                        label="TLS"
+                      />
+                    </Grid>
+                    <Grid item xs={12} sm={6} md={4}>
+                      <TextField
+                        label="Sender"
+                        fullWidth
+                        value={emailConfig.from}
+                        onChange={(e) => handleSettingChange("email", "from", e.target.value)}
+                        placeholder="FracBrain Monitoring <monitoring@example.com>"
+                      />
+                    </Grid>
+                    <Grid item xs={12} sm={6}>
+                      <TextField
+                        label="SMTP Username"
+                        fullWidth
+                        value={emailConfig.username}
+                        onChange={(e) => handleSettingChange("email", "username", e.target.value)}
+                      />
+                    </Grid>
+                    <Grid item xs={12} sm={6}>
+                      <TextField
+                        label="SMTP Password"
+                        type="password"
+                        fullWidth
+                        value={emailConfig.password}
+                        onChange={(e) => handleSettingChange("email", "password", e.target.value)}
+                        helperText="Only sent over TLS. The saved password is never shown."
+                      />
+                    </Grid>
+                  </>
+                )}
+
                 {/* Custom Webhooks */}
                 <Grid item xs={12}>
                   <Typography variant="subtitle1" gutterBottom sx={{ mt: 2 }}>
@@ -597,276 +1500,121 @@ const Settings = () => {
           </Card>
         </Grid>
 
-        {/* Pattern Categories */}
+        {/* Shift Handover Reports */}
         <Grid item xs={12}>
           <Card>
             <CardHeader
-              title="Pattern Categories"
-              action={
-                <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSavePatterns} disabled={loading}>
-                  {loading ? <CircularProgress size={24} /> : "Save Patterns"}
-                </Button>
-              }
+              title="Shift Handover Reports"
+              subheader="Compiled at each crew change and sent through the notification channels and email"
             />
             <Divider />
             <CardContent>
-              <Grid container spacing={3}>
-                {/* Pressure Patterns */}
-                <Grid item xs={12} md={6}>
-                  <Typography variant="h6" gutterBottom>
-                    Pressure Patterns
-                  </Typography>
-
-                  <TextField
-                    label="Default Threshold"
-                    type="number"
-                    fullWidth
-                    value={pressurePatterns.threshold || ""}
-                    onChange={(e) =>
-                      handleSettingChange("patternCategories.pressure", "threshold", parseInt(e.target.value) || 0)
-                    }
-                    margin="normal"
-                    helperText="Default pressure threshold (can be overridden per header)"
-                  />
-
-                  <TextField
-                    label="Alert Duration (seconds)"
-                    type="number"
-                    fullWidth
-                    value={pressurePatterns.alertDuration || ""}
-                    onChange={(e) =>
-                      handleSettingChange("patternCategories.pressure", "alertDuration", parseInt(e.target.value) || 0)
-                    }
-                    margin="normal"
-                    helperText="How long pressure must stay below threshold before alerting (per header)"
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={shiftReportConfig.enabled}
+                    onChange={(e) => handleSettingChange("shiftReports", "enabled", e.target.checked)}
                   />
-
+                }
+                label="Compile a report at every shift change"
+              />
+              <Grid container spacing={3}>
+                <Grid item xs={12} sm={6} md={4}>
                   <TextField
-                    label="Frozen Threshold (seconds)"
-                    type="number"
+                    label="Shift Changes"
                     fullWidth
-                    value={pressurePatterns.frozenThreshold || ""}
-                    onChange={(e) =>
-                      handleSettingChange(
-                        "patternCategories.pressure",
-                        "frozenThreshold",
-                        parseInt(e.target.value) || 0
-                      )
-                    }
                     margin="normal"
-                    helperText="How long pressure value can remain unchanged before alerting (per header)"
+                    value={shiftTimesInput ?? shiftReportConfig.times.join(", ")}
+                    onChange={(e) => setShiftTimesInput(e.target.value)}
+                    onBlur={() => {
+                      if (shiftTimesInput === null) return;
+                      const times = shiftTimesInput
+                        .split(",")
+                        .map((time) => time.trim())
+                        .filter(Boolean);
+                      handleSettingChange("shiftReports", "times", times);
+                      setShiftTimesInput(null);
+                    }}
+                    helperText="24 hour HH:MM times, comma separated (server time)"
+                    disabled={!shiftReportConfig.enabled}
                   />
-
+                </Grid>
+                <Grid item xs={12} sm={6} md={4}>
                   <TextField
-                    label="Notification Interval (seconds)"
+                    label="Report Period"
                     type="number"
                     fullWidth
-                    value={pressurePatterns.notificationInterval || "300"}
-                    onChange={(e) =>
-                      handleSettingChange(
-                        "patternCategories.pressure",
-                        "notificationInterval",
-                        parseInt(e.target.value) || 300
-                      )
-                    }
                     margin="normal"
-                    helperText="Minimum time between repeated notifications for the same header"
+                    value={shiftReportConfig.periodHours}
+                    onChange={(e) => handleSettingChange("shiftReports", "periodHours", Number(e.target.value) || 0)}
                     InputProps={{
-                      endAdornment: <InputAdornment position="end">seconds</InputAdornment>,
+                      endAdornment: <InputAdornment position="end">hours</InputAdornment>,
                     }}
+                    helperText="How far back each report looks"
+                    disabled={!shiftReportConfig.enabled}
                   />
-
-                  <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
-                    Include Patterns
-                  </Typography>
-
-                  <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
-                    {Array.isArray(pressurePatterns.patterns) &&
-                      pressurePatterns.patterns.map((pattern, index) => (
-                        <Chip
-                          key={`pressure-pattern-${index}`}
-                          label={pattern}
-                          className="pattern-chip include"
-                          onDelete={() => handleRemovePattern("pressure", "patterns", index)}
-                        />
-                      ))}
-                  </Box>
-
-                  <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 3 }}>
-                    <TextField
-                      size="small"
-                      value={newPressurePattern}
-                      onChange={(e) => setNewPressurePattern(e.target.value)}
-                      placeholder="Add new pattern..."
-                      sx={{ flexGrow: 1 }}
-                    />
-                    <Button
-                      startIcon={<AddIcon />}
-                      onClick={() => handleAddPattern("pressure", "patterns")}
-                      disabled={!newPressurePattern.trim()}
-                    >
-                      Add
-                    </Button>
-                  </Box>
-
-                  <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
-                    Exclude Patterns
-                  </Typography>
-
-                  <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
-                    {Array.isArray(pressurePatterns.negativePatterns) &&
-                      pressurePatterns.negativePatterns.map((pattern, index) => (
-                        <Chip
-                          key={`pressure-negative-${index}`}
-                          label={pattern}
-                          className="pattern-chip exclude"
-                          onDelete={() => handleRemovePattern("pressure", "negativePatterns", index)}
-                        />
-                      ))}
-                  </Box>
-
-                  <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
-                    <TextField
-                      size="small"
-                      value={newPressureNegativePattern}
-                      onChange={(e) => setNewPressureNegativePattern(e.target.value)}
-                      placeholder="Add exclusion pattern..."
-                      sx={{ flexGrow: 1 }}
-                    />
-                    <Button
-                      startIcon={<AddIcon />}
-                      onClick={() => handleAddPattern("pressure", "negativePatterns")}
-                      disabled={!newPressureNegativePattern.trim()}
-                    >
-                      Add
-                    </Button>
-                  </Box>
                 </Grid>
-
-                {/* Battery Patterns */}
-                <Grid item xs={12} md={6}>
-                  <Typography variant="h6" gutterBottom>
-                    Battery Patterns
-                  </Typography>
-
-                  <TextField
-                    label="Default Threshold"
-                    type="number"
-                    fullWidth
-                    value={batteryPatterns.threshold || ""}
-                    onChange={(e) =>
-                      handleSettingChange("patternCategories.battery", "threshold", parseInt(e.target.value) || 0)
-                    }
-                    margin="normal"
-                    helperText="Default battery level threshold (can be overridden per header)"
-                  />
-
-                  <TextField
-                    label="Alert Duration (seconds)"
-                    type="number"
-                    fullWidth
-                    value={batteryPatterns.alertDuration || ""}
-                    onChange={(e) =>
-                      handleSettingChange("patternCategories.battery", "alertDuration", parseInt(e.target.value) || 0)
-                    }
-                    margin="normal"
-                    helperText="How long battery must stay below threshold before alerting (per header)"
-                  />
-
-                  <TextField
-                    label="Frozen Threshold (seconds)"
-                    type="number"
-                    fullWidth
-                    value={batteryPatterns.frozenThreshold || ""}
-                    onChange={(e) =>
-                      handleSettingChange("patternCategories.battery", "frozenThreshold", parseInt(e.target.value) || 0)
+                <Grid item xs={12} md={4}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={shiftReportConfig.sendNotifications}
+                        onChange={(e) => handleSettingChange("shiftReports", "sendNotifications", e.target.checked)}
+                        disabled={!shiftReportConfig.enabled}
+                      />
                     }
-                    margin="normal"
-                    helperText="How long battery value can remain unchanged before alerting (per header)"
+                    label="Post to Slack, Teams and webhooks"
                   />
-
-                  <TextField
-                    label="Notification Interval (seconds)"
-                    type="number"
-                    fullWidth
-                    value={batteryPatterns.notificationInterval || "300"}
-                    onChange={(e) =>
-                      handleSettingChange(
-                        "patternCategories.battery",
-                        "notificationInterval",
-                        parseInt(e.target.value) || 300
-                      )
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={shiftReportConfig.sendEmail}
+                        onChange={(e) => handleSettingChange("shiftReports", "sendEmail", e.target.checked)}
+                        disabled={!shiftReportConfig.enabled}
+                      />
                     }
-                    margin="normal"
-                    helperText="Minimum time between repeated notifications for the same header"
-                    InputProps={{
-                      endAdornment: <InputAdornment position="end">seconds</InputAdornment>,
-                    }}
+                    label="Email as an attachment"
                   />
+                </Grid>
+              </Grid>
+            </CardContent>
+          </Card>
+        </Grid>
 
-                  <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
-                    Include Patterns
-                  </Typography>
-
-                  <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
-                    {Array.isArray(batteryPatterns.patterns) &&
-                      batteryPatterns.patterns.map((pattern, index) => (
-                        <Chip
-                          key={`battery-pattern-${index}`}
-                          label={pattern}
-                          className="pattern-chip include"
-                          onDelete={() => handleRemovePattern("battery", "patterns", index)}
-                        />
-                      ))}
-                  </Box>
-
-                  <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
-                    <TextField
-                      size="small"
-                      value={newBatteryPattern}
-                      onChange={(e) => setNewBatteryPattern(e.target.value)}
-                      placeholder="Add new pattern..."
-                      sx={{ flexGrow: 1 }}
-                    />
-                    <Button
-                      startIcon={<AddIcon />}
-                      onClick={() => handleAddPattern("battery", "patterns")}
-                      disabled={!newBatteryPattern.trim()}
-                    >
-                      Add
-                    </Button>
-                  </Box>
+        {/* Pattern Categories */}
+        <Grid item xs={12}>
+          <Card>
+            <CardHeader
+              title="Pattern Categories"
+              subheader="Pattern and category edits apply once they are previewed and saved"
+              action={
+                <Button variant="contained" startIcon={<SaveIcon />} onClick={handlePreviewPatterns} disabled={loading}>
+                  {loading ? <CircularProgress size={24} /> : "Preview & Save"}
+                </Button>
+              }
+            />
+            <Divider />
+            <CardContent>
+              <Grid container spacing={3}>
+                {Object.entries(patternCategories).map(([key, categorySettings]) =>
+                  renderCategory(key, categorySettings)
+                )}
 
-                  <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
-                    Exclude Patterns
+                <Grid item xs={12}>
+                  <Divider sx={{ mb: 2 }} />
+                  <Typography variant="subtitle1" gutterBottom>
+                    Add Category
                   </Typography>
-
-                  <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
-                    {Array.isArray(batteryPatterns.negativePatterns) &&
-                      batteryPatterns.negativePatterns.map((pattern, index) => (
-                        <Chip
-                          key={`battery-negative-${index}`}
-                          label={pattern}
-                          className="pattern-chip exclude"
-                          onDelete={() => handleRemovePattern("battery", "negativePatterns", index)}
-                        />
-                      ))}
-                  </Box>
-
                   <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
                     <TextField
                       size="small"
-                      value={newBatteryNegativePattern}
-                      onChange={(e) => setNewBatteryNegativePattern(e.target.value)}
-                      placeholder="Add exclusion pattern..."
+                      value={newCategoryName}
+                      onChange={(e) => setNewCategoryName(e.target.value)}
+                      placeholder="Category name, e.g. Temperature"
                       sx={{ flexGrow: 1 }}
                     />
-                    <Button
-                      startIcon={<AddIcon />}
-                      onClick={() => handleAddPattern("battery", "negativePatterns")}
-                      disabled={!newBatteryNegativePattern.trim()}
-                    >
-                      Add
+                    <Button startIcon={<AddIcon />} onClick={handleAddCategory} disabled={!newCategoryName.trim()}>
+                      Add Category
                     </Button>
                   </Box>
                 </Grid>
@@ -875,6 +1623,53 @@ const Settings = () => {
           </Card>
         </Grid>
       </Grid>
+
+      <PatternPreviewDialog
+        open={previewOpen}
+        onClose={handleClosePreview}
+        onConfirm={handleSavePatterns}
+        patternCategories={localSettings.patternCategories}
+        savedCategories={settings?.patternCategories}
+      />
+
+      <BacktestDialog
+        open={Boolean(backtestCategory)}
+        onClose={() => setBacktestCategory(null)}
+        categoryKey={backtestCategory}
+        categoryName={
+          backtestCategory ? getCategoryName(backtestCategory, localSettings.patternCategories?.[backtestCategory]) : ""
+        }
+        candidate={backtestCategory ? localSettings.patternCategories?.[backtestCategory] : null}
+      />
+
+      <Dialog
+        open={Boolean(recommendationCategory)}
+        onClose={() => setRecommendationCategory(null)}
+        maxWidth="md"
+        fullWidth
+      >
+        <DialogTitle>
+          Suggested{" "}
+          {recommendationCategory &&
+            getCategoryName(recommendationCategory, localSettings.patternCategories?.[recommendationCategory])}{" "}
+          Thresholds
+        </DialogTitle>
+        <DialogContent dividers>
+          {recommendationCategory && (
+            <ThresholdRecommendations
+              scope="category"
+              target={recommendationCategory}
+              direction={localSettings.patternCategories?.[recommendationCategory]?.thresholdDirection}
+              alertDuration={localSettings.patternCategories?.[recommendationCategory]?.alertDuration}
+              unit={localSettings.patternCategories?.[recommendationCategory]?.unit}
+              onApply={handleApplyRecommendation}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRecommendationCategory(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -0,0 +1,329 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Button,
+  IconButton,
+  Tooltip,
+  Chip,
+  List,
+  ListItemButton,
+  ListItemText,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Alert,
+  LinearProgress,
+} from "@mui/material";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import OpenInNewIcon from "@mui/icons-material/OpenInNew";
+import DownloadIcon from "@mui/icons-material/Download";
+import { format } from "date-fns";
+import { fetchShiftReports, fetchShiftReport, generateShiftReport, getShiftReportUrl } from "../api/monitoringApi";
+
+const formatTime = (time) => (time ? format(new Date(time), "MM/dd/yyyy HH:mm") : "-");
+
+const SEVERITY_CHIP_COLORS = { critical: "error", warning: "warning", info: "info" };
+
+// Delivery per channel: true sent, false failed, null not sent
+const DELIVERY_LABELS = { notifications: "Channels", email: "Email" };
+
+const formatDelivery = (delivery) => {
+  if (!delivery) return "Not sent";
+  const parts = Object.entries(DELIVERY_LABELS)
+    .filter(([key]) => delivery[key] !== null && delivery[key] !== undefined)
+    .map(([key, label]) => `${label} ${delivery[key] ? "sent" : "failed"}`);
+  return parts.length > 0 ? parts.join(", ") : "Not sent";
+};
+
+const StatCard = ({ label, value }) => (
+  <Paper variant="outlined" sx={{ p: 1.5, height: "100%" }}>
+    <Typography variant="body2" color="text.secondary">
+      {label}
+    </Typography>
+    <Typography variant="h5">{value}</Typography>
+  </Paper>
+);
+
+const Section = ({ title, columns, rows, emptyText, renderRow }) => (
+  <Box sx={{ mt: 3 }}>
+    <Typography variant="h6" gutterBottom>
+      {title}
+    </Typography>
+    <TableContainer component={Paper} variant="outlined">
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            {columns.map((column) => (
+              <TableCell key={column}>{column}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={columns.length} align="center" sx={{ color: "text.secondary" }}>
+                {emptyText}
+              </TableCell>
+            </TableRow>
+          )}
+          {rows.map(renderRow)}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  </Box>
+);
+
+const ALERT_COLUMNS = ["Raised", "Project", "Header", "Type", "Severity", "Value", "State"];
+
+const renderAlertRow = (alert) => (
+  <TableRow key={alert.id}>
+    <TableCell>{formatTime(alert.raisedAt)}</TableCell>
+    <TableCell>{alert.projectName || alert.projectId || "-"}</TableCell>
+    <TableCell>{alert.headerName || "-"}</TableCell>
+    <TableCell>{alert.type}</TableCell>
+    <TableCell>
+      <Chip size="small" label={alert.severity} color={SEVERITY_CHIP_COLORS[alert.severity] || "default"} />
+    </TableCell>
+    <TableCell>{alert.value ?? "-"}</TableCell>
+    <TableCell>{alert.state}</TableCell>
+  </TableRow>
+);
+
+/**
+ * Shift handover reports compiled at each crew change, with the selected report shown in full
+ */
+const ShiftReports = () => {
+  const [reports, setReports] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const data = await fetchShiftReports();
+        if (!cancelled) {
+          setReports(data.reports || []);
+          setSelectedId((current) => current ?? data.reports?.[0]?.id ?? null);
+          setError(null);
+        }
+      } catch (fetchError) {
+        if (!cancelled) setError(fetchError.response?.data?.error || "Failed to load shift reports");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadCount]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setReport(null);
+      return undefined;
+    }
+    let cancelled = false;
+    fetchShiftReport(selectedId)
+      .then((data) => !cancelled && setReport(data))
+      .catch((fetchError) => !cancelled && setError(fetchError.response?.data?.error || "Failed to load shift report"));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedId]);
+
+  const handleGenerate = async (deliver) => {
+    setGenerating(true);
+    try {
+      const created = await generateShiftReport({ deliver });
+      setSelectedId(created.id);
+      setReloadCount((count) => count + 1);
+      setError(null);
+    } catch (generateError) {
+      setError(generateError.response?.data?.error || "Failed to compile shift report");
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const renderReport = () => {
+    if (!report) return null;
+    const { summary } = report;
+
+    return (
+      <Paper sx={{ p: 2 }}>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", mb: 2 }}>
+          <Box>
+            <Typography variant="h6">Shift ending {formatTime(report.periodEnd)}</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {formatTime(report.periodStart)} - {formatTime(report.periodEnd)} · {formatDelivery(report.delivery)}
+            </Typography>
+          </Box>
+          <Box>
+            <Tooltip title="Open (print from the browser to save as PDF)">
+              <IconButton component="a" href={getShiftReportUrl(report.id)} target="_blank" rel="noopener noreferrer">
+                <OpenInNewIcon />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Download HTML">
+              <IconButton component="a" href={getShiftReportUrl(report.id, { download: true })}>
+                <DownloadIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Box>
+
+        <Grid container spacing={1}>
+          {[
+            ["Active projects", report.counts.activeProjects],
+            ["Opened", report.counts.opened],
+            ["Resolved", report.counts.resolved],
+            ["Outstanding", report.counts.outstanding],
+            ["Snoozed", report.counts.snoozed],
+            ["Frozen headers", report.counts.frozen],
+          ].map(([label, value]) => (
+            <Grid item xs={6} sm={4} md={2} key={label}>
+              <StatCard label={label} value={value} />
+            </Grid>
+          ))}
+        </Grid>
+
+        <Section
+          title="Outstanding Alerts"
+          columns={ALERT_COLUMNS}
+          rows={summary.alertsOutstanding}
+          emptyText="No alerts were outstanding"
+          renderRow={renderAlertRow}
+        />
+        <Section
+          title="Headers Frozen"
+          columns={["Project", "Header", "Value", "Frozen since"]}
+          rows={summary.frozenHeaders}
+          emptyText="No headers were frozen"
+          renderRow={(header) => (
+            <TableRow key={`${header.projectId}-${header.headerId}`}>
+              <TableCell>{header.projectName || header.projectId || "-"}</TableCell>
+              <TableCell>{header.headerName}</TableCell>
+              <TableCell>{header.value ?? "-"}</TableCell>
+              <TableCell>{formatTime(header.frozenSince)}</TableCell>
+            </TableRow>
+          )}
+        />
+        <Section
+          title="Snoozes In Effect"
+          columns={["Project", "Header", "Type", "Snoozed until", "Reason"]}
+          rows={summary.snoozes}
+          emptyText="No alerts were snoozed"
+          renderRow={(snooze) => (
+            <TableRow key={snooze.id ?? snooze.alertId}>
+              <TableCell>{snooze.projectName || snooze.projectId || "-"}</TableCell>
+              <TableCell>{snooze.headerName || snooze.alertId || "-"}</TableCell>
+              <TableCell>{snooze.type || "-"}</TableCell>
+              <TableCell>{formatTime(snooze.snoozedUntil)}</TableCell>
+              <TableCell>{snooze.reason || "-"}</TableCell>
+            </TableRow>
+          )}
+        />
+        <Section
+          title="Alerts Opened"
+          columns={ALERT_COLUMNS}
+          rows={summary.alertsOpened}
+          emptyText="No alerts were opened this shift"
+          renderRow={renderAlertRow}
+        />
+        <Section
+          title="Alerts Resolved"
+          columns={ALERT_COLUMNS}
+          rows={summary.alertsResolved}
+          emptyText="No alerts were resolved this shift"
+          renderRow={renderAlertRow}
+        />
+        <Section
+          title="Active Projects"
+          columns={["Company", "Project", "Stage", "Outstanding alerts"]}
+          rows={summary.activeProjects}
+          emptyText="No active projects"
+          renderRow={(project) => (
+            <TableRow key={project.projectId}>
+              <TableCell>{project.companyName || "-"}</TableCell>
+              <TableCell>{project.projectName || project.projectId}</TableCell>
+              <TableCell>{project.stageId || "-"}</TableCell>
+              <TableCell>{project.outstandingAlerts}</TableCell>
+            </TableRow>
+          )}
+        />
+      </Paper>
+    );
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Typography variant="h4" component="h1">
+          Shift Reports
+        </Typography>
+        <Box sx={{ display: "flex", gap: 1 }}>
+          <Button variant="contained" onClick={() => handleGenerate(false)} disabled={generating}>
+            Compile Now
+          </Button>
+          <Button variant="outlined" onClick={() => handleGenerate(true)} disabled={generating}>
+            Compile & Send
+          </Button>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={() => setReloadCount((count) => count + 1)}>
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      {(loading || generating) && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={3}>
+          <Paper>
+            <List dense>
+              {!loading && reports.length === 0 && (
+                <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                  No shift reports yet. Enable them in Settings or compile one now.
+                </Typography>
+              )}
+              {reports.map((item) => (
+                <ListItemButton key={item.id} selected={item.id === selectedId} onClick={() => setSelectedId(item.id)}>
+                  <ListItemText
+                    primary={formatTime(item.periodEnd)}
+                    secondary={`${item.counts.outstanding} outstanding, ${item.counts.opened} opened${
+                      item.scheduled ? "" : " · on demand"
+                    }`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </Paper>
+        </Grid>
+        <Grid item xs={12} md={9}>
+          {renderReport()}
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default ShiftReports;
@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch } from "react-redux";
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  IconButton,
+  Tooltip,
+  Chip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Alert,
+  LinearProgress,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import NotificationsActiveIcon from "@mui/icons-material/NotificationsActive";
+import { fetchSnoozes, fetchSnoozeScopes, deleteSnooze } from "../api/monitoringApi";
+import { fetchAlerts } from "../store/slices/alertsSlice";
+import { getOperatorName } from "../utils/alertLifecycle";
+import { formatSnoozeTarget, formatSnoozeExpiry } from "../utils/snoozes";
+import SnoozeDialog from "../components/Alerts/SnoozeDialog";
+
+/**
+ * Every snooze in effect, from single alerts to whole projects, with the reason it was set and who set it
+ */
+const Snoozes = () => {
+  const dispatch = useDispatch();
+  const [snoozes, setSnoozes] = useState([]);
+  const [projectNames, setProjectNames] = useState(new Map());
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const [snoozeData, scopeData] = await Promise.all([fetchSnoozes(), fetchSnoozeScopes()]);
+        if (!cancelled) {
+          setSnoozes(snoozeData.snoozes || []);
+          setProjectNames(
+            new Map((scopeData.projects || []).map((project) => [String(project.projectId), project.projectName]))
+          );
+          setError(null);
+        }
+      } catch (fetchError) {
+        if (!cancelled) setError(fetchError.response?.data?.error || "Failed to load snoozes");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadCount]);
+
+  const reload = () => setReloadCount((count) => count + 1);
+
+  const handleUnsnooze = async (snooze) => {
+    try {
+      await deleteSnooze(snooze.id, getOperatorName());
+      dispatch(fetchAlerts());
+      reload();
+    } catch (deleteError) {
+      setError(deleteError.response?.data?.error || "Failed to unsnooze");
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Typography variant="h4" component="h1">
+          Snoozes
+        </Typography>
+        <Box sx={{ display: "flex", gap: 1 }}>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setDialogOpen(true)}>
+            New Snooze
+          </Button>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={reload}>
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Snoozed alerts stay active but are not notified. A header, project, stage or category snooze also covers alerts
+        raised after it was set.
+      </Typography>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Covers</TableCell>
+              <TableCell>Project</TableCell>
+              <TableCell>Reason</TableCell>
+              <TableCell>Expires</TableCell>
+              <TableCell>Snoozed by</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {!loading && snoozes.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} align="center" sx={{ color: "text.secondary" }}>
+                  Nothing is snoozed
+                </TableCell>
+              </TableRow>
+            )}
+            {snoozes.map((snooze) => (
+              <TableRow key={snooze.id}>
+                <TableCell>
+                  {formatSnoozeTarget(snooze)}
+                  {snooze.alertType && <Chip size="small" variant="outlined" label={snooze.alertType} sx={{ ml: 1 }} />}
+                </TableCell>
+                <TableCell>{projectNames.get(String(snooze.projectId)) || snooze.projectId || "-"}</TableCell>
+                <TableCell>{snooze.reason || "-"}</TableCell>
+                <TableCell>{formatSnoozeExpiry(snooze)}</TableCell>
+                <TableCell>{snooze.createdBy || "-"}</TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Unsnooze now">
+                    <IconButton size="small" onClick={() => handleUnsnooze(snooze)}>
+                      <NotificationsActiveIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <SnoozeDialog open={dialogOpen} onClose={() => setDialogOpen(false)} onSnoozed={reload} />
+    </Box>
+  );
+};
+
+export default Snoozes;
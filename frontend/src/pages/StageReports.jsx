@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  IconButton,
+  Tooltip,
+  Chip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Alert,
+  LinearProgress,
+} from "@mui/material";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import OpenInNewIcon from "@mui/icons-material/OpenInNew";
+import DownloadIcon from "@mui/icons-material/Download";
+import { format } from "date-fns";
+import { fetchActiveStages } from "../store/slices/stagesSlice";
+import { fetchStageReports, generateStageReport, getStageReportUrl } from "../api/monitoringApi";
+
+const formatTime = (time) => (time ? format(new Date(time), "MM/dd/yyyy HH:mm") : "-");
+
+const SEVERITY_CHIP_COLORS = { critical: "error", warning: "warning", info: "info" };
+
+/**
+ * Reports written when a project moves on to its next stage: alerts raised, time each header spent in
+ * alert or frozen and the min/max/avg of its values. A report for a stage still running can be generated on demand.
+ */
+const StageReports = () => {
+  const dispatch = useDispatch();
+  const activeStages = useSelector((state) => state.stages.activeStages || []);
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [selectedStageId, setSelectedStageId] = useState("");
+  const [generating, setGenerating] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchActiveStages());
+  }, [dispatch]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const data = await fetchStageReports();
+        if (!cancelled) {
+          setReports(data.reports || []);
+          setError(null);
+        }
+      } catch (fetchError) {
+        if (!cancelled) setError(fetchError.response?.data?.error || "Failed to load stage reports");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadCount]);
+
+  const handleGenerate = async () => {
+    const stage = activeStages.find((item) => String(item.stageId) === String(selectedStageId));
+    if (!stage) return;
+
+    setGenerating(true);
+    try {
+      await generateStageReport({ projectId: stage.projectId, stageId: stage.stageId });
+      setError(null);
+      setReloadCount((count) => count + 1);
+    } catch (generateError) {
+      setError(generateError.response?.data?.error || "Failed to generate stage report");
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Typography variant="h4" component="h1">
+          Stage Reports
+        </Typography>
+        <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+          <FormControl size="small" sx={{ minWidth: 240 }}>
+            <InputLabel>Active stage</InputLabel>
+            <Select
+              label="Active stage"
+              value={selectedStageId}
+              onChange={(event) => setSelectedStageId(event.target.value)}
+            >
+              {activeStages.map((stage) => (
+                <MenuItem key={stage.stageId} value={stage.stageId}>
+                  {stage.projectName || `Project ${stage.projectId}`} - Stage {stage.stageNumber || stage.stageId}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button variant="contained" onClick={handleGenerate} disabled={!selectedStageId || generating}>
+            Report Now
+          </Button>
+          <Button variant="outlined" startIcon={<RefreshIcon />} onClick={() => setReloadCount((count) => count + 1)}>
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+
+      {(loading || generating) && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Generated</TableCell>
+                <TableCell>Project</TableCell>
+                <TableCell>Stage</TableCell>
+                <TableCell>Period</TableCell>
+                <TableCell>Alerts</TableCell>
+                <TableCell>Posted</TableCell>
+                <TableCell align="right">Report</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {!loading && reports.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} align="center" sx={{ color: "text.secondary" }}>
+                    No stage reports yet, one is written each time a project moves on to its next stage
+                  </TableCell>
+                </TableRow>
+              )}
+              {reports.map((report) => (
+                <TableRow key={report.id} hover>
+                  <TableCell>{formatTime(report.generatedAt)}</TableCell>
+                  <TableCell>
+                    {report.projectName || `Project ${report.projectId}`}
+                    {report.companyName && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {report.companyName}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {report.stageId}
+                    {report.nextStageId && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        followed by {report.nextStageId}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {formatTime(report.startedAt)} - {formatTime(report.endedAt)}
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", alignItems: "center" }}>
+                      <Typography variant="body2" sx={{ mr: 0.5 }}>
+                        {report.alertCounts?.total ?? 0}
+                      </Typography>
+                      {Object.entries(report.alertCounts?.bySeverity || {}).map(([severity, count]) => (
+                        <Chip
+                          key={severity}
+                          size="small"
+                          label={`${count} ${severity}`}
+                          color={SEVERITY_CHIP_COLORS[severity] || "default"}
+                          variant="outlined"
+                        />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell>{report.posted ? "Yes" : "No"}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Open (print from the browser to save as PDF)">
+                      <IconButton
+                        size="small"
+                        component="a"
+                        href={getStageReportUrl(report.id)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        <OpenInNewIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Download HTML">
+                      <IconButton size="small" component="a" href={getStageReportUrl(report.id, { download: true })}>
+                        <DownloadIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    </Box>
+  );
+};
+
+export default StageReports;
@@ -1,19 +1,64 @@
 // Default settings configuration
+import { validatePattern } from '@shared/headerClassifier';
 export const DEFAULT_SETTINGS = {
   pollingInterval: 5, // seconds
   patternCategories: {
     pressure: {
+      name: 'Pressure',
+      unit: 'psi',
       patterns: ['pressure', 'psi', 'tubing', 'casing'],
       negativePatterns: ['atmospheric', 'atm'],
       threshold: 20,
+      thresholdDirection: 'below', // below | above | band
+      thresholdMin: null,
+      thresholdMax: null,
+      rateLimit: null, // psi per minute, null disables the rate rule
+      rateWindow: 60, // seconds
+      rateDirection: 'drop', // drop | rise | either
+      rateSeverity: 'critical', // warning | critical
+      recoveryMargin: 0, // distance past the threshold needed before an alert clears
+      recoveryHoldTime: 30, // seconds the value must stay recovered before an alert clears
+      severityLevels: [], // optional warning/critical tiers: { severity, threshold, alertDuration, notificationInterval, channels }
       alertDuration: 20,
-      frozenThreshold: 120
+      frozenThreshold: 120,
+      frozenTolerance: 0, // drift still counted as frozen, 0 = exact match
+      frozenToleranceType: 'absolute', // absolute | percent
+      frozenVarianceWindow: null, // seconds, null disables the variance test
+      frozenMaxStdDev: null, // max standard deviation over the window for frozen data
+      forecastLeadTime: null, // hours, null disables time-to-threshold forecasting
+      forecastWindow: 6, // hours of history the trend is fitted over
+      forecastSeverity: 'warning',
+      anomalySigma: null, // standard deviations from the moving average, null disables anomaly detection
+      anomalyWindow: 600, // seconds, time constant of the moving average
+      anomalySeverity: 'warning'
     },
     battery: {
+      name: 'Battery',
+      unit: '%',
       patterns: ['battery', 'batt', 'volt'],
       threshold: 20,
+      thresholdDirection: 'below',
+      thresholdMin: null,
+      thresholdMax: null,
+      rateLimit: null,
+      rateWindow: 60,
+      rateDirection: 'drop',
+      rateSeverity: 'critical',
+      recoveryMargin: 0,
+      recoveryHoldTime: 30,
+      severityLevels: [],
       alertDuration: 300,
-      frozenThreshold: 300
+      frozenThreshold: 300,
+      frozenTolerance: 0,
+      frozenToleranceType: 'absolute',
+      frozenVarianceWindow: null,
+      frozenMaxStdDev: null,
+      forecastLeadTime: 4,
+      forecastWindow: 6,
+      forecastSeverity: 'warning',
+      anomalySigma: null,
+      anomalyWindow: 600,
+      anomalySeverity: 'warning'
     }
   },
   webhooks: {
@@ -26,12 +71,273 @@ export const DEFAULT_SETTINGS = {
     teamsWebhookUrl: "",
     sendThresholdAlerts: true,
     sendFrozenAlerts: true,
+    sendRateAlerts: true,
+    sendCompoundAlerts: true,
+    sendForecastAlerts: true,
+    sendAnomalyAlerts: true,
     sendErrorAlerts: true,
+    sendStageReports: false,
     interval: 3600000 // 1 hour in milliseconds
   },
+  // Header value history retention (mirrors backend/schemas/settings.js)
+  history: {
+    enabled: true,
+    rawRetentionHours: 48,
+    rollupInterval: 60, // seconds
+    rollupRetentionDays: 90
+  },
+  // SMTP server for the email channel (mirrors backend/schemas/settings.js)
+  email: {
+    host: '',
+    port: 587,
+    secure: false,
+    username: '',
+    password: '',
+    from: ''
+  },
+  // Shift handover reports, times are server local time
+  shiftReports: {
+    enabled: false,
+    times: ['06:00', '18:00'],
+    periodHours: 12,
+    sendNotifications: true,
+    sendEmail: true
+  },
   snoozeSettings: {}
 };
 
+// Rule defaults for a category created from the Settings page (mirrors backend/schemas/settings.js)
+export const CATEGORY_DEFAULTS = {
+  unit: '',
+  priority: 0,
+  patterns: [],
+  negativePatterns: [],
+  threshold: null,
+  thresholdDirection: 'below',
+  thresholdMin: null,
+  thresholdMax: null,
+  rateLimit: null,
+  rateWindow: 60,
+  rateDirection: 'drop',
+  rateSeverity: 'critical',
+  recoveryMargin: 0,
+  recoveryHoldTime: 30,
+  severityLevels: [],
+  alertDuration: 120,
+  frozenThreshold: 120,
+  frozenTolerance: 0,
+  frozenToleranceType: 'absolute',
+  frozenVarianceWindow: null,
+  frozenMaxStdDev: null,
+  forecastLeadTime: null,
+  forecastWindow: 6,
+  forecastSeverity: 'warning',
+  anomalySigma: null,
+  anomalyWindow: 600,
+  anomalySeverity: 'warning',
+  notificationInterval: 300
+};
+
+// Category keys are stable identifiers, names can be changed freely
+const CATEGORY_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Display name of a category, falling back to its key for categories saved before names existed
+export const getCategoryName = (key, category) =>
+  category?.name || key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' ');
+
+// Build a new category from a display name, e.g. "Slurry Rate" -> { key: 'slurry_rate', category }
+export function createCategory(name, existingKeys = []) {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'category';
+  const prefixed = /^[a-z]/.test(base) ? base : `category_${base}`;
+
+  let key = prefixed;
+  for (let suffix = 2; existingKeys.includes(key); suffix++) {
+    key = `${prefixed}_${suffix}`;
+  }
+
+  return { key, category: { ...CATEGORY_DEFAULTS, name: name.trim() } };
+}
+
+const THRESHOLD_DIRECTIONS = ['below', 'above', 'band'];
+const RATE_DIRECTIONS = ['drop', 'rise', 'either'];
+const FROZEN_TOLERANCE_TYPES = ['absolute', 'percent'];
+const SEVERITIES = ['warning', 'critical'];
+
+// Validate the threshold direction and band edges of a single category
+function validateThresholdRule(name, category, errors) {
+  if (!category) return;
+
+  if (category.thresholdDirection && !THRESHOLD_DIRECTIONS.includes(category.thresholdDirection)) {
+    errors.push(`${name} threshold direction must be one of ${THRESHOLD_DIRECTIONS.join(', ')}`);
+  }
+
+  if (category.thresholdDirection === 'band') {
+    const { thresholdMin, thresholdMax } = category;
+    if (typeof thresholdMin !== 'number' && typeof thresholdMax !== 'number') {
+      errors.push(`${name} band needs a minimum or maximum`);
+    } else if (typeof thresholdMin === 'number' && typeof thresholdMax === 'number' && thresholdMin >= thresholdMax) {
+      errors.push(`${name} band minimum must be lower than maximum`);
+    }
+  }
+}
+
+// Validate the rate-of-change limit, window and direction of a single category
+function validateRateRule(name, category, errors) {
+  if (!category) return;
+
+  if (category.rateLimit !== null && category.rateLimit !== undefined &&
+      (typeof category.rateLimit !== 'number' || category.rateLimit <= 0)) {
+    errors.push(`${name} rate limit must be a positive number or empty`);
+  }
+  if (category.rateWindow !== undefined && (typeof category.rateWindow !== 'number' || category.rateWindow <= 0)) {
+    errors.push(`${name} rate window must be a positive number of seconds`);
+  }
+  if (category.rateDirection && !RATE_DIRECTIONS.includes(category.rateDirection)) {
+    errors.push(`${name} rate direction must be one of ${RATE_DIRECTIONS.join(', ')}`);
+  }
+  if (category.rateSeverity && !SEVERITIES.includes(category.rateSeverity)) {
+    errors.push(`${name} rate severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+}
+
+// Validate the frozen tolerance and variance test of a single category
+function validateFrozenRule(name, category, errors) {
+  if (!category) return;
+
+  if (category.frozenTolerance !== undefined && category.frozenTolerance !== null &&
+      (typeof category.frozenTolerance !== 'number' || category.frozenTolerance < 0)) {
+    errors.push(`${name} frozen tolerance must be a non-negative number`);
+  }
+  if (category.frozenToleranceType && !FROZEN_TOLERANCE_TYPES.includes(category.frozenToleranceType)) {
+    errors.push(`${name} frozen tolerance type must be one of ${FROZEN_TOLERANCE_TYPES.join(', ')}`);
+  }
+
+  const { frozenVarianceWindow, frozenMaxStdDev } = category;
+  if (frozenVarianceWindow !== undefined && frozenVarianceWindow !== null) {
+    if (typeof frozenVarianceWindow !== 'number' || frozenVarianceWindow <= 0) {
+      errors.push(`${name} frozen variance window must be a positive number of seconds or empty`);
+    } else if (typeof frozenMaxStdDev !== 'number' || frozenMaxStdDev < 0) {
+      errors.push(`${name} frozen variance window needs a non-negative maximum standard deviation`);
+    }
+  }
+}
+
+// Validate the forecast lead time and trend window of a single category
+function validateForecastRule(name, category, errors) {
+  if (!category) return;
+
+  if (category.forecastLeadTime !== null && category.forecastLeadTime !== undefined &&
+      (typeof category.forecastLeadTime !== 'number' || category.forecastLeadTime <= 0)) {
+    errors.push(`${name} forecast lead time must be a positive number of hours or empty`);
+  }
+  if (category.forecastWindow !== undefined &&
+      (typeof category.forecastWindow !== 'number' || category.forecastWindow <= 0)) {
+    errors.push(`${name} forecast window must be a positive number of hours`);
+  }
+  if (category.forecastSeverity && !SEVERITIES.includes(category.forecastSeverity)) {
+    errors.push(`${name} forecast severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+}
+
+// Validate the sigma limit and window of a single category's anomaly detector
+function validateAnomalyRule(name, category, errors) {
+  if (!category) return;
+
+  if (category.anomalySigma !== null && category.anomalySigma !== undefined &&
+      (typeof category.anomalySigma !== 'number' || category.anomalySigma <= 0)) {
+    errors.push(`${name} anomaly sigma must be a positive number or empty`);
+  }
+  if (category.anomalyWindow !== undefined &&
+      (typeof category.anomalyWindow !== 'number' || category.anomalyWindow <= 0)) {
+    errors.push(`${name} anomaly window must be a positive number of seconds`);
+  }
+  if (category.anomalySeverity && !SEVERITIES.includes(category.anomalySeverity)) {
+    errors.push(`${name} anomaly severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+}
+
+// Validate the recovery margin and hold time of a single category
+function validateRecovery(name, category, errors) {
+  if (!category) return;
+
+  if (category.recoveryMargin !== undefined && (typeof category.recoveryMargin !== 'number' || category.recoveryMargin < 0)) {
+    errors.push(`${name} recovery margin must be a non-negative number`);
+  }
+  if (category.recoveryHoldTime !== undefined && (typeof category.recoveryHoldTime !== 'number' || category.recoveryHoldTime < 0)) {
+    errors.push(`${name} recovery hold time must be a non-negative number of seconds`);
+  }
+}
+
+// Validate the warning/critical tiers of a single category
+function validateSeverityLevels(name, category, errors) {
+  const levels = category?.severityLevels;
+  if (levels === undefined || levels === null) return;
+  if (!Array.isArray(levels)) {
+    errors.push(`${name} severity levels must be an array`);
+    return;
+  }
+
+  const direction = category.thresholdDirection || 'below';
+  for (const level of levels) {
+    if (!SEVERITIES.includes(level?.severity)) {
+      errors.push(`${name} severity must be one of ${SEVERITIES.join(', ')}`);
+    } else if (direction !== 'band' && typeof level.threshold !== 'number') {
+      errors.push(`${name} ${level.severity} threshold must be a number`);
+    }
+  }
+
+  const warning = levels.find((level) => level.severity === 'warning');
+  const critical = levels.find((level) => level.severity === 'critical');
+  if (warning && critical && direction !== 'band' &&
+      (direction === 'above' ? warning.threshold >= critical.threshold : warning.threshold <= critical.threshold)) {
+    errors.push(`${name} warning threshold must be ${direction === 'above' ? 'lower' : 'higher'} than critical threshold`);
+  }
+}
+
+// Validate the key, patterns and rule parameters of a single category
+function validateCategory(key, category, errors) {
+  const name = getCategoryName(key, category);
+
+  if (!CATEGORY_KEY_PATTERN.test(key)) {
+    errors.push(`Category key "${key}" must use lowercase letters, digits and underscores`);
+  }
+  if (category.name !== undefined && (typeof category.name !== 'string' || !category.name.trim())) {
+    errors.push(`${key} category name must not be empty`);
+  }
+  if (!Array.isArray(category.patterns)) {
+    errors.push(`${name} patterns must be an array`);
+  }
+  if (category.negativePatterns && !Array.isArray(category.negativePatterns)) {
+    errors.push(`${name} negative patterns must be an array`);
+  }
+  if (category.threshold !== null && category.threshold !== undefined &&
+      (typeof category.threshold !== 'number' ||
+       (category.unit === '%' && (category.threshold < 0 || category.threshold > 100)))) {
+    errors.push(`${name} threshold must be a number${category.unit === '%' ? ' between 0 and 100' : ''} or null`);
+  }
+  if (category.notificationInterval !== undefined &&
+      (typeof category.notificationInterval !== 'number' || category.notificationInterval <= 0)) {
+    errors.push(`${name} notification interval must be a positive number of seconds`);
+  }
+
+  if (category.priority !== undefined && (typeof category.priority !== 'number' || isNaN(category.priority))) {
+    errors.push(`${name} priority must be a number`);
+  }
+  const allPatterns = [category.patterns, category.negativePatterns].filter(Array.isArray).flat();
+  allPatterns.forEach((pattern) => {
+    const patternError = validatePattern(pattern);
+    if (patternError) errors.push(`${name}: ${patternError}`);
+  });
+
+  validateThresholdRule(name, category, errors);
+  validateRateRule(name, category, errors);
+  validateFrozenRule(name, category, errors);
+  validateForecastRule(name, category, errors);
+  validateAnomalyRule(name, category, errors);
+  validateRecovery(name, category, errors);
+  validateSeverityLevels(name, category, errors);
+}
+
 // Validate settings object
 export function validateSettings(settings) {
   try {
@@ -51,28 +357,11 @@ export function validateSettings(settings) {
     if (!settings.patternCategories || typeof settings.patternCategories !== 'object') {
       errors.push('Pattern categories must be an object');
     } else {
-      // Validate pressure category
-      const pressure = settings.patternCategories.pressure;
-      if (pressure) {
-        if (!Array.isArray(pressure.patterns)) {
-          errors.push('Pressure patterns must be an array');
-        }
-        if (pressure.negativePatterns && !Array.isArray(pressure.negativePatterns)) {
-          errors.push('Pressure negative patterns must be an array');
-        }
-        if (pressure.threshold !== null && (typeof pressure.threshold !== 'number' || pressure.threshold < 0)) {
-          errors.push('Pressure threshold must be a non-negative number or null');
-        }
-      }
-
-      // Validate battery category
-      const battery = settings.patternCategories.battery;
-      if (battery) {
-        if (!Array.isArray(battery.patterns)) {
-          errors.push('Battery patterns must be an array');
-        }
-        if (battery.threshold !== null && (typeof battery.threshold !== 'number' || battery.threshold < 0)) {
-          errors.push('Battery threshold must be a non-negative number or null');
+      for (const [key, category] of Object.entries(settings.patternCategories)) {
+        if (!category || typeof category !== 'object') {
+          errors.push(`${key} category must be an object`);
+        } else {
+          validateCategory(key, category, errors);
         }
       }
     }
@@ -90,6 +379,22 @@ export function validateSettings(settings) {
       }
     }
 
+    // Validate history retention
+    if (settings.history) {
+      const { rawRetentionHours, rollupInterval, rollupRetentionDays } = settings.history;
+      if (typeof rawRetentionHours !== 'number' || rawRetentionHours <= 0) {
+        errors.push('Raw history retention must be a positive number of hours');
+      }
+      if (!Number.isInteger(rollupInterval) || rollupInterval < 1) {
+        errors.push('History rollup interval must be a whole number of seconds');
+      }
+      if (typeof rollupRetentionDays !== 'number' || rollupRetentionDays <= 0) {
+        errors.push('Rollup history retention must be a positive number of days');
+      } else if (rollupRetentionDays * 24 < rawRetentionHours) {
+        errors.push('Rollup history retention must be at least as long as the raw retention');
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors
@@ -107,21 +412,26 @@ export function mergeWithDefaults(settings) {
   return {
     ...DEFAULT_SETTINGS,
     ...settings,
-    patternCategories: {
-      ...DEFAULT_SETTINGS.patternCategories,
-      ...(settings.patternCategories || {}),
-      pressure: {
-        ...DEFAULT_SETTINGS.patternCategories.pressure,
-        ...(settings.patternCategories?.pressure || {})
-      },
-      battery: {
-        ...DEFAULT_SETTINGS.patternCategories.battery,
-        ...(settings.patternCategories?.battery || {})
-      }
-    },
+    // Fill in rule defaults for every defined category, deleted categories stay deleted
+    patternCategories: settings.patternCategories
+      ? Object.fromEntries(
+          Object.entries(settings.patternCategories).map(([key, category]) => [
+            key,
+            {
+              ...CATEGORY_DEFAULTS,
+              ...(DEFAULT_SETTINGS.patternCategories[key] || {}),
+              ...(category || {})
+            }
+          ])
+        )
+      : DEFAULT_SETTINGS.patternCategories,
     webhooks: {
       ...DEFAULT_SETTINGS.webhooks,
       ...(settings.webhooks || {})
+    },
+    history: {
+      ...DEFAULT_SETTINGS.history,
+      ...(settings.history || {})
     }
   };
 } 
\ No newline at end of file
@@ -8,6 +8,8 @@ import headersReducer from "./slices/headersSlice";
 import settingsReducer from "./slices/settingsSlice";
 import alertsReducer from "./slices/alertsSlice";
 import monitoredHeadersReducer from "./slices/monitoredHeadersSlice";
+import compoundRulesReducer from "./slices/compoundRulesSlice";
+import historyReducer from "./slices/historySlice";
 
 const persistConfig = {
   key: "root",
@@ -21,6 +23,8 @@ const rootReducer = combineReducers({
   settings: settingsReducer,
   alerts: alertsReducer,
   monitoredHeaders: monitoredHeadersReducer,
+  compoundRules: compoundRulesReducer,
+  history: historyReducer,
 });
 
 const persistedReducer = persistReducer(persistConfig, rootReducer);
@@ -3,10 +3,11 @@ import axios from "axios";
 
 export const fetchAlerts = createAsyncThunk(
   "alerts/fetchAlerts",
-  async ({ includeSnoozed = true } = {}, { rejectWithValue }) => {
+  async ({ includeSnoozed = true, state } = {}, { rejectWithValue }) => {
     try {
+      // Without a state the backend returns the active (open and acknowledged) alerts
       const response = await axios.get("/api/monitoring/alerts", {
-        params: { includeSnoozed: includeSnoozed ? "true" : "false" },
+        params: { includeSnoozed: includeSnoozed ? "true" : "false", ...(state ? { state } : {}) },
       });
 
       // Ensure alert values are properly formatted
@@ -27,9 +28,14 @@ export const fetchAlerts = createAsyncThunk(
 
 export const snoozeAlert = createAsyncThunk(
   "alerts/snoozeAlert",
-  async ({ alertId, duration }, { rejectWithValue }) => {
+  async ({ alertId, duration, reason, autoUnsnooze, by }, { rejectWithValue }) => {
     try {
-      const response = await axios.post(`/api/monitoring/alerts/${alertId}/snooze`, { duration });
+      const response = await axios.post(`/api/monitoring/alerts/${alertId}/snooze`, {
+        duration,
+        reason,
+        autoUnsnooze,
+        by,
+      });
       return { alertId, data: response.data };
     } catch (error) {
       return rejectWithValue(error.response?.data || "Failed to snooze alert");
@@ -46,10 +52,61 @@ export const dismissAlert = createAsyncThunk("alerts/dismissAlert", async (alert
   }
 });
 
+// An operator is on it: the alert stays active but is no longer re-notified
+export const acknowledgeAlert = createAsyncThunk(
+  "alerts/acknowledgeAlert",
+  async ({ alertId, by, note }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/monitoring/alerts/${encodeURIComponent(alertId)}/acknowledge`, {
+        by,
+        note,
+      });
+      return { alertId, alert: response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || "Failed to acknowledge alert");
+    }
+  }
+);
+
+// Resolve or close an alert; the backend archives it under a new id, returned as archivedId
+export const resolveAlert = createAsyncThunk(
+  "alerts/resolveAlert",
+  async ({ alertId, by, note }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`/api/monitoring/alerts/${encodeURIComponent(alertId)}/resolve`, { by, note });
+      return { alertId, archivedId: response.data.id };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || "Failed to resolve alert");
+    }
+  }
+);
+
+export const closeAlert = createAsyncThunk("alerts/closeAlert", async ({ alertId, by, note }, { rejectWithValue }) => {
+  try {
+    const response = await axios.post(`/api/monitoring/alerts/${encodeURIComponent(alertId)}/close`, { by, note });
+    return { alertId, archivedId: response.data.id };
+  } catch (error) {
+    return rejectWithValue(error.response?.data || "Failed to close alert");
+  }
+});
+
+// Full record of one alert for the detail drawer: breach start, value extremes and events
+export const fetchAlertDetail = createAsyncThunk("alerts/fetchAlertDetail", async (alertId, { rejectWithValue }) => {
+  try {
+    const response = await axios.get(`/api/monitoring/alerts/${encodeURIComponent(alertId)}`);
+    return response.data;
+  } catch (error) {
+    return rejectWithValue(error.response?.data || "Failed to fetch alert details");
+  }
+});
+
 const initialState = {
   alerts: [],
   loading: false,
   error: null,
+  alertDetail: null,
+  detailLoading: false,
+  detailError: null,
 };
 
 const alertsSlice = createSlice({
@@ -59,6 +116,10 @@ const alertsSlice = createSlice({
     clearAlertsError: (state) => {
       state.error = null;
     },
+    clearAlertDetail: (state) => {
+      state.alertDetail = null;
+      state.detailError = null;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -83,9 +144,40 @@ const alertsSlice = createSlice({
       })
       .addCase(dismissAlert.fulfilled, (state, action) => {
         state.alerts = state.alerts.filter((alert) => alert.id !== action.payload);
+      })
+      .addCase(acknowledgeAlert.fulfilled, (state, action) => {
+        const { alertId, alert } = action.payload;
+        const alertIndex = state.alerts.findIndex((existing) => existing.id === alertId);
+        if (alertIndex !== -1) {
+          state.alerts[alertIndex] = {
+            ...state.alerts[alertIndex],
+            state: alert.state,
+            acknowledgedAt: alert.acknowledgedAt,
+            acknowledgedBy: alert.acknowledgedBy,
+            acknowledgementNote: alert.acknowledgementNote,
+          };
+        }
+      })
+      .addCase(resolveAlert.fulfilled, (state, action) => {
+        state.alerts = state.alerts.filter((alert) => alert.id !== action.payload.alertId);
+      })
+      .addCase(closeAlert.fulfilled, (state, action) => {
+        state.alerts = state.alerts.filter((alert) => alert.id !== action.payload.alertId);
+      })
+      .addCase(fetchAlertDetail.pending, (state) => {
+        state.detailLoading = true;
+        state.detailError = null;
+      })
+      .addCase(fetchAlertDetail.fulfilled, (state, action) => {
+        state.alertDetail = action.payload;
+        state.detailLoading = false;
+      })
+      .addCase(fetchAlertDetail.rejected, (state, action) => {
+        state.detailLoading = false;
+        state.detailError = action.payload || "Failed to fetch alert details";
       });
   },
 });
 
-export const { clearAlertsError } = alertsSlice.actions;
+export const { clearAlertsError, clearAlertDetail } = alertsSlice.actions;
 export default alertsSlice.reducer;
@@ -0,0 +1,120 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+
+export const fetchCompoundRules = createAsyncThunk(
+  "compoundRules/fetchCompoundRules",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get("/api/monitoring/compound-rules");
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || "Failed to fetch compound rules");
+    }
+  }
+);
+
+export const createCompoundRule = createAsyncThunk(
+  "compoundRules/createCompoundRule",
+  async (rule, { rejectWithValue }) => {
+    try {
+      const response = await axios.post("/api/monitoring/compound-rules", rule);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || "Failed to create compound rule");
+    }
+  }
+);
+
+export const updateCompoundRule = createAsyncThunk(
+  "compoundRules/updateCompoundRule",
+  async ({ ruleId, rule }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`/api/monitoring/compound-rules/${ruleId}`, rule);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || "Failed to update compound rule");
+    }
+  }
+);
+
+export const deleteCompoundRule = createAsyncThunk(
+  "compoundRules/deleteCompoundRule",
+  async (ruleId, { rejectWithValue }) => {
+    try {
+      await axios.delete(`/api/monitoring/compound-rules/${ruleId}`);
+      return ruleId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || "Failed to delete compound rule");
+    }
+  }
+);
+
+const initialState = {
+  rules: [],
+  loading: false,
+  error: null,
+  saving: false,
+  saveError: null,
+};
+
+const compoundRulesSlice = createSlice({
+  name: "compoundRules",
+  initialState,
+  reducers: {
+    clearCompoundRulesError: (state) => {
+      state.error = null;
+      state.saveError = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchCompoundRules.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchCompoundRules.fulfilled, (state, action) => {
+        state.rules = action.payload || [];
+        state.loading = false;
+      })
+      .addCase(fetchCompoundRules.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload || "Failed to fetch compound rules";
+      })
+      .addCase(createCompoundRule.pending, (state) => {
+        state.saving = true;
+        state.saveError = null;
+      })
+      .addCase(createCompoundRule.fulfilled, (state, action) => {
+        state.rules.push(action.payload);
+        state.saving = false;
+      })
+      .addCase(createCompoundRule.rejected, (state, action) => {
+        state.saving = false;
+        state.saveError = action.payload?.error || action.payload || "Failed to create compound rule";
+      })
+      .addCase(updateCompoundRule.pending, (state) => {
+        state.saving = true;
+        state.saveError = null;
+      })
+      .addCase(updateCompoundRule.fulfilled, (state, action) => {
+        const index = state.rules.findIndex((rule) => rule.id === action.payload.id);
+        if (index !== -1) {
+          state.rules[index] = action.payload;
+        }
+        state.saving = false;
+      })
+      .addCase(updateCompoundRule.rejected, (state, action) => {
+        state.saving = false;
+        state.saveError = action.payload?.error || action.payload || "Failed to update compound rule";
+      })
+      .addCase(deleteCompoundRule.fulfilled, (state, action) => {
+        state.rules = state.rules.filter((rule) => rule.id !== action.payload);
+      })
+      .addCase(deleteCompoundRule.rejected, (state, action) => {
+        state.error = action.payload?.error || action.payload || "Failed to delete compound rule";
+      });
+  },
+});
+
+export const { clearCompoundRulesError } = compoundRulesSlice.actions;
+export default compoundRulesSlice.reducer;
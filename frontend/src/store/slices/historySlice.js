@@ -0,0 +1,64 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import { fetchHeaderHistory as fetchHeaderHistoryApi } from "../../api/monitoringApi";
+
+// Fetch bucketed history for one or more headers from the backend's recorded values (not FracBrain)
+export const fetchHeaderHistory = createAsyncThunk(
+  "history/fetchHeaderHistory",
+  async ({ headerIds, from, to, resolution = "auto" }, { rejectWithValue }) => {
+    try {
+      return await fetchHeaderHistoryApi({ headerIds, from, to, resolution });
+    } catch (error) {
+      return rejectWithValue(error.response?.data || "Failed to fetch header history");
+    }
+  }
+);
+
+const initialState = {
+  // Latest window fetched per header: { points, from, to, resolution, headerName }
+  byHeader: {},
+  // Request status per header: "loading" | "succeeded" | "failed"
+  status: {},
+  error: null,
+};
+
+const historySlice = createSlice({
+  name: "history",
+  initialState,
+  reducers: {
+    clearHeaderHistory: (state, action) => {
+      const headerIds = action.payload || Object.keys(state.byHeader);
+      headerIds.forEach((headerId) => {
+        delete state.byHeader[headerId];
+        delete state.status[headerId];
+      });
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchHeaderHistory.pending, (state, action) => {
+        action.meta.arg.headerIds.forEach((headerId) => {
+          state.status[headerId] = "loading";
+        });
+        state.error = null;
+      })
+      .addCase(fetchHeaderHistory.fulfilled, (state, action) => {
+        const { from, to, resolution, series } = action.payload;
+        series.forEach(({ headerId, headerName, points }) => {
+          state.byHeader[headerId] = { points, from, to, resolution, headerName };
+          state.status[headerId] = "succeeded";
+        });
+      })
+      .addCase(fetchHeaderHistory.rejected, (state, action) => {
+        action.meta.arg.headerIds.forEach((headerId) => {
+          state.status[headerId] = "failed";
+        });
+        state.error = action.payload || "Failed to fetch header history";
+      });
+  },
+});
+
+export const selectHeaderHistory = (state, headerId) => state.history.byHeader[headerId] || null;
+export const selectHeaderHistoryStatus = (state, headerId) => state.history.status[headerId] || "idle";
+
+export const { clearHeaderHistory } = historySlice.actions;
+export default historySlice.reducer;
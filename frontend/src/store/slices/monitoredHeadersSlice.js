@@ -164,6 +164,12 @@ const monitoredHeadersSlice = createSlice({
             projectName: projectName,
             settings: {
               threshold: header.threshold,
+              thresholdDirection: header.threshold_direction,
+              thresholdMin: header.threshold_min,
+              thresholdMax: header.threshold_max,
+              rateLimit: header.rate_limit,
+              rateWindow: header.rate_window,
+              rateDirection: header.rate_direction,
               alertDuration: header.alert_duration,
               frozenThreshold: header.frozen_threshold,
             },
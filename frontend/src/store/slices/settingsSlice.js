@@ -33,11 +33,26 @@ export const updatePatternCategories = createAsyncThunk(
   }
 );
 
+// Dry-run candidate pattern categories against the headers of all active stages, nothing is saved
+export const previewPatternCategories = createAsyncThunk(
+  "settings/previewPatternCategories",
+  async (patternCategories, { rejectWithValue }) => {
+    try {
+      const response = await axios.post("/api/monitoring/patterns/preview", { patternCategories });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || "Failed to preview pattern categories");
+    }
+  }
+);
+
 const initialState = {
   settings: {
     pollingInterval: 5,
     patternCategories: {
       pressure: {
+        name: "Pressure",
+        unit: "psi",
         patterns: ["pressure", "psi"],
         negativePatterns: ["atmospheric", "atm"],
         threshold: 100,
@@ -45,6 +60,8 @@ const initialState = {
         frozenThreshold: 60,
       },
       battery: {
+        name: "Battery",
+        unit: "%",
         patterns: ["battery", "batt", "volt"],
         threshold: 20,
         alertDuration: 300,
@@ -61,13 +78,42 @@ const initialState = {
       teamsWebhookUrl: "",
       sendThresholdAlerts: true,
       sendFrozenAlerts: true,
+      sendRateAlerts: true,
+      sendCompoundAlerts: true,
+      sendForecastAlerts: true,
+      sendAnomalyAlerts: true,
       sendErrorAlerts: true,
+      sendStageReports: false,
       interval: 3600000,
     },
+    history: {
+      enabled: true,
+      rawRetentionHours: 48,
+      rollupInterval: 60,
+      rollupRetentionDays: 90,
+    },
+    email: {
+      host: "",
+      port: 587,
+      secure: false,
+      username: "",
+      password: "",
+      from: "",
+    },
+    shiftReports: {
+      enabled: false,
+      times: ["06:00", "18:00"],
+      periodHours: 12,
+      sendNotifications: true,
+      sendEmail: true,
+    },
   },
   loading: false,
   error: null,
   updated: false,
+  patternPreview: null,
+  previewLoading: false,
+  previewError: null,
 };
 
 const settingsSlice = createSlice({
@@ -80,6 +126,10 @@ const settingsSlice = createSlice({
     clearSettingsUpdated: (state) => {
       state.updated = false;
     },
+    clearPatternPreview: (state) => {
+      state.patternPreview = null;
+      state.previewError = null;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -124,9 +174,22 @@ const settingsSlice = createSlice({
         state.loading = false;
         state.error = action.payload || "Failed to update pattern categories";
         state.updated = false;
+      })
+      .addCase(previewPatternCategories.pending, (state) => {
+        state.previewLoading = true;
+        state.previewError = null;
+      })
+      .addCase(previewPatternCategories.fulfilled, (state, action) => {
+        state.patternPreview = action.payload;
+        state.previewLoading = false;
+      })
+      .addCase(previewPatternCategories.rejected, (state, action) => {
+        state.patternPreview = null;
+        state.previewLoading = false;
+        state.previewError = action.payload || "Failed to preview pattern categories";
       });
   },
 });
 
-export const { clearSettingsError, clearSettingsUpdated } = settingsSlice.actions;
+export const { clearSettingsError, clearSettingsUpdated, clearPatternPreview } = settingsSlice.actions;
 export default settingsSlice.reducer;
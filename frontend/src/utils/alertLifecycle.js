@@ -0,0 +1,71 @@
+// Alert lifecycle helpers (mirrors backend/services/alertLifecycleService.js)
+
+export const ALERT_STATES = [
+  { value: 'open', label: 'Open', color: 'error' },
+  { value: 'acknowledged', label: 'Acknowledged', color: 'warning' },
+  { value: 'resolved', label: 'Resolved', color: 'success' },
+  { value: 'closed', label: 'Closed', color: 'default' },
+];
+
+export const ACTIVE_ALERT_STATES = ['open', 'acknowledged'];
+
+// Alerts stored before the lifecycle existed are open
+export const getAlertState = (alert) => alert?.state || 'open';
+
+export const isAlertActive = (alert) => ACTIVE_ALERT_STATES.includes(getAlertState(alert));
+
+export const getAlertStateOption = (alert) =>
+  ALERT_STATES.find((state) => state.value === getAlertState(alert)) || ALERT_STATES[0];
+
+// There are no user accounts, operators sign their actions with a name remembered by the browser
+const LS_OPERATOR_NAME = 'monitoring_operatorName';
+
+export const getOperatorName = () => localStorage.getItem(LS_OPERATOR_NAME) || '';
+
+export const saveOperatorName = (name) => {
+  if (name) {
+    localStorage.setItem(LS_OPERATOR_NAME, name);
+  } else {
+    localStorage.removeItem(LS_OPERATOR_NAME);
+  }
+};
+
+const CHANNEL_LABELS = { slack: 'Slack', teams: 'Microsoft Teams', custom: 'Custom webhook' };
+
+const describeChannel = (details) =>
+  `${CHANNEL_LABELS[details.channel] || details.channel}${details.target ? ` (${details.target})` : ''}`;
+
+const byActor = (event) => (event.actor ? ` by ${event.actor}` : '');
+
+// Snoozes covering a whole header, project, stage or category name it, e.g. " with project Smith 4H"
+const describeSnoozeScope = (details) =>
+  details.scope && details.scope !== 'alert' ? ` with ${details.scope} ${details.scopeName || ''}`.trimEnd() : '';
+
+// One line per alert event, for timelines
+export function describeAlertEvent(event) {
+  const details = event.details || {};
+  switch (event.type) {
+    case 'triggered':
+      return 'Alert raised';
+    case 'escalated':
+      return `Escalated from ${details.from} to ${details.to}${details.value !== undefined ? ` at ${details.value}` : ''}`;
+    case 'acknowledged':
+      return `Acknowledged${byActor(event)}`;
+    case 'snoozed':
+      return `Snoozed${byActor(event)}${describeSnoozeScope(details)} until ${new Date(
+        details.snoozeUntil
+      ).toLocaleString()}${details.autoUnsnooze ? ' or recovery' : ''}${details.reason ? `: ${details.reason}` : ''}`;
+    case 'unsnoozed':
+      return details.automatic ? `Unsnoozed automatically: ${details.reason}` : `Unsnoozed${byActor(event)}`;
+    case 'notified':
+      return `${details.followUp ? 'Follow-up' : 'Notification'} sent to ${describeChannel(details)}`;
+    case 'notification_failed':
+      return `${details.followUp ? 'Follow-up' : 'Notification'} to ${describeChannel(details)} failed`;
+    case 'resolved':
+      return details.automatic ? `Resolved automatically: ${details.reason}` : `Resolved${byActor(event)}`;
+    case 'closed':
+      return `Closed${byActor(event)}${details.reason && details.reason !== 'Closed manually' ? `: ${details.reason}` : ''}`;
+    default:
+      return event.type;
+  }
+}
@@ -0,0 +1,22 @@
+// Statistical anomaly rule helpers (mirrors backend/utils/anomalyRules.js)
+
+export const DEFAULT_ANOMALY_WINDOW = 600; // seconds
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+// Short form of a category's anomaly rule for cards, e.g. "> 3σ from 600s average"
+export function formatAnomalyRule(category) {
+  if (!isSet(category?.anomalySigma)) return null;
+  return `> ${category.anomalySigma}σ from ${category.anomalyWindow || DEFAULT_ANOMALY_WINDOW}s average`;
+}
+
+// Alert text for an anomaly alert, e.g. "Value 812 is 4.3σ above the mean of 640 (limit 3σ)"
+export function describeAnomaly(alert) {
+  const score = Number(alert.anomalyScore ?? alert.anomaly_score ?? 0);
+  const mean = Number(alert.anomalyMean ?? alert.anomaly_mean ?? 0);
+  const limit = alert.anomalySigma ?? alert.anomaly_sigma;
+
+  return `Value ${alert.value} is ${Math.abs(score).toFixed(1)}σ ${score < 0 ? 'below' : 'above'} the mean of ${Number(
+    mean.toFixed(2)
+  )} (limit ${limit}σ)`;
+}
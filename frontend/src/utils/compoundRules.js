@@ -0,0 +1,22 @@
+// Compound rule helpers (mirrors backend/utils/expression.js)
+
+export const COMPARISON_OPERATORS = [
+  { value: '>', label: 'Greater than (>)' },
+  { value: '>=', label: 'Greater than or equal (>=)' },
+  { value: '<', label: 'Less than (<)' },
+  { value: '<=', label: 'Less than or equal (<=)' },
+];
+
+// Aliases offered for the headers of a rule, in order: A, B, C, ...
+export const getDefaultAlias = (index) => String.fromCharCode(65 + (index % 26));
+
+// Short form of a rule for lists, e.g. "A - B > 500"
+export function formatCompoundRule({ expression, operator, threshold }) {
+  return `${expression} ${operator} ${threshold}`;
+}
+
+// Alert text for a compound alert, e.g. "A - B = 620 (> 500)"
+export function describeCompoundBreach(alert) {
+  const value = typeof alert.value === 'number' ? Math.round(alert.value * 100) / 100 : alert.value;
+  return `${alert.expression} = ${value} (${alert.comparison} ${alert.threshold})`;
+}
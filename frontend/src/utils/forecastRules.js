@@ -0,0 +1,38 @@
+// Time-to-threshold forecast helpers (mirrors backend/utils/forecastRules.js)
+
+export const DEFAULT_FORECAST_WINDOW = 6; // hours
+
+// e.g. "3h 10m", "45m"
+export function formatTimeToThreshold(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const hours = Math.floor(minutes / 60);
+  if (hours >= 48) return `${Math.round(hours / 24)}d`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+// Short form of a header's forecast for cards, e.g. "20% in 3h 10m (-2.5%/h)"
+export function formatForecast(forecast, unit = '') {
+  if (!forecast) return null;
+  if (forecast.timeToThreshold === null) {
+    return `Not ${forecast.trend === 'rising' ? 'rising' : 'falling'} towards ${forecast.target}${unit}`;
+  }
+
+  const rate = `${forecast.rate > 0 ? '+' : ''}${forecast.rate.toFixed(1)}${unit}/h`;
+  return forecast.timeToThreshold === 0
+    ? `At ${forecast.target}${unit} (${rate})`
+    : `${forecast.target}${unit} in ${formatTimeToThreshold(forecast.timeToThreshold)} (${rate})`;
+}
+
+// Alert text for a forecast alert, e.g. "Reaches 20 in about 3h 10m (falling 2.5/h, lead time 4h)"
+export function describeForecast(alert) {
+  const rate = Number(alert.forecastRate ?? alert.forecast_rate ?? 0);
+  const eta = alert.forecastEta ?? alert.forecast_eta;
+  const leadTime = alert.forecastLeadTime ?? alert.forecast_lead_time;
+  const timestamp = typeof alert.timestamp === 'string' ? Date.parse(alert.timestamp) : alert.timestamp;
+  const remaining = eta ? formatTimeToThreshold(eta - (timestamp || Date.now())) : '-';
+
+  return `Reaches ${alert.threshold} in about ${remaining} (${rate < 0 ? 'falling' : 'rising'} ${Math.abs(rate).toFixed(
+    1
+  )}/h, lead time ${leadTime}h)`;
+}
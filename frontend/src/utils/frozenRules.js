@@ -0,0 +1,12 @@
+// Frozen-data rule helpers (mirrors backend/utils/frozenRules.js)
+
+export const FROZEN_TOLERANCE_TYPES = [
+  { value: 'absolute', label: 'Absolute' },
+  { value: 'percent', label: 'Percent of value' },
+];
+
+// Short form of a category's frozen tolerance, e.g. "±0.5 psi" or "±1%"
+export function formatFrozenTolerance({ frozenTolerance, frozenToleranceType }, unit = '') {
+  if (!frozenTolerance) return 'exact match';
+  return frozenToleranceType === 'percent' ? `±${frozenTolerance}%` : `±${frozenTolerance}${unit ? ` ${unit}` : ''}`;
+}
@@ -0,0 +1,44 @@
+// Maintenance window helpers (mirrors backend/utils/maintenanceWindows.js)
+
+export const MAINTENANCE_SCOPES = [
+  { value: 'company', label: 'Company' },
+  { value: 'project', label: 'Project' },
+  { value: 'stage', label: 'Stage' },
+  { value: 'header', label: 'Header' },
+];
+
+export const MAINTENANCE_RECURRENCES = [
+  { value: 'none', label: 'One-off' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+];
+
+const formatDateTime = (time) =>
+  new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const formatClock = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// e.g. "Project: Smith 4H", falling back to the id when the name was not stored
+export function formatMaintenanceScope(window) {
+  const label = MAINTENANCE_SCOPES.find((scope) => scope.value === window.scope)?.label || window.scope;
+  return `${label}: ${window.scopeName || window.scopeId}`;
+}
+
+// e.g. "Oct 19, 08:00 - Oct 19, 12:00" or "Daily 08:00 - 10:00 until Oct 30"
+export function formatMaintenanceSchedule(window) {
+  if (!window.recurrence || window.recurrence === 'none') {
+    return `${formatDateTime(window.startsAt)} - ${formatDateTime(window.endsAt)}`;
+  }
+
+  const recurrence = MAINTENANCE_RECURRENCES.find((option) => option.value === window.recurrence)?.label;
+  const day =
+    window.recurrence === 'weekly' ? ` ${new Date(window.startsAt).toLocaleDateString([], { weekday: 'short' })}` : '';
+  const until = window.repeatUntil ? ` until ${new Date(window.repeatUntil).toLocaleDateString()}` : '';
+  return `${recurrence}${day} ${formatClock(window.startsAt)} - ${formatClock(window.endsAt)}${until}`;
+}
+
+// Badge text for a header in maintenance, e.g. "In maintenance until 14:30 (Wireline run)"
+export function formatMaintenanceBadge(maintenance) {
+  if (!maintenance) return null;
+  return `In maintenance until ${formatClock(maintenance.endsAt)} (${maintenance.name})`;
+}
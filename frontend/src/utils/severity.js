@@ -0,0 +1,46 @@
+// Alert severity helpers (mirrors backend/utils/severityLevels.js)
+
+export const SEVERITY_LEVELS = [
+  { value: 'warning', label: 'Warning', color: 'warning' },
+  { value: 'critical', label: 'Critical', color: 'error' },
+];
+
+export const NOTIFICATION_CHANNELS = [
+  { value: 'slack', label: 'Slack' },
+  { value: 'teams', label: 'Teams' },
+  { value: 'custom', label: 'Custom webhooks' },
+];
+
+export const DEFAULT_SEVERITY = 'critical';
+
+// Severity of rate, anomaly and forecast alerts unless the category sets `<type>Severity`
+export const ALERT_TYPE_SEVERITIES = {
+  rate: 'critical',
+  anomaly: 'warning',
+  forecast: 'warning',
+};
+
+// Alerts stored before severities existed are treated as critical
+export const getAlertSeverity = (alert) => alert?.severity || DEFAULT_SEVERITY;
+
+// Higher is more severe
+export function severityRank(severity) {
+  const index = SEVERITY_LEVELS.findIndex((level) => level.value === severity);
+  return index === -1 ? SEVERITY_LEVELS.length - 1 : index;
+}
+
+// MUI palette colour ("warning" / "error") for an alert's severity
+export const getSeverityColor = (alert) =>
+  SEVERITY_LEVELS.find((level) => level.value === getAlertSeverity(alert))?.color || 'error';
+
+export const getSeverityLabel = (alert) =>
+  SEVERITY_LEVELS.find((level) => level.value === getAlertSeverity(alert))?.label || 'Critical';
+
+// Most severe first, newest first within a severity
+export function sortAlertsBySeverity(alerts) {
+  return [...(alerts || [])].sort(
+    (a, b) =>
+      severityRank(getAlertSeverity(b)) - severityRank(getAlertSeverity(a)) ||
+      new Date(b.timestamp || 0) - new Date(a.timestamp || 0)
+  );
+}
@@ -0,0 +1,44 @@
+// Snooze helpers (mirrors backend/services/snoozeService.js)
+
+export const SNOOZE_SCOPES = [
+  { value: 'alert', label: 'This alert' },
+  { value: 'header', label: 'Header' },
+  { value: 'project', label: 'Project' },
+  { value: 'stage', label: 'Stage' },
+  { value: 'category', label: 'Category' },
+];
+
+// Snooze durations in seconds
+export const SNOOZE_DURATIONS = [
+  { label: '15 minutes', value: 15 * 60 },
+  { label: '1 hour', value: 60 * 60 },
+  { label: '4 hours', value: 4 * 60 * 60 },
+  { label: '8 hours', value: 8 * 60 * 60 },
+  { label: '24 hours', value: 24 * 60 * 60 },
+];
+
+export const getSnoozeScopeLabel = (scope) => SNOOZE_SCOPES.find((option) => option.value === scope)?.label || scope;
+
+// e.g. "Category: Pressure" or "Alert: Casing Pressure"
+export function formatSnoozeTarget(snooze) {
+  const label = snooze.scope === 'alert' ? 'Alert' : getSnoozeScopeLabel(snooze.scope);
+  return `${label}: ${snooze.scopeName || snooze.scopeId || snooze.alertId}`;
+}
+
+// e.g. "Until 14:30 or recovery"
+export function formatSnoozeExpiry(snooze) {
+  const until = new Date(snooze.snoozeUntil).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+  return `Until ${until}${snooze.autoUnsnooze ? ' or recovery' : ''}`;
+}
+
+// e.g. "Header snooze until Oct 19, 14:30 or recovery: Wireline run"
+export function describeSnooze(snooze) {
+  const scope = snooze.scope && snooze.scope !== 'alert' ? `${getSnoozeScopeLabel(snooze.scope)} snooze` : 'Snoozed';
+  const expiry = formatSnoozeExpiry(snooze).replace(/^Until/, 'until');
+  return `${scope} ${expiry}${snooze.reason ? `: ${snooze.reason}` : ''}`;
+}
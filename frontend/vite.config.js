@@ -21,12 +21,18 @@ export default defineConfig(({ mode }) => {
       alias: {
         '@': path.resolve(__dirname, './'),
         '@config': path.resolve(__dirname, './src/config.js'),
+        // Modules shared with the backend, e.g. the header classifier
+        '@shared': path.resolve(__dirname, '../backend/shared'),
       },
     },
     server: {
       port: FRONTEND_PORT,
       host: true, // Listen on all addresses
       cors: true, // Enable CORS
+      fs: {
+        // Allow serving the @shared modules that live outside the frontend root
+        allow: [path.resolve(__dirname), path.resolve(__dirname, '../backend/shared')],
+      },
       proxy: {
         // Proxy all API requests to the backend
         '/api': {